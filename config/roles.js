@@ -0,0 +1,65 @@
+// config/roles.js
+// Roles and the permissions each one grants. Every user is a buyer or a
+// seller through accountType; staff roles (admin, moderator, support) are
+// kept in User.roles on top of that.
+
+const ROLES = ['admin', 'moderator', 'support', 'seller', 'buyer'];
+const STAFF_ROLES = ['admin', 'moderator', 'support'];
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  CONTENT_MANAGE: 'content:manage',       // posters, system dialogs
+  SPONSORED_MANAGE: 'sponsored:manage',
+  EMAIL_SEND: 'email:send',
+  CATALOG_BULK: 'catalog:bulk',
+  PAYOUTS_MANAGE: 'payouts:manage',
+  DISPUTES_MANAGE: 'disputes:manage',
+  PRODUCTS_MANAGE: 'products:manage',     // edit or remove any seller's products
+  REVIEWS_MANAGE: 'reviews:manage',       // remove any review
+  REPORTS_MANAGE: 'reports:manage',       // triage and assign user reports
+  USERS_SUSPEND: 'users:suspend',         // suspend or ban accounts
+  SELLERS_VERIFY: 'sellers:verify',       // review seller verification (KYC) requests
+  AUDIT_READ: 'audit:read'                // read and export the audit log
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  // Admins can do everything, including things added later
+  admin: ['*'],
+  moderator: [
+    P.USERS_READ, P.CONTENT_MANAGE, P.PRODUCTS_MANAGE, P.REVIEWS_MANAGE,
+    P.REPORTS_MANAGE, P.USERS_SUSPEND
+  ],
+  support: [P.USERS_READ, P.DISPUTES_MANAGE, P.REPORTS_MANAGE],
+  // Buyers and sellers only act on their own data, which routes check
+  // by ownership rather than by permission
+  seller: [],
+  buyer: []
+};
+
+/**
+ * Roles a user holds: their account type plus any staff roles
+ */
+const getUserRoles = (user) => {
+  if (!user) return [];
+  return [...new Set([user.accountType || 'buyer', ...(user.roles || [])])];
+};
+
+const hasRole = (user, role) => getUserRoles(user).includes(role);
+
+const hasPermission = (user, permission) => getUserRoles(user).some(role => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+});
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getUserRoles,
+  hasRole,
+  hasPermission
+};
@@ -30,6 +30,9 @@ const io = socketIO(server, {
 
 const { initializeFirebase } = require('./config/firebase');
 const NotificationScheduler = require('./services/notificationScheduler');
+const OrderScheduler = require('./services/orderScheduler');
+const AccountScheduler = require('./services/accountScheduler');
+const ProductScheduler = require('./services/productScheduler');
 
 
 
@@ -463,6 +466,15 @@ socket.on('send_message', async (data) => {
         });
         return;
       }
+
+      // One of the two blocked the other (see services/blockService.js)
+      if (conversation.status === 'blocked') {
+        socket.emit('message_error', {
+          error: 'Conversation is blocked',
+          messageId
+        });
+        return;
+      }
  
       // ✅ ONLY send the ACK back to the sender (single tick → sent)
       //    Do NOT emit new_message here — the HTTP route already did it
@@ -498,7 +510,7 @@ socket.on('send_message', async (data) => {
       const conversation = await Conversation.findById(conversationId)
         .populate('participants');
  
-      if (!conversation) return;
+      if (!conversation || conversation.status === 'blocked') return;
  
       conversation.participants.forEach((participant) => {
         const participantId = participant._id.toString();
@@ -533,7 +545,7 @@ socket.on('send_message', async (data) => {
       const conversation = await Conversation.findById(conversationId)
         .populate('participants');
  
-      if (!conversation) return;
+      if (!conversation || conversation.status === 'blocked') return;
  
       conversation.participants.forEach((participant) => {
         const participantId = participant._id.toString();
@@ -635,7 +647,8 @@ function getMessagePreview(messageType) {
 }
 
 // Middleware
-app.use(bodyParser.json());
+// Keep the raw body around so payment webhooks can verify their signatures
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(cors({ origin: '*' }));
 
@@ -666,6 +679,7 @@ db.once('open', () => console.log('Connected to sfm Database'));
 app.use('/api/feed', enhancedProductFeedRoutes);
 app.use('/products', require('./routes/product_cloudinary'));
 app.use('/api/favorites', require('./routes/favorites'));
+app.use('/api/wishlists', require('./routes/wishlist'));
 app.use('/categories', require('./routes/category_cloudinary'));
 app.use('/subCategories', require('./routes/subCategory'));
 app.use('/brands', require('./routes/brand'));
@@ -678,6 +692,15 @@ app.use('/reviews', require('./routes/review'));
 app.use('/messages', require('./routes/message_cloudinary'));
 app.use('/analytics', require('./routes/analytics'));
 app.use('/cart', require('./routes/cart'));
+app.use('/orders', require('./routes/order'));
+app.use('/payments', require('./routes/payment'));
+app.use('/payouts', require('./routes/payout'));
+app.use('/disputes', require('./routes/dispute'));
+app.use('/reports', require('./routes/report'));
+app.use('/moderation', require('./routes/moderation'));
+app.use('/seller-verification', require('./routes/sellerVerification'));
+app.use('/admin', require('./routes/admin'));
+app.use('/inventory', require('./routes/inventory'));
 app.use('/favorite', require('./routes/favorites'));
 app.use('/api/sponsored', sponsoredProductRoutes);
 app.use('/bulk', require('./routes/bulkUpload'));
@@ -843,6 +866,24 @@ server.listen(PORT, HOST, () => {
   } catch (error) {
     console.error('⚠️ Failed to start notification scheduler:', error.message);
   }
+
+  try {
+    OrderScheduler.start();
+  } catch (error) {
+    console.error('⚠️ Failed to start order scheduler:', error.message);
+  }
+
+  try {
+    AccountScheduler.start();
+  } catch (error) {
+    console.error('⚠️ Failed to start account scheduler:', error.message);
+  }
+
+  try {
+    ProductScheduler.start();
+  } catch (error) {
+    console.error('⚠️ Failed to start product scheduler:', error.message);
+  }
 });
 
 // Export for use in other modules if needed
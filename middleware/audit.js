@@ -0,0 +1,27 @@
+// middleware/audit.js
+const AuditService = require('../services/auditService');
+
+// Record a request in the audit log once it has succeeded, e.g.
+//   router.put('/:id', adminOnly, audit('sponsored.update', 'sponsored_product'), ...)
+// The target is req.params.id unless the handler says otherwise. Handlers
+// add detail by setting res.locals.audit = { targetId, before, after, metadata }.
+// Failed responses (4xx/5xx) are not logged.
+const audit = (action, targetType) => (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+
+    const details = res.locals.audit || {};
+    AuditService.record(req, {
+      action,
+      targetType,
+      targetId: details.targetId ?? req.params.id,
+      before: details.before,
+      after: details.after,
+      metadata: details.metadata
+    });
+  });
+
+  next();
+};
+
+module.exports = { audit };
@@ -1,21 +1,40 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../model/user');
+const Session = require('../model/session');
+const { hasPermission } = require('../config/roles');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-2024';
 
-// Token expiration: 30 days (720 hours)
-const TOKEN_EXPIRY = '720h';
+// Access tokens are short-lived; the app gets new ones with its refresh
+// token (POST /users/token/refresh, see services/sessionService.js)
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
 
-// Generate JWT Token with 30-day expiration
-const generateToken = (userId) => {
+// Generate a JWT access token for a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId }, 
+    { id: userId, sid: sessionId }, 
     JWT_SECRET, 
-    { expiresIn: TOKEN_EXPIRY }
+    { expiresIn: ACCESS_TOKEN_EXPIRY }
   );
 };
 
+// Decode a token without failing on expiry (for the legacy token exchange)
+const verifyToken = (token, options = {}) => jwt.verify(token, JWT_SECRET, options);
+
+const suspensionResponse = (suspension) => ({
+  success: false,
+  message: suspension.status === 'banned'
+    ? 'This account has been banned.'
+    : 'This account is suspended.',
+  code: 'ACCOUNT_SUSPENDED',
+  suspension: {
+    status: suspension.status,
+    reason: suspension.reason,
+    until: suspension.until
+  }
+});
+
 // Verify JWT Token Middleware
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -38,6 +57,37 @@ const protect = asyncHandler(async (req, res, next) => {
         });
       }
 
+      // Tokens issued before a deletion request stop working with it
+      if (req.user.deletionRequestedAt) {
+        return res.status(401).json({
+          success: false,
+          message: 'This account has been deleted.',
+          code: 'ACCOUNT_DELETED'
+        });
+      }
+
+      // Suspended and banned accounts are locked out until reinstated
+      // (see services/moderationService.js)
+      const suspension = req.user.getActiveSuspension();
+      if (suspension) {
+        return res.status(403).json(suspensionResponse(suspension));
+      }
+
+      // Signed-out devices lose access straight away, not when the token
+      // expires. Tokens issued before sessions existed carry no sid and
+      // are accepted until they run out.
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+        if (!session || !session.isActive()) {
+          return res.status(401).json({
+            success: false,
+            message: 'Session has ended. Please log in again.',
+            code: 'SESSION_REVOKED'
+          });
+        }
+        req.sessionId = decoded.sid;
+      }
+
       // Token is valid, continue
       next();
       
@@ -77,6 +127,32 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// For routes anyone may call but signed-in users see more of (e.g. a
+// seller opening their own draft). req.user is only set for a token protect
+// would accept; without one, or with an expired, revoked or otherwise
+// unusable one, the caller is treated as a guest rather than refused.
+const optionalProtect = asyncHandler(async (req, res, next) => {
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(req.headers.authorization.split(' ')[1], JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      const session = decoded.sid
+        ? await Session.findById(decoded.sid).select('revokedAt expiresAt')
+        : null;
+
+      const usable = user && !user.deletionRequestedAt && !user.getActiveSuspension()
+        && (!decoded.sid || (session && session.isActive()));
+      if (usable) {
+        req.user = user;
+        if (decoded.sid) req.sessionId = decoded.sid;
+      }
+    } catch (error) {
+      // Not a usable token: carry on as a guest
+    }
+  }
+  next();
+});
+
 // Optional: Middleware to check if token is about to expire (within 24 hours)
 // and send a warning header
 const checkTokenExpiry = asyncHandler(async (req, res, next) => {
@@ -101,52 +177,30 @@ const checkTokenExpiry = asyncHandler(async (req, res, next) => {
   next();
 });
 
-// Refresh token endpoint (optional - generates new token)
-const refreshToken = asyncHandler(async (req, res) => {
-  let token;
-
-  if (req.headers.authorization?.startsWith('Bearer')) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
-      
-      // Check if user still exists
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'User not found' 
-        });
-      }
-
-      // Generate new token
-      const newToken = generateToken(user._id);
-      
-      return res.status(200).json({
-        success: true,
-        token: newToken,
-        message: 'Token refreshed successfully',
-        data: user
-      });
-      
-    } catch (error) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Token refresh failed' 
+// Permission check on top of protect, e.g. authorize(PERMISSIONS.USERS_READ).
+// The user needs every permission listed (see config/roles.js).
+const authorize = (...permissions) => [
+  protect,
+  (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this',
+        code: 'FORBIDDEN'
       });
     }
-  } else {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'No token provided' 
-    });
+
+    next();
   }
-});
+];
 
 module.exports = { 
   generateToken, 
   protect, 
+  optionalProtect,
+  authorize,
   checkTokenExpiry,
-  refreshToken 
+  verifyToken,
+  suspensionResponse
 };
\ No newline at end of file
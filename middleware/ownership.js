@@ -0,0 +1,89 @@
+// middleware/ownership.js
+// Who is acting always comes from the token (req.user). Older app builds
+// still send their user id in the URL, query or body; such ids are only
+// accepted when they are the caller's own, and 'me' works in their place.
+// Use these after protect.
+const mongoose = require('mongoose');
+const Product = require('../model/product');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  message,
+  code: 'FORBIDDEN'
+});
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+/**
+ * Check legacy identity fields, given as 'params.userId', 'body.senderId',
+ * 'query.userId'. A field naming someone else is rejected; a missing field
+ * or 'me' is filled in with the caller's id so handlers can keep reading it.
+ */
+const requireSelf = (...fields) => (req, res, next) => {
+  const userId = req.user._id.toString();
+
+  for (const field of fields) {
+    const [source, key] = field.split('.');
+    const container = req[source];
+    if (!container) continue;
+
+    const value = container[key];
+    if (value === undefined || value === null || value === '' || value === 'me') {
+      container[key] = userId;
+    } else if (String(value) !== userId) {
+      return forbidden(res, "You can only do this for your own account.");
+    }
+  }
+
+  next();
+};
+
+/**
+ * Allow only the user named by req.params[param] ('me' works) or staff
+ * holding permission. 'me' is replaced with the caller's id.
+ */
+const requireSelfOr = (permission, param = 'id') => (req, res, next) => {
+  if (req.params[param] === 'me') {
+    req.params[param] = req.user._id.toString();
+  }
+
+  if (!sameId(req.params[param], req.user._id) && !hasPermission(req.user, permission)) {
+    return forbidden(res, "You can only do this for your own account.");
+  }
+  next();
+};
+
+/**
+ * Load the product named by req.params[param] into req.product, allowing
+ * only its seller or staff who manage products
+ */
+const requireProductOwner = (param = 'id') => async (req, res, next) => {
+  try {
+    const productId = req.params[param];
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: "Invalid product ID." });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found." });
+    }
+
+    if (!sameId(product.sellerId, req.user._id) && !hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE)) {
+      return forbidden(res, "You can only change your own products.");
+    }
+
+    req.product = product;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireSelf,
+  requireSelfOr,
+  requireProductOwner,
+  sameId
+};
@@ -72,6 +72,26 @@ const uploadProductImages = multer({
     fileFilter: imageFilter
 });
 
+// Upload handler for dispute evidence photos
+const uploadDisputeEvidence = multer({
+    storage,
+    limits: { fileSize: MAX_IMAGE_SIZE, files: 5 },
+    fileFilter: imageFilter
+});
+
+// Upload handler for seller verification documents (photos or PDF scans)
+const uploadVerificationDocuments = multer({
+    storage,
+    limits: { fileSize: MAX_DOC_SIZE, files: 5 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only images or PDF files are allowed'), false);
+        }
+    }
+});
+
 // FIXED: Message attachments upload - More permissive file filter
 const uploadMessageAttachments = multer({
     storage,
@@ -174,5 +194,7 @@ module.exports = {
     uploadPosterImages,
     uploadCategoryImage,
     uploadProductImages,
+    uploadDisputeEvidence,
+    uploadVerificationDocuments,
     uploadMessageAttachments
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// A user's request to delete their account, worked off step by step in the
+// background (see services/accountDataService.js). Finished steps are
+// recorded so a job interrupted by a crash or an outage picks up where it
+// stopped. Content other users still see is re-attributed to anonymousId,
+// which is dropped once the job completes.
+const accountDeletionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true
+    },
+    anonymousId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'pending'
+    },
+    completedSteps: [{ type: String }],
+    // What each step did (counts), keyed by step name
+    stats: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: { type: String },
+    // Set while a worker runs the job; a stale lock means the worker died
+    lockedUntil: { type: Date },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+accountDeletionSchema.index({ status: 1, lockedUntil: 1 });
+
+accountDeletionSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Who changed what, written by services/auditService.js. Entries are never
+// edited or removed: the update and delete hooks below refuse to run.
+const auditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Roles the actor held at the time (see config/roles.js)
+    actorRoles: [{ type: String }],
+    // Dotted name such as product.update or sponsored.status
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: String
+    },
+    // Changed fields as { field: { from, to } }
+    changes: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    method: String,
+    path: String,
+    ipAddress: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const refuseChange = function() {
+    throw new Error('Audit log entries cannot be changed or removed.');
+};
+
+auditLogSchema.pre('save', function() {
+    if (!this.isNew) refuseChange();
+});
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    refuseChange
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
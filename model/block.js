@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One user blocking another. Either direction stops messages between the
+// two; the blocker also stops seeing the other user's products.
+const blockSchema = new mongoose.Schema({
+    blockerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    blockedId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1 });
+
+module.exports = mongoose.model('Block', blockSchema);
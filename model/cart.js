@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One cart line. Only references and quantity are stored - name, price,
+// seller and stock always come from Product when the cart is read.
+const cartItemSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },
+  // One of the product's combinations (Product.combinations._id)
+  combinationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  quantity: { type: Number, required: true, min: 1 },
+  // Unit price the buyer last saw, used to flag price changes
+  priceAtAdd: { type: Number },
+  addedAt: { type: Date, default: Date.now },
+});
+
+// A cart belongs to a user, or to an anonymous device/session token
+// until that guest logs in and the cart is merged into theirs
+const cartSchema = new mongoose.Schema({
+  userID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return !this.guestToken; }
+  },
+  guestToken: { type: String },
+  items: [cartItemSchema],
+}, { timestamps: true });
+
+cartSchema.index({ userID: 1 });
+cartSchema.index({ updatedAt: 1, userID: 1 });
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } });
+
+// Forget guest carts nobody has touched for 30 days
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { guestToken: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Cart', cartSchema);
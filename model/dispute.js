@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+const DISPUTE_REASONS = [
+    'not_received',
+    'not_as_described',
+    'damaged',
+    'wrong_item',
+    'missing_items',
+    'other'
+];
+
+// open             waiting for the seller
+// seller_responded seller answered; either party can escalate
+// under_review     an admin is deciding
+// resolved         final decision made (and refund issued, if any)
+// cancelled        buyer withdrew the dispute
+const DISPUTE_STATUSES = ['open', 'seller_responded', 'under_review', 'resolved', 'cancelled'];
+
+const evidenceSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    publicId: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const disputeHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: DISPUTE_STATUSES,
+        required: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: {
+        type: String,
+        enum: ['buyer', 'seller', 'admin'],
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: {
+        type: String
+    },
+    buyerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Support conversation between buyer and seller for this dispute
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation'
+    },
+    reason: {
+        type: String,
+        enum: DISPUTE_REASONS,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    },
+    // What the buyer is asking for back
+    requestedAmount: {
+        type: Number,
+        min: 0
+    },
+    evidence: [evidenceSchema],
+    status: {
+        type: String,
+        enum: DISPUTE_STATUSES,
+        default: 'open'
+    },
+    sellerResponse: {
+        action: {
+            type: String,
+            enum: ['accept_refund', 'offer_partial', 'decline']
+        },
+        message: {
+            type: String,
+            trim: true,
+            maxlength: 2000
+        },
+        offeredAmount: Number,
+        respondedAt: Date
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolution: {
+        decision: {
+            type: String,
+            enum: ['full_refund', 'partial_refund', 'no_refund']
+        },
+        amount: Number,
+        note: {
+            type: String,
+            trim: true,
+            maxlength: 2000
+        },
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedByRole: {
+            type: String,
+            enum: ['seller', 'admin']
+        },
+        resolvedAt: Date,
+        paymentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment'
+        },
+        refundId: mongoose.Schema.Types.ObjectId,
+        // 'offline' when the order was not paid through the platform and the
+        // seller has to return the money directly
+        refundStatus: {
+            type: String,
+            enum: ['succeeded', 'pending', 'manual', 'offline']
+        }
+    },
+    history: [disputeHistorySchema]
+}, { timestamps: true });
+
+// Only one active dispute per order
+disputeSchema.index(
+    { orderId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['open', 'seller_responded', 'under_review'] } } }
+);
+disputeSchema.index({ buyerId: 1, createdAt: -1 });
+disputeSchema.index({ sellerId: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+disputeSchema.statics.REASONS = DISPUTE_REASONS;
+disputeSchema.statics.STATUSES = DISPUTE_STATUSES;
+disputeSchema.statics.ACTIVE_STATUSES = ['open', 'seller_responded', 'under_review'];
+
+// Role of a user in this dispute: 'buyer', 'seller' or null
+disputeSchema.methods.getUserRole = function(userId) {
+    const userIdStr = userId.toString();
+    if ((this.buyerId?._id || this.buyerId)?.toString() === userIdStr) return 'buyer';
+    if ((this.sellerId?._id || this.sellerId)?.toString() === userIdStr) return 'seller';
+    return null;
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Favorite model
+const favoriteSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Compound index to prevent duplicates and optimize queries
+favoriteSchema.index({ userId: 1, productId: 1 }, { unique: true });
+favoriteSchema.index({ userId: 1, addedAt: -1 });
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
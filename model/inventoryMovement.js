@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Why stock went up or down:
+// manual_edit: the seller changed the quantity (product form, quick update, adjustment)
+// order: units taken by a checkout
+// cancellation: units put back when an order was cancelled or rejected
+// return: units a buyer sent back
+// import: stock loaded from a bulk import or another system
+const REASONS = ['manual_edit', 'order', 'cancellation', 'return', 'import'];
+
+// One stock change of a product, or of one of its combinations. Written by
+// services/inventoryService.js; entries are never edited.
+const inventoryMovementSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Product.combinations._id when the stock belongs to a combination
+    combinationId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: String,
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: REASONS,
+        required: true
+    },
+    // Units added (positive) or removed (negative)
+    change: {
+        type: Number,
+        required: true
+    },
+    // Stock left after the change
+    balance: {
+        type: Number,
+        required: true
+    },
+    // Who made the change; empty for the system (e.g. expired reservations)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ sellerId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ productId: 1, createdAt: -1 });
+
+inventoryMovementSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
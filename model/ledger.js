@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+// Platform-side accounts have no sellerId; seller accounts always do.
+//   platform_cash           money the platform holds with payment providers
+//   escrow                  buyer payments for orders not yet delivered
+//   commission              platform revenue
+//   seller_pending          seller earnings still inside the dispute window
+//   seller_available        seller earnings that can be paid out
+//   seller_payout_reserved  seller earnings locked by a payout request
+const LEDGER_ACCOUNTS = [
+    'platform_cash',
+    'escrow',
+    'commission',
+    'seller_pending',
+    'seller_available',
+    'seller_payout_reserved'
+];
+
+const SELLER_ACCOUNTS = ['seller_pending', 'seller_available', 'seller_payout_reserved'];
+
+const LEDGER_TRANSACTION_TYPES = [
+    'payment_received',
+    'order_refunded',
+    'order_delivered',
+    'funds_released',
+    'payout_requested',
+    'payout_paid',
+    'payout_rejected'
+];
+
+const ledgerEntrySchema = new mongoose.Schema({
+    account: {
+        type: String,
+        enum: LEDGER_ACCOUNTS,
+        required: true
+    },
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    debit: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    credit: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+// One balanced journal entry. Transactions are never edited - mistakes are
+// corrected by posting a reversing transaction.
+const ledgerTransactionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: LEDGER_TRANSACTION_TYPES,
+        required: true
+    },
+    // Stops the same business event from being posted twice
+    idempotencyKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    description: {
+        type: String
+    },
+    currency: {
+        type: String,
+        default: 'SLE'
+    },
+    entries: {
+        type: [ledgerEntrySchema],
+        validate: [
+            {
+                validator: entries => entries.length >= 2,
+                message: 'A ledger transaction needs at least two entries'
+            },
+            {
+                validator: entries => {
+                    const debits = entries.reduce((sum, e) => sum + e.debit, 0);
+                    const credits = entries.reduce((sum, e) => sum + e.credit, 0);
+                    return Math.abs(debits - credits) < 0.005;
+                },
+                message: 'Ledger transaction debits and credits must balance'
+            }
+        ]
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    payoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+ledgerTransactionSchema.index({ 'entries.sellerId': 1, createdAt: -1 });
+ledgerTransactionSchema.index({ type: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ orderId: 1 });
+
+// Running seller balances, updated in the same transaction as every ledger
+// posting so payout requests can reserve funds with a conditional $inc
+const sellerBalanceSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    pending: {
+        type: Number,
+        default: 0
+    },
+    available: {
+        type: Number,
+        default: 0
+    },
+    reserved: {
+        type: Number,
+        default: 0
+    },
+    totalEarned: {
+        type: Number,
+        default: 0
+    },
+    totalPaidOut: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        default: 'SLE'
+    }
+}, { timestamps: true });
+
+const PAYOUT_METHODS = ['orange_money', 'afrimoney', 'bank_transfer'];
+
+const payoutSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    currency: {
+        type: String,
+        default: 'SLE'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    // Snapshot of where the money goes, taken when the request is made
+    destination: {
+        method: {
+            type: String,
+            enum: PAYOUT_METHODS,
+            required: true
+        },
+        accountName: String,
+        accountNumber: String,
+        bankName: String,
+        phoneNumber: String
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    // Transfer reference from the bank or mobile money statement
+    transferReference: String,
+    rejectionReason: String
+}, { timestamps: true });
+
+payoutSchema.index({ sellerId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+
+ledgerTransactionSchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+ledgerTransactionSchema.statics.SELLER_ACCOUNTS = SELLER_ACCOUNTS;
+payoutSchema.statics.METHODS = PAYOUT_METHODS;
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+const SellerBalance = mongoose.model('SellerBalance', sellerBalanceSchema);
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = {
+    LedgerTransaction,
+    SellerBalance,
+    Payout
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A pre-session access token that has been exchanged for a session
+// (SessionService.exchangeLegacyToken). Each one can be exchanged once;
+// the record is kept until the token itself would have expired.
+const legacyTokenExchangeSchema = new mongoose.Schema({
+    // sha256 of the token; the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The session the first exchange created
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+legacyTokenExchangeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LegacyTokenExchange', legacyTokenExchangeSchema);
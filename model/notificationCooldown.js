@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Last time a given kind of notification went to a user, so scheduled jobs
+// don't repeat themselves across restarts or multiple server instances.
+// `key` narrows the cooldown further (e.g. a product id) and is '' otherwise.
+const notificationCooldownSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        default: ''
+    },
+    lastSentAt: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+notificationCooldownSchema.index({ userId: 1, type: 1, key: 1 }, { unique: true });
+
+/**
+ * Atomically claim the right to send: returns true (and records the send)
+ * if nothing of this type/key went to the user within cooldownMs.
+ */
+notificationCooldownSchema.statics.claim = async function(userId, type, cooldownMs, key = '') {
+    const now = new Date();
+
+    try {
+        await this.findOneAndUpdate(
+            { userId, type, key, lastSentAt: { $lte: new Date(now.getTime() - cooldownMs) } },
+            { $set: { lastSentAt: now }, $inc: { count: 1 } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        // The upsert hit the unique index: a recent send exists
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * When a type/key was last sent to the user, or null
+ */
+notificationCooldownSchema.statics.lastSent = async function(userId, type, key = '') {
+    const record = await this.findOne({ userId, type, key }).select('lastSentAt').lean();
+    return record?.lastSentAt || null;
+};
+
+module.exports = mongoose.model('NotificationCooldown', notificationCooldownSchema);
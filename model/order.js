@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = [
+    'pending',
+    'confirmed',
+    'packed',
+    'out_for_delivery',
+    'delivered',
+    'cancelled',
+    'rejected'
+];
+
+// One purchased line, priced by the server at checkout time
+const orderItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: {
+        type: String,
+        required: true
+    },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Variant'
+    },
+    variant: {
+        type: String
+    },
+    // Product.combinations._id the units were taken from
+    combinationId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+        type: String
+    },
+    image: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    lineTotal: {
+        type: Number,
+        required: true
+    }
+});
+
+// Every status change, in the order it happened
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    role: {
+        type: String,
+        enum: ['buyer', 'seller', 'system'],
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Shared by every order split out of the same cart
+    checkoutId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    buyerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sellerName: {
+        type: String
+    },
+    items: {
+        type: [orderItemSchema],
+        validate: [items => items.length > 0, 'An order needs at least one item']
+    },
+    subtotal: {
+        type: Number,
+        required: true
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'SLE'
+    },
+    coupon: {
+        couponId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        couponCode: String,
+        discountType: String,
+        discountAmount: Number
+    },
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        default: 'pending'
+    },
+    paymentStatus: {
+        type: String,
+        enum: ['unpaid', 'pending', 'paid', 'partially_refunded', 'refunded'],
+        default: 'unpaid'
+    },
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    statusHistory: [statusHistorySchema],
+    // Stock taken off Product.quantity at checkout. Held until the seller
+    // confirms, released back if the order is cancelled, rejected or expires.
+    reservation: {
+        status: {
+            type: String,
+            enum: ['held', 'committed', 'released']
+        },
+        expiresAt: Date,
+        releasedAt: Date
+    },
+    // Seller earnings for a delivered, paid order. Held for the dispute
+    // window, then released to the seller's available balance. Frozen while
+    // a dispute is open; reversed once fully refunded.
+    escrow: {
+        status: {
+            type: String,
+            enum: ['held', 'frozen', 'released', 'reversed']
+        },
+        sellerAmount: Number,
+        commission: Number,
+        commissionRate: Number,
+        releaseAt: Date,
+        releasedAt: Date
+    },
+    shippingAddress: {
+        street: String,
+        city: String,
+        district: String,
+        postalCode: String,
+        phoneNumber: String
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+}, { timestamps: true });
+
+orderSchema.index({ buyerId: 1, createdAt: -1 });
+orderSchema.index({ sellerId: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
+orderSchema.index({ 'escrow.status': 1, 'escrow.releaseAt': 1 });
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+
+// Role of a user in this order: 'buyer', 'seller' or null
+orderSchema.methods.getUserRole = function(userId) {
+    const userIdStr = userId.toString();
+    if ((this.buyerId?._id || this.buyerId)?.toString() === userIdStr) return 'buyer';
+    if ((this.sellerId?._id || this.sellerId)?.toString() === userIdStr) return 'seller';
+    return null;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
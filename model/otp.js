@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['register', 'login', 'reset_password'];
+
+// One record per phone number and purpose. The code itself is never stored,
+// only an HMAC of it. The record outlives the code so resend throttling
+// keeps working across requests.
+const otpSchema = new mongoose.Schema({
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: PURPOSES,
+        required: true
+    },
+    codeHash: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date
+    },
+    // Wrong guesses against the current code
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    channel: {
+        type: String
+    },
+    lastSentAt: {
+        type: Date
+    },
+    // Codes sent since windowStartedAt, for the hourly send cap
+    sendCount: {
+        type: Number,
+        default: 0
+    },
+    windowStartedAt: {
+        type: Date
+    },
+    consumedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+otpSchema.index({ phoneNumber: 1, purpose: 1 }, { unique: true });
+
+// Nothing left to throttle a day after the last send
+otpSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+otpSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model('Otp', otpSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_PROVIDERS = ['orange_money', 'afrimoney', 'stripe', 'fake'];
+
+const refundSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    orderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    providerRefundId: String,
+    // 'manual' means the provider has no refund API and finance must pay it out by hand
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'manual', 'failed'],
+        default: 'pending'
+    },
+    failureReason: String,
+    // Staff who settled a pending or manual refund (PaymentService.confirmRefund)
+    confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    confirmedAt: Date
+}, { timestamps: true });
+
+const paymentSchema = new mongoose.Schema({
+    // Our reference, sent to the provider as the merchant order id
+    reference: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        enum: PAYMENT_PROVIDERS,
+        required: true
+    },
+    // The provider's own id (pay token, transaction id, payment intent id)
+    providerReference: {
+        type: String,
+        index: true
+    },
+    buyerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    orderIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }],
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'SLE'
+    },
+    payerPhone: String,
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed', 'refunded', 'partially_refunded'],
+        default: 'pending'
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    refunds: [refundSchema],
+    failureReason: String,
+    paidAt: Date,
+    // Webhook event ids already applied, so provider retries are harmless
+    processedEvents: [{ type: String }],
+    // Provider specific data (notification tokens, redirect urls, ...)
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, { timestamps: true });
+
+paymentSchema.index({ orderIds: 1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+paymentSchema.statics.PROVIDERS = PAYMENT_PROVIDERS;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Where a price change came from:
+// create: the price a product was listed at
+// update: the product form (PUT /products/:id)
+// quick_update: the seller dashboard's quick update
+const SOURCES = ['create', 'update', 'quick_update'];
+
+// One price of a product, or of one of its combinations, from the moment it
+// was set. Written by services/priceHistoryService.js; entries are never edited.
+const priceHistorySchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Product.combinations._id when the price belongs to a combination
+    combinationId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    sku: String,
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true
+    },
+    offerPrice: {
+        type: Number
+    },
+    // What a buyer paid from this moment: the offer price when it is below the price
+    effectivePrice: {
+        type: Number,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: SOURCES,
+        required: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ productId: 1, createdAt: -1 });
+
+priceHistorySchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
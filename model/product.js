@@ -1,5 +1,53 @@
 const mongoose = require('mongoose');
 
+// draft: being prepared, images may still be missing
+// active: on sale and shown to buyers
+// paused: taken off sale by the seller for a while
+// archived: retired; can be brought back as a draft
+// rejected: taken down by staff; the seller can rework it as a draft
+const STATUSES = ['draft', 'active', 'paused', 'archived', 'rejected'];
+
+// Moves a seller can make. Staff who manage products can also reject
+// anything that isn't archived (see services/productService.js).
+const STATUS_TRANSITIONS = Object.freeze({
+    draft: ['active', 'archived'],
+    active: ['paused', 'archived'],
+    paused: ['active', 'archived'],
+    archived: ['draft'],
+    rejected: ['draft', 'archived']
+});
+
+// One sellable combination of variants (e.g. Size M + Colour Red) with its
+// own stock. price/offerPrice override the product's when set, and image is
+// the number of one of the product's images.
+const combinationSchema = new mongoose.Schema({
+    variantIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Variant'
+    }],
+    sku: {
+        type: String,
+        trim: true
+    },
+    price: {
+        type: Number,
+        min: 0
+    },
+    offerPrice: {
+        type: Number,
+        min: 0
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0
+    },
+    image: {
+        type: Number
+    }
+});
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -43,6 +91,9 @@ const productSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,  // ✅ CHANGED: Now ObjectId
         ref: 'Variant'                         // ✅ ADDED: Reference to Variant model
     }],
+    // When a product has combinations, its quantity and proVariantId are
+    // worked out from them on save
+    combinations: [combinationSchema],
     sellerId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -64,10 +115,96 @@ const productSchema = new mongoose.Schema({
         publicId: {  // ✅ GOOD: You already have this for Cloudinary
             type: String
         }
-    }]
+    }],
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'active'
+    },
+    // Why staff rejected the product, shown to the seller
+    statusReason: {
+        type: String,
+        trim: true
+    },
+    statusChangedAt: {
+        type: Date
+    },
+    // Weighted views, clicks and favourites over the last 30 days, for
+    // sorting by popularity (refreshed hourly by services/productScheduler.js)
+    popularity: {
+        type: Number,
+        default: 0
+    },
+    // Copy of the seller's verified badge, for listings and ranking
+    sellerVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Set when a moderator takes the product out of public listings
+    moderation: {
+        hiddenAt: { type: Date, default: null },
+        hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String }
+    }
 }, { timestamps: true });
 
 productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ sellerId: 1, 'combinations.sku': 1 });
+// Sort orders of GET /products (the _id breaks ties for cursors)
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ price: 1, _id: 1 });
+productSchema.index({ popularity: -1, _id: -1 });
+
+// Only drafts may be missing images
+productSchema.pre('validate', function() {
+    const publishing = this.status === 'active' && (this.isNew || this.isModified('status'));
+    if (publishing && (!this.images || this.images.length === 0)) {
+        this.invalidate('images', 'Add at least one image before publishing, or save the product as a draft.');
+    }
+});
+
+productSchema.pre('validate', function() {
+    if (!this.combinations || this.combinations.length === 0) return;
+
+    this.quantity = this.combinations.reduce((sum, combination) => sum + combination.quantity, 0);
+
+    const variantIds = new Map();
+    this.combinations.forEach(combination => {
+        combination.variantIds.forEach(id => variantIds.set(id.toString(), id));
+    });
+    this.proVariantId = Array.from(variantIds.values());
+});
+
+// New listings, and ones moved to another seller, take that seller's badge.
+// SellerVerificationService updates existing listings when it changes.
+productSchema.pre('save', async function() {
+    if (!this.isNew && !this.isModified('sellerId')) return;
+
+    const seller = await mongoose.model('User').findById(this.sellerId)
+        .select('sellerVerification.status')
+        .lean();
+    this.sellerVerified = seller?.sellerVerification?.status === 'verified';
+});
+
+// Filter for everything the public browses (feed, search, category and
+// share pages): active products that moderators haven't hidden. Products
+// saved before statuses existed have none and count as active. The seller
+// still sees the rest in their own lists.
+productSchema.statics.LISTED = Object.freeze({
+    'moderation.hiddenAt': null,
+    status: { $in: ['active', null] }
+});
+
+// The same test for a product that is already loaded (it needs the status
+// and moderation fields)
+productSchema.statics.isListed = function(product) {
+    return Boolean(product)
+        && !product.moderation?.hiddenAt
+        && (product.status || 'active') === 'active';
+};
+
+productSchema.statics.STATUSES = STATUSES;
+productSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
 
 const Product = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['user', 'product', 'message', 'review'];
+const REASONS = ['spam', 'scam', 'harassment', 'inappropriate', 'counterfeit', 'prohibited_item', 'other'];
+// open -> in_review -> actioned | dismissed (a closed report can be reopened)
+const STATUSES = ['open', 'in_review', 'actioned', 'dismissed'];
+const ACTIVE_STATUSES = ['open', 'in_review'];
+const ACTIONS = ['hide_product', 'delete_review', 'suspend_user', 'ban_user'];
+
+const historySchema = new mongoose.Schema({
+    status: { type: String, enum: STATUSES },
+    action: { type: String, enum: ACTIONS },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String, maxlength: 1000 },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A user flagging someone or something for the moderators. `snapshot`
+// keeps the reported content as it was, in case it is edited or deleted
+// before anyone looks at it.
+const reportSchema = new mongoose.Schema({
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: TARGET_TYPES,
+        required: true
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Who is being reported: the user, the seller, the sender or the author
+    targetUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        enum: REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'open'
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    assignedAt: { type: Date },
+    // What the moderator did about it
+    resolution: {
+        action: { type: String, enum: ACTIONS },
+        note: { type: String, maxlength: 1000 },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date }
+    },
+    history: [historySchema]
+}, {
+    timestamps: true
+});
+
+// A user can't keep filing the same report while it is being handled
+reportSchema.index(
+    { reporterId: 1, targetType: 1, targetId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ targetType: 1, targetId: 1 });
+reportSchema.index({ targetUserId: 1, createdAt: -1 });
+
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.STATUSES = STATUSES;
+reportSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+reportSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('Report', reportSchema);
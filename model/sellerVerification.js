@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['business_registration', 'tax_certificate', 'business_license', 'national_id', 'other'];
+// pending -> approved | rejected; the seller may withdraw a pending request
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const REJECTION_REASONS = [
+    'document_unreadable',
+    'document_expired',
+    'details_mismatch',
+    'document_missing',
+    'not_a_business',
+    'other'
+];
+
+const documentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: DOCUMENT_TYPES,
+        required: true
+    },
+    // Documents are stored as authenticated Cloudinary assets and only
+    // reachable through signed URLs (see SellerVerificationService)
+    publicId: {
+        type: String,
+        required: true
+    },
+    resourceType: {
+        type: String,
+        default: 'image'
+    },
+    format: String,
+    size: Number,
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A seller asking to be verified: the business details they claim and the
+// documents that back them up, kept as submitted
+const sellerVerificationSchema = new mongoose.Schema({
+    sellerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    businessName: {
+        type: String,
+        trim: true
+    },
+    businessRegNumber: {
+        type: String,
+        trim: true,
+        required: true
+    },
+    taxId: {
+        type: String,
+        trim: true
+    },
+    businessLicense: {
+        type: String,
+        trim: true
+    },
+    documents: [documentSchema],
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReasons: [{
+        type: String,
+        enum: REJECTION_REASONS
+    }],
+    // Shown to the seller with the decision
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    }
+}, { timestamps: true });
+
+// One request under review per seller
+sellerVerificationSchema.index(
+    { sellerId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+sellerVerificationSchema.index({ sellerId: 1, createdAt: -1 });
+sellerVerificationSchema.index({ status: 1, createdAt: 1 });
+
+sellerVerificationSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+sellerVerificationSchema.statics.STATUSES = STATUSES;
+sellerVerificationSchema.statics.REJECTION_REASONS = REJECTION_REASONS;
+
+module.exports = mongoose.model('SellerVerification', sellerVerificationSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'user', 'reuse_detected', 'password_reset', 'admin', 'account_deleted'];
+
+// A signed-in device. The refresh token is <session id>.<secret>; only a
+// hash of the current secret (and the one it replaced) is stored. Every
+// refresh rotates the secret, so an old secret turning up again means the
+// token was copied and the whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Push token registration for this device, when the app sent one
+    deviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserDevice',
+        default: null
+    },
+    deviceInfo: {
+        platform: { type: String },
+        deviceId: { type: String },
+        appVersion: { type: String },
+        osVersion: { type: String }
+    },
+    userAgent: { type: String },
+    ipAddress: { type: String },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    previousTokenHash: { type: String },
+    rotatedAt: { type: Date },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Pushed forward on every refresh; idle sessions expire
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: REVOKE_REASONS
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ deviceId: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
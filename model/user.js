@@ -1,9 +1,15 @@
 const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
     phoneNumber: { type: String, required: true, unique: true },
+    // Set once the user has entered a code sent to phoneNumber
+    phoneVerified: { type: Boolean, default: false },
+    phoneVerifiedAt: { type: Date },
     password: { type: String, required: true },
     accountType: { type: String, enum: ['buyer', 'seller'], default: 'buyer' },
+    // Staff roles on top of accountType (see config/roles.js)
+    roles: { type: [{ type: String, enum: STAFF_ROLES }], default: [] },
     fullName: { type: String, required: true },
     email: { type: String },
     dateOfBirth: { type: String },
@@ -24,13 +30,64 @@ const userSchema = new mongoose.Schema({
         businessEmail: { type: String },
         taxId: { type: String },
         bankAccountDetails: { type: String },
+        // Structured payout destination used for seller payouts
+        payoutAccount: {
+            method: { type: String, enum: ['orange_money', 'afrimoney', 'bank_transfer'] },
+            accountName: { type: String },
+            accountNumber: { type: String },
+            bankName: { type: String },
+            phoneNumber: { type: String }
+        },
         businessLicense: { type: String },
         businessHours: { type: String },
         deliveryAreas: [{ type: String }],
         productCategories: [{ type: String }]
+    },
+    // Seller verification (KYC) outcome; the latest request lives in
+    // SellerVerification. Products copy `verified` as sellerVerified.
+    sellerVerification: {
+        status: { type: String, enum: ['unverified', 'pending', 'verified', 'rejected'], default: 'unverified' },
+        verifiedAt: { type: Date },
+        requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerVerification' }
+    },
+    // Opt-outs for marketing-style notifications (transactional ones always go out)
+    notificationPreferences: {
+        abandonedCartReminders: { type: Boolean, default: true },
+        // Sellers: daily list of products that are running low or sold out
+        lowStockDigest: { type: Boolean, default: true },
+        // Buyers: a push when a favourited product gets cheaper
+        priceDropAlerts: { type: Boolean, default: true }
+    },
+    // Sellers: products at or below this many units count as low on stock
+    // (see services/inventoryService.js)
+    inventorySettings: {
+        lowStockThreshold: { type: Number, min: 0, default: 5 }
+    },
+    // Set when the user asks for their account to be deleted; the account
+    // can't be used while the deletion job runs
+    deletionRequestedAt: { type: Date },
+    // Set by moderators (see services/moderationService.js). A suspension
+    // ends at `until`; a ban has no end.
+    suspension: {
+        status: { type: String, enum: ['suspended', 'banned'] },
+        reason: { type: String },
+        until: { type: Date },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date },
+        dialogId: { type: mongoose.Schema.Types.ObjectId, ref: 'SystemDialog' }
     }
 }, { timestamps: true });
 
+/**
+ * The suspension or ban in force right now, or null
+ */
+userSchema.methods.getActiveSuspension = function() {
+    const suspension = this.suspension;
+    if (!suspension?.status) return null;
+    if (suspension.status === 'suspended' && suspension.until && suspension.until <= new Date()) return null;
+    return suspension;
+};
+
 module.exports = mongoose.model('User', userSchema);
 
 
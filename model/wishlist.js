@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Who can open a list:
+//   private - only the owner
+//   link    - anyone with the share link
+//   public  - share link, and listed on the owner's profile
+const PRIVACY = ['private', 'link', 'public'];
+
+// 'custom' lists are named by the user; every user also gets one
+// 'save_for_later' list that holds items moved out of the cart
+const LIST_TYPES = ['custom', 'save_for_later'];
+
+const MAX_ITEMS = 200;
+
+const wishlistItemSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant', default: null },
+    // One of the product's combinations (Product.combinations._id)
+    combinationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: { type: Number, min: 1, default: 1 },
+    note: { type: String, trim: true, maxlength: 200 },
+    addedAt: { type: Date, default: Date.now }
+});
+
+const wishlistSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'List name is required'],
+        trim: true,
+        maxlength: 60
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300
+    },
+    type: {
+        type: String,
+        enum: LIST_TYPES,
+        default: 'custom'
+    },
+    privacy: {
+        type: String,
+        enum: PRIVACY,
+        default: 'private'
+    },
+    // Random token used in share links; set the first time a list is shared
+    // and replaced to revoke old links
+    shareToken: {
+        type: String
+    },
+    items: {
+        type: [wishlistItemSchema],
+        validate: [items => items.length <= MAX_ITEMS, `A list can hold at most ${MAX_ITEMS} items`]
+    }
+}, {
+    timestamps: true
+});
+
+wishlistSchema.index({ userId: 1, updatedAt: -1 });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+// One save-for-later list per user
+wishlistSchema.index({ userId: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'save_for_later' } });
+
+wishlistSchema.methods.isSharable = function () {
+    return this.privacy !== 'private' && Boolean(this.shareToken);
+};
+
+wishlistSchema.statics.PRIVACY = PRIVACY;
+wishlistSchema.statics.LIST_TYPES = LIST_TYPES;
+wishlistSchema.statics.MAX_ITEMS = MAX_ITEMS;
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
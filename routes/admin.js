@@ -0,0 +1,54 @@
+// routes/admin.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const AuditService = require('../services/auditService');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { toCSV, sendCSV } = require('../utils/csv');
+const { respondWithError } = require('../utils/httpError');
+
+const AUDIT_CSV_COLUMNS = [
+    { key: row => row.createdAt, header: 'Date' },
+    { key: row => row.actorId?._id || row.actorId, header: 'Actor ID' },
+    { key: row => row.actorId?.fullName, header: 'Actor Name' },
+    { key: row => (row.actorRoles || []).join(' '), header: 'Actor Roles' },
+    { key: 'action', header: 'Action' },
+    { key: 'targetType', header: 'Target Type' },
+    { key: 'targetId', header: 'Target ID' },
+    { key: row => (row.changes ? JSON.stringify(row.changes) : ''), header: 'Changes' },
+    { key: row => (row.metadata ? JSON.stringify(row.metadata) : ''), header: 'Metadata' },
+    { key: 'method', header: 'Method' },
+    { key: 'path', header: 'Path' },
+    { key: 'ipAddress', header: 'IP Address' },
+    { key: 'userAgent', header: 'User Agent' }
+];
+
+/**
+ * @route   GET /admin/audit
+ * @desc    Audit log, newest first. format=csv downloads every matching entry
+ *          (up to AuditService.MAX_EXPORT_ROWS) instead of a page.
+ * @query   actorId, action (e.g. product.update, or product.* for all product actions),
+ *          targetType, targetId, from, to, page, limit, format (json | csv)
+ * @access  Admin (audit:read)
+ */
+router.get('/audit', authorize(PERMISSIONS.AUDIT_READ), asyncHandler(async (req, res) => {
+    try {
+        if (req.query.format === 'csv') {
+            const rows = await AuditService.listForExport(req.query);
+            return sendCSV(res, `audit-${new Date().toISOString().slice(0, 10)}.csv`, toCSV(rows, AUDIT_CSV_COLUMNS));
+        }
+
+        const { entries, pagination } = await AuditService.list(req.query);
+        res.json({
+            success: true,
+            message: "Audit log retrieved successfully.",
+            data: entries,
+            pagination
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Audit log error');
+    }
+}));
+
+module.exports = router;
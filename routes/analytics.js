@@ -6,9 +6,22 @@ const { Conversation, Message } = require('../model/message');
 const User = require('../model/user');
 const asyncHandler = require('express-async-handler');
 const { protect } = require('../middleware/auth');
+const { requireSelf, requireProductOwner } = require('../middleware/ownership');
+const { audit } = require('../middleware/audit');
+const AuditService = require('../services/auditService');
+const ProductService = require('../services/productService');
+const InventoryService = require('../services/inventoryService');
+const PriceHistoryService = require('../services/priceHistoryService');
 
-// Get dashboard analytics for seller
-router.get('/dashboard/:sellerId', protect, asyncHandler(async (req, res) => {
+// Status each bulk action moves products to
+const BULK_ACTION_STATUSES = {
+    activate: 'active',
+    deactivate: 'paused',
+    archive: 'archived'
+};
+
+// Get dashboard analytics for seller (the caller; 'me' works as the id)
+router.get('/dashboard/:sellerId', protect, requireSelf('params.sellerId'), asyncHandler(async (req, res) => {
     try {
         const sellerId = req.params.sellerId;
         const { timeframe = '30' } = req.query; // days
@@ -20,12 +33,17 @@ router.get('/dashboard/:sellerId', protect, asyncHandler(async (req, res) => {
         const products = await Product.find({ sellerId })
             .populate('proCategoryId', 'name')
             .populate('proSubCategoryId', 'name');
+        const lowStockThreshold = InventoryService.getThreshold(req.user);
             
         // Basic product metrics
         const totalProducts = products.length;
-        const activeProducts = products.filter(p => p.quantity > 0).length;
+        const activeProducts = products.filter(p => Product.isListed(p) && p.quantity > 0).length;
+        const productsByStatus = Product.STATUSES.reduce((counts, status) => ({
+            ...counts,
+            [status]: products.filter(p => (p.status || 'active') === status).length
+        }), {});
         const outOfStockProducts = products.filter(p => p.quantity === 0).length;
-        const lowStockProducts = products.filter(p => p.quantity > 0 && p.quantity <= 5).length;
+        const lowStockProducts = products.filter(p => p.quantity > 0 && p.quantity <= lowStockThreshold).length;
         
         // Calculate total inventory value
         const totalInventoryValue = products.reduce((sum, product) => {
@@ -117,8 +135,10 @@ router.get('/dashboard/:sellerId', protect, asyncHandler(async (req, res) => {
                 metrics: {
                     totalProducts,
                     activeProducts,
+                    productsByStatus,
                     outOfStockProducts,
                     lowStockProducts,
+                    lowStockThreshold,
                     totalMessages,
                     totalInventoryValue
                 },
@@ -136,7 +156,7 @@ router.get('/dashboard/:sellerId', protect, asyncHandler(async (req, res) => {
 }));
 
 // Get product performance analytics
-router.get('/products/:sellerId', protect, asyncHandler(async (req, res) => {
+router.get('/products/:sellerId', protect, requireSelf('params.sellerId'), asyncHandler(async (req, res) => {
     try {
         const sellerId = req.params.sellerId;
         const { sortBy = 'engagement', order = 'desc', page = 1, limit = 10 } = req.query;
@@ -149,6 +169,7 @@ router.get('/products/:sellerId', protect, asyncHandler(async (req, res) => {
             .populate('proSubCategoryId', 'name')
             .skip(skip)
             .limit(parseInt(limit));
+        const lowStockThreshold = InventoryService.getThreshold(req.user);
             
         // Get message engagement for each product
         const conversations = await Conversation.find({
@@ -174,9 +195,10 @@ router.get('/products/:sellerId', protect, asyncHandler(async (req, res) => {
                 images: product.images,
                 createdAt: product.createdAt,
                 engagement: productMessages,
-                status: product.quantity > 0 ? 'active' : 'out_of_stock',
+                status: product.status || 'active',
+                statusReason: product.statusReason,
                 stockStatus: product.quantity === 0 ? 'out_of_stock' : 
-                           product.quantity <= 5 ? 'low_stock' : 'in_stock'
+                           product.quantity <= lowStockThreshold ? 'low_stock' : 'in_stock'
             };
         }));
         
@@ -227,8 +249,8 @@ router.get('/products/:sellerId', protect, asyncHandler(async (req, res) => {
     }
 }));
 
-// Bulk operations for products
-router.post('/products/bulk-action', protect, asyncHandler(async (req, res) => {
+// Bulk operations on the caller's products
+router.post('/products/bulk-action', protect, requireSelf('body.sellerId'), audit('product.bulk_action', 'product'), asyncHandler(async (req, res) => {
     try {
         const { action, productIds, sellerId } = req.body;
         
@@ -239,25 +261,39 @@ router.post('/products/bulk-action', protect, asyncHandler(async (req, res) => {
             });
         }
         
-        let updateQuery = {};
-        let successMessage = "";
-        
         switch (action) {
+            // activate publishes drafts and resumes paused products,
+            // deactivate pauses them, archive retires them
             case 'activate':
-                // For activation, you might want to set a status field
-                // Since your schema doesn't have status, we'll use a different approach
-                successMessage = `${productIds.length} products processed`;
-                break;
-                
             case 'deactivate':
-                successMessage = `${productIds.length} products processed`;
-                break;
+            case 'archive': {
+                const status = BULK_ACTION_STATUSES[action];
+                const result = await ProductService.bulkChangeStatus(productIds, sellerId, req.user, status);
+                res.locals.audit = {
+                    metadata: { action, sellerId, status, changed: result.changed, failed: result.failed }
+                };
+
+                return res.json({
+                    success: true,
+                    message: `${result.changed.length} products are now ${status}` +
+                        (result.failed.length > 0 ? `, ${result.failed.length} could not be changed` : ''),
+                    modifiedCount: result.changed.length,
+                    data: result
+                });
+            }
                 
             case 'delete':
+                // Keep a record of what was removed
+                const deletedProducts = await Product.find({ _id: { $in: productIds }, sellerId })
+                    .select('name price offerPrice quantity')
+                    .lean();
                 const deleteResult = await Product.deleteMany({
                     _id: { $in: productIds },
                     sellerId // Ensure seller can only delete their own products
                 });
+                res.locals.audit = {
+                    metadata: { action, sellerId, deletedCount: deleteResult.deletedCount, products: deletedProducts }
+                };
                 
                 return res.json({
                     success: true,
@@ -271,38 +307,36 @@ router.post('/products/bulk-action', protect, asyncHandler(async (req, res) => {
                 });
         }
         
-        // For non-delete actions
-        const updateResult = await Product.updateMany(
-            {
-                _id: { $in: productIds },
-                sellerId
-            },
-            updateQuery
-        );
-        
-        res.json({
-            success: true,
-            message: successMessage,
-            modifiedCount: updateResult.modifiedCount
-        });
-        
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error("Bulk action error:", error);
         res.status(500).json({ success: false, message: error.message });
     }
 }));
 
-// Quick update product (price and stock)
-router.patch('/products/:productId/quick-update', protect, asyncHandler(async (req, res) => {
+// Quick update product (price and stock); its seller or staff
+router.patch('/products/:productId/quick-update', protect, requireProductOwner('productId'), audit('product.quick_update', 'product'), asyncHandler(async (req, res) => {
     try {
         const { productId } = req.params;
         const { price, offerPrice, quantity } = req.body;
+
+        // Stock of a product with combinations is kept per combination
+        if (quantity !== undefined && req.product.combinations?.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "This product has combinations; update their quantities with PUT /products/:id."
+            });
+        }
         
         const updateData = {};
         if (price !== undefined) updateData.price = parseFloat(price);
         if (offerPrice !== undefined) updateData.offerPrice = parseFloat(offerPrice);
         if (quantity !== undefined) updateData.quantity = parseInt(quantity);
         
+        const stockBefore = InventoryService.snapshot(req.product);
+        const pricesBefore = PriceHistoryService.snapshot(req.product);
         const updatedProduct = await Product.findByIdAndUpdate(
             productId,
             updateData,
@@ -315,6 +349,20 @@ router.patch('/products/:productId/quick-update', protect, asyncHandler(async (r
                 message: "Product not found"
             });
         }
+        await InventoryService.recordChanges(updatedProduct, stockBefore, {
+            reason: 'manual_edit',
+            actorId: req.user._id,
+            note: 'Quick update'
+        });
+        await PriceHistoryService.recordChanges(updatedProduct, pricesBefore, {
+            source: 'quick_update',
+            changedBy: req.user._id
+        });
+        res.locals.audit = {
+            targetId: productId,
+            before: AuditService.snapshot(req.product, ['price', 'offerPrice', 'quantity']),
+            after: AuditService.snapshot(updatedProduct, ['price', 'offerPrice', 'quantity'])
+        };
         
         res.json({
             success: true,
@@ -328,4 +376,4 @@ router.patch('/products/:productId/quick-update', protect, asyncHandler(async (r
     }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -24,7 +24,7 @@ router.get('/api/products/:productId', async (req, res) => {
       .populate('categoryId', 'name')
       .lean();
     
-    if (!product) {
+    if (!Product.isListed(product)) {
       console.log(`⚠️ Product not found: ${productId}`);
       return res.status(404).json({ 
         success: false,
@@ -58,7 +58,8 @@ router.get('/api/products/seller/:sellerId', async (req, res) => {
     
     const products = await Product.find({ 
       sellerId: sellerId,
-      isDeleted: { $ne: true } 
+      isDeleted: { $ne: true },
+      ...Product.LISTED
     })
       .populate('proCategoryId', 'name')      // ✅ KEEP
       .populate('proSubCategoryId', 'name')   // ✅ KEEP  
@@ -137,6 +138,7 @@ router.get('/api/sellers/:sellerId/stats', async (req, res) => {
     const activeProducts = await Product.countDocuments({ 
       sellerId: sellerId,
       isDeleted: { $ne: true },
+      ...Product.LISTED,
       quantity: { $gt: 0 }
     });
     
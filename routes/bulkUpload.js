@@ -7,6 +7,12 @@ const Brand = require('../model/brand');
 const VariantType = require('../model/variantType');
 const Variant = require('../model/variant');
 const asyncHandler = require('express-async-handler');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
+
+// Catalog imports are admin-only, and each one is audited
+router.use(authorize(PERMISSIONS.CATALOG_BULK), audit('catalog.bulk_upload', 'catalog'));
 
 // Bulk upload categories
 router.post('/categories', asyncHandler(async (req, res) => {
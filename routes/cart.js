@@ -1,74 +1,127 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
+const CartService = require('../services/cartService');
+const Cart = require('../model/cart');
+const { protect } = require('../middleware/auth');
+const { requireSelf } = require('../middleware/ownership');
+const { respondWithError } = require('../utils/httpError');
 
-// Define CartItem schema (matches Flutter's Items model)
-const cartItemSchema = new mongoose.Schema({
-  productID: { type: String, required: true },
-  productName: String,
-  quantity: Number,
-  price: Number,
-  variant: String,
-  sellerName: String,
+// The signed-in user's own cart; :userId must be theirs (or 'me')
+const ownCart = [protect, requireSelf('params.userId')];
+
+// Respond with the live cart view
+const sendCart = async (res, cart) => {
+  res.json({ success: true, data: await CartService.buildView(cart) });
+};
+
+// ============================================
+// GUEST CART - keyed by a token the app generates per device/session.
+// Merged into the user's cart on /users/login ({ guestCartToken }).
+// Declared first so /guest/... never matches the /:userId routes.
+// ============================================
+
+// Get guest cart
+router.get('/guest/:token', async (req, res) => {
+  try {
+    const cart = await Cart.findOne(CartService.guestOwner(req.params.token));
+    await sendCart(res, cart);
+  } catch (error) {
+    respondWithError(res, error, 'Get guest cart error');
+  }
 });
 
-const cartSchema = new mongoose.Schema({
-  userID: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  items: [cartItemSchema],
+// Add item to guest cart
+router.post('/guest/:token', async (req, res) => {
+  try {
+    const cart = await CartService.addItem(CartService.guestOwner(req.params.token), req.body);
+    await sendCart(res, cart);
+  } catch (error) {
+    respondWithError(res, error, 'Add to guest cart error');
+  }
 });
 
-const Cart = mongoose.model('Cart', cartSchema);
+// Change a guest cart item's quantity
+router.patch('/guest/:token/:itemId', async (req, res) => {
+  try {
+    const cart = await CartService.updateQuantity(CartService.guestOwner(req.params.token), req.params.itemId, req.body.quantity);
+    await sendCart(res, cart);
+  } catch (error) {
+    respondWithError(res, error, 'Update guest cart item error');
+  }
+});
+
+// Remove item from guest cart
+router.delete('/guest/:token/:itemId', async (req, res) => {
+  try {
+    const cart = await CartService.removeItem(CartService.guestOwner(req.params.token), req.params.itemId);
+    await sendCart(res, cart);
+  } catch (error) {
+    respondWithError(res, error, 'Remove guest cart item error');
+  }
+});
+
+// Clear guest cart
+router.delete('/guest/:token', async (req, res) => {
+  try {
+    const cart = await CartService.clear(CartService.guestOwner(req.params.token));
+    await sendCart(res, cart);
+  } catch (error) {
+    respondWithError(res, error, 'Clear guest cart error');
+  }
+});
+
+// ============================================
+// USER CART - the owner comes from the token
+// ============================================
+
+// Get user's cart with live prices, stock and change flags
+router.get('/:userId', ownCart, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userID: req.user._id });
+    await sendCart(res, cart);
+  } catch (error) {
+    respondWithError(res, error, 'Get cart error');
+  }
+});
 
-// Get user's cart
-router.get('/:userId', async (req, res) => {
+// Add item to cart ({ productId, variantId? | combinationId? | sku?, quantity? }); duplicates are merged
+router.post('/:userId', ownCart, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userID: req.params.userId });
-    if (!cart) return res.json({ success: true, data: [] });
-    res.json({ success: true, data: cart.items });
+    const cart = await CartService.addItem({ userID: req.user._id }, req.body);
+    await sendCart(res, cart);
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    respondWithError(res, error, 'Add to cart error');
   }
 });
 
-// Add item to cart
-router.post('/:userId', async (req, res) => {
+// Change an item's quantity ({ quantity }); 0 removes it
+router.patch('/:userId/:itemId', ownCart, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ userID: req.params.userId });
-    if (!cart) {
-      cart = new Cart({ userID: req.params.userId, items: [] });
-    }
-    cart.items.push(req.body);
-    await cart.save();
-    res.json({ success: true, data: cart.items });
+    const cart = await CartService.updateQuantity({ userID: req.user._id }, req.params.itemId, req.body.quantity);
+    await sendCart(res, cart);
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    respondWithError(res, error, 'Update cart item error');
   }
 });
 
 // Remove item from cart
-router.delete('/:userId/:itemId', async (req, res) => {
+router.delete('/:userId/:itemId', ownCart, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userID: req.params.userId });
-    if (!cart) return res.status(404).json({ success: false, message: 'Cart not found' });
-    cart.items = cart.items.filter(item => item._id.toString() !== req.params.itemId);
-    await cart.save();
-    res.json({ success: true, data: cart.items });
+    const cart = await CartService.removeItem({ userID: req.user._id }, req.params.itemId);
+    await sendCart(res, cart);
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    respondWithError(res, error, 'Remove cart item error');
   }
 });
 
 // Clear cart
-router.delete('/:userId', async (req, res) => {
+router.delete('/:userId', ownCart, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userID: req.params.userId });
-    if (!cart) return res.status(404).json({ success: false, message: 'Cart not found' });
-    cart.items = [];
-    await cart.save();
-    res.json({ success: true, data: [] });
+    const cart = await CartService.clear({ userID: req.user._id });
+    await sendCart(res, cart);
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    respondWithError(res, error, 'Clear cart error');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,226 @@
+// routes/dispute.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Dispute = require('../model/dispute');
+const DisputeService = require('../services/disputeService');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { uploadDisputeEvidence } = require('../middleware/uploadMiddleware.js');
+const { respondWithError } = require('../utils/httpError');
+const { getPagination } = require('../utils/pagination');
+
+const validateDisputeId = (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: "Invalid dispute ID." });
+    }
+    next();
+};
+
+/**
+ * @route   POST /disputes
+ * @desc    Buyer opens a dispute on a delivered order
+ * @body    multipart: orderId, reason, description, requestedAmount?, evidence[] (photos)
+ * @access  Private (buyer of the order)
+ */
+router.post('/', protect, uploadDisputeEvidence.array('evidence', 5), asyncHandler(async (req, res) => {
+    const { orderId, reason, description, requestedAmount } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ success: false, message: "Valid orderId is required." });
+    }
+
+    try {
+        const dispute = await DisputeService.open(req.user, {
+            orderId,
+            reason,
+            description,
+            requestedAmount,
+            files: req.files
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Dispute opened successfully.",
+            data: dispute
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Open dispute error');
+    }
+}));
+
+/**
+ * @route   GET /disputes?role=buyer|seller&status
+ * @desc    Disputes the current user opened (buyer) or received (seller)
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+    const { role = 'buyer', status } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    if (!['buyer', 'seller'].includes(role)) {
+        return res.status(400).json({ success: false, message: "Role must be buyer or seller." });
+    }
+
+    const query = role === 'seller' ? { sellerId: req.user._id } : { buyerId: req.user._id };
+    if (status) query.status = status;
+
+    const [disputes, total] = await Promise.all([
+        Dispute.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+        Dispute.countDocuments(query)
+    ]);
+
+    res.json({
+        success: true,
+        message: "Disputes retrieved successfully.",
+        data: {
+            disputes,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total,
+                hasMore: pageNum * limitNum < total
+            }
+        }
+    });
+}));
+
+/**
+ * @route   GET /disputes/admin/queue?status=under_review
+ * @desc    Disputes for the admin team, oldest first
+ * @access  Admin
+ */
+router.get('/admin/queue', authorize(PERMISSIONS.DISPUTES_MANAGE), asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    const query = status ? { status } : { status: { $in: Dispute.ACTIVE_STATUSES } };
+
+    const [disputes, total] = await Promise.all([
+        Dispute.find(query)
+            .populate('buyerId', 'fullName phoneNumber')
+            .populate('sellerId', 'fullName phoneNumber businessInfo.businessName')
+            .populate('orderId', 'orderNumber total paymentStatus refundedAmount escrow')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+        Dispute.countDocuments(query)
+    ]);
+
+    res.json({
+        success: true,
+        message: "Dispute queue retrieved successfully.",
+        data: {
+            disputes,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total,
+                hasMore: pageNum * limitNum < total
+            }
+        }
+    });
+}));
+
+/**
+ * @route   POST /disputes/admin/:id/resolve
+ * @desc    Settle a dispute; refunds go back through the payment provider
+ * @body    { decision: full_refund | partial_refund | no_refund, amount?, note? }
+ * @access  Admin
+ */
+router.post('/admin/:id/resolve', authorize(PERMISSIONS.DISPUTES_MANAGE), validateDisputeId, asyncHandler(async (req, res) => {
+    try {
+        const dispute = await DisputeService.resolve(req.params.id, req.user, req.body, 'admin');
+        res.json({ success: true, message: "Dispute resolved.", data: dispute });
+    } catch (error) {
+        respondWithError(res, error, 'Resolve dispute error');
+    }
+}));
+
+/**
+ * @route   GET /disputes/:id
+ * @desc    Single dispute (buyer, seller or admin)
+ * @access  Private
+ */
+router.get('/:id', protect, validateDisputeId, asyncHandler(async (req, res) => {
+    try {
+        const { dispute, role } = await DisputeService.getForUser(req.params.id, req.user, {
+            admin: hasPermission(req.user, PERMISSIONS.DISPUTES_MANAGE)
+        });
+
+        await dispute.populate('orderId', 'orderNumber items total status paymentStatus refundedAmount');
+
+        res.json({
+            success: true,
+            message: "Dispute retrieved successfully.",
+            data: { ...dispute.toObject(), viewerRole: role }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Get dispute error');
+    }
+}));
+
+/**
+ * @route   POST /disputes/:id/evidence
+ * @desc    Add photos to an active dispute
+ * @access  Private (buyer or seller)
+ */
+router.post('/:id/evidence', protect, validateDisputeId, uploadDisputeEvidence.array('evidence', 5), asyncHandler(async (req, res) => {
+    try {
+        const dispute = await DisputeService.addEvidence(req.params.id, req.user, req.files);
+        res.json({ success: true, message: "Evidence added.", data: dispute });
+    } catch (error) {
+        respondWithError(res, error, 'Dispute evidence error');
+    }
+}));
+
+/**
+ * @route   POST /disputes/:id/respond
+ * @desc    Seller response: accept_refund (settles immediately), offer_partial or decline
+ * @body    { action, message?, offeredAmount? }
+ * @access  Private (seller)
+ */
+router.post('/:id/respond', protect, validateDisputeId, asyncHandler(async (req, res) => {
+    try {
+        const dispute = await DisputeService.respond(req.params.id, req.user, req.body);
+        res.json({ success: true, message: "Response recorded.", data: dispute });
+    } catch (error) {
+        respondWithError(res, error, 'Dispute response error');
+    }
+}));
+
+/**
+ * @route   POST /disputes/:id/escalate
+ * @desc    Ask the admin team to decide
+ * @access  Private (buyer or seller)
+ */
+router.post('/:id/escalate', protect, validateDisputeId, asyncHandler(async (req, res) => {
+    try {
+        const dispute = await DisputeService.escalate(req.params.id, req.user, req.body.note);
+        res.json({ success: true, message: "Dispute escalated.", data: dispute });
+    } catch (error) {
+        respondWithError(res, error, 'Dispute escalate error');
+    }
+}));
+
+/**
+ * @route   POST /disputes/:id/cancel
+ * @desc    Buyer withdraws the dispute
+ * @access  Private (buyer)
+ */
+router.post('/:id/cancel', protect, validateDisputeId, asyncHandler(async (req, res) => {
+    try {
+        const dispute = await DisputeService.cancel(req.params.id, req.user, req.body.note);
+        res.json({ success: true, message: "Dispute withdrawn.", data: dispute });
+    } catch (error) {
+        respondWithError(res, error, 'Dispute cancel error');
+    }
+}));
+
+module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const User = require('../model/user');
 const emailService = require('../services/emailService');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+// Every route here is for the admin dashboard
+router.use(authorize(PERMISSIONS.EMAIL_SEND));
 
 /**
  * GET all users with emails
@@ -5,6 +5,7 @@ const Product = require('../model/product');
 const Category = require('../model/category');
 const AnalyticsEvent = require('../model/analytics');
 const SponsoredProduct = require('../model/sponsoredProduct');
+const BlockService = require('../services/blockService');
 const asyncHandler = require('express-async-handler');
 // Cache for frequently accessed data
 const NodeCache = require('node-cache');
@@ -31,6 +32,22 @@ const {
 
 const safeSerialize = (data) => JSON.parse(JSON.stringify(data));
 
+// Sellers the viewer blocked are dropped from their feed. This runs on the
+// way out, after the caches, since cached feeds are shared between users.
+const hideBlockedInSections = async (response, userId) => {
+  if (!userId) return response;
+
+  const sections = await Promise.all(response.data.sections.map(async section => ({
+    ...section,
+    products: await BlockService.hideBlockedSellers(section.products, userId)
+  })));
+
+  return {
+    ...response,
+    data: { ...response.data, sections: sections.filter(section => section.products.length > 0) }
+  };
+};
+
 /**
  * @route   GET /api/feed/complete
  * @desc    Get complete feed with all sections in random order
@@ -61,8 +78,8 @@ router.get('/instant', asyncHandler(async (req, res) => {
 
   try {
     // Fetch ONLY 6 recent products with essential fields
-    const products = await Product.find({ quantity: { $gt: 0 } })
-      .select('name price offerPrice images description quantity proCategoryId sellerId')
+    const products = await Product.find({ ...Product.LISTED, quantity: { $gt: 0 } })
+      .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
       .populate('proCategoryId', 'name')
       .populate('sellerId', 'fullName')
       .sort({ createdAt: -1 })
@@ -129,7 +146,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
   const cached = feedCache.get(cacheKey);
   if (cached) {
     console.log(`⚡ COMPLETE FEED CACHE HIT - ${Date.now() - startTime}ms`);
-    return res.json(cached);
+    return res.json(await hideBlockedInSections(cached, userId));
   }
 
   try {
@@ -148,19 +165,19 @@ router.get('/complete', asyncHandler(async (req, res) => {
       })
         .populate({
           path: 'productId',
-          select: 'name price offerPrice images description quantity proCategoryId sellerId',
+          select: 'name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations',
           populate: [
             { path: 'proCategoryId', select: 'name' },
             { path: 'sellerId', select: 'fullName' }
           ],
-          match: { quantity: { $gt: 0 } },
+          match: { ...Product.LISTED, quantity: { $gt: 0 } },
         })
         .sort({ priority: -1 })
         .limit(12)
         .lean(),
 
-      Product.find({ quantity: { $gt: 0 } })
-        .select('name price offerPrice images description quantity proCategoryId sellerId createdAt')
+      Product.find({ ...Product.LISTED, quantity: { $gt: 0 } })
+        .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations createdAt')
         .populate('proCategoryId', 'name')
         .populate('sellerId', 'fullName')
         .sort({ createdAt: -1 })
@@ -195,9 +212,9 @@ router.get('/complete', asyncHandler(async (req, res) => {
     if (topViewedData.length > 0) {
       const todaysPickProducts = await Product.find({
         _id: { $in: topViewedData },
-        quantity: { $gt: 0 }
+        ...Product.LISTED, quantity: { $gt: 0 }
       })
-        .select('name price offerPrice images description quantity proCategoryId sellerId')
+        .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
         .populate('proCategoryId', 'name')
         .populate('sellerId', 'fullName')
         .limit(12)
@@ -208,7 +225,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
           sectionId: 'todays_picks',
           title: "Today's Picks",
           type: 'curated',
-          products: shuffleArray(todaysPickProducts).slice(0, 4),
+          products: rankedShuffle(todaysPickProducts).slice(0, 4),
           showMore: todaysPickProducts.length > 4,
         });
       }
@@ -220,7 +237,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
         sectionId: 'recently_added',
         title: 'Recently Added',
         type: 'recent',
-        products: shuffleArray(recentProductsData).slice(0, 6),
+        products: rankedShuffle(recentProductsData).slice(0, 6),
         showMore: recentProductsData.length > 6,
       });
     }
@@ -229,9 +246,9 @@ router.get('/complete', asyncHandler(async (req, res) => {
     if (trendingData.length > 0) {
       const trendingProducts = await Product.find({
         _id: { $in: trendingData },
-        quantity: { $gt: 0 }
+        ...Product.LISTED, quantity: { $gt: 0 }
       })
-        .select('name price offerPrice images description quantity proCategoryId sellerId')
+        .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
         .populate('proCategoryId', 'name')
         .populate('sellerId', 'fullName')
         .limit(12)
@@ -242,7 +259,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
           sectionId: 'trending',
           title: 'Trending Now',
           type: 'trending',
-          products: shuffleArray(trendingProducts).slice(0, 5),
+          products: rankedShuffle(trendingProducts).slice(0, 5),
           showMore: trendingProducts.length > 5,
         });
       }
@@ -271,7 +288,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
         // ✅ FIX: Get total count FIRST
         const totalCount = await Product.countDocuments({
           proCategoryId: category._id,
-          quantity: { $gt: 0 }
+          ...Product.LISTED, quantity: { $gt: 0 }
         });
 
         if (totalCount === 0) return null;
@@ -279,9 +296,9 @@ router.get('/complete', asyncHandler(async (req, res) => {
         // Get products for display (6 random)
         const allProducts = await Product.find({
           proCategoryId: category._id,
-          quantity: { $gt: 0 }
+          ...Product.LISTED, quantity: { $gt: 0 }
         })
-          .select('name price offerPrice images description quantity proCategoryId sellerId createdAt')
+          .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations createdAt')
           .populate('proCategoryId', 'name')
           .populate('sellerId', 'fullName')
           .sort({ createdAt: -1 }) // ✅ CONSISTENT SORTING
@@ -293,7 +310,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
           title: category.name,
           type: 'category',
           categoryId: category._id.toString(),
-          products: shuffleArray(allProducts).slice(0, 6), // Show 6 random
+          products: rankedShuffle(allProducts).slice(0, 6), // Show 6 random
           showMore: totalCount > 6, // ✅ TRUE if total > 6
           totalProducts: totalCount
         };
@@ -338,7 +355,7 @@ router.get('/complete', asyncHandler(async (req, res) => {
 
     feedCache.set(cacheKey, response);
     console.log(`✅ COMPLETE FEED - ${Date.now() - startTime}ms - ${finalSections.length} sections`);
-    res.json(response);
+    res.json(await hideBlockedInSections(response, userId));
 
   } catch (error) {
     console.error('❌ Complete feed error:', error);
@@ -381,19 +398,19 @@ router.get('/section/:sectionType/all', asyncHandler(async (req, res) => {
 
     switch (sectionType) {
       case 'sponsored':
-        ({ products, totalCount, hasMore } = await getSponsoredPaginated(skip, limitNum));
+        ({ products, totalCount, hasMore } = await getSponsoredPaginated(skip, limitNum, userId));
         break;
 
       case 'curated': // Today's Picks
-        ({ products, totalCount, hasMore } = await getTodaysPicksPaginated(skip, limitNum));
+        ({ products, totalCount, hasMore } = await getTodaysPicksPaginated(skip, limitNum, userId));
         break;
 
       case 'recent': // Recently Added
-        ({ products, totalCount, hasMore } = await getRecentlyAddedPaginated(skip, limitNum));
+        ({ products, totalCount, hasMore } = await getRecentlyAddedPaginated(skip, limitNum, userId));
         break;
 
       case 'trending':
-        ({ products, totalCount, hasMore } = await getTrendingPaginated(skip, limitNum));
+        ({ products, totalCount, hasMore } = await getTrendingPaginated(skip, limitNum, userId));
         break;
 
       case 'personalized': // Recommended
@@ -413,7 +430,7 @@ router.get('/section/:sectionType/all', asyncHandler(async (req, res) => {
             message: 'Category ID required'
           });
         }
-        ({ products, totalCount, hasMore } = await getCategoryProductsPaginated(categoryId, skip, limitNum));
+        ({ products, totalCount, hasMore } = await getCategoryProductsPaginated(categoryId, skip, limitNum, userId));
         break;
 
       default:
@@ -499,9 +516,38 @@ function formatProduct(product) {
     proCategoryId: product.proCategoryId || null,
     sellerId: product.sellerId || null,
     sellerName: product.sellerId?.fullName || product.sellerName || 'Unknown Seller',
+    sellerVerified: Boolean(product.sellerVerified),
+    combinations: (product.combinations || []).map(combination => ({
+      _id: combination._id,
+      variantIds: combination.variantIds,
+      sku: combination.sku || null,
+      price: combination.price ?? product.price,
+      offerPrice: combination.price !== undefined && combination.price !== null
+        ? combination.offerPrice
+        : combination.offerPrice ?? product.offerPrice,
+      quantity: combination.quantity,
+      image: (product.images || []).find(img => img.image === combination.image)?.url || null,
+    })),
     createdAt: product.createdAt,
   };
 }
+
+// Products from verified sellers are this many times as likely to be
+// picked early when a section is shuffled
+const VERIFIED_SELLER_WEIGHT = 2;
+
+// UTILITY: Weighted shuffle - random order that favours verified sellers
+// (each product gets the key random^(1/weight); highest keys first)
+function rankedShuffle(products) {
+  return products
+    .map(product => ({
+      product,
+      key: Math.random() ** (1 / (product.sellerVerified ? VERIFIED_SELLER_WEIGHT : 1))
+    }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ product }) => product);
+}
+
 // UTILITY: Fast array shuffle (Fisher-Yates)
 function shuffleArray(array) {
   const arr = [...array];
@@ -601,9 +647,9 @@ async function getRecommendedForUser(userId, limit) {
 
     const products = await Product.find({
       proCategoryId: { $in: categoryIds },
-      quantity: { $gt: 0 }
+      ...Product.LISTED, quantity: { $gt: 0 }
     })
-      .select('name price offerPrice images description quantity proCategoryId sellerId')
+      .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
       .populate('proCategoryId', 'name')
       .populate('sellerId', 'fullName')
       .limit(limit)
@@ -633,13 +679,14 @@ router.get('/section/:sectionName', asyncHandler(async (req, res) => {
     try {
         const cacheKey = `section_${sectionName}_${limitNum}_${userId || 'guest'}_${useAnalytics}_${pageNum}`;
         
-        // Check cache first
+        // Check cache first. The sections are built without the viewer's
+        // blocked sellers; a cached one may predate their latest blocks.
         const cachedData = cache.get(cacheKey);
         if (cachedData) {
             return res.json({
                 success: true,
                 message: `${sectionName} section retrieved successfully (cached)`,
-                data: cachedData
+                data: await BlockService.hideBlockedSellers(cachedData, userId)
             });
         }
 
@@ -647,19 +694,19 @@ router.get('/section/:sectionName', asyncHandler(async (req, res) => {
 
         switch (sectionName) {
             case 'sponsored':
-                products = await getSponsoredSection(limitNum, useAnalytics);
+                products = await getSponsoredSection(limitNum, useAnalytics, userId);
                 break;
             case 'todays_picks':
-                products = await getTodaysPicksSection(limitNum, useAnalytics);
+                products = await getTodaysPicksSection(limitNum, useAnalytics, userId);
                 break;
             case 'recently_added':
-                products = await getRecentlyAddedSection(limitNum, useAnalytics, pageNum);
+                products = await getRecentlyAddedSection(limitNum, useAnalytics, pageNum, userId);
                 break;
             case 'recommended':
                 products = await getRecommendedProducts(userId, limitNum, useAnalytics);
                 break;
             case 'trending':
-                products = await getTrendingProducts(limitNum, useAnalytics);
+                products = await getTrendingProducts(limitNum, useAnalytics, userId);
                 break;
             case 'recent':
                 if (!userId) {
@@ -713,7 +760,7 @@ router.get('/seller/:sellerId/stats', asyncHandler(async (req, res) => {
     // Get total products count for the seller
     const totalProducts = await Product.countDocuments({
       sellerId: sellerId,
-      quantity: { $gt: 0 } // Only count in-stock products
+      ...Product.LISTED, quantity: { $gt: 0 } // Only count in-stock products
     });
 
     // Optional: Get additional stats
@@ -838,11 +885,14 @@ router.get('/products/category/:categoryId', asyncHandler(async (req, res) => {
             }
         }
 
+        const filter = {
+            proCategoryId: categoryId,
+            ...Product.LISTED, quantity: { $gt: 0 },
+            ...await BlockService.sellerFilter(userId)
+        };
+
         const [products, totalCount] = await Promise.all([
-            Product.find({ 
-                proCategoryId: categoryId,
-                quantity: { $gt: 0 } 
-            })
+            Product.find(filter)
             .populate('proCategoryId', 'name')
             .populate('proSubCategoryId', 'name')
             .populate('sellerId', 'fullName')
@@ -851,10 +901,7 @@ router.get('/products/category/:categoryId', asyncHandler(async (req, res) => {
             .limit(limitNum)
             .lean(),
             
-            Product.countDocuments({ 
-                proCategoryId: categoryId,
-                quantity: { $gt: 0 } 
-            })
+            Product.countDocuments(filter)
         ]);
 
         const enrichedProducts = await enrichProductsWithAnalytics(products);
@@ -883,33 +930,32 @@ router.get('/products/category/:categoryId', asyncHandler(async (req, res) => {
 
 
 
-async function getSponsoredPaginated(skip, limit) {
-  const sponsored = await SponsoredProduct.find({
+async function getSponsoredPaginated(skip, limit, userId) {
+  const hiddenIds = await BlockService.getBlockedProductIds(userId);
+  const filter = {
     isActive: true,
     status: 'active',
     startDate: { $lte: new Date() },
     endDate: { $gte: new Date() },
-  })
+    ...(hiddenIds.length > 0 && { productId: { $nin: hiddenIds } }),
+  };
+
+  const sponsored = await SponsoredProduct.find(filter)
     .populate({
       path: 'productId',
-      select: 'name price offerPrice images description quantity proCategoryId sellerId',
+      select: 'name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations',
       populate: [
         { path: 'proCategoryId', select: 'name' },
         { path: 'sellerId', select: 'fullName' }
       ],
-      match: { quantity: { $gt: 0 } },
+      match: { ...Product.LISTED, quantity: { $gt: 0 } },
     })
     .sort({ priority: -1 })
     .skip(skip)
     .limit(limit)
     .lean();
 
-  const totalCount = await SponsoredProduct.countDocuments({
-    isActive: true,
-    status: 'active',
-    startDate: { $lte: new Date() },
-    endDate: { $gte: new Date() },
-  });
+  const totalCount = await SponsoredProduct.countDocuments(filter);
 
   const products = sponsored
     .filter(s => s.productId)
@@ -918,16 +964,17 @@ async function getSponsoredPaginated(skip, limit) {
   return { products, totalCount };
 }
 
-async function getTodaysPicksPaginated(skip, limit) {
+async function getTodaysPicksPaginated(skip, limit, userId) {
   const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const hiddenIds = await BlockService.getBlockedProductIds(userId);
+  const match = {
+    action: 'view',
+    timestamp: { $gte: last30Days },
+    ...(hiddenIds.length > 0 && { productId: { $nin: hiddenIds } })
+  };
   
   const topViewedIds = await AnalyticsEvent.aggregate([
-    {
-      $match: {
-        action: 'view',
-        timestamp: { $gte: last30Days }
-      }
-    },
+    { $match: match },
     {
       $group: {
         _id: '$productId',
@@ -947,20 +994,15 @@ async function getTodaysPicksPaginated(skip, limit) {
 
   const products = await Product.find({
     _id: { $in: productIds },
-    quantity: { $gt: 0 }
+    ...Product.LISTED, quantity: { $gt: 0 }
   })
-    .select('name price offerPrice images description quantity proCategoryId sellerId')
+    .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
     .populate('proCategoryId', 'name')
     .populate('sellerId', 'fullName')
     .lean();
 
   const totalCount = await AnalyticsEvent.aggregate([
-    {
-      $match: {
-        action: 'view',
-        timestamp: { $gte: last30Days }
-      }
-    },
+    { $match: match },
     {
       $group: {
         _id: '$productId'
@@ -975,11 +1017,14 @@ async function getTodaysPicksPaginated(skip, limit) {
   };
 }
 
-async function getRecentlyAddedPaginated(skip, limit) {
-  const products = await Product.find({ 
-    quantity: { $gt: 0 } 
-  })
-    .select('name price offerPrice images description quantity proCategoryId sellerId createdAt')
+async function getRecentlyAddedPaginated(skip, limit, userId) {
+  const filter = {
+    ...Product.LISTED, quantity: { $gt: 0 },
+    ...await BlockService.sellerFilter(userId)
+  };
+
+  const products = await Product.find(filter)
+    .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations createdAt')
     .populate('proCategoryId', 'name')
     .populate('sellerId', 'fullName')
     .sort({ createdAt: -1 })
@@ -987,23 +1032,22 @@ async function getRecentlyAddedPaginated(skip, limit) {
     .limit(limit)
     .lean();
 
-  const totalCount = await Product.countDocuments({ 
-    quantity: { $gt: 0 } 
-  });
+  const totalCount = await Product.countDocuments(filter);
 
   return { products, totalCount };
 }
 
-async function getTrendingPaginated(skip, limit) {
+async function getTrendingPaginated(skip, limit, userId) {
   const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const hiddenIds = await BlockService.getBlockedProductIds(userId);
+  const match = {
+    action: { $in: ['view', 'click'] },
+    timestamp: { $gte: last7Days },
+    ...(hiddenIds.length > 0 && { productId: { $nin: hiddenIds } })
+  };
 
   const trendingIds = await AnalyticsEvent.aggregate([
-    {
-      $match: {
-        action: { $in: ['view', 'click'] },
-        timestamp: { $gte: last7Days }
-      }
-    },
+    { $match: match },
     {
       $group: {
         _id: '$productId',
@@ -1023,20 +1067,15 @@ async function getTrendingPaginated(skip, limit) {
 
   const products = await Product.find({
     _id: { $in: productIds },
-    quantity: { $gt: 0 }
+    ...Product.LISTED, quantity: { $gt: 0 }
   })
-    .select('name price offerPrice images description quantity proCategoryId sellerId')
+    .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
     .populate('proCategoryId', 'name')
     .populate('sellerId', 'fullName')
     .lean();
 
   const totalCount = await AnalyticsEvent.aggregate([
-    {
-      $match: {
-        action: { $in: ['view', 'click'] },
-        timestamp: { $gte: last7Days }
-      }
-    },
+    { $match: match },
     {
       $group: {
         _id: '$productId'
@@ -1090,9 +1129,10 @@ async function getRecommendedPaginated(userId, skip, limit) {
   // Get ALL matching products first
   const allProducts = await Product.find({
     proCategoryId: { $in: categoryIds },
-    quantity: { $gt: 0 }
+    ...Product.LISTED, quantity: { $gt: 0 },
+    ...await BlockService.sellerFilter(userId)
   })
-    .select('name price offerPrice images description quantity proCategoryId sellerId')
+    .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations')
     .populate('proCategoryId', 'name')
     .populate('sellerId', 'fullName')
     .sort({ createdAt: -1 })
@@ -1105,14 +1145,15 @@ async function getRecommendedPaginated(userId, skip, limit) {
   return { products, totalCount, hasMore };
 }
 
-async function getCategoryProductsPaginated(categoryId, skip, limit) {
+async function getCategoryProductsPaginated(categoryId, skip, limit, userId) {
   try {
     // Get ALL products in this category first
     const allProducts = await Product.find({
       proCategoryId: categoryId,
-      quantity: { $gt: 0 }
+      ...Product.LISTED, quantity: { $gt: 0 },
+      ...await BlockService.sellerFilter(userId)
     })
-      .select('name price offerPrice images description quantity proCategoryId sellerId createdAt')
+      .select('name price offerPrice images description quantity proCategoryId sellerId sellerVerified combinations createdAt')
       .populate('proCategoryId', 'name')
       .populate('sellerId', 'fullName')
       .sort({ createdAt: -1 }) // Consistent sorting
@@ -1145,8 +1186,10 @@ async function getCategoryProductsPaginated(categoryId, skip, limit) {
 
 // ... (other imports and routes remain unchanged)
 
-async function getSponsoredSection(limit, useAnalytics) {
+async function getSponsoredSection(limit, useAnalytics, userId) {
   try {
+    const hiddenIds = await BlockService.getBlockedProductIds(userId);
+
     // Use lean() to avoid Mongoose document serialization issues
     const activeSponsored = await SponsoredProduct.find({
       isActive: true,
@@ -1154,15 +1197,17 @@ async function getSponsoredSection(limit, useAnalytics) {
       startDate: { $lte: new Date() },
       endDate: { $gte: new Date() },
       $expr: { $lt: ['$totalSpent', '$budget'] },
+      ...(hiddenIds.length > 0 && { productId: { $nin: hiddenIds } }),
     })
       .populate({
         path: 'productId',
-        select: 'name price images quantity proCategoryId proSubCategoryId sellerId',
+        select: 'name price images quantity proCategoryId proSubCategoryId sellerId sellerVerified combinations',
         populate: [
           { path: 'proCategoryId', select: 'name' },
           { path: 'proSubCategoryId', select: 'name' },
           { path: 'sellerId', select: 'fullName' },
         ],
+        match: { ...Product.LISTED },
       })
       .sort({ priority: -1, createdAt: -1 })
       .limit(limit)
@@ -1208,7 +1253,7 @@ async function getRecentlyAddedSection(limit, useAnalytics, page = 1) {
     // Base query for products added in the last week
     const baseQuery = {
       createdAt: { $gte: oneWeekAgo },
-      quantity: { $gt: 0 },
+      ...Product.LISTED, quantity: { $gt: 0 },
     };
 
     let products = [];
@@ -1303,7 +1348,7 @@ async function getRecentlyAddedSection(limit, useAnalytics, page = 1) {
 
 
 
-async function getTodaysPicksSection(limit, useAnalytics) {
+async function getTodaysPicksSection(limit, useAnalytics, userId) {
     try {
         // Algorithm: Random selection weighted by view count + rating
         const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -1330,7 +1375,7 @@ async function getTodaysPicksSection(limit, useAnalytics) {
             ]);
         }
 
-        let query = { quantity: { $gt: 0 } };
+        let query = { ...Product.LISTED, quantity: { $gt: 0 }, ...await BlockService.sellerFilter(userId) };
         
         if (topViewedProducts.length > 0) {
             const productIds = topViewedProducts.map(item => item._id);
@@ -1345,7 +1390,7 @@ async function getTodaysPicksSection(limit, useAnalytics) {
             .lean();
 
         // Random selection with slight bias towards higher viewed products
-        const shuffled = products.sort(() => 0.5 - Math.random());
+        const shuffled = rankedShuffle(products);
         const selected = shuffled.slice(0, limit);
 
         const enrichedProducts = await enrichProductsWithAnalytics(selected);
@@ -1359,11 +1404,11 @@ async function getTodaysPicksSection(limit, useAnalytics) {
     } catch (error) {
         console.error('Error getting today\'s picks:', error);
         // Fallback to random products
-        return await getRandomProducts(limit);
+        return await getRandomProducts(limit, userId);
     }
 }
 
-async function getRecentlyAddedSection(limit, useAnalytics, page = 1) {
+async function getRecentlyAddedSection(limit, useAnalytics, page = 1, userId = null) {
     try {
         const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
         const skip = (page - 1) * limit;
@@ -1371,7 +1416,8 @@ async function getRecentlyAddedSection(limit, useAnalytics, page = 1) {
         // Base query for products added in the last week
         const baseQuery = {
             createdAt: { $gte: oneWeekAgo },
-            quantity: { $gt: 0 }
+            ...Product.LISTED, quantity: { $gt: 0 },
+            ...await BlockService.sellerFilter(userId)
         };
 
         let products = [];
@@ -1451,7 +1497,7 @@ async function getRecentlyAddedSection(limit, useAnalytics, page = 1) {
 async function getRecommendedProducts(userId, limit, useAnalytics) {
     if (!useAnalytics || !userId) {
         // Return random products if no analytics
-        return await getRandomProducts(limit);
+        return await getRandomProducts(limit, userId);
     }
 
     // Analytics-based recommendations
@@ -1460,7 +1506,7 @@ async function getRecommendedProducts(userId, limit, useAnalytics) {
         .sort((a, b) => userPreferences.categories[b] - userPreferences.categories[a])
         .slice(0, 3);
 
-    let query = { quantity: { $gt: 0 } };
+    let query = { ...Product.LISTED, quantity: { $gt: 0 }, ...await BlockService.sellerFilter(userId) };
     if (preferredCategories.length > 0) {
         query.proCategoryId = { $in: preferredCategories };
     }
@@ -1474,24 +1520,26 @@ async function getRecommendedProducts(userId, limit, useAnalytics) {
         .lean();
 
     // Shuffle for randomness as requested
-    const shuffled = products.sort(() => 0.5 - Math.random());
+    const shuffled = rankedShuffle(products);
     return await enrichProductsWithAnalytics(shuffled.slice(0, limit));
 }
 
-async function getTrendingProducts(limit, useAnalytics) {
+async function getTrendingProducts(limit, useAnalytics, userId) {
     if (!useAnalytics) {
         // Return random products if no analytics
-        return await getRandomProducts(limit);
+        return await getRandomProducts(limit, userId);
     }
 
     // Analytics-based trending
     const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const hiddenIds = await BlockService.getBlockedProductIds(userId);
 
     const trendingProductIds = await AnalyticsEvent.aggregate([
         {
             $match: {
                 action: { $in: ['view', 'add_to_cart', 'purchase'] },
-                timestamp: { $gte: last7Days }
+                timestamp: { $gte: last7Days },
+                ...(hiddenIds.length > 0 && { productId: { $nin: hiddenIds } })
             }
         },
         {
@@ -1519,12 +1567,12 @@ async function getTrendingProducts(limit, useAnalytics) {
     
     if (productIds.length === 0) {
         // Fallback to recent products
-        return await getRandomProducts(limit);
+        return await getRandomProducts(limit, userId);
     }
 
     const products = await Product.find({ 
         _id: { $in: productIds },
-        quantity: { $gt: 0 }
+        ...Product.LISTED, quantity: { $gt: 0 }
     })
     .populate('proCategoryId', 'name')
     .populate('proSubCategoryId', 'name')
@@ -1532,16 +1580,18 @@ async function getTrendingProducts(limit, useAnalytics) {
     .lean();
 
     // Shuffle while maintaining some trending order
-    const shuffled = products.sort(() => 0.5 - Math.random());
+    const shuffled = rankedShuffle(products);
     return await enrichProductsWithAnalytics(shuffled.slice(0, limit));
 }
 
 async function getRecentlyViewedProducts(userId, limit, page) {
     const skip = (page - 1) * limit;
 
+    const hiddenIds = await BlockService.getBlockedProductIds(userId);
     const recentEvents = await AnalyticsEvent.find({
         userId,
-        action: 'view'
+        action: 'view',
+        ...(hiddenIds.length > 0 && { productId: { $nin: hiddenIds } })
     })
     .sort({ timestamp: -1 })
     .skip(skip)
@@ -1558,7 +1608,7 @@ async function getRecentlyViewedProducts(userId, limit, page) {
 
     const products = await Product.find({ 
         _id: { $in: productIds },
-        quantity: { $gt: 0 }
+        ...Product.LISTED, quantity: { $gt: 0 }
     })
     .populate('proCategoryId', 'name')
     .populate('proSubCategoryId', 'name')
@@ -1593,7 +1643,7 @@ async function getCategoriesWithTopProducts(limit, userId, page = 1) {
 
         const products = await Product.find({
             proCategoryId: category._id,
-            quantity: { $gt: 0 }
+            ...Product.LISTED, quantity: { $gt: 0 }
         })
         .populate('proCategoryId', 'name')
         .populate('proSubCategoryId', 'name')
@@ -1604,7 +1654,7 @@ async function getCategoriesWithTopProducts(limit, userId, page = 1) {
 
         if (products.length > 0) {
             // Shuffle products for randomness
-            const shuffled = products.sort(() => 0.5 - Math.random());
+            const shuffled = rankedShuffle(products);
             const enrichedProducts = await enrichProductsWithAnalytics(shuffled.slice(0, limit));
             
             categoriesWithProducts.push({
@@ -1619,15 +1669,18 @@ async function getCategoriesWithTopProducts(limit, userId, page = 1) {
 
 // UTILITY FUNCTIONS
 
-async function getRandomProducts(limit) {
-    const products = await Product.find({ quantity: { $gt: 0 } })
+async function getRandomProducts(limit, userId = null) {
+    const products = await Product.find({
+        ...Product.LISTED, quantity: { $gt: 0 },
+        ...await BlockService.sellerFilter(userId)
+    })
         .populate('proCategoryId', 'name')
         .populate('proSubCategoryId', 'name')
         .populate('sellerId', 'fullName')
         .limit(limit * 2)
         .lean();
     
-    const shuffled = products.sort(() => 0.5 - Math.random());
+    const shuffled = rankedShuffle(products);
     return await enrichProductsWithAnalytics(shuffled.slice(0, limit));
 }
 
@@ -1756,9 +1809,9 @@ async function getCategoriesWithProductsFast(productsPerCategory, maxCategories)
       const [allProducts, totalCount] = await Promise.all([
         Product.find({ 
           proCategoryId: category._id,
-          quantity: { $gt: 0 }
+          ...Product.LISTED, quantity: { $gt: 0 }
         })
-          .select('name price offerPrice images quantity proCategoryId sellerId')
+          .select('name price offerPrice images quantity proCategoryId sellerId sellerVerified combinations')
           .populate('proCategoryId', 'name')
           .populate('sellerId', 'fullName')
           .limit(fetchLimit) // Get more for randomization
@@ -1766,12 +1819,12 @@ async function getCategoriesWithProductsFast(productsPerCategory, maxCategories)
         
         Product.countDocuments({ 
           proCategoryId: category._id,
-          quantity: { $gt: 0 }
+          ...Product.LISTED, quantity: { $gt: 0 }
         })
       ]);
 
       // ✅ SHUFFLE PRODUCTS and take only what we need
-      const shuffledProducts = allProducts.sort(() => Math.random() - 0.5);
+      const shuffledProducts = rankedShuffle(allProducts);
       const products = shuffledProducts.slice(0, productsPerCategory);
 
       return {
@@ -1905,7 +1958,7 @@ router.get('/analytics/trending', asyncHandler(async (req, res) => {
 
         // Populate product details
         const productIds = trending.map(t => t._id);
-        const products = await Product.find({ _id: { $in: productIds } })
+        const products = await Product.find({ _id: { $in: productIds }, ...Product.LISTED })
             .populate('proCategoryId', 'name')
             .populate('sellerId', 'fullName')
             .lean();
@@ -5,38 +5,16 @@ const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const AnalyticsEvent = require('../model/analytics');
 
-// Favorite model
-const favoriteSchema = new mongoose.Schema({
-    userId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    productId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Product',
-        required: true
-    },
-    addedAt: {
-        type: Date,
-        default: Date.now
-    }
-}, {
-    timestamps: true
-});
-
-// Compound index to prevent duplicates and optimize queries
-favoriteSchema.index({ userId: 1, productId: 1 }, { unique: true });
-favoriteSchema.index({ userId: 1, addedAt: -1 });
-
-const Favorite = mongoose.model('Favorite', favoriteSchema);
+const Favorite = require('../model/favorite');
+const { protect } = require('../middleware/auth');
+const { requireSelf } = require('../middleware/ownership');
 
 /**
  * @route   POST /api/favorites/toggle
  * @desc    Toggle favorite status (add/remove)
- * @access  Public (with userId in body)
+ * @access  Private (userId in body is optional; must be the caller's own)
  */
-router.post('/toggle', asyncHandler(async (req, res) => {
+router.post('/toggle', protect, requireSelf('body.userId'), asyncHandler(async (req, res) => {
     const { userId, productId } = req.body;
 
     if (!userId || !productId) {
@@ -114,9 +92,9 @@ router.post('/toggle', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/favorites/user/:userId
  * @desc    Get user's favorite products
- * @access  Public
+ * @access  Private (own favorites; :userId may be 'me')
  */
-router.get('/user/:userId', asyncHandler(async (req, res) => {
+router.get('/user/:userId', protect, requireSelf('params.userId'), asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
@@ -183,9 +161,9 @@ router.get('/user/:userId', asyncHandler(async (req, res) => {
 /**
  * @route   GET /api/favorites/check/:userId/:productId
  * @desc    Check if product is favorited by user
- * @access  Public
+ * @access  Private (own favorites; :userId may be 'me')
  */
-router.get('/check/:userId/:productId', asyncHandler(async (req, res) => {
+router.get('/check/:userId/:productId', protect, requireSelf('params.userId'), asyncHandler(async (req, res) => {
     const { userId, productId } = req.params;
 
     if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(productId)) {
@@ -220,9 +198,9 @@ router.get('/check/:userId/:productId', asyncHandler(async (req, res) => {
 /**
  * @route   POST /api/favorites/bulk-check
  * @desc    Check favorite status for multiple products
- * @access  Public
+ * @access  Private (userId in body is optional; must be the caller's own)
  */
-router.post('/bulk-check', asyncHandler(async (req, res) => {
+router.post('/bulk-check', protect, requireSelf('body.userId'), asyncHandler(async (req, res) => {
     const { userId, productIds } = req.body;
 
     if (!userId || !Array.isArray(productIds)) {
@@ -292,9 +270,9 @@ router.post('/bulk-check', asyncHandler(async (req, res) => {
 /**
  * @route   DELETE /api/favorites/clear/:userId
  * @desc    Clear all favorites for a user
- * @access  Public
+ * @access  Private (own favorites; :userId may be 'me')
  */
-router.delete('/clear/:userId', asyncHandler(async (req, res) => {
+router.delete('/clear/:userId', protect, requireSelf('params.userId'), asyncHandler(async (req, res) => {
     const { userId } = req.params;
 
     if (!mongoose.Types.ObjectId.isValid(userId)) {
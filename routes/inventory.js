@@ -0,0 +1,122 @@
+// routes/inventory.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const InventoryService = require('../services/inventoryService');
+const { protect } = require('../middleware/auth');
+const { requireProductOwner } = require('../middleware/ownership');
+const { audit } = require('../middleware/audit');
+const { respondWithError } = require('../utils/httpError');
+
+/**
+ * @route   GET /inventory/movements
+ * @desc    The caller's stock movements (ledger), newest first
+ * @query   productId, reason (manual_edit | order | cancellation | return | import),
+ *          from, to, page, limit
+ * @access  Private (seller)
+ */
+router.get('/movements', protect, asyncHandler(async (req, res) => {
+    try {
+        const { movements, pagination } = await InventoryService.listMovements(req.user._id, req.query);
+        res.json({
+            success: true,
+            message: "Stock movements retrieved successfully.",
+            data: movements,
+            pagination
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Stock movements error');
+    }
+}));
+
+/**
+ * @route   GET /inventory/low-stock
+ * @desc    The caller's products (or combinations) at or below their
+ *          low-stock threshold, sold-out ones first
+ * @access  Private (seller)
+ */
+router.get('/low-stock', protect, asyncHandler(async (req, res) => {
+    try {
+        const threshold = InventoryService.getThreshold(req.user);
+        const products = await InventoryService.getLowStock(req.user._id, threshold);
+        res.json({
+            success: true,
+            message: "Low-stock products retrieved successfully.",
+            data: { threshold, products }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Low-stock products error');
+    }
+}));
+
+/**
+ * @route   GET /inventory/settings
+ * @desc    The caller's inventory settings
+ * @access  Private (seller)
+ */
+router.get('/settings', protect, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        message: "Inventory settings retrieved successfully.",
+        data: { lowStockThreshold: InventoryService.getThreshold(req.user) }
+    });
+}));
+
+/**
+ * @route   PUT /inventory/settings
+ * @desc    Update the caller's inventory settings
+ * @body    lowStockThreshold
+ * @access  Private (seller)
+ */
+router.put('/settings', protect, asyncHandler(async (req, res) => {
+    try {
+        const settings = await InventoryService.updateSettings(req.user._id, req.body);
+        res.json({
+            success: true,
+            message: "Inventory settings updated successfully.",
+            data: settings
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Update inventory settings error');
+    }
+}));
+
+/**
+ * @route   POST /inventory/products/:productId/adjustments
+ * @desc    Add or remove stock (negative change) of a product or one of its
+ *          combinations, recorded in the ledger
+ * @body    change, reason (manual_edit | return | import), combinationId?, note?
+ * @access  Private (product's seller, or staff who manage products)
+ */
+router.post('/products/:productId/adjustments', protect, requireProductOwner('productId'),
+    audit('inventory.adjust', 'product'),
+    asyncHandler(async (req, res) => {
+        try {
+            const before = InventoryService.snapshot(req.product);
+            const product = await InventoryService.adjust(req.product, req.user, req.body);
+            res.locals.audit = {
+                targetId: product._id,
+                metadata: {
+                    change: Number(req.body.change),
+                    reason: req.body.reason || 'manual_edit',
+                    combinationId: req.body.combinationId,
+                    before: Object.fromEntries(before),
+                    after: Object.fromEntries(InventoryService.snapshot(product))
+                }
+            };
+
+            res.json({
+                success: true,
+                message: "Stock adjusted successfully.",
+                data: {
+                    _id: product._id,
+                    quantity: product.quantity,
+                    combinations: product.combinations
+                }
+            });
+        } catch (error) {
+            respondWithError(res, error, 'Stock adjustment error');
+        }
+    }));
+
+module.exports = router;
@@ -17,6 +17,42 @@ const {
 } = require('../utils/cloudinaryUpload');
 
 const PushNotificationService = require('../services/pushNotificationService');
+const BlockService = require('../services/blockService');
+const { protect } = require('../middleware/auth');
+const { requireSelf, sameId } = require('../middleware/ownership');
+
+// Only the buyer and seller of a conversation can read it
+const requireParticipant = asyncHandler(async (req, res, next) => {
+    const { conversationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        return res.status(400).json({ success: false, message: 'Invalid conversationId.' });
+    }
+
+    const conversation = await Conversation.findById(conversationId).select('buyerId sellerId participants');
+    if (!conversation) {
+        return res.status(404).json({ success: false, message: 'Conversation not found.' });
+    }
+
+    if (!conversation.validateUserPermission(req.user._id).valid) {
+        return res.status(403).json({ success: false, message: 'User is not a participant in this conversation.' });
+    }
+
+    next();
+});
+
+// The other side of a conversation (populated or not)
+const getOtherParticipantId = (conversation, userId) => {
+    const buyerId = conversation.buyerId?._id || conversation.buyerId;
+    const sellerId = conversation.sellerId?._id || conversation.sellerId;
+    return sameId(buyerId, userId) ? sellerId : buyerId;
+};
+
+const sendBlocked = (res) => res.status(403).json({
+    success: false,
+    message: "You can't message this user.",
+    code: 'BLOCKED'
+});
 
 
 
@@ -55,9 +91,11 @@ const getIsUserInActiveChat = () => {
 // CONVERSATION ROUTES
 // ============================================================================
 
-// Get or create conversation with role tracking
-router.post('/conversations', asyncHandler(async (req, res) => {
-    const { buyerId, sellerId, productId } = req.body;
+// Get or create conversation with role tracking.
+// The caller must be one of the two sides; buyerId defaults to the caller.
+router.post('/conversations', protect, asyncHandler(async (req, res) => {
+    const { sellerId, productId } = req.body;
+    const buyerId = req.body.buyerId || req.user._id.toString();
 
     if (!buyerId || !sellerId) {
         return res.status(400).json({ 
@@ -66,6 +104,13 @@ router.post('/conversations', asyncHandler(async (req, res) => {
         });
     }
 
+    if (!sameId(buyerId, req.user._id) && !sameId(sellerId, req.user._id)) {
+        return res.status(403).json({
+            success: false,
+            message: "You can only open conversations you take part in."
+        });
+    }
+
     if (buyerId === sellerId) {
         return res.status(400).json({
             success: false,
@@ -84,6 +129,10 @@ router.post('/conversations', asyncHandler(async (req, res) => {
     ]);
 
     if (!conversation) {
+        if (await BlockService.isBlockedBetween(buyerId, sellerId)) {
+            return sendBlocked(res);
+        }
+
         const [buyer, seller] = await Promise.all([
             User.findById(buyerId),
             User.findById(sellerId)
@@ -121,7 +170,7 @@ router.post('/conversations', asyncHandler(async (req, res) => {
 
 // Get conversations by user role
 // Get conversations by user role (UPDATE EXISTING ROUTE)
-router.get('/conversations/user/:userId', asyncHandler(async (req, res) => {
+router.get('/conversations/user/:userId', protect, requireSelf('params.userId'), asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const { role } = req.query;
 
@@ -174,7 +223,7 @@ router.get('/conversations/user/:userId', asyncHandler(async (req, res) => {
     });
 }));
 
-router.get('/conversations/:conversationId', asyncHandler(async (req, res) => {
+router.get('/conversations/:conversationId', protect, requireSelf('query.userId'), requireParticipant, asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
     const { userId } = req.query; // the current user — used to determine participant
  
@@ -237,7 +286,7 @@ router.get('/conversations/:conversationId', asyncHandler(async (req, res) => {
 
 
 // Get messages in conversation
-router.get('/conversations/:conversationId/messages', asyncHandler(async (req, res) => {
+router.get('/conversations/:conversationId/messages', protect, requireParticipant, asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
     const { page = 1, limit = 50 } = req.query;
     
@@ -267,7 +316,7 @@ router.get('/conversations/:conversationId/messages', asyncHandler(async (req, r
 // ============================================================================
 
 // Create message placeholder (before upload)
-router.post('/placeholder', asyncHandler(async (req, res) => {
+router.post('/placeholder', protect, requireSelf('body.senderId'), asyncHandler(async (req, res) => {
     const { 
         conversationId, 
         senderId, 
@@ -303,6 +352,10 @@ router.post('/placeholder', asyncHandler(async (req, res) => {
         });
     }
 
+    if (await BlockService.isBlockedBetween(senderId, getOtherParticipantId(conversation, senderId))) {
+        return sendBlocked(res);
+    }
+
     try {
         const messageData = {
             conversationId,
@@ -353,6 +406,7 @@ router.post('/placeholder', asyncHandler(async (req, res) => {
 
 // Upload file to Cloudinary and complete message
 router.post('/:messageId/upload', 
+    protect,
     uploadMessageAttachments, 
     multerErrorMiddleware,  // Add error middleware
     asyncHandler(async (req, res) => {
@@ -370,6 +424,13 @@ router.post('/:messageId/upload',
                 });
             }
 
+            if (!sameId(message.sender, req.user._id)) {
+                return res.status(403).json({
+                    success: false,
+                    message: "You can only upload to your own messages."
+                });
+            }
+
             if (message.status !== 'pending' && message.status !== 'failed') {
                 return res.status(400).json({
                     success: false,
@@ -377,6 +438,11 @@ router.post('/:messageId/upload',
                 });
             }
 
+            const conversationSides = await Conversation.findById(message.conversationId).select('buyerId sellerId');
+            if (conversationSides && await BlockService.isBlockedBetween(req.user._id, getOtherParticipantId(conversationSides, req.user._id))) {
+                return sendBlocked(res);
+            }
+
             const { voiceDuration, videoDuration, fileName } = req.body;
             const files = req.files || {};
 
@@ -487,7 +553,7 @@ router.post('/:messageId/upload',
 );
 
 // Send text message
-router.post('/text', asyncHandler(async (req, res) => {
+router.post('/text', protect, requireSelf('body.senderId'), asyncHandler(async (req, res) => {
     const { conversationId, senderId, text, replyToMessageId } = req.body;
 
     if (!conversationId || !senderId || !text || text.trim() === '') {
@@ -516,6 +582,10 @@ router.post('/text', asyncHandler(async (req, res) => {
         });
     }
 
+    if (await BlockService.isBlockedBetween(senderId, getOtherParticipantId(conversation, senderId))) {
+        return sendBlocked(res);
+    }
+
     try {
         const messageData = {
             conversationId,
@@ -897,7 +967,7 @@ async function emitToParticipants(conversation, payload) {
 
 
 // Mark messages as read
-router.put('/conversations/:conversationId/read', asyncHandler(async (req, res) => {
+router.put('/conversations/:conversationId/read', protect, requireSelf('body.userId'), asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
     const { userId } = req.body;
 
@@ -965,7 +1035,7 @@ router.put('/conversations/:conversationId/read', asyncHandler(async (req, res)
 }));
 
 // Delete message
-router.delete('/:messageId', asyncHandler(async (req, res) => {
+router.delete('/:messageId', protect, requireSelf('query.userId'), asyncHandler(async (req, res) => {
     const { messageId } = req.params;
     const { userId } = req.query;
 
@@ -1027,7 +1097,7 @@ router.delete('/:messageId', asyncHandler(async (req, res) => {
 // ============================================================================
 
 // Delete conversation (soft delete - per user)
-router.delete('/conversations/:conversationId', asyncHandler(async (req, res) => {
+router.delete('/conversations/:conversationId', protect, requireSelf('query.userId'), asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
     const { userId } = req.query;
 
@@ -1169,6 +1239,10 @@ async function sendPushNotificationIfNeeded(conversation, message, senderId) {
       return;
     }
 
+    if (await BlockService.isBlockedBetween(senderId, receiverId)) {
+      return;
+    }
+
     // ✅ FIX: Use lazy-loaded function
     const isUserInActiveChat = getIsUserInActiveChat();
     const isUserOnline = isUserInActiveChat(receiverId, conversation._id.toString());
@@ -1218,4 +1292,4 @@ async function sendPushNotificationIfNeeded(conversation, message, senderId) {
   }
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,233 @@
+// routes/moderation.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const ModerationService = require('../services/moderationService');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const AuditService = require('../services/auditService');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { respondWithError } = require('../utils/httpError');
+
+// Each action needs its own permission on top of reports:manage
+const canTakeAction = (req, res, action) => {
+    const permission = ModerationService.ACTION_PERMISSIONS[action];
+    if (permission && !hasPermission(req.user, permission)) {
+        res.status(403).json({
+            success: false,
+            message: 'You do not have permission to do this',
+            code: 'FORBIDDEN'
+        });
+        return false;
+    }
+    return true;
+};
+
+// ============================================
+// REPORT QUEUE
+// ============================================
+
+/**
+ * @route   GET /moderation/reports
+ * @desc    Moderation queue, oldest first
+ * @query   status (open | in_review | actioned | dismissed | all, default open),
+ *          targetType, reason, assignedTo (me | unassigned | userId), page, limit
+ * @access  Staff (reports:manage)
+ */
+router.get('/reports', authorize(PERMISSIONS.REPORTS_MANAGE), asyncHandler(async (req, res) => {
+    try {
+        const { reports, pagination } = await ModerationService.listReports(req.user, req.query);
+        res.json({
+            success: true,
+            message: "Reports retrieved successfully.",
+            data: reports,
+            pagination
+        });
+    } catch (error) {
+        respondWithError(res, error, 'List reports error');
+    }
+}));
+
+/**
+ * @route   GET /moderation/reports/:id
+ * @desc    A report with its history, other reports on the same target and the target's current state
+ * @access  Staff (reports:manage)
+ */
+router.get('/reports/:id', authorize(PERMISSIONS.REPORTS_MANAGE), asyncHandler(async (req, res) => {
+    try {
+        const report = await ModerationService.getReport(req.params.id);
+        res.json({ success: true, message: "Report retrieved successfully.", data: report });
+    } catch (error) {
+        respondWithError(res, error, 'Get report error');
+    }
+}));
+
+/**
+ * @route   POST /moderation/reports/assign
+ * @desc    Assign reports to a moderator (assigneeId null unassigns them)
+ * @body    { reportIds: [], assigneeId }
+ * @access  Staff (reports:manage)
+ */
+router.post('/reports/assign', authorize(PERMISSIONS.REPORTS_MANAGE), audit('report.assign', 'report'), asyncHandler(async (req, res) => {
+    try {
+        const reports = await ModerationService.assign(req.body.reportIds, req.user, req.body.assigneeId);
+        res.locals.audit = { metadata: { reportIds: req.body.reportIds, assigneeId: req.body.assigneeId || null } };
+        res.json({
+            success: true,
+            message: req.body.assigneeId ? "Reports assigned successfully." : "Reports unassigned successfully.",
+            data: reports.map(report => ({ _id: report._id, assignedTo: report.assignedTo }))
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Assign reports error');
+    }
+}));
+
+/**
+ * @route   POST /moderation/reports/bulk
+ * @desc    Triage or act on several reports at once
+ * @body    { reportIds: [], status?: open | in_review | dismissed,
+ *            action?: hide_product | delete_review | suspend_user | ban_user, note?, days? }
+ * @access  Staff (reports:manage, plus the action's own permission)
+ */
+router.post('/reports/bulk', authorize(PERMISSIONS.REPORTS_MANAGE), audit('report.bulk', 'report'), asyncHandler(async (req, res) => {
+    const { reportIds, status, action, note, days } = req.body;
+    res.locals.audit = { metadata: { reportIds, status, action, note, days } };
+
+    if (!status === !action) {
+        return res.status(400).json({ success: false, message: "Send either a status or an action." });
+    }
+
+    try {
+        if (status) {
+            const reports = await ModerationService.setStatus(reportIds, req.user, { status, note });
+            return res.json({
+                success: true,
+                message: `${reports.length} report(s) updated.`,
+                data: reports.map(report => ({ _id: report._id, status: report.status }))
+            });
+        }
+
+        if (!canTakeAction(req, res, action)) return;
+
+        const result = await ModerationService.applyAction(reportIds, req.user, { action, note, days });
+        res.json({
+            success: true,
+            message: `Action taken on ${result.actioned.length} target(s); ${result.reportsClosed} report(s) closed.`,
+            data: result
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Bulk moderation error');
+    }
+}));
+
+/**
+ * @route   PATCH /moderation/reports/:id
+ * @desc    Move a report between open, in_review and dismissed
+ * @body    { status, note? }
+ * @access  Staff (reports:manage)
+ */
+router.patch('/reports/:id', authorize(PERMISSIONS.REPORTS_MANAGE), audit('report.status', 'report'), asyncHandler(async (req, res) => {
+    try {
+        const [report] = await ModerationService.setStatus([req.params.id], req.user, req.body);
+        res.locals.audit = { metadata: { status: req.body.status, note: req.body.note } };
+        res.json({ success: true, message: "Report updated successfully.", data: report });
+    } catch (error) {
+        respondWithError(res, error, 'Update report error');
+    }
+}));
+
+/**
+ * @route   POST /moderation/reports/:id/action
+ * @desc    Act on a report's target and close every open report on it
+ * @body    { action: hide_product | delete_review | suspend_user | ban_user, note?, days? }
+ * @access  Staff (reports:manage, plus the action's own permission)
+ */
+router.post('/reports/:id/action', authorize(PERMISSIONS.REPORTS_MANAGE), audit('report.action', 'report'), asyncHandler(async (req, res) => {
+    const { action, note, days } = req.body;
+    res.locals.audit = { metadata: { action, note, days } };
+    if (!canTakeAction(req, res, action)) return;
+
+    try {
+        const result = await ModerationService.applyAction([req.params.id], req.user, { action, note, days });
+        if (result.skipped.length > 0) {
+            return res.status(400).json({ success: false, message: "This action doesn't apply to this report." });
+        }
+        if (result.failed.length > 0) {
+            return res.status(400).json({ success: false, message: result.failed[0].message });
+        }
+
+        res.json({ success: true, message: "Action taken successfully.", data: result });
+    } catch (error) {
+        respondWithError(res, error, 'Report action error');
+    }
+}));
+
+// ============================================
+// USERS AND PRODUCTS
+// ============================================
+
+/**
+ * @route   POST /moderation/users/:id/suspend
+ * @desc    Suspend or ban a user outside of a report; the app is locked with a dialog
+ * @body    { type: suspend | ban, reason?, days? (suspensions, default 7) }
+ * @access  Staff (users:suspend)
+ */
+router.post('/users/:id/suspend', authorize(PERMISSIONS.USERS_SUSPEND), audit('user.suspend', 'user'), asyncHandler(async (req, res) => {
+    try {
+        const user = await ModerationService.suspendUser(req.params.id, req.user, req.body);
+        res.locals.audit = { after: AuditService.snapshot(user, ['suspension']) };
+        res.json({
+            success: true,
+            message: user.suspension.status === 'banned' ? "User banned." : "User suspended.",
+            data: { _id: user._id, suspension: user.suspension }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Suspend user error');
+    }
+}));
+
+/**
+ * @route   POST /moderation/users/:id/reinstate
+ * @desc    Lift a suspension or ban
+ * @access  Staff (users:suspend)
+ */
+router.post('/users/:id/reinstate', authorize(PERMISSIONS.USERS_SUSPEND), audit('user.reinstate', 'user'), asyncHandler(async (req, res) => {
+    try {
+        const user = await ModerationService.reinstateUser(req.params.id);
+        res.json({ success: true, message: "User reinstated.", data: { _id: user._id } });
+    } catch (error) {
+        respondWithError(res, error, 'Reinstate user error');
+    }
+}));
+
+/**
+ * @route   POST /moderation/products/:id/hide
+ * @desc    Take a product out of the feed, search and checkout
+ * @body    { reason? }
+ * @access  Staff (products:manage)
+ */
+router.post('/products/:id/hide', authorize(PERMISSIONS.PRODUCTS_MANAGE), audit('product.hide', 'product'), asyncHandler(async (req, res) => {
+    try {
+        const product = await ModerationService.hideProduct(req.params.id, req.user, req.body.reason);
+        res.locals.audit = { metadata: { reason: req.body.reason } };
+        res.json({ success: true, message: "Product hidden.", data: { _id: product._id, moderation: product.moderation } });
+    } catch (error) {
+        respondWithError(res, error, 'Hide product error');
+    }
+}));
+
+/**
+ * @route   POST /moderation/products/:id/unhide
+ * @desc    Put a hidden product back on sale
+ * @access  Staff (products:manage)
+ */
+router.post('/products/:id/unhide', authorize(PERMISSIONS.PRODUCTS_MANAGE), audit('product.unhide', 'product'), asyncHandler(async (req, res) => {
+    try {
+        const product = await ModerationService.unhideProduct(req.params.id);
+        res.json({ success: true, message: "Product restored.", data: { _id: product._id } });
+    } catch (error) {
+        respondWithError(res, error, 'Unhide product error');
+    }
+}));
+
+module.exports = router;
@@ -5,6 +5,13 @@ const router = express.Router();
 const PushNotificationService = require('../services/pushNotificationService');
 const NotificationScheduler = require('../services/notificationScheduler');
 const UserDevice = require('../model/userDevice');
+const User = require('../model/user');
+const SessionService = require('../services/sessionService');
+const { protect, authorize, verifyToken } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+
+// Preferences a user can switch off (see User.notificationPreferences)
+const PREFERENCE_KEYS = ['abandonedCartReminders', 'lowStockDigest', 'priceDropAlerts'];
 
 /**
  * Register/Update FCM Token
@@ -33,6 +40,19 @@ router.post('/register', asyncHandler(async (req, res) => {
     deviceInfo
   );
 
+  // Signed-in apps send their access token; link the device to that
+  // session so signing the session out also stops its notifications
+  if (result.success && req.headers.authorization?.startsWith('Bearer')) {
+    try {
+      const decoded = verifyToken(req.headers.authorization.split(' ')[1]);
+      if (decoded.sid && decoded.id === String(result.device.userId)) {
+        await SessionService.linkDevice(decoded.sid, result.device);
+      }
+    } catch (error) {
+      // Registration still counts without a session link
+    }
+  }
+
   if (result.success) {
     res.json({
       success: true,
@@ -152,4 +172,71 @@ router.post('/check-unresolved', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Get the current user's notification preferences
+ * GET /notifications/preferences
+ */
+router.get('/preferences', protect, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    message: "Notification preferences retrieved successfully.",
+    data: req.user.notificationPreferences || {}
+  });
+}));
+
+/**
+ * Update notification preferences, e.g. { abandonedCartReminders: false }
+ * PUT /notifications/preferences
+ */
+router.put('/preferences', protect, asyncHandler(async (req, res) => {
+  const update = {};
+
+  for (const key of PREFERENCE_KEYS) {
+    if (req.body[key] === undefined) continue;
+
+    if (typeof req.body[key] !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: `${key} must be true or false.`
+      });
+    }
+    update[`notificationPreferences.${key}`] = req.body[key];
+  }
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Provide at least one of: ${PREFERENCE_KEYS.join(', ')}`
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+    .select('notificationPreferences');
+
+  res.json({
+    success: true,
+    message: "Notification preferences updated.",
+    data: user.notificationPreferences
+  });
+}));
+
+/**
+ * Manually trigger the abandoned cart check (admins, for testing; the
+ * scheduler runs it on its own)
+ * POST /notifications/check-abandoned-carts
+ */
+router.post('/check-abandoned-carts', authorize(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
+  console.log('🔧 Manual abandoned cart check triggered via API');
+
+  // Run in background
+  NotificationScheduler.checkAbandonedCarts().catch(err => {
+    console.error('❌ Manual abandoned cart check failed:', err);
+  });
+
+  res.json({
+    success: true,
+    message: "Abandoned cart check triggered. Check server logs for results."
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
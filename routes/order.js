@@ -0,0 +1,184 @@
+// routes/order.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Order = require('../model/order');
+const OrderService = require('../services/orderService');
+const { protect } = require('../middleware/auth');
+
+/**
+ * @route   POST /orders/checkout
+ * @desc    Convert the current user's cart into one order per seller
+ * @access  Private
+ */
+router.post('/checkout', protect, asyncHandler(async (req, res) => {
+    const { couponCode, shippingAddress, note } = req.body;
+
+    try {
+        const orders = await OrderService.checkout(req.user, { couponCode, shippingAddress, note });
+        const grandTotal = orders.reduce((sum, order) => sum + order.total, 0);
+
+        // Let each seller know about their new order
+        await Promise.all(orders.map(order => OrderService.notifyStatusChange(order, 'buyer')));
+
+        res.status(201).json({
+            success: true,
+            message: `${orders.length} order(s) placed successfully.`,
+            data: {
+                checkoutId: orders[0].checkoutId,
+                total: Math.round(grandTotal * 100) / 100,
+                orders
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                errors: error.details
+            });
+        }
+
+        console.error('❌ Checkout error:', error);
+        res.status(500).json({ success: false, message: 'Checkout failed: ' + error.message });
+    }
+}));
+
+/**
+ * @route   GET /orders?role=buyer|seller
+ * @desc    List the current user's orders as a buyer (default) or seller
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+    const { role = 'buyer', status, page = 1, limit = 20 } = req.query;
+
+    if (!['buyer', 'seller'].includes(role)) {
+        return res.status(400).json({
+            success: false,
+            message: "Role must be buyer or seller."
+        });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = role === 'seller' ? { sellerId: req.user._id } : { buyerId: req.user._id };
+    if (status) query.status = status;
+
+    const [orders, total] = await Promise.all([
+        Order.find(query)
+            .populate('buyerId', 'fullName phoneNumber')
+            .populate('sellerId', 'fullName businessInfo.businessName')
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .lean(),
+        Order.countDocuments(query)
+    ]);
+
+    res.json({
+        success: true,
+        message: "Orders retrieved successfully.",
+        data: {
+            orders,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total,
+                hasMore: pageNum * limitNum < total
+            }
+        }
+    });
+}));
+
+/**
+ * @route   GET /orders/:id
+ * @desc    Get a single order (buyer or seller of that order only)
+ * @access  Private
+ */
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: "Invalid order ID." });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+        return res.status(404).json({ success: false, message: "Order not found." });
+    }
+
+    const userId = req.user._id.toString();
+    if (order.buyerId.toString() !== userId && order.sellerId.toString() !== userId) {
+        return res.status(403).json({ success: false, message: "You do not have access to this order." });
+    }
+
+    await order.populate([
+        { path: 'buyerId', select: 'fullName phoneNumber' },
+        { path: 'sellerId', select: 'fullName businessInfo.businessName' }
+    ]);
+
+    const role = order.getUserRole(req.user._id);
+    const allowedStatuses = Object.entries(OrderService.TRANSITIONS[order.status] || {})
+        .filter(([, roles]) => roles.includes(role))
+        .map(([status]) => status);
+
+    res.json({
+        success: true,
+        message: "Order retrieved successfully.",
+        data: { ...order.toObject(), viewerRole: role, allowedStatuses }
+    });
+}));
+
+// Shared response for status changes
+const respondWithStatusChange = async (req, res, nextStatus, note) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: "Invalid order ID." });
+    }
+
+    try {
+        const order = await OrderService.changeStatus(req.params.id, req.user._id, nextStatus, note);
+        res.json({
+            success: true,
+            message: `Order marked as ${order.status}.`,
+            data: order
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        console.error('❌ Order status error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @route   PATCH /orders/:id/status
+ * @desc    Seller advances an order (confirmed, packed, out_for_delivery,
+ *          delivered) or rejects/cancels it
+ * @access  Private (seller of the order)
+ */
+router.patch('/:id/status', protect, asyncHandler(async (req, res) => {
+    const { status, note } = req.body;
+
+    if (!status || !Order.STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `Status must be one of: ${Order.STATUSES.join(', ')}`
+        });
+    }
+
+    await respondWithStatusChange(req, res, status, note);
+}));
+
+/**
+ * @route   POST /orders/:id/cancel
+ * @desc    Buyer cancels an order before the seller confirms it
+ * @access  Private (buyer of the order)
+ */
+router.post('/:id/cancel', protect, asyncHandler(async (req, res) => {
+    await respondWithStatusChange(req, res, 'cancelled', req.body.reason);
+}));
+
+module.exports = router;
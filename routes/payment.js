@@ -0,0 +1,189 @@
+// routes/payment.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Payment = require('../model/payment');
+const PaymentService = require('../services/paymentService');
+const { listAvailableProviders } = require('../services/payments');
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
+const { respondWithError } = require('../utils/httpError');
+
+/**
+ * @route   GET /payments/providers
+ * @desc    Payment methods available in this environment
+ * @access  Public
+ */
+router.get('/providers', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        message: "Payment providers retrieved successfully.",
+        data: listAvailableProviders()
+    });
+}));
+
+/**
+ * @route   POST /payments/initiate
+ * @desc    Start paying for a checkout (or specific orders)
+ * @body    { provider, checkoutId | orderIds, payerPhone?, returnUrl?, cancelUrl? }
+ * @access  Private
+ */
+router.post('/initiate', protect, asyncHandler(async (req, res) => {
+    const { provider, checkoutId, orderIds, payerPhone, returnUrl, cancelUrl } = req.body;
+
+    try {
+        const result = await PaymentService.initiate(req.user, {
+            provider,
+            checkoutId,
+            orderIds,
+            payerPhone,
+            returnUrl,
+            cancelUrl,
+            baseUrl: `${req.protocol}://${req.get('host')}`
+        });
+
+        res.status(201).json({
+            success: true,
+            message: "Payment initiated successfully.",
+            data: {
+                paymentId: result.payment._id,
+                reference: result.payment.reference,
+                provider: result.payment.provider,
+                amount: result.payment.amount,
+                currency: result.payment.currency,
+                status: result.payment.status,
+                redirectUrl: result.redirectUrl,
+                clientSecret: result.clientSecret,
+                instructions: result.instructions
+            }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Payment initiate error');
+    }
+}));
+
+/**
+ * @route   POST /payments/webhooks/:provider
+ * @desc    Payment confirmations from providers (signature verified per provider)
+ * @access  Public
+ */
+router.post('/webhooks/:provider', asyncHandler(async (req, res) => {
+    try {
+        const result = await PaymentService.handleWebhook(req.params.provider, {
+            rawBody: req.rawBody,
+            headers: req.headers,
+            body: req.body,
+            query: req.query
+        });
+
+        res.json({ success: true, received: true, duplicate: !!result.duplicate });
+    } catch (error) {
+        respondWithError(res, error, `Payment webhook error (${req.params.provider})`);
+    }
+}));
+
+/**
+ * @route   POST /payments/fake/:reference/simulate
+ * @desc    Complete a test payment: { outcome: 'succeeded' | 'failed' }
+ * @access  Private (the payment's buyer; only when NODE_ENV=development
+ *          or ENABLE_FAKE_PAYMENTS=true)
+ */
+router.post('/fake/:reference/simulate', protect, asyncHandler(async (req, res) => {
+    const { outcome = 'succeeded' } = req.body;
+
+    try {
+        const result = await PaymentService.simulateFakePayment(req.params.reference, outcome, req.user);
+        res.json({
+            success: true,
+            message: `Test payment ${outcome}.`,
+            data: result.payment
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Fake payment error');
+    }
+}));
+
+/**
+ * @route   GET /payments/admin/refunds
+ * @desc    Refunds still pending at the provider or waiting to be paid out by hand
+ * @access  Admin (payouts:manage)
+ */
+router.get('/admin/refunds', authorize(PERMISSIONS.PAYOUTS_MANAGE), asyncHandler(async (req, res) => {
+    try {
+        const refunds = await PaymentService.listOpenRefunds();
+        res.json({
+            success: true,
+            message: "Open refunds retrieved successfully.",
+            data: refunds
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Open refunds error');
+    }
+}));
+
+/**
+ * @route   POST /payments/:id/refunds/:refundId/confirm
+ * @desc    Settle a pending or manual refund once the money has (or hasn't) reached the buyer
+ * @body    { outcome: 'succeeded' | 'failed', providerRefundId?, note? }
+ * @access  Admin (payouts:manage)
+ */
+router.post('/:id/refunds/:refundId/confirm', authorize(PERMISSIONS.PAYOUTS_MANAGE),
+    audit('payment.refund_confirm', 'payment'),
+    asyncHandler(async (req, res) => {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+            return res.status(400).json({ success: false, message: "Invalid payment or refund ID." });
+        }
+
+        try {
+            const result = await PaymentService.confirmRefund(req.params.id, req.params.refundId, req.user, req.body);
+            res.locals.audit = {
+                metadata: {
+                    refundId: req.params.refundId,
+                    outcome: req.body.outcome,
+                    amount: result.refund.amount,
+                    providerRefundId: req.body.providerRefundId
+                }
+            };
+
+            res.json({
+                success: true,
+                message: `Refund marked as ${result.refund.status}.`,
+                data: result
+            });
+        } catch (error) {
+            respondWithError(res, error, 'Confirm refund error');
+        }
+    }));
+
+/**
+ * @route   GET /payments/:id
+ * @desc    Payment status for the buyer who made it
+ * @access  Private
+ */
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: "Invalid payment ID." });
+    }
+
+    const payment = await Payment.findById(req.params.id)
+        .select('-processedEvents -metadata.notifToken')
+        .lean();
+
+    if (!payment) {
+        return res.status(404).json({ success: false, message: "Payment not found." });
+    }
+
+    if (payment.buyerId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ success: false, message: "You do not have access to this payment." });
+    }
+
+    res.json({
+        success: true,
+        message: "Payment retrieved successfully.",
+        data: payment
+    });
+}));
+
+module.exports = router;
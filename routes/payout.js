@@ -0,0 +1,294 @@
+// routes/payout.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../model/user');
+const { LedgerTransaction, Payout } = require('../model/ledger');
+const LedgerService = require('../services/ledgerService');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { toCSV, sendCSV } = require('../utils/csv');
+const { respondWithError } = require('../utils/httpError');
+const { getPagination } = require('../utils/pagination');
+
+const LEDGER_CSV_COLUMNS = [
+    { key: 'date', header: 'Date' },
+    { key: 'transactionId', header: 'Transaction ID' },
+    { key: 'type', header: 'Type' },
+    { key: 'description', header: 'Description' },
+    { key: 'orderNumber', header: 'Order Number' },
+    { key: 'payoutId', header: 'Payout ID' },
+    { key: 'account', header: 'Account' },
+    { key: 'sellerId', header: 'Seller ID' },
+    { key: 'sellerName', header: 'Seller Name' },
+    { key: 'debit', header: 'Debit' },
+    { key: 'credit', header: 'Credit' },
+    { key: 'currency', header: 'Currency' }
+];
+
+const requireSeller = (req, res, next) => {
+    if (req.user.accountType !== 'seller') {
+        return res.status(403).json({ success: false, message: "Only sellers have a payout balance." });
+    }
+    next();
+};
+
+// ============================================
+// SELLER ENDPOINTS
+// ============================================
+
+/**
+ * @route   GET /payouts/balance
+ * @desc    Seller's pending (dispute window), available and reserved balances
+ * @access  Private (seller)
+ */
+router.get('/balance', protect, requireSeller, asyncHandler(async (req, res) => {
+    const balance = await LedgerService.getBalance(req.user._id);
+
+    res.json({
+        success: true,
+        message: "Balance retrieved successfully.",
+        data: {
+            ...balance,
+            payoutAccount: req.user.businessInfo?.payoutAccount || null
+        }
+    });
+}));
+
+/**
+ * @route   PUT /payouts/account
+ * @desc    Set where payouts are sent
+ * @body    { method, accountName, accountNumber?, bankName?, phoneNumber? }
+ * @access  Private (seller)
+ */
+router.put('/account', protect, requireSeller, asyncHandler(async (req, res) => {
+    const { method, accountName, accountNumber, bankName, phoneNumber } = req.body;
+
+    if (!Payout.METHODS.includes(method)) {
+        return res.status(400).json({
+            success: false,
+            message: `Payout method must be one of: ${Payout.METHODS.join(', ')}`
+        });
+    }
+    if (!accountName) {
+        return res.status(400).json({ success: false, message: "Account name is required." });
+    }
+    if (method === 'bank_transfer' && (!bankName || !accountNumber)) {
+        return res.status(400).json({ success: false, message: "Bank name and account number are required." });
+    }
+    if (method !== 'bank_transfer' && !phoneNumber) {
+        return res.status(400).json({ success: false, message: "Mobile money phone number is required." });
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        {
+            'businessInfo.payoutAccount': {
+                method,
+                accountName,
+                accountNumber: method === 'bank_transfer' ? accountNumber : undefined,
+                bankName: method === 'bank_transfer' ? bankName : undefined,
+                phoneNumber: method === 'bank_transfer' ? undefined : phoneNumber
+            }
+        },
+        { new: true }
+    ).select('businessInfo.payoutAccount');
+
+    res.json({
+        success: true,
+        message: "Payout account updated successfully.",
+        data: user.businessInfo.payoutAccount
+    });
+}));
+
+/**
+ * @route   GET /payouts/ledger
+ * @desc    Seller's own ledger transactions (newest first)
+ * @access  Private (seller)
+ */
+router.get('/ledger', protect, requireSeller, asyncHandler(async (req, res) => {
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+
+    let filter;
+    try {
+        filter = LedgerService.buildFilter({ ...req.query, sellerId: req.user._id });
+    } catch (error) {
+        return respondWithError(res, error, 'Ledger error');
+    }
+
+    const [transactions, total] = await Promise.all([
+        LedgerTransaction.find(filter)
+            .populate('orderId', 'orderNumber')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+        LedgerTransaction.countDocuments(filter)
+    ]);
+
+    // Only show the seller their own side of each transaction
+    const sellerId = req.user._id.toString();
+    const data = transactions.map(transaction => ({
+        ...transaction,
+        entries: transaction.entries.filter(entry => entry.sellerId?.toString() === sellerId)
+    }));
+
+    res.json({
+        success: true,
+        message: "Ledger retrieved successfully.",
+        data: {
+            transactions: data,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total,
+                hasMore: pageNum * limitNum < total
+            }
+        }
+    });
+}));
+
+/**
+ * @route   GET /payouts/ledger/export
+ * @desc    Seller's own ledger entries as CSV (?from&to)
+ * @access  Private (seller)
+ */
+router.get('/ledger/export', protect, requireSeller, asyncHandler(async (req, res) => {
+    try {
+        const rows = await LedgerService.getExportRows({ ...req.query, sellerId: req.user._id });
+        sendCSV(res, `ledger-${new Date().toISOString().slice(0, 10)}.csv`, toCSV(rows, LEDGER_CSV_COLUMNS));
+    } catch (error) {
+        respondWithError(res, error, 'Ledger export error');
+    }
+}));
+
+/**
+ * @route   POST /payouts
+ * @desc    Request a payout from the available balance
+ * @body    { amount, note? }
+ * @access  Private (seller)
+ */
+router.post('/', protect, requireSeller, asyncHandler(async (req, res) => {
+    try {
+        const payout = await LedgerService.requestPayout(req.user, req.body.amount, req.body.note);
+        res.status(201).json({
+            success: true,
+            message: "Payout requested successfully.",
+            data: payout
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Payout request error');
+    }
+}));
+
+/**
+ * @route   GET /payouts
+ * @desc    Seller's payout requests
+ * @access  Private (seller)
+ */
+router.get('/', protect, requireSeller, asyncHandler(async (req, res) => {
+    const payouts = await Payout.find({ sellerId: req.user._id })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .lean();
+
+    res.json({
+        success: true,
+        message: "Payouts retrieved successfully.",
+        data: payouts
+    });
+}));
+
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
+
+/**
+ * @route   GET /payouts/admin/requests?status=pending
+ * @desc    Payout requests waiting for (or past) review
+ * @access  Admin
+ */
+router.get('/admin/requests', authorize(PERMISSIONS.PAYOUTS_MANAGE), asyncHandler(async (req, res) => {
+    const { status = 'pending' } = req.query;
+    const { pageNum, limitNum, skip } = getPagination(req.query);
+    const filter = status === 'all' ? {} : { status };
+
+    const [payouts, total] = await Promise.all([
+        Payout.find(filter)
+            .populate('sellerId', 'fullName phoneNumber businessInfo.businessName')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limitNum)
+            .lean(),
+        Payout.countDocuments(filter)
+    ]);
+
+    res.json({
+        success: true,
+        message: "Payout requests retrieved successfully.",
+        data: {
+            payouts,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / limitNum),
+                total,
+                hasMore: pageNum * limitNum < total
+            }
+        }
+    });
+}));
+
+/**
+ * @route   POST /payouts/admin/:id/approve
+ * @desc    Mark a payout as sent
+ * @body    { transferReference?, note? }
+ * @access  Admin
+ */
+router.post('/admin/:id/approve', authorize(PERMISSIONS.PAYOUTS_MANAGE), asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: "Invalid payout ID." });
+    }
+
+    try {
+        const payout = await LedgerService.approvePayout(req.params.id, req.user._id, req.body);
+        res.json({ success: true, message: "Payout approved.", data: payout });
+    } catch (error) {
+        respondWithError(res, error, 'Payout approve error');
+    }
+}));
+
+/**
+ * @route   POST /payouts/admin/:id/reject
+ * @desc    Reject a payout and return the funds to the seller's balance
+ * @body    { reason }
+ * @access  Admin
+ */
+router.post('/admin/:id/reject', authorize(PERMISSIONS.PAYOUTS_MANAGE), asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: "Invalid payout ID." });
+    }
+
+    try {
+        const payout = await LedgerService.rejectPayout(req.params.id, req.user._id, req.body.reason);
+        res.json({ success: true, message: "Payout rejected.", data: payout });
+    } catch (error) {
+        respondWithError(res, error, 'Payout reject error');
+    }
+}));
+
+/**
+ * @route   GET /payouts/admin/ledger/export
+ * @desc    Full ledger as CSV for accounting (?sellerId&type&from&to)
+ * @access  Admin
+ */
+router.get('/admin/ledger/export', authorize(PERMISSIONS.PAYOUTS_MANAGE), asyncHandler(async (req, res) => {
+    try {
+        const rows = await LedgerService.getExportRows(req.query);
+        sendCSV(res, `ledger-${new Date().toISOString().slice(0, 10)}.csv`, toCSV(rows, LEDGER_CSV_COLUMNS));
+    } catch (error) {
+        respondWithError(res, error, 'Ledger export error');
+    }
+}));
+
+module.exports = router;
@@ -7,6 +7,10 @@ const User = require('../model/user');
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const { uploadPosterImages, handleMulterError } = require('../middleware/uploadMiddleware.js');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const AuditService = require('../services/auditService');
+const { PERMISSIONS } = require('../config/roles');
 const { 
     uploadPosterImage, 
     deleteFromCloudinary, 
@@ -20,6 +24,12 @@ const ExistingPoster = mongoose.model('ExistingPoster', new mongoose.Schema({},
     collection: 'posters'
 }));
 
+// Everything under /admin is for the dashboard
+router.use('/admin', authorize(PERMISSIONS.CONTENT_MANAGE));
+
+// Poster fields compared in the audit log
+const POSTER_AUDIT_FIELDS = ['title', 'description', 'type', 'targetProductId', 'targetSellerId', 'startDate', 'endDate', 'priority', 'isActive', 'images'];
+
 // Get active posters for mobile app
 router.get('/active', asyncHandler(async (req, res) => {
     try {
@@ -31,10 +41,17 @@ router.get('/active', asyncHandler(async (req, res) => {
             startDate: { $lte: now },
             endDate: { $gte: now }
         })
-        .populate('targetProductId', 'name price offerPrice images description') // ✅ ADDED description
+        .populate({
+            path: 'targetProductId',
+            select: 'name price offerPrice images description', // ✅ ADDED description
+            match: { ...Product.LISTED }
+        })
         .populate('targetSellerId', 'fullName businessInfo')
         .sort({ priority: -1, createdAt: -1 });
 
+        // Product posters go quiet while their product isn't live
+        activePosters = activePosters.filter(poster => poster.type !== 'product' || poster.targetProductId);
+
         // ✅ Format posters with product description
         const formattedPosters = activePosters.map(poster => {
             const posterObj = poster.toObject();
@@ -277,7 +294,7 @@ router.get('/admin/all', asyncHandler(async (req, res) => {
     }
 }));
 // Create new poster with Cloudinary
-router.post('/admin/create', uploadPosterImages.array('images', 5), asyncHandler(async (req, res) => {
+router.post('/admin/create', audit('poster.create', 'poster'), uploadPosterImages.array('images', 5), asyncHandler(async (req, res) => {
     try {
         const {
             title,
@@ -327,6 +344,12 @@ router.post('/admin/create', uploadPosterImages.array('images', 5), asyncHandler
                     message: "Target product not found"
                 });
             }
+            if (!Product.isListed(product)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Target product is not live"
+                });
+            }
         }
 
         if (type === 'seller') {
@@ -390,6 +413,7 @@ router.post('/admin/create', uploadPosterImages.array('images', 5), asyncHandler
         });
 
         await poster.save();
+        res.locals.audit = { targetId: poster._id, after: AuditService.snapshot(poster, POSTER_AUDIT_FIELDS) };
 
         await poster.populate([
             { path: 'targetProductId', select: 'name price offerPrice images description' }, // ✅ ADDED description
@@ -409,7 +433,7 @@ router.post('/admin/create', uploadPosterImages.array('images', 5), asyncHandler
 }));
 
 // Update poster with Cloudinary
-router.put('/admin/:id', uploadPosterImages.array('images', 5), asyncHandler(async (req, res) => {
+router.put('/admin/:id', audit('poster.update', 'poster'), uploadPosterImages.array('images', 5), asyncHandler(async (req, res) => {
     try {
         const posterId = req.params.id;
         const {
@@ -432,6 +456,7 @@ router.put('/admin/:id', uploadPosterImages.array('images', 5), asyncHandler(asy
                 message: "Poster not found"
             });
         }
+        const before = AuditService.snapshot(poster, POSTER_AUDIT_FIELDS);
 
         // Update basic fields
         if (title) poster.title = title;
@@ -452,6 +477,12 @@ router.put('/admin/:id', uploadPosterImages.array('images', 5), asyncHandler(asy
                         message: "Target product not found"
                     });
                 }
+                if (!Product.isListed(product)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: "Target product is not live"
+                    });
+                }
                 poster.targetProductId = targetProductId;
             }
             poster.targetSellerId = undefined;
@@ -515,6 +546,7 @@ router.put('/admin/:id', uploadPosterImages.array('images', 5), asyncHandler(asy
         }
 
         await poster.save();
+        res.locals.audit = { before, after: AuditService.snapshot(poster, POSTER_AUDIT_FIELDS) };
 
         await poster.populate([
             { path: 'targetProductId', select: 'name price images' },
@@ -534,7 +566,7 @@ router.put('/admin/:id', uploadPosterImages.array('images', 5), asyncHandler(asy
 }));
 
 // Delete poster (also deletes images from Cloudinary)
-router.delete('/admin/:id', asyncHandler(async (req, res) => {
+router.delete('/admin/:id', audit('poster.delete', 'poster'), asyncHandler(async (req, res) => {
     try {
         const posterId = req.params.id;
         const poster = await Poster.findById(posterId);
@@ -563,6 +595,8 @@ router.delete('/admin/:id', asyncHandler(async (req, res) => {
             }
         }
 
+        res.locals.audit = { before: AuditService.snapshot(poster, POSTER_AUDIT_FIELDS) };
+
         // Delete analytics data
         await PosterAnalytics.deleteMany({ posterId: poster._id });
 
@@ -584,7 +618,7 @@ router.get('/admin/search-products', asyncHandler(async (req, res) => {
     try {
         const { search, page = 1, limit = 20 } = req.query;
         
-        let query = { quantity: { $gt: 0 } };
+        let query = { ...Product.LISTED, quantity: { $gt: 0 } };
         if (search && search.trim()) {
             query.$or = [
                 { name: { $regex: search.trim(), $options: 'i' } },
@@ -855,7 +889,7 @@ router.get('/admin/health', asyncHandler(async (req, res) => {
 }));
 
 // Debug endpoint for development
-router.get('/debug/raw', asyncHandler(async (req, res) => {
+router.get('/debug/raw', authorize(PERMISSIONS.CONTENT_MANAGE), asyncHandler(async (req, res) => {
     try {
         const [newPosters, existingPosters] = await Promise.all([
             Poster.find({}).limit(3),
@@ -885,7 +919,7 @@ router.get('/debug/raw', asyncHandler(async (req, res) => {
 }));
 
 // Migration utility - move existing posters to new model
-router.post('/admin/migrate', asyncHandler(async (req, res) => {
+router.post('/admin/migrate', audit('poster.migrate', 'poster'), asyncHandler(async (req, res) => {
     try {
         console.log('Starting poster migration...');
         
@@ -946,6 +980,9 @@ router.post('/admin/migrate', asyncHandler(async (req, res) => {
         }
         
         console.log(`Migration completed: ${migratedCount} migrated, ${skippedCount} skipped, ${errors.length} errors`);
+        res.locals.audit = {
+            metadata: { totalFound: existingPosters.length, migrated: migratedCount, skipped: skippedCount, errors: errors.length }
+        };
         
         res.json({
             success: true,
@@ -1020,7 +1057,7 @@ router.get('/admin/export', asyncHandler(async (req, res) => {
 }));
 
 // Import posters (for backup restoration)
-router.post('/admin/import', uploadPosterImages.single('importFile'), asyncHandler(async (req, res) => {
+router.post('/admin/import', audit('poster.import', 'poster'), uploadPosterImages.single('importFile'), asyncHandler(async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -1092,6 +1129,16 @@ router.post('/admin/import', uploadPosterImages.single('importFile'), asyncHandl
             }
         }
 
+        res.locals.audit = {
+            metadata: {
+                fileName: req.file.originalname,
+                totalAttempted: importData.posters.length,
+                imported: importedCount,
+                skipped: skippedCount,
+                errors: errors.length
+            }
+        };
+
         res.json({
             success: true,
             message: "Import completed",
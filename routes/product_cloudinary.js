@@ -3,8 +3,18 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const Product = require('../model/product');
+const Variant = require('../model/variant');
 const asyncHandler = require('express-async-handler');
 const { uploadProductImages, handleMulterError } = require('../middleware/uploadMiddleware.js');
+const { protect, optionalProtect } = require('../middleware/auth');
+const { requireProductOwner, sameId } = require('../middleware/ownership');
+const { audit } = require('../middleware/audit');
+const AuditService = require('../services/auditService');
+const ProductService = require('../services/productService');
+const InventoryService = require('../services/inventoryService');
+const PriceHistoryService = require('../services/priceHistoryService');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { createError } = require('../utils/httpError');
 const { 
     uploadProductImage, 
     deleteFromCloudinary, 
@@ -38,9 +48,112 @@ const convertVariantIds = (variantIds) => {
         .map(id => new mongoose.Types.ObjectId(id));
 };
 
+const MAX_COMBINATIONS = 100;
 
-// Create new product with Cloudinary upload
-router.post('/', asyncHandler(async (req, res) => {
+const optionalNumber = (value, label) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw createError(400, `${label} must be a number of at least 0.`);
+    }
+    return number;
+};
+
+/**
+ * Parse the combinations field (JSON array of { _id?, variantIds, sku?,
+ * price?, offerPrice?, quantity, image? }). Entries that keep their _id, or
+ * the same set of variants, keep the id of the existing combination so carts
+ * pointing at it still work. SKUs must be unique across the seller's products.
+ */
+const parseCombinations = async (raw, { sellerId, product } = {}) => {
+    let entries = raw;
+    if (typeof entries === 'string') {
+        try {
+            entries = JSON.parse(entries);
+        } catch {
+            throw createError(400, 'combinations must be a JSON array.');
+        }
+    }
+    if (!Array.isArray(entries)) {
+        throw createError(400, 'combinations must be a JSON array.');
+    }
+    if (entries.length > MAX_COMBINATIONS) {
+        throw createError(400, `A product can have at most ${MAX_COMBINATIONS} combinations.`);
+    }
+
+    const variantSetKey = (ids) => ids.map(id => id.toString()).sort().join(',');
+    const existing = product?.combinations || [];
+    const seenSets = new Set();
+    const seenSkus = new Set();
+
+    const combinations = entries.map((entry, index) => {
+        const label = `Combination ${index + 1}`;
+        const variantIds = convertVariantIds(entry?.variantIds) || [];
+        if (variantIds.length === 0) {
+            throw createError(400, `${label} needs at least one variant.`);
+        }
+
+        const setKey = variantSetKey(variantIds);
+        if (seenSets.has(setKey)) {
+            throw createError(400, `${label} repeats another combination's variants.`);
+        }
+        seenSets.add(setKey);
+
+        const sku = entry.sku ? String(entry.sku).trim() : undefined;
+        if (sku) {
+            if (seenSkus.has(sku)) {
+                throw createError(400, `SKU ${sku} is used by more than one combination.`);
+            }
+            seenSkus.add(sku);
+        }
+
+        const quantity = Number(entry.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            throw createError(400, `${label} needs a quantity of 0 or more.`);
+        }
+
+        const image = entry.image === undefined || entry.image === null || entry.image === ''
+            ? undefined
+            : parseInt(entry.image);
+
+        const previous = existing.find(c => entry._id && c._id.toString() === String(entry._id))
+            || existing.find(c => variantSetKey(c.variantIds) === setKey);
+
+        return {
+            ...(previous && { _id: previous._id }),
+            variantIds,
+            sku,
+            price: optionalNumber(entry.price, `${label} price`),
+            offerPrice: optionalNumber(entry.offerPrice, `${label} offer price`),
+            quantity,
+            image: Number.isInteger(image) ? image : undefined
+        };
+    });
+
+    const variantIds = [...new Set(combinations.flatMap(c => c.variantIds.map(id => id.toString())))];
+    if (await Variant.countDocuments({ _id: { $in: variantIds } }) !== variantIds.length) {
+        throw createError(400, 'Some combinations use variants that do not exist.');
+    }
+
+    if (seenSkus.size > 0) {
+        const clash = await Product.findOne({
+            sellerId,
+            ...(product && { _id: { $ne: product._id } }),
+            'combinations.sku': { $in: [...seenSkus] }
+        }).select('name');
+        if (clash) {
+            throw createError(409, `One of these SKUs is already used by ${clash.name}.`);
+        }
+    }
+
+    return combinations;
+};
+
+
+// Create new product with Cloudinary upload.
+// Products belong to the caller; staff who manage products may pass another sellerId.
+// status=draft saves it unpublished (images can be added later); otherwise it goes live.
+router.post('/', protect, audit('product.create', 'product'), asyncHandler(async (req, res) => {
     const upload = uploadProductImages.fields([
         { name: 'image1', maxCount: 1 },
         { name: 'image2', maxCount: 1 },
@@ -70,18 +183,39 @@ router.post('/', asyncHandler(async (req, res) => {
                 proBrandId, 
                 proVariantTypeId, 
                 proVariantId, 
-                sellerName, 
-                sellerId 
+                sellerName,
+                combinations,
+                status = 'active'
             } = req.body;
 
-            // Validate required fields
-            if (!name || !quantity || !price || !proCategoryId || !proSubCategoryId) {
+            if (!['draft', 'active'].includes(status)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: "A new product can only be saved as draft or active." 
+                });
+            }
+
+            const canManageProducts = hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE);
+            if (req.body.sellerId && !sameId(req.body.sellerId, req.user._id) && !canManageProducts) {
+                return res.status(403).json({ 
+                    success: false, 
+                    message: "You can only list products as yourself." 
+                });
+            }
+            const sellerId = req.body.sellerId || req.user._id;
+
+            // Validate required fields (quantity comes from the combinations when given)
+            if (!name || (!quantity && !combinations) || !price || !proCategoryId || !proSubCategoryId) {
                 return res.status(400).json({ 
                     success: false, 
-                    message: "Required fields: name, quantity, price, proCategoryId, proSubCategoryId" 
+                    message: "Required fields: name, quantity (or combinations), price, proCategoryId, proSubCategoryId" 
                 });
             }
 
+            const parsedCombinations = combinations
+                ? await parseCombinations(combinations, { sellerId })
+                : [];
+
             const imageUrls = [];
 
             // Upload images to Cloudinary
@@ -146,7 +280,7 @@ router.post('/', asyncHandler(async (req, res) => {
             const newProduct = new Product({
                 name: name.trim(),
                 description: description ? description.trim() : '',
-                quantity: parseInt(quantity),
+                quantity: parsedCombinations.length > 0 ? 0 : parseInt(quantity),
                 price: parseFloat(price),
                 offerPrice: offerPrice ? parseFloat(offerPrice) : undefined,
                 proCategoryId,
@@ -154,13 +288,29 @@ router.post('/', asyncHandler(async (req, res) => {
                 proBrandId: proBrandId || undefined,
                 proVariantTypeId: proVariantTypeId || undefined,
                 proVariantId: variantObjectIds, // ✅ NOW USING ObjectIds
+                combinations: parsedCombinations,
                 sellerName: sellerName || 'Default Seller',
-                sellerId: sellerId || '507f1f77bcf86cd799439011',
-                images: imageUrls
+                sellerId,
+                images: imageUrls,
+                status,
+                statusChangedAt: new Date()
             });
 
             const savedProduct = await newProduct.save();
             console.log('🎉 Product saved successfully:', savedProduct._id);
+            await InventoryService.recordChanges(savedProduct, new Map(), {
+                reason: 'manual_edit',
+                actorId: req.user._id,
+                note: 'Initial stock'
+            });
+            await PriceHistoryService.recordChanges(savedProduct, new Map(), {
+                source: 'create',
+                changedBy: req.user._id
+            });
+            res.locals.audit = {
+                targetId: savedProduct._id,
+                after: AuditService.snapshot(savedProduct, AuditService.PRODUCT_FIELDS)
+            };
 
             res.status(201).json({ 
                 success: true, 
@@ -168,11 +318,19 @@ router.post('/', asyncHandler(async (req, res) => {
                 data: {
                     id: savedProduct._id,
                     name: savedProduct.name,
-                    images: savedProduct.images
+                    status: savedProduct.status,
+                    images: savedProduct.images,
+                    combinations: savedProduct.combinations
                 }
             });
 
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+            }
             console.error("❌ Error creating product:", error);
             res.status(500).json({ 
                 success: false, 
@@ -185,34 +343,35 @@ router.post('/', asyncHandler(async (req, res) => {
 
 
 
-// Dans ton fichier routes/product_cloudinary.js
-// Remplace les lignes de populate par :
-
-router.get('/', asyncHandler(async (req, res) => {
+// List products, one page at a time. Pass pagination.nextCursor back as
+// cursor for the next page.
+// Query: categoryId, subCategoryId, brandId, sellerId (or 'me'), minPrice,
+// maxPrice, inStock (true | false), createdAfter, sort (newest | price_asc |
+// price_desc | popular), fields (e.g. name,price,images), cursor, limit (max 100).
+// A seller listing their own products (and staff) may also pass
+// status (draft | active | paused | archived | rejected | all).
+router.get('/', optionalProtect, asyncHandler(async (req, res) => {
     try {
-        const products = await Product.find()
-            .populate('proCategoryId', '_id name')
-            .populate('proSubCategoryId', '_id name')
-            .populate('proBrandId', '_id name')
-            .populate('proVariantTypeId', '_id type')
-            .populate('proVariantId', '_id name')  // ✅ THIS POPULATES VARIANT NAMES
-            .populate('sellerId', '_id fullName');
-        
-        console.log('✅ Products fetched with populated variants');
+        const { products, pagination } = await ProductService.list(req.query, req.user);
         
         res.json({ 
             success: true, 
             message: "Products retrieved successfully.", 
-            data: products 
+            data: products,
+            pagination
         });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         console.error('❌ Error fetching products:', error);
         res.status(500).json({ success: false, message: error.message });
     }
 }));
 
 // ✅ GET product by ID - WITH PROPER POPULATION
-router.get('/:id', asyncHandler(async (req, res) => {
+// Products that aren't live are only found by their seller and staff
+router.get('/:id', optionalProtect, asyncHandler(async (req, res) => {
     try {
         const product = await Product.findById(req.params.id)
             .populate('proCategoryId', '_id name')
@@ -220,9 +379,13 @@ router.get('/:id', asyncHandler(async (req, res) => {
             .populate('proBrandId', '_id name')
             .populate('proVariantTypeId', '_id type')
             .populate('proVariantId', '_id name')  // ✅ THIS POPULATES VARIANT NAMES
+            .populate('combinations.variantIds', '_id name')
             .populate('sellerId', '_id fullName');
         
-        if (!product) {
+        const canSeeUnlisted = req.user && (
+            sameId(product?.sellerId?._id, req.user._id) || hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE)
+        );
+        if (!product || (!Product.isListed(product) && !canSeeUnlisted)) {
             return res.status(404).json({ 
                 success: false, 
                 message: "Product not found." 
@@ -243,8 +406,40 @@ router.get('/:id', asyncHandler(async (req, res) => {
     }
 }));
 
-// Update product with Cloudinary
-router.put('/:id', asyncHandler(async (req, res) => {
+// Price history of a product, or of one of its combinations, oldest first
+// (?combinationId=&days=, 90 days by default). Same visibility as GET /:id.
+router.get('/:id/price-history', optionalProtect, asyncHandler(async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: "Product not found." });
+        }
+
+        const product = await Product.findById(req.params.id)
+            .select('name price offerPrice combinations sellerId status moderation');
+        const canSeeUnlisted = req.user && (
+            sameId(product?.sellerId, req.user._id) || hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE)
+        );
+        if (!product || (!Product.isListed(product) && !canSeeUnlisted)) {
+            return res.status(404).json({ success: false, message: "Product not found." });
+        }
+
+        const history = await PriceHistoryService.getHistory(product, req.query);
+        res.json({
+            success: true,
+            message: "Price history retrieved successfully.",
+            data: history
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error fetching price history:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+}));
+
+// Update product with Cloudinary (its seller or staff)
+router.put('/:id', protect, requireProductOwner('id'), audit('product.update', 'product'), asyncHandler(async (req, res) => {
     const upload = uploadProductImages.fields([
         { name: 'image1', maxCount: 1 },
         { name: 'image2', maxCount: 1 },
@@ -260,15 +455,10 @@ router.put('/:id', asyncHandler(async (req, res) => {
         }
 
         try {
-            const productId = req.params.id;
-            const product = await Product.findById(productId);
-            
-            if (!product) {
-                return res.status(404).json({ 
-                    success: false, 
-                    message: "Product not found." 
-                });
-            }
+            const product = req.product;
+            const before = AuditService.snapshot(product, AuditService.PRODUCT_FIELDS);
+            const stockBefore = InventoryService.snapshot(product);
+            const pricesBefore = PriceHistoryService.snapshot(product);
 
             const { 
                 name, 
@@ -283,7 +473,8 @@ router.put('/:id', asyncHandler(async (req, res) => {
                 proVariantId, 
                 sellerName, 
                 sellerId,
-                replaceImages
+                replaceImages,
+                combinations
             } = req.body;
 
             if (name) product.name = name;
@@ -301,9 +492,26 @@ router.put('/:id', asyncHandler(async (req, res) => {
                 product.proVariantId = convertVariantIds(proVariantId);
                 console.log('🔄 Updated variant IDs:', product.proVariantId);
             }
+
+            // Replaces every combination; quantity and proVariantId follow them on save
+            if (combinations !== undefined) {
+                product.combinations = await parseCombinations(combinations, {
+                    sellerId: sellerId || product.sellerId,
+                    product
+                });
+            }
             
             if (sellerName) product.sellerName = sellerName;
-            if (sellerId) product.sellerId = sellerId;
+            // Moving a product to another seller is for staff only
+            if (sellerId && !sameId(sellerId, product.sellerId)) {
+                if (!hasPermission(req.user, PERMISSIONS.PRODUCTS_MANAGE)) {
+                    return res.status(403).json({ 
+                        success: false, 
+                        message: "You can't move a product to another seller." 
+                    });
+                }
+                product.sellerId = sellerId;
+            }
 
             // Handle image updates (keep your existing image update logic)
             if (req.files && Object.keys(req.files).length > 0) {
@@ -332,6 +540,15 @@ router.put('/:id', asyncHandler(async (req, res) => {
             }
 
             await product.save();
+            await InventoryService.recordChanges(product, stockBefore, {
+                reason: 'manual_edit',
+                actorId: req.user._id
+            });
+            await PriceHistoryService.recordChanges(product, pricesBefore, {
+                source: 'update',
+                changedBy: req.user._id
+            });
+            res.locals.audit = { before, after: AuditService.snapshot(product, AuditService.PRODUCT_FIELDS) };
             
             res.json({ 
                 success: true, 
@@ -339,6 +556,9 @@ router.put('/:id', asyncHandler(async (req, res) => {
             });
 
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ success: false, message: error.message });
+            }
             console.error("Error updating product:", error);
             res.status(500).json({ 
                 success: false, 
@@ -348,17 +568,39 @@ router.put('/:id', asyncHandler(async (req, res) => {
     });
 }));
 
-// Delete product (also deletes images from Cloudinary)
-router.delete('/:id', asyncHandler(async (req, res) => {
+// Change a product's status ({ status, reason? }); its seller or staff.
+// draft -> active publishes it, active <-> paused takes it off sale for a
+// while, archived retires it. Staff can also reject with a reason.
+router.patch('/:id/status', protect, requireProductOwner('id'), audit('product.status', 'product'), asyncHandler(async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
-        
-        if (!product) {
-            return res.status(404).json({ 
-                success: false, 
-                message: "Product not found." 
-            });
+        const before = AuditService.snapshot(req.product, ['status', 'statusReason']);
+        const product = await ProductService.changeStatus(req.product, req.user, req.body);
+        res.locals.audit = { before, after: AuditService.snapshot(product, ['status', 'statusReason']) };
+
+        res.json({ 
+            success: true, 
+            message: `Product is now ${product.status}.`, 
+            data: {
+                id: product._id,
+                status: product.status,
+                statusReason: product.statusReason,
+                statusChangedAt: product.statusChangedAt
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
+        console.error("Error changing product status:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+}));
+
+// Delete product (also deletes images from Cloudinary); its seller or staff
+router.delete('/:id', protect, requireProductOwner('id'), audit('product.delete', 'product'), asyncHandler(async (req, res) => {
+    try {
+        const product = req.product;
+        res.locals.audit = { before: AuditService.snapshot(product, AuditService.PRODUCT_FIELDS) };
 
         // Delete all images from Cloudinary
         if (product.images && product.images.length > 0) {
@@ -394,4 +636,4 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
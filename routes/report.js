@@ -0,0 +1,31 @@
+// routes/report.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const ReportService = require('../services/reportService');
+const { protect } = require('../middleware/auth');
+const { strictLimiter } = require('../middleware/rateLimmiter');
+const { respondWithError } = require('../utils/httpError');
+
+/**
+ * @route   POST /reports
+ * @desc    Report a user, product, message or review to the moderators
+ * @body    { targetType: user | product | message | review, targetId, reason, details?, block? }
+ * @access  Private
+ */
+router.post('/', strictLimiter, protect, asyncHandler(async (req, res) => {
+    try {
+        const report = await ReportService.create(req.user._id, req.body);
+        res.status(201).json({
+            success: true,
+            message: req.body.block
+                ? "Thanks for letting us know. The user has been blocked and our team will review your report."
+                : "Thanks for letting us know. Our team will review your report.",
+            data: { _id: report._id, status: report.status }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Create report error');
+    }
+}));
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const Review = require('../model/review');
 const Product = require('../model/product');
 const asyncHandler = require('express-async-handler');
+const { protect } = require('../middleware/auth');
+const { requireSelf, sameId } = require('../middleware/ownership');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
 
 // Get reviews for a product with pagination
 router.get('/product/:productId', asyncHandler(async (req, res) => {
@@ -44,8 +47,8 @@ router.get('/product/:productId', asyncHandler(async (req, res) => {
   });
 }));
 
-// Add/Update review
-router.post('/', asyncHandler(async (req, res) => {
+// Add/Update review (as the signed-in user; a userId in the body must be theirs)
+router.post('/', protect, requireSelf('body.userId'), asyncHandler(async (req, res) => {
   const { userId, productId, rating, comment, buyerName } = req.body;
   
   if (!userId || !productId || !rating || !comment || !buyerName) {
@@ -99,8 +102,8 @@ router.post('/', asyncHandler(async (req, res) => {
   }
 }));
 
-// Delete review with analytics
-router.delete('/:reviewId', asyncHandler(async (req, res) => {
+// Delete review with analytics (its author or staff)
+router.delete('/:reviewId', protect, asyncHandler(async (req, res) => {
   const review = await Review.findById(req.params.reviewId);
   
   if (!review) {
@@ -109,6 +112,13 @@ router.delete('/:reviewId', asyncHandler(async (req, res) => {
       message: "Review not found" 
     });
   }
+
+  if (!sameId(review.userId, req.user._id) && !hasPermission(req.user, PERMISSIONS.REVIEWS_MANAGE)) {
+    return res.status(403).json({ 
+      success: false, 
+      message: "You can only delete your own reviews" 
+    });
+  }
   
   // Track deletion
   await trackReviewEvent(
@@ -178,7 +188,7 @@ router.get('/similar/:productId', asyncHandler(async (req, res) => {
         let similarProducts = await Product.find({
             _id: { $ne: req.params.productId },
             proSubCategoryId: product.proSubCategoryId,
-            quantity: { $gt: 0 } // Only in-stock products
+            ...Product.LISTED, quantity: { $gt: 0 } // Only in-stock products
         }).skip(skip).limit(parseInt(limit)).sort({ createdAt: -1 });
         
         // If not enough from subcategory, fill with category products
@@ -187,7 +197,7 @@ router.get('/similar/:productId', asyncHandler(async (req, res) => {
             const categoryProducts = await Product.find({
                 _id: { $ne: req.params.productId, $nin: similarProducts.map(p => p._id) },
                 proCategoryId: product.proCategoryId,
-                quantity: { $gt: 0 }
+                ...Product.LISTED, quantity: { $gt: 0 }
             }).skip(Math.max(0, skip - similarProducts.length)).limit(remainingLimit).sort({ createdAt: -1 });
             
             similarProducts = [...similarProducts, ...categoryProducts];
@@ -197,13 +207,13 @@ router.get('/similar/:productId', asyncHandler(async (req, res) => {
         const totalSubcategoryProducts = await Product.countDocuments({
             _id: { $ne: req.params.productId },
             proSubCategoryId: product.proSubCategoryId,
-            quantity: { $gt: 0 }
+            ...Product.LISTED, quantity: { $gt: 0 }
         });
         
         const totalCategoryProducts = await Product.countDocuments({
             _id: { $ne: req.params.productId },
             proCategoryId: product.proCategoryId,
-            quantity: { $gt: 0 }
+            ...Product.LISTED, quantity: { $gt: 0 }
         });
         
         const totalSimilarProducts = Math.max(totalSubcategoryProducts, totalCategoryProducts);
@@ -301,4 +311,4 @@ router.get('/stats/:productId', asyncHandler(async (req, res) => {
     }
 }));
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,133 @@
+// routes/sellerVerification.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const SellerVerificationService = require('../services/sellerVerificationService');
+const { protect, authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
+const { strictLimiter } = require('../middleware/rateLimmiter');
+const { uploadVerificationDocuments } = require('../middleware/uploadMiddleware.js');
+const { respondWithError } = require('../utils/httpError');
+
+/**
+ * @route   POST /seller-verification
+ * @desc    Seller submits business details and documents for verification
+ * @body    multipart: businessRegNumber, taxId?, businessLicense?,
+ *          documentTypes (JSON array, one per file), documents[] (images or PDF)
+ * @access  Private (seller)
+ */
+router.post('/', strictLimiter, protect,
+    uploadVerificationDocuments.array('documents', SellerVerificationService.MAX_DOCUMENTS),
+    asyncHandler(async (req, res) => {
+        try {
+            const request = await SellerVerificationService.submit(req.user, req.body, req.files);
+            res.status(201).json({
+                success: true,
+                message: "Verification request submitted. We'll let you know once it has been reviewed.",
+                data: { _id: request._id, status: request.status }
+            });
+        } catch (error) {
+            respondWithError(res, error, 'Submit verification error');
+        }
+    })
+);
+
+/**
+ * @route   GET /seller-verification/me
+ * @desc    The seller's verification status and latest request
+ * @access  Private
+ */
+router.get('/me', protect, asyncHandler(async (req, res) => {
+    const verification = await SellerVerificationService.getForSeller(req.user._id);
+    res.json({ success: true, message: "Verification status retrieved successfully.", data: verification });
+}));
+
+/**
+ * @route   DELETE /seller-verification/me
+ * @desc    Withdraw the request being reviewed
+ * @access  Private
+ */
+router.delete('/me', protect, asyncHandler(async (req, res) => {
+    try {
+        await SellerVerificationService.cancel(req.user._id);
+        res.json({ success: true, message: "Verification request withdrawn." });
+    } catch (error) {
+        respondWithError(res, error, 'Cancel verification error');
+    }
+}));
+
+// ============================================
+// ADMIN REVIEW
+// ============================================
+
+/**
+ * @route   GET /seller-verification
+ * @desc    Requests to review, oldest first
+ * @query   status (pending | approved | rejected | cancelled | all, default pending), page, limit
+ * @access  Staff (sellers:verify)
+ */
+router.get('/', authorize(PERMISSIONS.SELLERS_VERIFY), asyncHandler(async (req, res) => {
+    try {
+        const { requests, pagination } = await SellerVerificationService.list(req.query);
+        res.json({
+            success: true,
+            message: "Verification requests retrieved successfully.",
+            data: requests,
+            pagination
+        });
+    } catch (error) {
+        respondWithError(res, error, 'List verification requests error');
+    }
+}));
+
+/**
+ * @route   GET /seller-verification/:id
+ * @desc    A request with temporary links to its documents
+ * @access  Staff (sellers:verify)
+ */
+router.get('/:id', authorize(PERMISSIONS.SELLERS_VERIFY), asyncHandler(async (req, res) => {
+    try {
+        const request = await SellerVerificationService.getForReview(req.params.id);
+        res.json({ success: true, message: "Verification request retrieved successfully.", data: request });
+    } catch (error) {
+        respondWithError(res, error, 'Get verification request error');
+    }
+}));
+
+/**
+ * @route   POST /seller-verification/:id/approve
+ * @desc    Approve a request; the seller and their listings get the verified badge
+ * @body    { note? }
+ * @access  Staff (sellers:verify)
+ */
+router.post('/:id/approve', authorize(PERMISSIONS.SELLERS_VERIFY), audit('seller_verification.approve', 'seller_verification'), asyncHandler(async (req, res) => {
+    try {
+        const request = await SellerVerificationService.approve(req.params.id, req.user, req.body);
+        res.locals.audit = { metadata: { sellerId: request.sellerId, note: request.note } };
+        res.json({ success: true, message: "Seller verified.", data: request });
+    } catch (error) {
+        respondWithError(res, error, 'Approve verification error');
+    }
+}));
+
+/**
+ * @route   POST /seller-verification/:id/reject
+ * @desc    Reject a request with reasons the seller can act on
+ * @body    { reasons: [document_unreadable | document_expired | details_mismatch |
+ *            document_missing | not_a_business | other], note? (required with other) }
+ * @access  Staff (sellers:verify)
+ */
+router.post('/:id/reject', authorize(PERMISSIONS.SELLERS_VERIFY), audit('seller_verification.reject', 'seller_verification'), asyncHandler(async (req, res) => {
+    try {
+        const request = await SellerVerificationService.reject(req.params.id, req.user, req.body);
+        res.locals.audit = {
+            metadata: { sellerId: request.sellerId, reasons: request.rejectionReasons, note: request.note }
+        };
+        res.json({ success: true, message: "Verification request rejected.", data: request });
+    } catch (error) {
+        respondWithError(res, error, 'Reject verification error');
+    }
+}));
+
+module.exports = router;
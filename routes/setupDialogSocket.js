@@ -1,6 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const SystemDialog = require('../model/systemDialog');
+const { authorize } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const AuditService = require('../services/auditService');
+const { PERMISSIONS } = require('../config/roles');
+
+const adminOnly = authorize(PERMISSIONS.CONTENT_MANAGE);
+
+// Dialog fields compared in the audit log
+const DIALOG_AUDIT_FIELDS = [
+  'title', 'message', 'type', 'targetType', 'targetUserIds', 'targetDeviceIds',
+  'isDismissible', 'isForce', 'showOnce', 'priority', 'buttons', 'active', 'expiresAt'
+];
 
 // GET /system-dialogs/check — called by Flutter on startup or via socket push
 // Query params: userId, deviceId
@@ -70,7 +82,7 @@ router.post('/ack', async (req, res) => {
 // ── Admin CRUD ──────────────────────────────────────────────────────────────
 
 // GET all
-router.get('/', async (req, res) => {
+router.get('/', adminOnly, async (req, res) => {
   try {
     const dialogs = await SystemDialog.find().sort({ createdAt: -1 });
     res.json({ success: true, data: dialogs });
@@ -80,7 +92,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET one
-router.get('/:id', async (req, res) => {
+router.get('/:id', adminOnly, async (req, res) => {
   try {
     const dialog = await SystemDialog.findById(req.params.id);
     if (!dialog) return res.status(404).json({ success: false, message: 'Not found' });
@@ -91,9 +103,10 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST create
-router.post('/', async (req, res) => {
+router.post('/', adminOnly, audit('dialog.create', 'system_dialog'), async (req, res) => {
   try {
     const dialog = await SystemDialog.create(req.body);
+    res.locals.audit = { targetId: dialog._id, after: AuditService.snapshot(dialog, DIALOG_AUDIT_FIELDS) };
     res.status(201).json({ success: true, data: dialog });
   } catch (err) {
     res.status(400).json({ success: false, message: err.message });
@@ -101,9 +114,14 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update
-router.put('/:id', async (req, res) => {
+router.put('/:id', adminOnly, audit('dialog.update', 'system_dialog'), async (req, res) => {
   try {
+    const before = await SystemDialog.findById(req.params.id).lean();
     const dialog = await SystemDialog.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    res.locals.audit = {
+      before: AuditService.snapshot(before, DIALOG_AUDIT_FIELDS),
+      after: AuditService.snapshot(dialog, DIALOG_AUDIT_FIELDS)
+    };
     res.json({ success: true, data: dialog });
   } catch (err) {
     res.status(400).json({ success: false, message: err.message });
@@ -111,9 +129,10 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', adminOnly, audit('dialog.delete', 'system_dialog'), async (req, res) => {
   try {
-    await SystemDialog.findByIdAndDelete(req.params.id);
+    const dialog = await SystemDialog.findByIdAndDelete(req.params.id);
+    res.locals.audit = { before: AuditService.snapshot(dialog, DIALOG_AUDIT_FIELDS) };
     res.json({ success: true, message: 'Deleted' });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
@@ -125,20 +144,29 @@ router.delete('/:id', async (req, res) => {
 let _io = null;
 const setupDialogSocket = (io) => { _io = io; };
 
-router.post('/push', async (req, res) => {
-  try {
-    const dialog = await SystemDialog.create(req.body);
+// Emit a saved dialog to everyone it targets who is connected right now;
+// the rest get it from /check when the app next starts
+const pushDialog = (dialog) => {
+  if (!_io) return false;
 
-    if (_io) {
-      const payload = { event: 'system_dialog', data: dialog };
+  if (dialog.targetType === 'all') {
+    _io.emit('system_dialog', dialog);
+  } else {
+    const ids = [...(dialog.targetUserIds || []), ...(dialog.targetDeviceIds || [])];
+    ids.forEach(id => _io.to(id).emit('system_dialog', dialog));
+  }
+  return true;
+};
 
-      if (dialog.targetType === 'all') {
-        _io.emit('system_dialog', dialog);
-      } else {
-        const ids = [...(dialog.targetUserIds || []), ...(dialog.targetDeviceIds || [])];
-        ids.forEach(id => _io.to(id).emit('system_dialog', dialog));
-      }
-    }
+router.post('/push', adminOnly, audit('dialog.push', 'system_dialog'), async (req, res) => {
+  try {
+    const dialog = await SystemDialog.create(req.body);
+    const delivered = pushDialog(dialog);
+    res.locals.audit = {
+      targetId: dialog._id,
+      after: AuditService.snapshot(dialog, DIALOG_AUDIT_FIELDS),
+      metadata: { socketConnected: delivered }
+    };
 
     res.status(201).json({ success: true, data: dialog });
   } catch (err) {
@@ -146,4 +174,4 @@ router.post('/push', async (req, res) => {
   }
 });
 
-module.exports = { router, setupDialogSocket };
\ No newline at end of file
+module.exports = { router, setupDialogSocket, pushDialog };
\ No newline at end of file
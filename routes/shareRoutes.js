@@ -2,8 +2,20 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../model/product');
 const User = require('../model/user');
+const WishlistService = require('../services/wishlistService');
+const { escapeHtml } = require('../utils/html');
+
+// Marks sellers who passed verification in link previews
+const VERIFIED_LABEL = '✓ Verified Seller';
+
+function generateHTMLWithOG(rawOgData) {
+  // Titles and descriptions can be user-written (list names), so escape
+  // everything that lands in HTML. appUrl is built here and goes into JS.
+  const ogData = { ...rawOgData };
+  for (const key of ['type', 'url', 'title', 'description', 'image']) {
+    ogData[key] = escapeHtml(rawOgData[key]);
+  }
 
-function generateHTMLWithOG(ogData) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -59,10 +71,11 @@ router.get('/product/:slugWithId', async (req, res) => {
     const product = await Product.findById(productId)
       .populate('proCategoryId', 'name')
       .populate('proSubCategoryId', 'name')
-      .populate('sellerId', 'fullName businessInfo')
+      .populate('sellerId', 'fullName businessInfo sellerVerification.status')
       .lean();
     
-    if (!product) {
+    // Products that aren't live (drafts, paused, taken down) aren't shared either
+    if (!Product.isListed(product)) {
       return res.status(404).send('<html><body><h1>Product Not Found</h1></body></html>');
     }
     
@@ -80,12 +93,13 @@ router.get('/product/:slugWithId', async (req, res) => {
       || product.sellerId?.fullName 
       || product.sellerName 
       || 'Salone Fast Market';
+    const sellerVerified = product.sellerId?.sellerVerification?.status === 'verified';
     
     const ogData = {
       type: 'product',
       url: `https://salonefastmarket.com/product/${req.params.slugWithId}`,
       appUrl: `https://salonefastmarket.com/app/product/${productId}`,
-      title: `${product.name} - ${sellerName}`,
+      title: `${product.name} - ${sellerName}${sellerVerified ? ` (${VERIFIED_LABEL})` : ''}`,
       description: `${price} - ${product.description?.substring(0, 150) || 'Available on Salone Fast Market'}`,
       image: productImage,
     };
@@ -106,7 +120,7 @@ router.get('/store/:slugWithId', async (req, res) => {
     
     console.log(`🏪 Fetching store: ${sellerId}`);
     
-    const seller = await User.findById(sellerId).select('fullName businessInfo').lean();
+    const seller = await User.findById(sellerId).select('fullName businessInfo sellerVerification.status').lean();
     
     if (!seller) {
       return res.status(404).send('<html><body><h1>Store Not Found</h1></body></html>');
@@ -120,13 +134,14 @@ router.get('/store/:slugWithId', async (req, res) => {
       || seller.profileImage 
       || 'https://www.salonefastmarket.com/assets/images/logo.png';
     
-    const productCount = await Product.countDocuments({ sellerId: sellerId });
+    const productCount = await Product.countDocuments({ sellerId: sellerId, ...Product.LISTED });
+    const sellerVerified = seller.sellerVerification?.status === 'verified';
     
     const ogData = {
       type: 'website',
       url: `https://salonefastmarket.com/store/${req.params.slugWithId}`,
       appUrl: `https://salonefastmarket.com/app/store/${sellerId}`,
-      title: `${businessName} - Salone Fast Market`,
+      title: `${businessName}${sellerVerified ? ` ${VERIFIED_LABEL}` : ''} - Salone Fast Market`,
       description: `${description} - ${productCount} products available`,
       image: storeImage,
     };
@@ -140,4 +155,43 @@ router.get('/store/:slugWithId', async (req, res) => {
   }
 });
 
+// ✅ WISHLIST ROUTE - shared lists (privacy link or public)
+router.get('/wishlist/:token', async (req, res) => {
+  try {
+    let list;
+    try {
+      list = await WishlistService.getSharedList(req.params.token);
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).send('<html><body><h1>List Not Found</h1></body></html>');
+      }
+      throw error;
+    }
+
+    console.log(`📝 Fetching shared list: ${list._id}`);
+
+    const view = await WishlistService.buildView(list, { owner: false });
+    const listImage = view.items.find(item => item.image)?.image
+      || 'https://www.salonefastmarket.com/assets/images/logo.png';
+
+    const byline = view.ownerName ? `${view.ownerName}'s list` : 'A shared list';
+    const itemLabel = `${view.itemCount} ${view.itemCount === 1 ? 'item' : 'items'}`;
+
+    const ogData = {
+      type: 'website',
+      url: `https://salonefastmarket.com/wishlist/${list.shareToken}`,
+      appUrl: `https://salonefastmarket.com/app/wishlist/${list.shareToken}`,
+      title: `${list.name} - Salone Fast Market`,
+      description: `${byline} - ${itemLabel}${list.description ? ` - ${list.description.substring(0, 150)}` : ''}`,
+      image: listImage,
+    };
+
+    res.send(generateHTMLWithOG(ogData));
+
+  } catch (error) {
+    console.error('❌ Error serving wishlist page:', error);
+    res.status(500).send('<html><body><h1>Error</h1></body></html>');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,7 +4,18 @@ const router = express.Router();
 const SponsoredProduct = require('../model/sponsoredProduct');
 const Product = require('../model/product');
 const asyncHandler = require('express-async-handler');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { audit } = require('../middleware/audit');
+const AuditService = require('../services/auditService');
+
+const adminOnly = authorize(PERMISSIONS.SPONSORED_MANAGE);
+
+// Sponsorship fields compared in the audit log
+const SPONSORED_AUDIT_FIELDS = [
+    'productId', 'sponsorshipType', 'status', 'isActive', 'startDate', 'endDate',
+    'budget', 'dailyCost', 'priority', 'targetAudience', 'displaySettings', 'notes'
+];
 
 // Sierra Leone districts and regions for targeting
 const SIERRA_LEONE_LOCATIONS = {
@@ -21,7 +32,7 @@ const SIERRA_LEONE_LOCATIONS = {
  * @desc    Create new sponsored product
  * @access  Admin
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', adminOnly, audit('sponsored.create', 'sponsored_product'), asyncHandler(async (req, res) => {
     const {
         productId,
         sponsorshipType = 'basic',
@@ -51,6 +62,12 @@ router.post('/', asyncHandler(async (req, res) => {
             message: "Product not found"
         });
     }
+    if (!Product.isListed(product)) {
+        return res.status(400).json({
+            success: false,
+            message: "Only live products can be sponsored"
+        });
+    }
 
     // Check for existing active sponsorship
     const existingSponsorship = await SponsoredProduct.findOne({
@@ -99,11 +116,15 @@ router.post('/', asyncHandler(async (req, res) => {
             showInCategory: displaySettings.showInCategory !== false,
             boostInRanking: displaySettings.boostInRanking !== false
         },
-        createdBy: '507f1f77bcf86cd799439011', // Default admin ID - update as needed
+        createdBy: req.user._id,
         notes
     });
 
     await sponsoredProduct.save();
+    res.locals.audit = {
+        targetId: sponsoredProduct._id,
+        after: AuditService.snapshot(sponsoredProduct, SPONSORED_AUDIT_FIELDS)
+    };
 
     res.status(201).json({
         success: true,
@@ -117,7 +138,7 @@ router.post('/', asyncHandler(async (req, res) => {
  * @desc    Get all sponsored products with filtering
  * @access  Admin
  */
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', adminOnly, asyncHandler(async (req, res) => {
     const {
         status,
         sponsorshipType,
@@ -197,7 +218,7 @@ router.get('/active', asyncHandler(async (req, res) => {
  * @desc    Get sponsored product by ID
  * @access  Admin
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', adminOnly, asyncHandler(async (req, res) => {
     const sponsoredProduct = await SponsoredProduct.findById(req.params.id)
         .populate('productId')
         .populate('createdBy', 'fullName');
@@ -221,7 +242,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * @desc    Update sponsored product
  * @access  Admin
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', adminOnly, audit('sponsored.update', 'sponsored_product'), asyncHandler(async (req, res) => {
     const updates = req.body;
     
     // Remove fields that shouldn't be updated directly
@@ -229,6 +250,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
     delete updates.createdAt;
     delete updates.analytics;
 
+    const before = await SponsoredProduct.findById(req.params.id).lean();
     const sponsoredProduct = await SponsoredProduct.findByIdAndUpdate(
         req.params.id,
         { $set: updates },
@@ -242,6 +264,11 @@ router.put('/:id', asyncHandler(async (req, res) => {
         });
     }
 
+    res.locals.audit = {
+        before: AuditService.snapshot(before, Object.keys(updates)),
+        after: AuditService.snapshot(sponsoredProduct, Object.keys(updates))
+    };
+
     res.json({
         success: true,
         message: "Sponsored product updated successfully",
@@ -254,7 +281,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * @desc    Update sponsored product status
  * @access  Admin
  */
-router.put('/:id/status', asyncHandler(async (req, res) => {
+router.put('/:id/status', adminOnly, audit('sponsored.status', 'sponsored_product'), asyncHandler(async (req, res) => {
     const { status, isActive } = req.body;
 
     if (!status && isActive === undefined) {
@@ -268,6 +295,7 @@ router.put('/:id/status', asyncHandler(async (req, res) => {
     if (status) updateData.status = status;
     if (isActive !== undefined) updateData.isActive = isActive;
 
+    const before = await SponsoredProduct.findById(req.params.id).select('status isActive').lean();
     const sponsoredProduct = await SponsoredProduct.findByIdAndUpdate(
         req.params.id,
         { $set: updateData },
@@ -280,6 +308,10 @@ router.put('/:id/status', asyncHandler(async (req, res) => {
             message: "Sponsored product not found"
         });
     }
+    res.locals.audit = {
+        before: AuditService.snapshot(before, ['status', 'isActive']),
+        after: AuditService.snapshot(sponsoredProduct, ['status', 'isActive'])
+    };
 
     res.json({
         success: true,
@@ -293,7 +325,7 @@ router.put('/:id/status', asyncHandler(async (req, res) => {
  * @desc    Create multiple sponsored products
  * @access  Admin
  */
-router.post('/bulk', asyncHandler(async (req, res) => {
+router.post('/bulk', adminOnly, audit('sponsored.bulk_create', 'sponsored_product'), asyncHandler(async (req, res) => {
     const { productIds, sponsorshipData } = req.body;
 
     if (!productIds || !Array.isArray(productIds) || productIds.length === 0) {
@@ -317,6 +349,10 @@ router.post('/bulk', asyncHandler(async (req, res) => {
                 results.failed.push({ productId, reason: "Product not found" });
                 continue;
             }
+            if (!Product.isListed(product)) {
+                results.failed.push({ productId, reason: "Product is not live" });
+                continue;
+            }
 
             // Check for existing sponsorship
             const existing = await SponsoredProduct.findOne({
@@ -334,7 +370,7 @@ router.post('/bulk', asyncHandler(async (req, res) => {
             const sponsoredProduct = new SponsoredProduct({
                 productId,
                 ...sponsorshipData,
-                createdBy: '507f1f77bcf86cd799439011' // Default admin ID
+                createdBy: req.user._id
             });
 
             await sponsoredProduct.save();
@@ -345,6 +381,8 @@ router.post('/bulk', asyncHandler(async (req, res) => {
         }
     }
 
+    res.locals.audit = { metadata: { sponsorshipData, ...results } };
+
     res.json({
         success: true,
         message: `Bulk operation completed. Created: ${results.created.length}, Failed: ${results.failed.length}, Existing: ${results.existing.length}`,
@@ -357,7 +395,7 @@ router.post('/bulk', asyncHandler(async (req, res) => {
  * @desc    Update multiple sponsored products status
  * @access  Admin
  */
-router.put('/bulk/status', asyncHandler(async (req, res) => {
+router.put('/bulk/status', adminOnly, audit('sponsored.bulk_status', 'sponsored_product'), asyncHandler(async (req, res) => {
     const { sponsoredIds, status, isActive } = req.body;
 
     if (!sponsoredIds || !Array.isArray(sponsoredIds)) {
@@ -375,6 +413,7 @@ router.put('/bulk/status', asyncHandler(async (req, res) => {
         { _id: { $in: sponsoredIds } },
         { $set: updateData }
     );
+    res.locals.audit = { metadata: { sponsoredIds, ...updateData, modifiedCount: result.modifiedCount } };
 
     res.json({
         success: true,
@@ -450,7 +489,7 @@ router.post('/:id/track', asyncHandler(async (req, res) => {
  * @desc    Get sponsored products analytics summary
  * @access  Admin
  */
-router.get('/analytics/summary', asyncHandler(async (req, res) => {
+router.get('/analytics/summary', adminOnly, asyncHandler(async (req, res) => {
     const { startDate, endDate } = req.query;
 
     const matchConditions = {};
@@ -506,7 +545,7 @@ router.get('/analytics/summary', asyncHandler(async (req, res) => {
  * @desc    Delete sponsored product
  * @access  Admin
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', adminOnly, audit('sponsored.delete', 'sponsored_product'), asyncHandler(async (req, res) => {
     const sponsoredProduct = await SponsoredProduct.findByIdAndDelete(req.params.id);
 
     if (!sponsoredProduct) {
@@ -515,6 +554,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
             message: "Sponsored product not found"
         });
     }
+    res.locals.audit = { before: AuditService.snapshot(sponsoredProduct, SPONSORED_AUDIT_FIELDS) };
 
     res.json({
         success: true,
@@ -1,8 +1,26 @@
 const express = require('express');
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../model/user');
-const { generateToken, protect } = require('../middleware/auth');
+const CartService = require('../services/cartService');
+const OtpService = require('../services/otpService');
+const SessionService = require('../services/sessionService');
+const AccountDataService = require('../services/accountDataService');
+const BlockService = require('../services/blockService');
+const SellerVerificationService = require('../services/sellerVerificationService');
+const AuditService = require('../services/auditService');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { protect, optionalProtect, authorize, suspensionResponse } = require('../middleware/auth');
+const { requireSelfOr, sameId } = require('../middleware/ownership');
+const { audit } = require('../middleware/audit');
+const { PERMISSIONS, STAFF_ROLES, hasPermission } = require('../config/roles');
+const { strictLimiter } = require('../middleware/rateLimmiter');
+const { respondWithError } = require('../utils/httpError');
+
+// Registration only goes through with a verified phone number when this
+// is on; until then a code is optional and just marks the number verified
+const REQUIRE_PHONE_VERIFICATION = process.env.REQUIRE_PHONE_VERIFICATION === 'true';
 
 // Validate Sierra Leone phone number
 const validateSierraLeonePhone = (phone) => {
@@ -26,20 +44,93 @@ const formatPhoneNumber = (phone) => {
     return cleanPhone;
 };
 
+const markPhoneVerified = (userId) => User.updateOne(
+    { _id: userId, phoneVerified: { $ne: true } },
+    { $set: { phoneVerified: true, phoneVerifiedAt: new Date() } }
+);
+
+// Send a one-time code. For login and password reset, unknown numbers get
+// the same response without a code being sent, so the endpoint can't be
+// used to find out who has an account.
+const sendOtp = async (req, res, purpose) => {
+    const { phoneNumber, channel } = req.body;
+
+    const phoneValidation = validateSierraLeonePhone(phoneNumber);
+    if (phoneValidation) {
+        return res.status(400).json({ success: false, message: phoneValidation });
+    }
+
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+
+    try {
+        OtpService.parsePurpose(purpose);
+        const accountExists = await User.exists({ phoneNumber: formattedPhone });
+
+        if (purpose === 'register' && accountExists) {
+            return res.status(400).json({ success: false, message: "Phone number already registered." });
+        }
+
+        const delivery = purpose !== 'register' && !accountExists
+            ? OtpService.describeDelivery(OtpService.resolveSender(channel))
+            : await OtpService.request(formattedPhone, purpose, { channel });
+
+        res.json({ success: true, message: "Verification code sent.", data: delivery });
+    } catch (error) {
+        respondWithError(res, error, 'Send OTP error');
+    }
+};
+
+// 📱 Send a verification code ({ phoneNumber, purpose: register | login | reset_password, channel? })
+router.post('/otp/request', strictLimiter, asyncHandler(async (req, res) => {
+    await sendOtp(req, res, req.body.purpose);
+}));
+
+// 🔑 Forgot password: send a reset code ({ phoneNumber, channel? })
+router.post('/password/forgot', strictLimiter, asyncHandler(async (req, res) => {
+    await sendOtp(req, res, 'reset_password');
+}));
+
+// 🔑 Reset password with the code ({ phoneNumber, otpCode, newPassword })
+router.post('/password/reset', strictLimiter, asyncHandler(async (req, res) => {
+    const { phoneNumber, otpCode, newPassword } = req.body;
+
+    const phoneValidation = validateSierraLeonePhone(phoneNumber);
+    if (phoneValidation) {
+        return res.status(400).json({ success: false, message: phoneValidation });
+    }
+
+    if (!newPassword) {
+        return res.status(400).json({ success: false, message: "New password is required." });
+    }
+
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+
+    try {
+        await OtpService.verify(formattedPhone, 'reset_password', otpCode);
+    } catch (error) {
+        return respondWithError(res, error, 'Password reset error');
+    }
+
+    const user = await User.findOneAndUpdate(
+        { phoneNumber: formattedPhone },
+        { $set: { password: await hashPassword(newPassword), phoneVerified: true, phoneVerifiedAt: new Date() } }
+    );
+    if (!user) {
+        return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    // Whoever knew the old password is signed out everywhere
+    await SessionService.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({ success: true, message: "Password reset successfully. Please log in with your new password." });
+}));
+
 // 🔐 Login with JWT
+// Password mode: { phoneNumber, password }
+// OTP mode: { phoneNumber, otpCode } with a code from /otp/request (purpose login)
 router.post('/login', asyncHandler(async (req, res) => {
-    console.log('=== RAW REQUEST DEBUG ===');
-    console.log('Content-Type:', req.get('Content-Type'));
-    console.log('Content-Length:', req.get('Content-Length'));
-    console.log('Raw Body:', req.body);
-    console.log('Body type:', typeof req.body);
-    console.log('Body keys:', Object.keys(req.body || {}));
-    console.log('phoneNumber value:', req.body?.phoneNumber);
-    console.log('password value:', req.body?.password);
-    console.log('Headers:', req.headers);
-    console.log('========================');
-
-    const { phoneNumber, password } = req.body;
+    const { phoneNumber, password, otpCode } = req.body;
+    const guestCartToken = req.body.guestCartToken || req.get('X-Guest-Cart-Token');
 
     const phoneValidation = validateSierraLeonePhone(phoneNumber);
     if (phoneValidation) {
@@ -47,14 +138,67 @@ router.post('/login', asyncHandler(async (req, res) => {
     }
 
     const formattedPhone = formatPhoneNumber(phoneNumber);
-    const user = await User.findOne({ phoneNumber: formattedPhone });
+    const found = await User.findOne({ phoneNumber: formattedPhone });
+    // Accounts being deleted can't be signed into
+    const user = found?.deletionRequestedAt ? null : found;
+
+    if (otpCode !== undefined && !password) {
+        if (!user) {
+            return res.status(401).json({ success: false, message: "Invalid phone number or code." });
+        }
+
+        try {
+            await OtpService.verify(formattedPhone, 'login', otpCode);
+        } catch (error) {
+            return respondWithError(res, error, 'OTP login error');
+        }
+
+        if (!user.phoneVerified) {
+            await markPhoneVerified(user._id);
+            user.phoneVerified = true;
+        }
+    } else {
+        const { valid, needsRehash } = user
+            ? await verifyPassword(user.password, password)
+            : { valid: false, needsRehash: false };
+
+        if (!valid) {
+            return res.status(401).json({ success: false, message: "Invalid phone number or password." });
+        }
 
-    if (!user || user.password !== password) {
-        return res.status(401).json({ success: false, message: "Invalid phone number or password." });
+        // Accounts created before hashing still hold the plaintext password;
+        // replace it now that we know it. Only if it hasn't changed meanwhile.
+        if (needsRehash) {
+            try {
+                await User.updateOne(
+                    { _id: user._id, password: user.password },
+                    { $set: { password: await hashPassword(password) } }
+                );
+            } catch (error) {
+                console.error('⚠️ Password rehash failed:', error.message);
+            }
+        }
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Only tell whoever proved they own the account that it is suspended
+    const suspension = user.getActiveSuspension();
+    if (suspension) {
+        return res.status(403).json(suspensionResponse(suspension));
+    }
+
+    // Start a device session (access + refresh token)
+    const tokens = await SessionService.createSession(user, req, req.body);
+
+    // Bring over anything the user added to their cart before logging in.
+    // A failed merge must never block the login itself.
+    let cartMerge = null;
+    if (guestCartToken) {
+        try {
+            cartMerge = await CartService.mergeGuestCart(guestCartToken, user._id);
+        } catch (error) {
+            console.error('⚠️ Guest cart merge failed:', error.message);
+        }
+    }
 
     // Return user without password + token
     const userResponse = { ...user.toObject() };
@@ -64,10 +208,45 @@ router.post('/login', asyncHandler(async (req, res) => {
         success: true, 
         message: "Login successful.", 
         data: userResponse,
-        token: token
+        ...tokens,
+        cartMerge
     });
 }));
 
+// 🔄 New token pair from a refresh token ({ refreshToken }).
+// Apps from before refresh tokens send their still-valid access token as
+// Bearer instead and get moved onto a session.
+router.post('/token/refresh', asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+        let tokens;
+        if (refreshToken) {
+            tokens = await SessionService.refresh(refreshToken, req);
+        } else if (req.headers.authorization?.startsWith('Bearer')) {
+            tokens = await SessionService.exchangeLegacyToken(req.headers.authorization.split(' ')[1], req, req.body);
+        } else {
+            return res.status(400).json({ success: false, message: "refreshToken is required." });
+        }
+
+        res.json({ success: true, message: "Token refreshed successfully.", ...tokens });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message, code: error.details?.code });
+        }
+        console.error('❌ Token refresh error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+}));
+
+// 🚪 Log out this device (its refresh token and push notifications stop working)
+router.post('/logout', protect, asyncHandler(async (req, res) => {
+    if (req.sessionId) {
+        await SessionService.revokeForUser(req.user._id, req.sessionId, 'logout');
+    }
+    res.json({ success: true, message: "Logged out successfully." });
+}));
+
 // 👤 Get current user (protected route)
 router.get('/me', protect, asyncHandler(async (req, res) => {
     const userResponse = { ...req.user.toObject() };
@@ -80,8 +259,84 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
     });
 }));
 
-// Get all users
-router.get('/', asyncHandler(async (req, res) => {
+// 📱 Devices the user is signed in on
+router.get('/me/sessions', protect, asyncHandler(async (req, res) => {
+    const sessions = await SessionService.listForUser(req.user._id, req.sessionId);
+    res.json({ success: true, message: "Sessions retrieved successfully.", data: sessions });
+}));
+
+// 📱 Sign a device out remotely; also stops push notifications to it
+router.delete('/me/sessions/:id', protect, asyncHandler(async (req, res) => {
+    try {
+        await SessionService.revokeForUser(req.user._id, req.params.id, 'user');
+        res.json({ success: true, message: "Device signed out successfully." });
+    } catch (error) {
+        respondWithError(res, error, 'Revoke session error');
+    }
+}));
+
+// 🚫 Users the signed-in user has blocked
+router.get('/me/blocks', protect, asyncHandler(async (req, res) => {
+    const blocked = await BlockService.listBlocked(req.user._id);
+    res.json({ success: true, message: "Blocked users retrieved successfully.", data: blocked });
+}));
+
+// 🚫 Block a user ({ userId }): no messages either way, and their
+// products disappear from the blocker's feed and search
+router.post('/me/blocks', protect, asyncHandler(async (req, res) => {
+    try {
+        await BlockService.block(req.user._id, req.body.userId);
+        res.json({ success: true, message: "User blocked." });
+    } catch (error) {
+        respondWithError(res, error, 'Block user error');
+    }
+}));
+
+router.delete('/me/blocks/:userId', protect, asyncHandler(async (req, res) => {
+    try {
+        await BlockService.unblock(req.user._id, req.params.userId);
+        res.json({ success: true, message: "User unblocked." });
+    } catch (error) {
+        respondWithError(res, error, 'Unblock user error');
+    }
+}));
+
+// 📦 Download everything we hold about the user as one JSON file
+router.get('/me/export', strictLimiter, protect, asyncHandler(async (req, res) => {
+    try {
+        const bundle = await AccountDataService.buildExport(req.user._id);
+        const date = bundle.exportedAt.toISOString().slice(0, 10);
+
+        res.setHeader('Content-Disposition', `attachment; filename="salone-fast-market-data-${date}.json"`);
+        res.json({ success: true, message: "Data export generated successfully.", data: bundle });
+    } catch (error) {
+        respondWithError(res, error, 'Data export error');
+    }
+}));
+
+// 🗑️ Delete the user's account ({ password }). The account is signed out
+// everywhere straight away; the data is removed by a background job.
+router.delete('/me', strictLimiter, protect, asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select('password');
+    const { valid } = await verifyPassword(user?.password, req.body.password);
+    if (!valid) {
+        return res.status(401).json({ success: false, message: "Incorrect password." });
+    }
+
+    try {
+        const job = await AccountDataService.requestDeletion(req.user);
+        res.status(202).json({
+            success: true,
+            message: "Your account is being deleted.",
+            data: { status: job.status, requestedAt: job.requestedAt }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Account deletion error');
+    }
+}));
+
+// Get all users (staff)
+router.get('/', authorize(PERMISSIONS.USERS_READ), asyncHandler(async (req, res) => {
     const users = await User.find().select('-password');
     res.json({ success: true, message: "Users retrieved successfully.", data: users });
 }));
@@ -90,7 +345,7 @@ router.get('/', asyncHandler(async (req, res) => {
 router.post('/register', asyncHandler(async (req, res) => {
     const {
         phoneNumber, password, accountType, fullName, email, dateOfBirth, gender,
-        streetAddress, city, district, postalCode, businessInfo
+        streetAddress, city, district, postalCode, businessInfo, otpCode
     } = req.body;
 
     const phoneValidation = validateSierraLeonePhone(phoneNumber);
@@ -98,6 +353,10 @@ router.post('/register', asyncHandler(async (req, res) => {
         return res.status(400).json({ success: false, message: phoneValidation });
     }
 
+    if (REQUIRE_PHONE_VERIFICATION && !otpCode) {
+        return res.status(400).json({ success: false, message: "Please verify your phone number first." });
+    }
+
     if (!fullName) {
         return res.status(400).json({ success: false, message: "Full name is required." });
     }
@@ -112,9 +371,20 @@ router.post('/register', asyncHandler(async (req, res) => {
         return res.status(400).json({ success: false, message: "Phone number already registered." });
     }
 
+    // Checked last so a code isn't used up by a registration that fails anyway
+    if (otpCode) {
+        try {
+            await OtpService.verify(formattedPhone, 'register', otpCode);
+        } catch (error) {
+            return respondWithError(res, error, 'Register OTP error');
+        }
+    }
+
     const userData = {
         phoneNumber: formattedPhone,
-        password,
+        phoneVerified: Boolean(otpCode),
+        phoneVerifiedAt: otpCode ? new Date() : undefined,
+        password: await hashPassword(password),
         accountType: accountType || 'buyer',
         fullName,
         email,
@@ -149,8 +419,8 @@ router.post('/register', asyncHandler(async (req, res) => {
     const user = new User(userData);
     await user.save();
     
-    // Generate token for auto-login after registration
-    const token = generateToken(user._id);
+    // Start a session for auto-login after registration
+    const tokens = await SessionService.createSession(user, req, req.body);
     const userResponse = { ...user.toObject() };
     delete userResponse.password;
 
@@ -158,27 +428,60 @@ router.post('/register', asyncHandler(async (req, res) => {
         success: true, 
         message: "User created successfully.", 
         data: userResponse,
-        token: token
+        ...tokens
     });
 }));
 
-// Get a user by ID
-router.get('/:id', asyncHandler(async (req, res) => {
-    const user = await User.findById(req.params.id).select('-password');
+// What anyone may see of a user: their name and public seller profile
+const PUBLIC_PROFILE_FIELDS = [
+    'fullName', 'accountType', 'createdAt',
+    'businessInfo.businessName', 'businessInfo.businessType', 'businessInfo.businessDescription',
+    'businessInfo.businessAddress', 'businessInfo.businessPhone', 'businessInfo.businessEmail',
+    'businessInfo.businessHours', 'businessInfo.deliveryAreas', 'businessInfo.productCategories',
+    'sellerVerification.status', 'sellerVerification.verifiedAt'
+].join(' ');
+
+// Get a user by ID. The user themselves and staff who can read users get
+// the whole profile; everyone else gets PUBLIC_PROFILE_FIELDS.
+router.get('/:id', optionalProtect, asyncHandler(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    const seesEverything = req.user && (
+        sameId(req.params.id, req.user._id) || hasPermission(req.user, PERMISSIONS.USERS_READ)
+    );
+    const user = await User.findById(req.params.id).select(seesEverything ? '-password' : PUBLIC_PROFILE_FIELDS);
     if (!user) {
         return res.status(404).json({ success: false, message: "User not found." });
     }
     res.json({ success: true, message: "User retrieved successfully.", data: user });
 }));
 
-// Update a user (protected)
-// Update a user (protected)
-router.put('/:id', protect, asyncHandler(async (req, res) => {
+// Update a user's profile; the user themselves or staff who manage users.
+// Passwords change through /password/reset and the account type can't
+// change here (older apps still send it unchanged, which is fine).
+router.put('/:id', protect, requireSelfOr(PERMISSIONS.USERS_MANAGE), asyncHandler(async (req, res) => {
     const {
         phoneNumber, password, accountType, fullName, email, dateOfBirth, gender,
         streetAddress, city, district, postalCode, businessInfo
     } = req.body;
 
+    if (password) {
+        return res.status(400).json({ success: false, message: "Use password reset to change the password." });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ success: false, message: "User not found." });
+    }
+
+    const current = await User.findById(req.params.id).select('phoneNumber accountType businessInfo sellerVerification').lean();
+    if (!current) {
+        return res.status(404).json({ success: false, message: "User not found." });
+    }
+    if (accountType && accountType !== current.accountType) {
+        return res.status(400).json({ success: false, message: "The account type can't be changed." });
+    }
+
     // Initialize userData object first
     const userData = {};
 
@@ -189,15 +492,14 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
             return res.status(400).json({ success: false, message: phoneValidation });
         }
         userData.phoneNumber = formatPhoneNumber(phoneNumber);
-    }
-    
-    // Handle password
-    if (password) {
-        userData.password = password;
+
+        // A new number has to be verified again
+        if (current.phoneNumber !== userData.phoneNumber) {
+            userData.phoneVerified = false;
+        }
     }
 
     // Handle other basic fields
-    if (accountType) userData.accountType = accountType;
     if (fullName) userData.fullName = fullName;
     if (email) userData.email = email;
     if (dateOfBirth) userData.dateOfBirth = dateOfBirth;
@@ -214,7 +516,9 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
     }
 
     // Handle business info for sellers
-    if (accountType === 'seller' && businessInfo) {
+    let previous = null;
+    if (current.accountType === 'seller' && businessInfo) {
+        previous = current;
         userData.businessInfo = {
             businessName: businessInfo.businessName,
             businessRegNumber: businessInfo.businessRegNumber,
@@ -242,11 +546,48 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
         return res.status(404).json({ success: false, message: "User not found." });
     }
 
+    if (await SellerVerificationService.revokeIfDetailsChanged(previous, updatedUser)) {
+        updatedUser.sellerVerification.status = 'unverified';
+        updatedUser.sellerVerification.verifiedAt = undefined;
+    }
+
     res.json({ success: true, message: "User updated successfully.", data: updatedUser });
 }));
 
-// Delete a user (protected)
-router.delete('/:id', protect, asyncHandler(async (req, res) => {
+// Set a user's staff roles ({ roles: ['moderator', ...] }); buyer/seller stay on accountType
+router.put('/:id/roles', authorize(PERMISSIONS.USERS_MANAGE), audit('user.roles', 'user'), asyncHandler(async (req, res) => {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || roles.some(role => !STAFF_ROLES.includes(role))) {
+        return res.status(400).json({ success: false, message: `Roles must be a list of: ${STAFF_ROLES.join(', ')}.` });
+    }
+
+    // Keep at least one way back in: admins can't drop their own admin role
+    if (req.params.id === req.user._id.toString() && req.user.roles.includes('admin') && !roles.includes('admin')) {
+        return res.status(400).json({ success: false, message: "You can't remove your own admin role." });
+    }
+
+    const previous = await User.findById(req.params.id).select('roles').lean();
+    const updatedUser = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: { roles: [...new Set(roles)] } },
+        { new: true }
+    ).select('-password');
+
+    if (!updatedUser) {
+        return res.status(404).json({ success: false, message: "User not found." });
+    }
+    res.locals.audit = {
+        before: AuditService.snapshot(previous, ['roles']),
+        after: AuditService.snapshot(updatedUser, ['roles'])
+    };
+
+    res.json({ success: true, message: "User roles updated successfully.", data: updatedUser });
+}));
+
+// Delete a user; staff who manage users. Users delete their own account
+// through DELETE /users/me.
+router.delete('/:id', authorize(PERMISSIONS.USERS_MANAGE), audit('user.delete', 'user'), asyncHandler(async (req, res) => {
     const deletedUser = await User.findByIdAndDelete(req.params.id);
     if (!deletedUser) {
         return res.status(404).json({ success: false, message: "User not found." });
@@ -0,0 +1,292 @@
+// routes/wishlist.js
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const router = express.Router();
+const WishlistService = require('../services/wishlistService');
+const CartService = require('../services/cartService');
+const { protect } = require('../middleware/auth');
+const { respondWithError } = require('../utils/httpError');
+
+// Mongoose validation errors (name too long, etc.) are the client's fault
+const respondWithListError = (res, error, logLabel) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    respondWithError(res, error, logLabel);
+};
+
+// ============================================
+// PUBLIC - shared lists (declared before the /:id routes)
+// ============================================
+
+/**
+ * @route   GET /api/wishlists/shared/:token
+ * @desc    A list opened from its share link
+ * @access  Public (lists with privacy link or public)
+ */
+router.get('/shared/:token', asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.getSharedList(req.params.token);
+        res.json({
+            success: true,
+            message: "List retrieved successfully.",
+            data: await WishlistService.buildView(list, { owner: false })
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Get shared list error');
+    }
+}));
+
+/**
+ * @route   GET /api/wishlists/user/:userId/public
+ * @desc    Lists a user shows on their profile
+ * @access  Public
+ */
+router.get('/user/:userId/public', asyncHandler(async (req, res) => {
+    try {
+        const lists = await WishlistService.getPublicListsForUser(req.params.userId);
+        res.json({
+            success: true,
+            message: "Lists retrieved successfully.",
+            data: await WishlistService.buildSummaries(lists)
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Get public lists error');
+    }
+}));
+
+// ============================================
+// OWNER - the signed-in user's lists. `saved` can be used in place of
+// a list id for the save-for-later list.
+// ============================================
+
+/**
+ * @route   GET /api/wishlists
+ * @desc    The user's lists (save-for-later first) with counts and previews
+ * @access  Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+    try {
+        const lists = await WishlistService.getListsForUser(req.user._id);
+        res.json({
+            success: true,
+            message: "Lists retrieved successfully.",
+            data: await WishlistService.buildSummaries(lists)
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Get lists error');
+    }
+}));
+
+/**
+ * @route   POST /api/wishlists
+ * @desc    Create a named list
+ * @body    { name, description?, privacy?: private | link | public }
+ * @access  Private
+ */
+router.post('/', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.createList(req.user._id, req.body);
+        res.status(201).json({
+            success: true,
+            message: "List created successfully.",
+            data: await WishlistService.buildView(list)
+        });
+    } catch (error) {
+        respondWithListError(res, error, 'Create list error');
+    }
+}));
+
+/**
+ * @route   POST /api/wishlists/from-cart
+ * @desc    Move a cart line to a list (save for later by default)
+ * @body    { cartItemId, listId? }
+ * @access  Private
+ */
+router.post('/from-cart', protect, asyncHandler(async (req, res) => {
+    const { cartItemId, listId } = req.body;
+
+    try {
+        const { list, cart } = await WishlistService.moveFromCart(req.user._id, cartItemId, listId);
+        res.json({
+            success: true,
+            message: `Moved to ${list.name}.`,
+            data: {
+                list: await WishlistService.buildView(list),
+                cart: await CartService.buildView(cart)
+            }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Move from cart error');
+    }
+}));
+
+/**
+ * @route   GET /api/wishlists/:id
+ * @desc    A list with live product details
+ * @access  Private (owner)
+ */
+router.get('/:id', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.getOwnedList(req.user._id, req.params.id);
+        res.json({
+            success: true,
+            message: "List retrieved successfully.",
+            data: await WishlistService.buildView(list)
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Get list error');
+    }
+}));
+
+/**
+ * @route   PUT /api/wishlists/:id
+ * @desc    Rename a list or change its privacy
+ * @body    { name?, description?, privacy? }
+ * @access  Private (owner)
+ */
+router.put('/:id', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.updateList(req.user._id, req.params.id, req.body);
+        res.json({
+            success: true,
+            message: "List updated successfully.",
+            data: await WishlistService.buildView(list)
+        });
+    } catch (error) {
+        respondWithListError(res, error, 'Update list error');
+    }
+}));
+
+/**
+ * @route   DELETE /api/wishlists/:id
+ * @desc    Delete a list and its items
+ * @access  Private (owner)
+ */
+router.delete('/:id', protect, asyncHandler(async (req, res) => {
+    try {
+        await WishlistService.deleteList(req.user._id, req.params.id);
+        res.json({ success: true, message: "List deleted successfully." });
+    } catch (error) {
+        respondWithError(res, error, 'Delete list error');
+    }
+}));
+
+/**
+ * @route   POST /api/wishlists/:id/share-link
+ * @desc    Replace the share link; the old link stops working
+ * @access  Private (owner)
+ */
+router.post('/:id/share-link', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.regenerateShareLink(req.user._id, req.params.id);
+        res.json({
+            success: true,
+            message: "Share link updated.",
+            data: { shareUrl: WishlistService.getShareUrl(list) }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Share link error');
+    }
+}));
+
+/**
+ * @route   POST /api/wishlists/:id/items
+ * @desc    Add a product to a list; an existing line's quantity is increased
+ * @body    { productId, variantId? | combinationId? | sku?, quantity?, note? }
+ * @access  Private (owner)
+ */
+router.post('/:id/items', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.addItem(req.user._id, req.params.id, req.body);
+        res.json({
+            success: true,
+            message: "Added to list.",
+            data: await WishlistService.buildView(list)
+        });
+    } catch (error) {
+        respondWithListError(res, error, 'Add list item error');
+    }
+}));
+
+/**
+ * @route   PATCH /api/wishlists/:id/items/:itemId
+ * @desc    Change a line's quantity or note
+ * @body    { quantity?, note? }
+ * @access  Private (owner)
+ */
+router.patch('/:id/items/:itemId', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.updateItem(req.user._id, req.params.id, req.params.itemId, req.body);
+        res.json({
+            success: true,
+            message: "List item updated.",
+            data: await WishlistService.buildView(list)
+        });
+    } catch (error) {
+        respondWithListError(res, error, 'Update list item error');
+    }
+}));
+
+/**
+ * @route   DELETE /api/wishlists/:id/items/:itemId
+ * @desc    Remove a line from a list
+ * @access  Private (owner)
+ */
+router.delete('/:id/items/:itemId', protect, asyncHandler(async (req, res) => {
+    try {
+        const list = await WishlistService.removeItem(req.user._id, req.params.id, req.params.itemId);
+        res.json({
+            success: true,
+            message: "Removed from list.",
+            data: await WishlistService.buildView(list)
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Remove list item error');
+    }
+}));
+
+/**
+ * @route   POST /api/wishlists/:id/items/:itemId/move
+ * @desc    Move a line to another of the user's lists
+ * @body    { targetListId }
+ * @access  Private (owner)
+ */
+router.post('/:id/items/:itemId/move', protect, asyncHandler(async (req, res) => {
+    try {
+        const { source, target } = await WishlistService.moveItem(
+            req.user._id, req.params.id, req.params.itemId, req.body.targetListId
+        );
+        res.json({
+            success: true,
+            message: `Moved to ${target.name}.`,
+            data: await WishlistService.buildView(source)
+        });
+    } catch (error) {
+        respondWithListError(res, error, 'Move list item error');
+    }
+}));
+
+/**
+ * @route   POST /api/wishlists/:id/items/:itemId/move-to-cart
+ * @desc    Move a line into the cart (stock is checked)
+ * @body    { quantity? } - defaults to the line's quantity
+ * @access  Private (owner)
+ */
+router.post('/:id/items/:itemId/move-to-cart', protect, asyncHandler(async (req, res) => {
+    try {
+        const { list, cart } = await WishlistService.moveToCart(req.user._id, req.params.id, req.params.itemId, req.body);
+        res.json({
+            success: true,
+            message: "Moved to cart.",
+            data: {
+                list: await WishlistService.buildView(list),
+                cart: await CartService.buildView(cart)
+            }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Move to cart error');
+    }
+}));
+
+module.exports = router;
@@ -22,6 +22,18 @@ mongoose.connect(process.env.MONGO_URL || 'mongodb://localhost:27017/yourdb')
       console.error('❌ Failed to create regular index:', error.message);
     }
 
+    // Products listed before popularity existed have no value, which keeps
+    // them out of the popular sort's cursor ($lt/$gt never match a missing field)
+    try {
+      const result = await Product.updateMany(
+        { popularity: { $exists: false } },
+        { $set: { popularity: 0 } }
+      );
+      console.log(`✅ Popularity set to 0 on ${result.modifiedCount} products`);
+    } catch (error) {
+      console.error('❌ Failed to backfill popularity:', error.message);
+    }
+
     // Verify indexes
     const indexes = await Product.collection.getIndexes();
     console.log('Current indexes:', JSON.stringify(indexes, null, 2));
@@ -0,0 +1,100 @@
+// scripts/migrateCarts.js
+// Converts carts saved by the old cart API (productID string, client-sent
+// price/productName/sellerName, variant name) to productId/variantId
+// references, merging duplicate lines on the way.
+const mongoose = require('mongoose');
+const Cart = require('../model/cart');
+const Product = require('../model/product');
+const Variant = require('../model/variant');
+require('dotenv').config();
+
+async function migrateCarts() {
+    // Same database as the app (index.js)
+    if (!process.env.MONGO_URL) {
+        console.error('❌ MONGO_URL is not set');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGO_URL);
+        console.log('🔗 Connected to MongoDB');
+
+        // Read raw documents - the old fields are no longer in the schema
+        const carts = await Cart.collection.find({ 'items.productID': { $exists: true } }).toArray();
+        console.log(`🛒 Found ${carts.length} carts to migrate`);
+
+        let updatedCount = 0;
+        let droppedLines = 0;
+        let errorCount = 0;
+
+        for (const cart of carts) {
+            try {
+                const items = [];
+
+                for (const item of cart.items || []) {
+                    const productId = item.productId || item.productID;
+                    if (!mongoose.Types.ObjectId.isValid(productId)) {
+                        droppedLines++;
+                        continue;
+                    }
+
+                    const product = await Product.findById(productId).select('proVariantId price offerPrice');
+                    if (!product) {
+                        droppedLines++;
+                        continue;
+                    }
+
+                    let variantId = item.variantId || null;
+                    if (!variantId && item.variant && product.proVariantId?.length) {
+                        const variant = await Variant.findOne({ _id: { $in: product.proVariantId }, name: item.variant }).select('_id');
+                        variantId = variant?._id || null;
+                    }
+
+                    const quantity = Math.max(parseInt(item.quantity) || 1, 1);
+                    const existing = items.find(line =>
+                        line.productId.toString() === product._id.toString() &&
+                        String(line.variantId || '') === String(variantId || '')
+                    );
+
+                    if (existing) {
+                        existing.quantity += quantity;
+                    } else {
+                        items.push({
+                            _id: item._id || new mongoose.Types.ObjectId(),
+                            productId: product._id,
+                            variantId,
+                            quantity,
+                            priceAtAdd: item.price,
+                            addedAt: cart._id.getTimestamp()
+                        });
+                    }
+                }
+
+                await Cart.collection.updateOne(
+                    { _id: cart._id },
+                    { $set: { items, updatedAt: new Date() } }
+                );
+                updatedCount++;
+
+            } catch (error) {
+                errorCount++;
+                console.error(`❌ Error migrating cart ${cart._id}:`, error.message);
+            }
+        }
+
+        console.log('\n📊 Migration Summary:');
+        console.log(`   ✅ Updated: ${updatedCount} carts`);
+        console.log(`   🗑️  Dropped: ${droppedLines} lines for missing products`);
+        console.log(`   ❌ Errors: ${errorCount} carts`);
+        console.log('\n🎉 Migration completed!');
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+}
+
+// Run the migration
+migrateCarts();
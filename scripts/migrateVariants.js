@@ -1,20 +1,82 @@
 // scripts/migrateVariants.js
+// 1. Converts proVariantId entries stored as strings to ObjectIds.
+// 2. Gives products that only have a proVariantId list one combination per
+//    variant. The product's stock is split evenly between them (the total is
+//    unchanged), so sellers should review the quantities afterwards.
+// 3. Points cart and wishlist lines with a variantId at the new combination.
+// Pass --dry-run to only report what would change.
 const mongoose = require('mongoose');
 const Product = require('../model/product');
+const Cart = require('../model/cart');
+const Wishlist = require('../model/wishlist');
 require('dotenv').config();
 
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// One combination per variant, sharing out the product's stock
+function buildCombinations(product) {
+    const variantIds = [...new Map(product.proVariantId.map(id => [id.toString(), id])).values()];
+    const total = Math.max(product.quantity || 0, 0);
+    const share = Math.floor(total / variantIds.length);
+    const remainder = total % variantIds.length;
+
+    return variantIds.map((variantId, index) => ({
+        variantIds: [variantId],
+        quantity: share + (index < remainder ? 1 : 0)
+    }));
+}
+
+// Set combinationId on lines for a converted product's variant
+async function relinkLines(Model, label, product) {
+    const combinationByVariant = new Map(
+        product.combinations.map(c => [c.variantIds[0].toString(), c._id])
+    );
+    const docs = await Model.find({
+        items: { $elemMatch: { productId: product._id, variantId: { $ne: null }, combinationId: null } }
+    });
+
+    let linesUpdated = 0;
+    for (const doc of docs) {
+        for (const item of doc.items) {
+            if (item.productId.toString() !== product._id.toString() || !item.variantId || item.combinationId) continue;
+
+            const combinationId = combinationByVariant.get(item.variantId.toString());
+            if (combinationId) {
+                item.combinationId = combinationId;
+                linesUpdated++;
+            }
+        }
+        if (!DRY_RUN) await doc.save();
+    }
+
+    if (linesUpdated > 0) {
+        console.log(`   🔗 ${linesUpdated} ${label} line(s) now use the new combinations`);
+    }
+    return linesUpdated;
+}
+
 async function migrateVariantIds() {
+    // Same database as the app (index.js)
+    if (!process.env.MONGO_URL) {
+        console.error('❌ MONGO_URL is not set');
+        process.exit(1);
+    }
+
     try {
-        await mongoose.connect(process.env.MONGODB_URI || 'your-mongodb-connection-string');
+        await mongoose.connect(process.env.MONGO_URL);
         console.log('🔗 Connected to MongoDB');
 
         const products = await Product.find({});
         console.log(`📦 Found ${products.length} products to check`);
 
         let updatedCount = 0;
+        let convertedCount = 0;
+        let linesCount = 0;
         let skippedCount = 0;
         let errorCount = 0;
 
+        if (DRY_RUN) console.log('🧪 Dry run - nothing will be saved');
+
         for (const product of products) {
             try {
                 if (!product.proVariantId || product.proVariantId.length === 0) {
@@ -47,11 +109,28 @@ async function migrateVariantIds() {
 
                 if (needsUpdate && convertedVariants.length > 0) {
                     product.proVariantId = convertedVariants;
-                    await product.save();
                     updatedCount++;
                     console.log(`✅ Updated product: ${product.name} (${product._id}) - ${convertedVariants.length} variants`);
-                } else {
+                }
+
+                const needsCombinations = product.combinations.length === 0 && product.proVariantId.length > 0;
+                if (needsCombinations) {
+                    product.combinations = buildCombinations(product);
+                    convertedCount++;
+                    console.log(`🧩 ${product.name} (${product._id}): ${product.combinations.length} combinations, ` +
+                        `quantities ${product.combinations.map(c => c.quantity).join('/')}`);
+                }
+
+                if (!needsUpdate && !needsCombinations) {
                     skippedCount++;
+                    continue;
+                }
+
+                if (!DRY_RUN) await product.save();
+
+                if (needsCombinations) {
+                    linesCount += await relinkLines(Cart, 'cart', product);
+                    linesCount += await relinkLines(Wishlist, 'wishlist', product);
                 }
 
             } catch (error) {
@@ -62,6 +141,8 @@ async function migrateVariantIds() {
 
         console.log('\n📊 Migration Summary:');
         console.log(`   ✅ Updated: ${updatedCount} products`);
+        console.log(`   🧩 Given combinations: ${convertedCount} products`);
+        console.log(`   🔗 Cart/wishlist lines relinked: ${linesCount}`);
         console.log(`   ⏭️  Skipped: ${skippedCount} products`);
         console.log(`   ❌ Errors: ${errorCount} products`);
         console.log('\n🎉 Migration completed!');
@@ -0,0 +1,65 @@
+// scripts/reportPasswordMigration.js
+// Reports how many accounts still hold a legacy plaintext password.
+// Those are rehashed the next time the user logs in; nothing is changed here.
+//
+//   node scripts/reportPasswordMigration.js          # counts only
+//   node scripts/reportPasswordMigration.js --list   # also list the accounts
+const mongoose = require('mongoose');
+const User = require('../model/user');
+require('dotenv').config();
+
+// Must match the prefix written by utils/password.js
+const HASHED = /^scrypt\$/;
+
+// Show only the last digits so the report can be shared safely
+const maskPhone = (phone = '') => phone.length > 4 ? `${'*'.repeat(phone.length - 4)}${phone.slice(-4)}` : phone;
+
+async function reportPasswordMigration() {
+    const listAccounts = process.argv.includes('--list');
+
+    try {
+        await mongoose.connect(process.env.MONGO_URL || 'mongodb://localhost:27017/yourdb');
+        console.log('🔗 Connected to MongoDB');
+
+        const unmigratedQuery = { password: { $not: HASHED } };
+
+        const [total, unmigrated, byAccountType] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments(unmigratedQuery),
+            User.aggregate([
+                { $match: unmigratedQuery },
+                { $group: { _id: '$accountType', count: { $sum: 1 } } },
+                { $sort: { count: -1 } }
+            ])
+        ]);
+
+        console.log('\n📊 Password Migration Report:');
+        console.log(`   👥 Accounts: ${total}`);
+        console.log(`   ✅ Hashed: ${total - unmigrated}`);
+        console.log(`   ⚠️  Still plaintext: ${unmigrated}`);
+        byAccountType.forEach(group => {
+            console.log(`      - ${group._id || 'unknown'}: ${group.count}`);
+        });
+
+        if (listAccounts && unmigrated > 0) {
+            const users = await User.find(unmigratedQuery)
+                .select('phoneNumber accountType createdAt')
+                .sort({ createdAt: 1 })
+                .lean();
+
+            console.log('\n📋 Unmigrated accounts:');
+            users.forEach(user => {
+                console.log(`   ${user._id}  ${maskPhone(user.phoneNumber)}  ${user.accountType}  ${user.createdAt?.toISOString?.() || ''}`);
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Report failed:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+}
+
+// Run the report
+reportPasswordMigration();
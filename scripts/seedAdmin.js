@@ -0,0 +1,71 @@
+// scripts/seedAdmin.js
+// Creates the first admin account, or gives an existing account the admin
+// role. Run once per environment; running it again is harmless.
+//
+//   ADMIN_PHONE=+23276000000 ADMIN_PASSWORD=... ADMIN_NAME="Site Admin" node scripts/seedAdmin.js
+//
+// Users listed in the old ADMIN_USER_IDS variable are promoted as well, so
+// admins from before roles existed keep their access.
+const mongoose = require('mongoose');
+const User = require('../model/user');
+const { hashPassword } = require('../utils/password');
+require('dotenv').config();
+
+async function seedAdmin() {
+    const phoneNumber = process.env.ADMIN_PHONE;
+    const password = process.env.ADMIN_PASSWORD;
+    const fullName = process.env.ADMIN_NAME || 'Administrator';
+    const legacyAdminIds = (process.env.ADMIN_USER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    if (!phoneNumber && legacyAdminIds.length === 0) {
+        console.error('❌ Set ADMIN_PHONE (and ADMIN_PASSWORD for a new account) or ADMIN_USER_IDS');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGO_URL || 'mongodb://localhost:27017/yourdb');
+        console.log('🔗 Connected to MongoDB');
+
+        if (phoneNumber) {
+            const existing = await User.findOne({ phoneNumber });
+
+            if (existing) {
+                await User.updateOne({ _id: existing._id }, { $addToSet: { roles: 'admin' } });
+                console.log(`✅ ${existing.fullName} (${existing._id}) is now an admin`);
+            } else if (!password) {
+                console.error(`❌ No account for ${phoneNumber}; set ADMIN_PASSWORD to create one`);
+            } else {
+                const admin = await User.create({
+                    phoneNumber,
+                    password: await hashPassword(password),
+                    fullName,
+                    accountType: 'buyer',
+                    roles: ['admin'],
+                    phoneVerified: true,
+                    phoneVerifiedAt: new Date()
+                });
+                console.log(`✅ Created admin ${admin.fullName} (${admin._id})`);
+            }
+        }
+
+        if (legacyAdminIds.length > 0) {
+            const result = await User.updateMany(
+                { _id: { $in: legacyAdminIds } },
+                { $addToSet: { roles: 'admin' } }
+            );
+            console.log(`✅ Promoted ${result.modifiedCount} of ${legacyAdminIds.length} users from ADMIN_USER_IDS`);
+        }
+
+    } catch (error) {
+        console.error('❌ Seeding admin failed:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+}
+
+// Run the seed
+seedAdmin();
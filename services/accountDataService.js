@@ -0,0 +1,418 @@
+// services/accountDataService.js
+const mongoose = require('mongoose');
+const User = require('../model/user');
+const Product = require('../model/product');
+const Review = require('../model/review');
+const Favorite = require('../model/favorite');
+const Wishlist = require('../model/wishlist');
+const Cart = require('../model/cart');
+const SearchHistory = require('../model/searchHistory');
+const AnalyticsEvent = require('../model/analytics');
+const Order = require('../model/order');
+const Dispute = require('../model/dispute');
+const Session = require('../model/session');
+const UserDevice = require('../model/userDevice');
+const Otp = require('../model/otp');
+const NotificationCooldown = require('../model/notificationCooldown');
+const AccountDeletion = require('../model/accountDeletion');
+const SellerVerification = require('../model/sellerVerification');
+const { Conversation, Message, UserStatus } = require('../model/message');
+const SessionService = require('./sessionService');
+const LedgerService = require('./ledgerService');
+const { deleteFromCloudinary, extractPublicId } = require('../utils/cloudinaryUpload');
+const { createError } = require('../utils/httpError');
+
+// A deletion job gives up after ACCOUNT_DELETION_MAX_ATTEMPTS failed runs
+// (an admin can see it as failed). A run holding the job longer than
+// ACCOUNT_DELETION_LOCK_MINUTES is assumed dead and taken over.
+const ACCOUNT_DELETION_MAX_ATTEMPTS = parseInt(process.env.ACCOUNT_DELETION_MAX_ATTEMPTS) || 5;
+const ACCOUNT_DELETION_LOCK_MINUTES = parseInt(process.env.ACCOUNT_DELETION_LOCK_MINUTES) || 30;
+
+// Shown on reviews whose author deleted their account
+const DELETED_USER_NAME = 'Former customer';
+
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'packed', 'out_for_delivery'];
+
+const MEDIA_FIELDS = {
+  image: { field: 'imageUrl', resourceType: 'image' },
+  video: { field: 'videoUrl', resourceType: 'video' },
+  voice: { field: 'voiceUrl', resourceType: 'video' },
+  document: { field: 'documentUrl', resourceType: 'raw' }
+};
+
+// Deletion runs these in order. Each step only touches records still
+// pointing at the user, so running one twice is harmless. Orders, payments,
+// payouts and disputes are kept: they are the other party's and the
+// market's financial records.
+const DELETION_STEPS = ['sessions', 'media', 'products', 'messages', 'reviews', 'personal_data', 'account'];
+
+class AccountDataService {
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  /**
+   * Everything we hold about a user, as one JSON document
+   */
+  static async buildExport(userId) {
+    const user = await User.findById(userId).select('-password').lean();
+    if (!user) {
+      throw createError(404, 'User not found.');
+    }
+
+    const [
+      products, reviews, favorites, wishlists, searchHistory,
+      analyticsEvents, orders, sessions, conversations, sellerVerifications
+    ] = await Promise.all([
+      Product.find({ sellerId: userId }).lean(),
+      Review.find({ userId }).lean(),
+      Favorite.find({ userId }).select('productId addedAt').lean(),
+      Wishlist.find({ userId }).lean(),
+      SearchHistory.find({ userId }).select('query resultCount isSaved searchType createdAt').sort({ createdAt: -1 }).lean(),
+      AnalyticsEvent.find({ userId }).select('productId action metadata timestamp').sort({ timestamp: -1 }).lean(),
+      Order.find({ buyerId: userId }).select('-statusHistory').sort({ createdAt: -1 }).lean(),
+      SessionService.listForUser(userId),
+      this.exportConversations(userId),
+      SellerVerification.find({ sellerId: userId }).select('-documents.publicId').sort({ createdAt: -1 }).lean()
+    ]);
+
+    return {
+      exportedAt: new Date(),
+      profile: user,
+      products,
+      reviews,
+      favorites,
+      wishlists,
+      searchHistory,
+      conversations,
+      analyticsEvents,
+      orders,
+      sessions,
+      sellerVerifications
+    };
+  }
+
+  /**
+   * The user's conversations with their messages. Messages the user deleted
+   * for themselves are still included - we still hold them.
+   */
+  static async exportConversations(userId) {
+    const conversations = await Conversation.find({ participants: userId })
+      .select('buyerId sellerId productId status createdAt updatedAt')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const messages = await Message.find({ conversationId: { $in: conversations.map(c => c._id.toString()) } })
+      .select('conversationId sender messageType content status createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const byConversation = new Map();
+    for (const message of messages) {
+      const list = byConversation.get(message.conversationId) || [];
+      list.push({
+        _id: message._id,
+        fromMe: message.sender?.toString() === userId.toString(),
+        messageType: message.messageType,
+        content: message.content,
+        status: message.status,
+        createdAt: message.createdAt
+      });
+      byConversation.set(message.conversationId, list);
+    }
+
+    return conversations.map(conversation => ({
+      _id: conversation._id,
+      role: conversation.buyerId?.toString() === userId.toString() ? 'buyer' : 'seller',
+      productId: conversation.productId,
+      status: conversation.status,
+      createdAt: conversation.createdAt,
+      messages: byConversation.get(conversation._id.toString()) || []
+    }));
+  }
+
+  // ============================================
+  // DELETION
+  // ============================================
+
+  /**
+   * Throws 409 while the user still has business in progress
+   */
+  static async assertCanDelete(userId) {
+    const [openOrder, activeDispute, balance] = await Promise.all([
+      Order.exists({ $or: [{ buyerId: userId }, { sellerId: userId }], status: { $in: OPEN_ORDER_STATUSES } }),
+      Dispute.exists({ $or: [{ buyerId: userId }, { sellerId: userId }], status: { $in: Dispute.ACTIVE_STATUSES } }),
+      LedgerService.getBalance(userId)
+    ]);
+
+    if (openOrder) {
+      throw createError(409, 'You have orders in progress. Please wait until they are completed or cancelled.');
+    }
+    if (activeDispute) {
+      throw createError(409, 'You have an open dispute. Please wait until it is resolved.');
+    }
+    if (balance.pending > 0 || balance.available > 0 || balance.reserved > 0) {
+      throw createError(409, 'You still have a seller balance. Please withdraw it before deleting your account.');
+    }
+  }
+
+  /**
+   * Accept a deletion request: the account is locked and signed out
+   * everywhere at once, the rest happens in the background
+   */
+  static async requestDeletion(user) {
+    await this.assertCanDelete(user._id);
+
+    await User.updateOne(
+      { _id: user._id, deletionRequestedAt: null },
+      { $set: { deletionRequestedAt: new Date() } }
+    );
+
+    const job = await AccountDeletion.findOneAndUpdate(
+      { userId: user._id },
+      { $setOnInsert: { anonymousId: new mongoose.Types.ObjectId(), status: 'pending' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await SessionService.revokeAllForUser(user._id, 'account_deleted');
+
+    setImmediate(() => {
+      this.runJob(job._id).catch(error => console.error('❌ Account deletion error:', error));
+    });
+
+    return job;
+  }
+
+  /**
+   * Take the job if nobody else is running it. Returns null otherwise.
+   */
+  static claimJob(jobId) {
+    const now = new Date();
+    return AccountDeletion.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: 'pending' },
+          { status: 'failed', attempts: { $lt: ACCOUNT_DELETION_MAX_ATTEMPTS } },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedUntil: new Date(now.getTime() + ACCOUNT_DELETION_LOCK_MINUTES * 60 * 1000) },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run the steps a job hasn't finished yet
+   */
+  static async runJob(jobId) {
+    const job = await this.claimJob(jobId);
+    if (!job) return null;
+
+    const ids = { userId: job.userId, anonymousId: job.anonymousId };
+
+    for (const step of DELETION_STEPS) {
+      if (job.completedSteps.includes(step)) continue;
+
+      try {
+        const result = await this.runStep(step, ids);
+        await AccountDeletion.updateOne(
+          { _id: job._id },
+          { $addToSet: { completedSteps: step }, $set: { [`stats.${step}`]: result } }
+        );
+      } catch (error) {
+        console.error(`❌ Account deletion ${job._id} failed at ${step}:`, error.message);
+        await AccountDeletion.updateOne(
+          { _id: job._id },
+          { $set: { status: 'failed', lastError: `${step}: ${error.message}`, lockedUntil: null } }
+        );
+        return null;
+      }
+    }
+
+    // The link between the user and their anonymised content goes last
+    await AccountDeletion.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: 'completed', completedAt: new Date(), lockedUntil: null },
+        $unset: { anonymousId: 1, lastError: 1 }
+      }
+    );
+    console.log(`✅ Account deletion ${job._id} completed`);
+    return job._id;
+  }
+
+  /**
+   * Pick up jobs that failed or whose worker died (called by the scheduler)
+   */
+  static async resumePending() {
+    const now = new Date();
+    const jobs = await AccountDeletion.find({
+      $or: [
+        { status: 'pending' },
+        { status: 'failed', attempts: { $lt: ACCOUNT_DELETION_MAX_ATTEMPTS } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    }).select('_id').limit(20).lean();
+
+    let completed = 0;
+    for (const job of jobs) {
+      if (await this.runJob(job._id)) completed++;
+    }
+
+    if (jobs.length > 0) {
+      console.log(`🗑️ Account deletions: ${completed}/${jobs.length} resumed jobs completed`);
+    }
+    return completed;
+  }
+
+  static runStep(step, ids) {
+    switch (step) {
+      case 'sessions': return this.removeSessionsAndDevices(ids);
+      case 'media': return this.deleteMedia(ids);
+      case 'products': return this.deleteProducts(ids);
+      case 'messages': return this.anonymiseMessages(ids);
+      case 'reviews': return this.anonymiseReviews(ids);
+      case 'personal_data': return this.deletePersonalData(ids);
+      case 'account': return this.deleteAccount(ids);
+      default: throw new Error(`Unknown deletion step ${step}`);
+    }
+  }
+
+  static async removeSessionsAndDevices({ userId }) {
+    await SessionService.revokeAllForUser(userId, 'account_deleted');
+    const [sessions, devices] = await Promise.all([
+      Session.deleteMany({ userId }),
+      UserDevice.deleteMany({ userId })
+    ]);
+    return { sessions: sessions.deletedCount, devices: devices.deletedCount };
+  }
+
+  /**
+   * Product images, verification documents and the files the user sent in
+   * chats. Cloudinary answers "not found" for files already gone, so a
+   * resumed run just moves past them.
+   */
+  static async deleteMedia({ userId }) {
+    let deleted = 0;
+
+    const products = await Product.find({ sellerId: userId }).select('images').lean();
+    for (const product of products) {
+      for (const image of product.images || []) {
+        const publicId = image.publicId || extractPublicId(image.url);
+        if (!publicId) continue;
+        await deleteFromCloudinary(publicId);
+        deleted++;
+      }
+    }
+
+    const messages = await Message.find({ sender: userId, messageType: { $in: Object.keys(MEDIA_FIELDS) } })
+      .select('messageType content')
+      .lean();
+    for (const message of messages) {
+      const { field, resourceType } = MEDIA_FIELDS[message.messageType];
+      const publicId = message.content?.publicId || extractPublicId(message.content?.[field]);
+      if (!publicId) continue;
+      await deleteFromCloudinary(publicId, resourceType);
+      deleted++;
+    }
+
+    const verifications = await SellerVerification.find({ sellerId: userId }).select('documents').lean();
+    for (const document of verifications.flatMap(request => request.documents)) {
+      await deleteFromCloudinary(document.publicId, document.resourceType, 'authenticated');
+      deleted++;
+    }
+
+    return { files: deleted };
+  }
+
+  static async deleteProducts({ userId }) {
+    const result = await Product.deleteMany({ sellerId: userId });
+    return { products: result.deletedCount };
+  }
+
+  /**
+   * Conversations stay readable for the other participant. The user's side
+   * is re-attributed to an anonymous id and their media messages, whose
+   * files are gone by now, are marked deleted.
+   */
+  static async anonymiseMessages({ userId, anonymousId }) {
+    const mediaUrls = Object.fromEntries(Object.values(MEDIA_FIELDS).map(({ field }) => [`content.${field}`, 1]));
+
+    await Message.updateMany(
+      { sender: userId, messageType: { $ne: 'text' } },
+      { $set: { isDeleted: true, deletedAt: new Date() }, $unset: mediaUrls }
+    );
+    const messages = await Message.updateMany({ sender: userId }, { $set: { sender: anonymousId } });
+    await Message.updateMany(
+      { deletedBy: userId },
+      { $set: { 'deletedBy.$[deleted]': anonymousId } },
+      { arrayFilters: [{ deleted: userId }] }
+    );
+
+    const conversations = await Conversation.updateMany(
+      { participants: userId },
+      {
+        $set: { 'participants.$[participant]': anonymousId },
+        $unset: { [`unreadCounts.${userId}`]: 1 }
+      },
+      { arrayFilters: [{ participant: userId }] }
+    );
+    await Conversation.updateMany({ buyerId: userId }, { $set: { buyerId: anonymousId } });
+    await Conversation.updateMany({ sellerId: userId }, { $set: { sellerId: anonymousId } });
+    await Conversation.updateMany({ 'lastMessage.sender': userId }, { $set: { 'lastMessage.sender': anonymousId } });
+    await Conversation.updateMany(
+      { deletedBy: userId },
+      { $set: { 'deletedBy.$[deleted]': anonymousId } },
+      { arrayFilters: [{ deleted: userId }] }
+    );
+    await UserStatus.deleteOne({ userId });
+
+    return { messages: messages.modifiedCount, conversations: conversations.modifiedCount };
+  }
+
+  static async anonymiseReviews({ userId, anonymousId }) {
+    const result = await Review.updateMany(
+      { userId },
+      { $set: { userId: anonymousId, buyerName: DELETED_USER_NAME } }
+    );
+    return { reviews: result.modifiedCount };
+  }
+
+  static async deletePersonalData({ userId }) {
+    const user = await User.findById(userId).select('phoneNumber').lean();
+
+    const [carts, favorites, wishlists, searches, events, , , verifications] = await Promise.all([
+      Cart.deleteMany({ userID: userId }),
+      Favorite.deleteMany({ userId }),
+      Wishlist.deleteMany({ userId }),
+      SearchHistory.deleteMany({ userId }),
+      AnalyticsEvent.updateMany({ userId }, { $unset: { userId: 1, ipAddress: 1, userAgent: 1 } }),
+      NotificationCooldown.deleteMany({ userId }),
+      user ? Otp.deleteMany({ phoneNumber: user.phoneNumber }) : null,
+      SellerVerification.deleteMany({ sellerId: userId })
+    ]);
+
+    return {
+      carts: carts.deletedCount,
+      favorites: favorites.deletedCount,
+      wishlists: wishlists.deletedCount,
+      searches: searches.deletedCount,
+      analyticsEvents: events.modifiedCount,
+      sellerVerifications: verifications.deletedCount
+    };
+  }
+
+  static async deleteAccount({ userId }) {
+    const result = await User.deleteOne({ _id: userId });
+    return { user: result.deletedCount };
+  }
+}
+
+AccountDataService.DELETION_STEPS = DELETION_STEPS;
+
+module.exports = AccountDataService;
@@ -0,0 +1,27 @@
+// services/accountScheduler.js
+const cron = require('node-cron');
+const AccountDataService = require('./accountDataService');
+
+class AccountScheduler {
+
+  /**
+   * Start the account deletion sweep
+   */
+  static start() {
+    console.log('🕐 Starting account scheduler...');
+
+    // Deletions normally run right after the request; this resumes the ones
+    // a restart or an outage interrupted
+    cron.schedule('*/10 * * * *', async () => {
+      try {
+        await AccountDataService.resumePending();
+      } catch (error) {
+        console.error('❌ resumePending error:', error);
+      }
+    });
+
+    console.log('✅ Account scheduler started (deletion jobs resumed every 10 minutes)');
+  }
+}
+
+module.exports = AccountScheduler;
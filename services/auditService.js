@@ -0,0 +1,151 @@
+// services/auditService.js
+const mongoose = require('mongoose');
+const AuditLog = require('../model/auditLog');
+const { getUserRoles } = require('../config/roles');
+const { extractIPAddress } = require('../utils/analyticsHelper');
+const { createError } = require('../utils/httpError');
+
+// CSV exports stop at this many rows; narrow the filters for more
+const MAX_EXPORT_ROWS = 10000;
+
+// Product fields compared for product.* entries
+const PRODUCT_FIELDS = [
+  'name', 'description', 'price', 'offerPrice', 'quantity', 'proCategoryId',
+  'proSubCategoryId', 'sellerId', 'sellerName', 'images', 'combinations', 'status'
+];
+
+const comparable = (value) => JSON.stringify(value ?? null);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class AuditService {
+
+  /**
+   * Plain copy of the given fields of a document, for before/after
+   */
+  static snapshot(doc, fields) {
+    if (!doc) return null;
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return Object.fromEntries(fields.map(field => [field, source[field] ?? null]));
+  }
+
+  /**
+   * Fields that differ between two snapshots, as { field: { from, to } }.
+   * A missing side (create or delete) shows as null.
+   */
+  static diff(before, after) {
+    if (!before && !after) return undefined;
+
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+      if (comparable(from) !== comparable(to)) {
+        changes[field] = { from, to };
+      }
+    }
+    return Object.keys(changes).length > 0 ? changes : undefined;
+  }
+
+  /**
+   * Add an entry for the request's user ({ action, targetType, targetId?,
+   * before?, after?, metadata? }). Failing to write the log never fails
+   * the request that is being logged.
+   */
+  static async record(req, { action, targetType, targetId, before, after, metadata }) {
+    try {
+      return await AuditLog.create({
+        actorId: req.user?._id,
+        actorRoles: getUserRoles(req.user),
+        action,
+        targetType,
+        targetId: targetId?.toString(),
+        changes: this.diff(before, after),
+        metadata,
+        method: req.method,
+        path: req.originalUrl,
+        ipAddress: extractIPAddress(req),
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      console.error(`⚠️ Audit log write failed (${action}):`, error.message);
+      return null;
+    }
+  }
+
+  static buildFilter({ actorId, action, targetType, targetId, from, to } = {}) {
+    const filter = {};
+
+    if (actorId) {
+      if (!mongoose.Types.ObjectId.isValid(actorId)) {
+        throw createError(400, 'Invalid actorId.');
+      }
+      filter.actorId = actorId;
+    }
+    // product.* matches every product action
+    if (action?.endsWith('.*')) {
+      filter.action = { $regex: `^${escapeRegex(action.slice(0, -2))}\\.` };
+    } else if (action) {
+      filter.action = action;
+    }
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        throw createError(400, 'Invalid from/to date.');
+      }
+    }
+
+    return filter;
+  }
+
+  /**
+   * Newest entries first ({ actorId, action, targetType, targetId, from, to, page, limit })
+   */
+  static async list(query = {}) {
+    const filter = this.buildFilter(query);
+    const pageNum = Math.max(parseInt(query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actorId', 'fullName phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Entries for a CSV export, newest first, capped at MAX_EXPORT_ROWS
+   */
+  static async listForExport(query = {}) {
+    return AuditLog.find(this.buildFilter(query))
+      .populate('actorId', 'fullName phoneNumber')
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+  }
+}
+
+AuditService.MAX_EXPORT_ROWS = MAX_EXPORT_ROWS;
+AuditService.PRODUCT_FIELDS = PRODUCT_FIELDS;
+
+module.exports = AuditService;
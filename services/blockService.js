@@ -0,0 +1,157 @@
+// services/blockService.js
+const mongoose = require('mongoose');
+const NodeCache = require('node-cache');
+const Block = require('../model/block');
+const Product = require('../model/product');
+const User = require('../model/user');
+const { Conversation } = require('../model/message');
+const { createError } = require('../utils/httpError');
+
+const MAX_BLOCKS = 500;
+
+// Feed and search ask for a viewer's block list on every request
+const blockedIdsCache = new NodeCache({ stdTTL: 60 });
+
+const sellerIdOf = (product) => (product?.sellerId?._id || product?.sellerId)?.toString();
+
+class BlockService {
+
+  static async block(blockerId, blockedId) {
+    if (!mongoose.Types.ObjectId.isValid(blockedId)) {
+      throw createError(400, 'Invalid user ID.');
+    }
+    if (blockerId.toString() === blockedId.toString()) {
+      throw createError(400, "You can't block yourself.");
+    }
+
+    const [target, count] = await Promise.all([
+      User.exists({ _id: blockedId }),
+      Block.countDocuments({ blockerId })
+    ]);
+    if (!target) {
+      throw createError(404, 'User not found.');
+    }
+    if (count >= MAX_BLOCKS) {
+      throw createError(400, `You can block at most ${MAX_BLOCKS} users.`);
+    }
+
+    try {
+      await Block.create({ blockerId, blockedId });
+    } catch (error) {
+      // Already blocked
+      if (error.code !== 11000) throw error;
+    }
+
+    await Conversation.updateMany(
+      { participants: { $all: [blockerId, blockedId] } },
+      { $set: { status: 'blocked' } }
+    );
+    blockedIdsCache.del(blockerId.toString());
+  }
+
+  /**
+   * Lift a block. Conversations reopen unless the other user blocked back.
+   */
+  static async unblock(blockerId, blockedId) {
+    if (!mongoose.Types.ObjectId.isValid(blockedId)) {
+      throw createError(400, 'Invalid user ID.');
+    }
+
+    const result = await Block.deleteOne({ blockerId, blockedId });
+    if (result.deletedCount === 0) {
+      throw createError(404, 'This user is not blocked.');
+    }
+
+    const blockedBack = await Block.exists({ blockerId: blockedId, blockedId: blockerId });
+    if (!blockedBack) {
+      await Conversation.updateMany(
+        { participants: { $all: [blockerId, blockedId] }, status: 'blocked' },
+        { $set: { status: 'active' } }
+      );
+    }
+    blockedIdsCache.del(blockerId.toString());
+  }
+
+  static async listBlocked(blockerId) {
+    const blocks = await Block.find({ blockerId })
+      .populate('blockedId', 'fullName accountType businessInfo.businessName')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return blocks
+      .filter(block => block.blockedId)
+      .map(block => ({
+        userId: block.blockedId._id,
+        fullName: block.blockedId.fullName,
+        businessName: block.blockedId.businessInfo?.businessName || null,
+        blockedAt: block.createdAt
+      }));
+  }
+
+  /**
+   * True when either user has blocked the other
+   */
+  static async isBlockedBetween(userA, userB) {
+    if (!userA || !userB) return false;
+    const block = await Block.exists({
+      $or: [
+        { blockerId: userA, blockedId: userB },
+        { blockerId: userB, blockedId: userA }
+      ]
+    });
+    return Boolean(block);
+  }
+
+  /**
+   * Ids (strings) of the users someone blocked; [] for guests
+   */
+  static async getBlockedIds(userId) {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) return [];
+
+    const key = userId.toString();
+    const cached = blockedIdsCache.get(key);
+    if (cached) return cached;
+
+    const blocks = await Block.find({ blockerId: userId }).select('blockedId').lean();
+    const ids = blocks.map(block => block.blockedId.toString());
+    blockedIdsCache.set(key, ids);
+    return ids;
+  }
+
+  /**
+   * Query condition leaving out products sold by users the viewer blocked;
+   * {} for guests. Lists paged in the database need it in the query itself,
+   * filtering after skip/limit leaves their pages short. The ids are
+   * ObjectIds so the condition also works in aggregation pipelines.
+   */
+  static async sellerFilter(viewerId) {
+    const blockedIds = await this.getBlockedIds(viewerId);
+    if (blockedIds.length === 0) return {};
+    return { sellerId: { $nin: blockedIds.map(id => new mongoose.Types.ObjectId(id)) } };
+  }
+
+  /**
+   * Ids of the products sold by users the viewer blocked, for lists paged
+   * over documents that point at products (sponsorships, analytics events)
+   */
+  static async getBlockedProductIds(viewerId) {
+    const blockedIds = await this.getBlockedIds(viewerId);
+    if (blockedIds.length === 0) return [];
+    return Product.distinct('_id', { sellerId: { $in: blockedIds } });
+  }
+
+  /**
+   * Drop products sold by users the viewer blocked. Only for results that
+   * were cached before the viewer's latest blocks; everything else filters
+   * in the query (sellerFilter).
+   */
+  static async hideBlockedSellers(products, viewerId) {
+    const blockedIds = await this.getBlockedIds(viewerId);
+    if (blockedIds.length === 0) return products;
+
+    const blocked = new Set(blockedIds);
+    return products.filter(product => !blocked.has(sellerIdOf(product)));
+  }
+}
+
+module.exports = BlockService;
@@ -0,0 +1,512 @@
+// services/cartService.js
+const mongoose = require('mongoose');
+const Cart = require('../model/cart');
+const Product = require('../model/product');
+const Variant = require('../model/variant');
+const { createError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const MAX_LINE_QUANTITY = 99;
+
+// Guest tokens are generated by the app (e.g. a UUID per install)
+const GUEST_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+class CartService {
+
+  /**
+   * List and offer price of a product, or of one of its combinations. A
+   * combination with its own price doesn't inherit the product's offer.
+   */
+  static getPricing(product, combination) {
+    if (combination && combination.price !== undefined && combination.price !== null) {
+      return { price: combination.price, offerPrice: combination.offerPrice };
+    }
+    return { price: product.price, offerPrice: combination?.offerPrice ?? product.offerPrice };
+  }
+
+  /**
+   * Price a buyer pays for one unit of a product (or combination) right now
+   */
+  static getUnitPrice(product, combination) {
+    const { price, offerPrice } = this.getPricing(product, combination);
+    if (offerPrice && offerPrice > 0 && offerPrice < price) {
+      return offerPrice;
+    }
+    return price;
+  }
+
+  /**
+   * A product's combination by id; works on lean products too
+   */
+  static findCombination(product, combinationId) {
+    if (!combinationId) return null;
+    return (product.combinations || []).find(c => c._id.toString() === combinationId.toString()) || null;
+  }
+
+  /**
+   * Whether a stored line still points at something buyable: a product on
+   * sale, and one of its combinations if it has them
+   */
+  static isLineAvailable(product, combination) {
+    return Product.isListed(product) && Boolean(combination) === Boolean(product.combinations?.length);
+  }
+
+  /**
+   * Units a buyer can take of a product, or of one of its combinations
+   */
+  static availableQuantity(product, combination) {
+    return Math.max((combination || product).quantity, 0);
+  }
+
+  /**
+   * Parse a requested quantity; throws 400 unless it's a whole number in range
+   */
+  static parseQuantity(value, { allowZero = false } = {}) {
+    const quantity = value === undefined ? 1 : Number(value);
+    const min = allowZero ? 0 : 1;
+
+    if (!Number.isInteger(quantity) || quantity < min || quantity > MAX_LINE_QUANTITY) {
+      throw createError(400, `Quantity must be a whole number between ${min} and ${MAX_LINE_QUANTITY}.`);
+    }
+    return quantity;
+  }
+
+  /**
+   * Work out which product and variant a request refers to. Accepts the
+   * old Flutter payload too ({ productID, variant: '<variant name>' }).
+   * Products with combinations need one, by combinationId or sku; a single
+   * variantId/variant also picks the combination of just that variant.
+   */
+  static async resolveLine({ productId, productID, variantId, variant, combinationId, sku }) {
+    const id = productId || productID;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createError(400, 'A valid productId is required.');
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+      throw createError(404, 'Product not found.');
+    }
+    if (!Product.isListed(product)) {
+      throw createError(400, 'This product is no longer available.');
+    }
+
+    const productVariantIds = (product.proVariantId || []).map(v => v.toString());
+    let resolvedVariantId = null;
+
+    if (variantId) {
+      if (!productVariantIds.includes(String(variantId))) {
+        throw createError(400, 'This variant is not available for the product.');
+      }
+      resolvedVariantId = new mongoose.Types.ObjectId(String(variantId));
+    } else if (variant && productVariantIds.length > 0) {
+      const match = await Variant.findOne({ _id: { $in: productVariantIds }, name: variant }).select('_id');
+      if (!match) {
+        throw createError(400, 'This variant is not available for the product.');
+      }
+      resolvedVariantId = match._id;
+    }
+
+    if (!product.combinations || product.combinations.length === 0) {
+      return { product, variantId: resolvedVariantId, combination: null };
+    }
+
+    let combination = null;
+    if (combinationId) {
+      combination = this.findCombination(product, combinationId);
+    } else if (sku) {
+      combination = product.combinations.find(c => c.sku === String(sku).trim());
+    } else if (resolvedVariantId) {
+      combination = product.combinations.find(c =>
+        c.variantIds.length === 1 && c.variantIds[0].toString() === resolvedVariantId.toString());
+    } else {
+      throw createError(400, 'Choose one of the options for this product.');
+    }
+
+    if (!combination) {
+      throw createError(400, 'This option is not available for the product.');
+    }
+
+    return {
+      product,
+      variantId: combination.variantIds.length === 1 ? combination.variantIds[0] : null,
+      combination
+    };
+  }
+
+  static isSameLine(item, productId, variantId, combinationId) {
+    return item.productId.toString() === productId.toString()
+      && String(item.variantId || '') === String(variantId || '')
+      && String(item.combinationId || '') === String(combinationId || '');
+  }
+
+  /**
+   * Units of a product (or of one combination of it) already in the cart
+   */
+  static quantityInCart(cart, productId, combinationId, excludeItemId) {
+    return cart.items
+      .filter(item => item.productId.toString() === productId.toString())
+      .filter(item => !combinationId || String(item.combinationId || '') === combinationId.toString())
+      .filter(item => !excludeItemId || item._id.toString() !== excludeItemId.toString())
+      .reduce((sum, item) => sum + item.quantity, 0);
+  }
+
+  static assertInStock(product, requested, combination) {
+    const available = this.availableQuantity(product, combination);
+    if (requested > available) {
+      throw createError(409, available > 0
+        ? `Only ${available} left in stock.`
+        : 'This product is out of stock.', [{
+        productId: product._id,
+        productName: product.name,
+        combinationId: combination?._id,
+        sku: combination?.sku,
+        requested,
+        available
+      }]);
+    }
+  }
+
+  /**
+   * Cart owner filter for a guest token; throws 400 for malformed tokens
+   */
+  static guestOwner(token) {
+    if (!GUEST_TOKEN_PATTERN.test(token || '')) {
+      throw createError(400, 'Invalid guest cart token.');
+    }
+    return { guestToken: token };
+  }
+
+  /**
+   * Owner is { userID } for a signed-in user or { guestToken } for a guest
+   */
+  static async getOrCreateCart(owner, session) {
+    return await Cart.findOne(owner).session(session || null) || new Cart({ ...owner, items: [] });
+  }
+
+  /**
+   * Add a product to the cart. Adding a product/variant that is already
+   * there increases that line's quantity instead of adding a second line.
+   */
+  static async addItem(owner, input) {
+    const quantity = this.parseQuantity(input.quantity);
+    const { product, variantId, combination } = await this.resolveLine(input);
+    const cart = await this.getOrCreateCart(owner);
+
+    this.assertInStock(product, this.quantityInCart(cart, product._id, combination?._id) + quantity, combination);
+
+    const existing = cart.items.find(item => this.isSameLine(item, product._id, variantId, combination?._id));
+    if (existing) {
+      if (existing.quantity + quantity > MAX_LINE_QUANTITY) {
+        throw createError(400, `You can add at most ${MAX_LINE_QUANTITY} of one item.`);
+      }
+      existing.quantity += quantity;
+      existing.priceAtAdd = this.getUnitPrice(product, combination);
+    } else {
+      cart.items.push({
+        productId: product._id,
+        variantId,
+        combinationId: combination?._id || null,
+        quantity,
+        priceAtAdd: this.getUnitPrice(product, combination)
+      });
+    }
+
+    await cart.save();
+    return cart;
+  }
+
+  /**
+   * Set a line's quantity; 0 removes the line
+   */
+  static async updateQuantity(owner, itemId, value) {
+    const quantity = this.parseQuantity(value, { allowZero: true });
+
+    const cart = await Cart.findOne(owner);
+    const item = cart?.items.id(itemId);
+    if (!item) {
+      throw createError(404, 'Cart item not found.');
+    }
+
+    if (quantity === 0) {
+      item.deleteOne();
+    } else {
+      const product = await Product.findById(item.productId);
+      const combination = product && this.findCombination(product, item.combinationId);
+      if (!this.isLineAvailable(product, combination)) {
+        throw createError(404, 'Product is no longer available.');
+      }
+
+      this.assertInStock(product, this.quantityInCart(cart, product._id, combination?._id, item._id) + quantity, combination);
+      item.quantity = quantity;
+      item.priceAtAdd = this.getUnitPrice(product, combination);
+    }
+
+    await cart.save();
+    return cart;
+  }
+
+  static async removeItem(owner, itemId) {
+    const cart = await Cart.findOne(owner);
+    if (!cart) {
+      throw createError(404, 'Cart not found');
+    }
+
+    cart.items = cart.items.filter(item => item._id.toString() !== itemId);
+    await cart.save();
+    return cart;
+  }
+
+  static async clear(owner) {
+    const cart = await Cart.findOne(owner);
+    if (!cart) {
+      throw createError(404, 'Cart not found');
+    }
+
+    cart.items = [];
+    await cart.save();
+    return cart;
+  }
+
+  /**
+   * Fold a guest cart into a user's cart after they log in, then delete it.
+   * Conflict rules:
+   *   - same product and variant on both: quantities are added together
+   *   - every product is capped at its current stock (and MAX_LINE_QUANTITY
+   *     per line); lines that end up with nothing are dropped
+   *   - lines for deleted or unlisted products, or removed combinations,
+   *     are dropped
+   *   - merged lines take the current price as the price the buyer has seen
+   * Returns null when there was no guest cart to merge.
+   */
+  static async mergeGuestCart(guestToken, userId) {
+    const owner = this.guestOwner(guestToken);
+    const session = await mongoose.startSession();
+
+    try {
+      let result = null;
+
+      // Taking the guest cart and saving the merged one commit together, so
+      // a repeated login can't merge it twice and a failure loses nothing
+      await session.withTransaction(async () => {
+        result = await this.mergeGuestCartInSession(owner, userId, session);
+      });
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * mergeGuestCart's work, inside its transaction
+   */
+  static async mergeGuestCartInSession(owner, userId, session) {
+    const guestCart = await Cart.findOneAndDelete(owner, { session });
+    if (!guestCart || guestCart.items.length === 0) {
+      return null;
+    }
+
+    const cart = await this.getOrCreateCart({ userID: userId }, session);
+    const products = await Product.find({ _id: { $in: guestCart.items.map(item => item.productId) } })
+      .select('price offerPrice quantity combinations status moderation')
+      .session(session);
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const result = { addedLines: 0, mergedLines: 0, adjustedLines: 0, droppedLines: 0 };
+
+    for (const guestItem of guestCart.items) {
+      const product = productMap.get(guestItem.productId.toString());
+      const combination = product && this.findCombination(product, guestItem.combinationId);
+      if (!this.isLineAvailable(product, combination)) {
+        result.droppedLines++;
+        continue;
+      }
+
+      const existing = cart.items.find(item =>
+        this.isSameLine(item, product._id, guestItem.variantId, guestItem.combinationId));
+      const otherLines = this.quantityInCart(cart, product._id, combination?._id, existing?._id);
+      const stockLeft = Math.max(this.availableQuantity(product, combination) - otherLines, 0);
+      const wanted = (existing?.quantity || 0) + guestItem.quantity;
+      const quantity = Math.min(wanted, stockLeft, MAX_LINE_QUANTITY);
+
+      if (quantity < wanted) result.adjustedLines++;
+
+      if (existing) {
+        if (quantity === 0) {
+          existing.deleteOne();
+        } else {
+          existing.quantity = quantity;
+          existing.priceAtAdd = this.getUnitPrice(product, combination);
+        }
+        result.mergedLines++;
+      } else if (quantity > 0) {
+        cart.items.push({
+          productId: product._id,
+          variantId: guestItem.variantId,
+          combinationId: guestItem.combinationId,
+          quantity,
+          priceAtAdd: this.getUnitPrice(product, combination),
+          addedAt: guestItem.addedAt
+        });
+        result.addedLines++;
+      } else {
+        result.droppedLines++;
+      }
+    }
+
+    await cart.save({ session });
+    return result;
+  }
+
+  /**
+   * Map of variant id to name
+   */
+  static async getVariantNames(variantIds, session) {
+    if (variantIds.length === 0) return new Map();
+
+    const variants = await Variant.find({ _id: { $in: variantIds } }).select('name').session(session || null).lean();
+    return new Map(variants.map(v => [v._id.toString(), v.name]));
+  }
+
+  /**
+   * Display name of a combination, e.g. "M / Red"
+   */
+  static getCombinationName(combination, variantNames) {
+    return combination.variantIds
+      .map(id => variantNames.get(id.toString()))
+      .filter(Boolean)
+      .join(' / ') || combination.sku || null;
+  }
+
+  /**
+   * The combination's own image if it has one, else the product's first
+   */
+  static getImageUrl(product, combination) {
+    const images = product.images || [];
+    const own = combination?.image ? images.find(img => img.image === combination.image) : null;
+    return (own || images[0])?.url || null;
+  }
+
+  /**
+   * Key for the stock a line draws on: the combination's, or the product's
+   */
+  static stockKey(productId, combinationId) {
+    return combinationId ? `${productId}:${combinationId}` : productId.toString();
+  }
+
+  /**
+   * The cart as the buyer should see it: live names, prices and stock from
+   * Product, with flags for lines that changed since they were added
+   */
+  static async buildView(cart) {
+    if (!cart || cart.items.length === 0) {
+      return {
+        items: [],
+        summary: { itemCount: 0, lineCount: 0, subtotal: 0, hasIssues: false }
+      };
+    }
+
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.productId) } })
+      .select('name price offerPrice quantity images sellerId sellerName combinations status moderation')
+      .lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const lineCombination = (item) => {
+      const product = productMap.get(item.productId.toString());
+      return product ? this.findCombination(product, item.combinationId) : null;
+    };
+
+    const variantIds = cart.items.flatMap(item =>
+      [item.variantId, ...(lineCombination(item)?.variantIds || [])]).filter(Boolean);
+    const variantNames = await this.getVariantNames(variantIds);
+
+    // Stock is shared across lines of the same product (or combination)
+    const requestedByStock = new Map();
+    for (const item of cart.items) {
+      const key = this.stockKey(item.productId, item.combinationId);
+      requestedByStock.set(key, (requestedByStock.get(key) || 0) + item.quantity);
+    }
+
+    let subtotal = 0;
+    let itemCount = 0;
+    let hasIssues = false;
+
+    const items = cart.items.map(item => {
+      const product = productMap.get(item.productId.toString());
+      const combination = lineCombination(item);
+
+      if (!this.isLineAvailable(product, combination)) {
+        hasIssues = true;
+        return {
+          _id: item._id,
+          productId: item.productId,
+          variantId: item.variantId,
+          combinationId: item.combinationId,
+          quantity: item.quantity,
+          unavailable: true,
+          flags: { unavailable: true, outOfStock: true, insufficientStock: false, priceChanged: false }
+        };
+      }
+
+      const { price, offerPrice } = this.getPricing(product, combination);
+      const unitPrice = this.getUnitPrice(product, combination);
+      const lineTotal = roundMoney(unitPrice * item.quantity);
+      const available = this.availableQuantity(product, combination);
+      const outOfStock = available === 0;
+      const insufficientStock = !outOfStock
+        && requestedByStock.get(this.stockKey(product._id, combination?._id)) > available;
+      const priceChanged = item.priceAtAdd !== undefined && item.priceAtAdd !== null && item.priceAtAdd !== unitPrice;
+
+      if (outOfStock || insufficientStock || priceChanged) hasIssues = true;
+      if (!outOfStock) {
+        subtotal += lineTotal;
+        itemCount += item.quantity;
+      }
+
+      return {
+        _id: item._id,
+        productId: product._id,
+        productName: product.name,
+        image: this.getImageUrl(product, combination),
+        sellerId: product.sellerId,
+        sellerName: product.sellerName,
+        variantId: item.variantId,
+        variantName: combination
+          ? this.getCombinationName(combination, variantNames)
+          : (item.variantId && variantNames.get(item.variantId.toString())) || null,
+        combinationId: combination?._id || null,
+        sku: combination?.sku || null,
+        quantity: item.quantity,
+        unitPrice,
+        price,
+        offerPrice,
+        previousPrice: priceChanged ? item.priceAtAdd : null,
+        lineTotal,
+        availableQuantity: available,
+        addedAt: item.addedAt,
+        flags: {
+          unavailable: false,
+          outOfStock,
+          insufficientStock,
+          priceChanged,
+          priceDropped: priceChanged && unitPrice < item.priceAtAdd
+        }
+      };
+    });
+
+    return {
+      items,
+      summary: {
+        itemCount,
+        lineCount: items.length,
+        subtotal: roundMoney(subtotal),
+        hasIssues
+      }
+    };
+  }
+}
+
+CartService.MAX_LINE_QUANTITY = MAX_LINE_QUANTITY;
+
+module.exports = CartService;
@@ -0,0 +1,538 @@
+// services/disputeService.js
+const Dispute = require('../model/dispute');
+const Order = require('../model/order');
+const { Conversation, Message } = require('../model/message');
+const PaymentService = require('./paymentService');
+const LedgerService = require('./ledgerService');
+const PushNotificationService = require('./pushNotificationService');
+const { uploadDisputeImage } = require('../utils/cloudinaryUpload');
+const { createError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { getIO } = require('../utils/socket');
+
+const MAX_EVIDENCE = 10;
+
+class DisputeService {
+
+  /**
+   * Upload evidence photos (multer files) and return evidence entries
+   */
+  static async uploadEvidence(files = [], userId) {
+    const uploads = await Promise.all(files.map(file =>
+      uploadDisputeImage(file.buffer, file.originalname)
+    ));
+
+    return uploads.map(upload => ({
+      url: upload.url,
+      publicId: upload.publicId,
+      uploadedBy: userId
+    }));
+  }
+
+  /**
+   * Find the buyer/seller support conversation, or open one. A conversation
+   * about the same product is reused (and switched to support) because
+   * buyer+seller+product is unique.
+   */
+  static async openSupportConversation(order) {
+    const productId = order.items[0]?.productId;
+
+    let conversation = await Conversation.findOne({
+      buyerId: order.buyerId,
+      sellerId: order.sellerId,
+      'metadata.conversationType': 'support'
+    });
+
+    if (!conversation) {
+      conversation = await Conversation.findOne({
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        productId
+      });
+    }
+
+    if (!conversation) {
+      conversation = new Conversation({
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        productId,
+        metadata: { createdByRole: 'buyer', conversationType: 'support' }
+      });
+    }
+
+    conversation.metadata.conversationType = 'support';
+    conversation.status = 'active';
+    conversation.isDeleted = false;
+    await conversation.save();
+
+    return conversation;
+  }
+
+  /**
+   * Post a text message from one party into the dispute conversation
+   */
+  static async postConversationMessage(dispute, senderId, senderRole, text) {
+    if (!dispute.conversationId) return null;
+
+    try {
+      const message = await Message.create({
+        conversationId: dispute.conversationId,
+        sender: senderId,
+        messageType: 'text',
+        content: { text },
+        status: 'sent',
+        metadata: { senderRole }
+      });
+
+      const recipientId = senderRole === 'buyer' ? dispute.sellerId : dispute.buyerId;
+      await Conversation.updateOne(
+        { _id: dispute.conversationId },
+        {
+          lastMessage: { text: text.slice(0, 500), sender: senderId, timestamp: message.createdAt, messageType: 'text' },
+          $inc: { [`unreadCounts.${recipientId}`]: 1 }
+        }
+      );
+
+      const socketIO = getIO();
+      if (socketIO) {
+        const payload = {
+          messageId: message._id,
+          conversationId: message.conversationId,
+          senderId,
+          messageType: 'text',
+          content: message.content,
+          timestamp: message.createdAt,
+          status: 'sent',
+          roleContext: { senderRole, buyerId: dispute.buyerId, sellerId: dispute.sellerId }
+        };
+        socketIO.to(dispute.buyerId.toString()).emit('new_message', payload);
+        socketIO.to(dispute.sellerId.toString()).emit('new_message', payload);
+      }
+
+      return message;
+    } catch (error) {
+      console.error('⚠️ Failed to post dispute message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Buyer opens a dispute on a delivered order within the dispute window
+   */
+  static async open(buyer, { orderId, reason, description, requestedAmount, files }) {
+    if (!Dispute.REASONS.includes(reason)) {
+      throw createError(400, `Reason must be one of: ${Dispute.REASONS.join(', ')}`);
+    }
+    if (!description || !description.trim()) {
+      throw createError(400, 'Please describe the problem.');
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw createError(404, 'Order not found.');
+    }
+    if (order.getUserRole(buyer._id) !== 'buyer') {
+      throw createError(403, 'Only the buyer can open a dispute on this order.');
+    }
+    if (order.status !== 'delivered') {
+      throw createError(400, 'Disputes can only be opened on delivered orders.');
+    }
+
+    const deliveredAt = [...order.statusHistory].reverse().find(h => h.status === 'delivered')?.at || order.updatedAt;
+    const windowEnds = new Date(deliveredAt.getTime() + LedgerService.DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (Date.now() > windowEnds.getTime() || ['released', 'reversed'].includes(order.escrow?.status)) {
+      throw createError(400, `Disputes must be opened within ${LedgerService.DISPUTE_WINDOW_DAYS} days of delivery.`);
+    }
+
+    const existing = await Dispute.exists({ orderId: order._id, status: { $in: Dispute.ACTIVE_STATUSES } });
+    if (existing) {
+      throw createError(409, 'There is already an open dispute for this order.');
+    }
+
+    const refundable = roundMoney(order.total - (order.refundedAmount || 0));
+    const amount = requestedAmount !== undefined && requestedAmount !== ''
+      ? roundMoney(Number(requestedAmount))
+      : refundable;
+    if (!(amount >= 0) || amount > refundable) {
+      throw createError(400, `Requested amount must be between 0 and Le ${refundable}.`);
+    }
+
+    const evidence = await this.uploadEvidence((files || []).slice(0, MAX_EVIDENCE), buyer._id);
+    const conversation = await this.openSupportConversation(order);
+
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        conversationId: conversation._id,
+        reason,
+        description: description.trim(),
+        requestedAmount: amount,
+        evidence,
+        history: [{ status: 'open', changedBy: buyer._id, role: 'buyer', note: description.trim() }]
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, 'There is already an open dispute for this order.');
+      }
+      throw error;
+    }
+
+    // Keep the seller's earnings on hold until the dispute is settled
+    await Order.updateOne(
+      { _id: order._id, 'escrow.status': 'held' },
+      { $set: { 'escrow.status': 'frozen' } }
+    );
+
+    await this.postConversationMessage(
+      dispute,
+      buyer._id,
+      'buyer',
+      `Dispute opened for order ${order.orderNumber} (${reason.replace(/_/g, ' ')}): ${dispute.description}`
+    );
+
+    await this.notify(dispute, 'buyer', {
+      title: 'Dispute Opened',
+      body: `A buyer opened a dispute on order ${order.orderNumber}`
+    });
+
+    return dispute;
+  }
+
+  /**
+   * Load a dispute and check the user takes part in it (admins always can)
+   */
+  static async getForUser(disputeId, user, { admin = false } = {}) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw createError(404, 'Dispute not found.');
+    }
+
+    const role = admin ? 'admin' : dispute.getUserRole(user._id);
+    if (!role) {
+      throw createError(403, 'You do not have access to this dispute.');
+    }
+
+    return { dispute, role };
+  }
+
+  /**
+   * Either party adds more photos while the dispute is active
+   */
+  static async addEvidence(disputeId, user, files) {
+    const { dispute, role } = await this.getForUser(disputeId, user);
+
+    if (!Dispute.ACTIVE_STATUSES.includes(dispute.status)) {
+      throw createError(400, 'This dispute is closed.');
+    }
+    if (!files || files.length === 0) {
+      throw createError(400, 'At least one photo is required.');
+    }
+    if (dispute.evidence.length + files.length > MAX_EVIDENCE) {
+      throw createError(400, `A dispute can have at most ${MAX_EVIDENCE} photos.`);
+    }
+
+    const evidence = await this.uploadEvidence(files, user._id);
+    const updated = await Dispute.findByIdAndUpdate(
+      dispute._id,
+      { $push: { evidence: { $each: evidence } } },
+      { new: true }
+    );
+
+    await this.notify(updated, role, {
+      title: 'New Dispute Evidence',
+      body: `New photos were added to the dispute on order ${updated.orderNumber}`
+    });
+
+    return updated;
+  }
+
+  /**
+   * Seller answers an open dispute. Accepting the refund settles it straight away.
+   */
+  static async respond(disputeId, seller, { action, message, offeredAmount }) {
+    const { dispute, role } = await this.getForUser(disputeId, seller);
+
+    if (role !== 'seller') {
+      throw createError(403, 'Only the seller can respond to this dispute.');
+    }
+    if (!['accept_refund', 'offer_partial', 'decline'].includes(action)) {
+      throw createError(400, 'Action must be accept_refund, offer_partial or decline.');
+    }
+    if (action === 'offer_partial' && !(Number(offeredAmount) > 0)) {
+      throw createError(400, 'Offered amount is required for a partial offer.');
+    }
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: 'open' },
+      {
+        $set: {
+          status: 'seller_responded',
+          sellerResponse: {
+            action,
+            message,
+            offeredAmount: action === 'offer_partial' ? roundMoney(Number(offeredAmount)) : undefined,
+            respondedAt: new Date()
+          }
+        },
+        $push: { history: { status: 'seller_responded', changedBy: seller._id, role: 'seller', note: message } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw createError(409, 'This dispute is no longer waiting for a seller response.');
+    }
+
+    if (message) {
+      await this.postConversationMessage(updated, seller._id, 'seller', message);
+    }
+
+    // Accepting gives the buyer what they asked for: everything still
+    // refundable only when that is what they requested
+    if (action === 'accept_refund') {
+      const order = await Order.findById(updated.orderId).select('total refundedAmount');
+      const refundable = roundMoney(order.total - (order.refundedAmount || 0));
+      const requested = updated.requestedAmount ?? refundable;
+
+      let decision = 'full_refund';
+      if (requested <= 0) decision = 'no_refund';
+      else if (requested < refundable) decision = 'partial_refund';
+
+      return this.resolve(updated._id, seller, {
+        decision,
+        amount: requested,
+        note: 'Seller accepted the refund request.'
+      }, 'seller');
+    }
+
+    await this.notify(updated, 'seller', {
+      title: 'Seller Responded',
+      body: `The seller responded to your dispute on order ${updated.orderNumber}`
+    });
+
+    return updated;
+  }
+
+  /**
+   * Buyer or seller hands the dispute to the admin team
+   */
+  static async escalate(disputeId, user, note) {
+    const { dispute, role } = await this.getForUser(disputeId, user);
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $in: ['open', 'seller_responded'] } },
+      {
+        $set: { status: 'under_review' },
+        $push: { history: { status: 'under_review', changedBy: user._id, role, note } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw createError(409, 'This dispute cannot be escalated.');
+    }
+
+    await this.notify(updated, role, {
+      title: 'Dispute Escalated',
+      body: `The dispute on order ${updated.orderNumber} is now being reviewed by our team`
+    });
+
+    return updated;
+  }
+
+  /**
+   * Buyer withdraws the dispute; the seller's earnings go back on the normal schedule
+   */
+  static async cancel(disputeId, buyer, note) {
+    const { dispute, role } = await this.getForUser(disputeId, buyer);
+
+    if (role !== 'buyer') {
+      throw createError(403, 'Only the buyer can withdraw this dispute.');
+    }
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $in: Dispute.ACTIVE_STATUSES } },
+      {
+        $set: { status: 'cancelled' },
+        $push: { history: { status: 'cancelled', changedBy: buyer._id, role: 'buyer', note } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw createError(409, 'This dispute is already closed.');
+    }
+
+    await this.unfreezeEscrow(updated.orderId);
+    await this.notify(updated, 'buyer', {
+      title: 'Dispute Withdrawn',
+      body: `The buyer withdrew the dispute on order ${updated.orderNumber}`
+    });
+
+    return updated;
+  }
+
+  /**
+   * Settle a dispute (admin, or the seller accepting a refund). Refund
+   * decisions go through the payment provider, and PaymentService posts
+   * the matching ledger reversal.
+   */
+  static async resolve(disputeId, actor, { decision, amount, note }, actorRole = 'admin') {
+    if (!['full_refund', 'partial_refund', 'no_refund'].includes(decision)) {
+      throw createError(400, 'Decision must be full_refund, partial_refund or no_refund.');
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw createError(404, 'Dispute not found.');
+    }
+
+    const order = await Order.findById(dispute.orderId);
+    const refundable = roundMoney(order.total - (order.refundedAmount || 0));
+
+    let refundAmount = 0;
+    if (decision === 'full_refund') {
+      refundAmount = refundable;
+    } else if (decision === 'partial_refund') {
+      refundAmount = roundMoney(Number(amount));
+      if (!(refundAmount > 0) || refundAmount > refundable) {
+        throw createError(400, `Refund amount must be between 0 and Le ${refundable}.`);
+      }
+    }
+
+    const previousStatus = dispute.status;
+    const claimed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: { $in: Dispute.ACTIVE_STATUSES } },
+      {
+        $set: {
+          status: 'resolved',
+          resolution: {
+            decision,
+            amount: refundAmount,
+            note,
+            resolvedBy: actor._id,
+            resolvedByRole: actorRole,
+            resolvedAt: new Date()
+          }
+        },
+        $push: { history: { status: 'resolved', changedBy: actor._id, role: actorRole, note } }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw createError(409, 'This dispute is already closed.');
+    }
+
+    if (refundAmount > 0) {
+      const paidOnline = order.paymentId && ['paid', 'partially_refunded'].includes(order.paymentStatus);
+
+      if (paidOnline) {
+        try {
+          const result = await PaymentService.refund(order.paymentId, refundAmount, {
+            reason: `Dispute on order ${order.orderNumber}: ${dispute.reason}`,
+            orderId: order._id
+          });
+
+          claimed.resolution.paymentId = order.paymentId;
+          claimed.resolution.refundId = result.refund._id;
+          claimed.resolution.refundStatus = result.refund.status;
+        } catch (error) {
+          // Put the dispute back so it can be resolved again
+          await Dispute.updateOne(
+            { _id: claimed._id },
+            { $set: { status: previousStatus }, $unset: { resolution: 1 }, $pop: { history: 1 } }
+          );
+          throw error;
+        }
+      } else {
+        claimed.resolution.refundStatus = 'offline';
+      }
+
+      await claimed.save();
+    }
+
+    await this.unfreezeEscrow(order._id);
+
+    if (actorRole === 'seller') {
+      await this.postConversationMessage(
+        claimed,
+        claimed.sellerId,
+        'seller',
+        `I accepted the refund request. Le ${refundAmount} is being refunded to you.`
+      );
+    }
+
+    await this.notify(claimed, actorRole, {
+      title: 'Dispute Resolved',
+      body: refundAmount > 0
+        ? `Dispute on order ${claimed.orderNumber} resolved with a Le ${refundAmount} refund`
+        : `Dispute on order ${claimed.orderNumber} was resolved without a refund`
+    });
+
+    return claimed;
+  }
+
+  /**
+   * Put frozen earnings back on the release schedule, or mark them
+   * reversed if the refund took all of it
+   */
+  static async unfreezeEscrow(orderId) {
+    const order = await Order.findById(orderId).select('escrow');
+    if (order?.escrow?.status !== 'frozen') return;
+
+    const nextStatus = (order.escrow.sellerAmount || 0) > 0 ? 'held' : 'reversed';
+    await Order.updateOne(
+      { _id: orderId, 'escrow.status': 'frozen' },
+      { $set: { 'escrow.status': nextStatus } }
+    );
+  }
+
+  /**
+   * Emit the dispute change to both parties and push it to whoever did not act
+   */
+  static async notify(dispute, actorRole, notification) {
+    const payload = {
+      disputeId: dispute._id,
+      orderId: dispute.orderId,
+      orderNumber: dispute.orderNumber,
+      status: dispute.status,
+      changedByRole: actorRole,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      const socketIO = getIO();
+      if (socketIO) {
+        socketIO.to(dispute.buyerId.toString()).emit('dispute_updated', payload);
+        socketIO.to(dispute.sellerId.toString()).emit('dispute_updated', payload);
+      }
+    } catch (socketError) {
+      console.error('Socket emission error:', socketError);
+    }
+
+    const recipients = [];
+    if (actorRole !== 'buyer') recipients.push(dispute.buyerId);
+    if (actorRole !== 'seller') recipients.push(dispute.sellerId);
+
+    const data = {
+      type: 'dispute_update',
+      disputeId: dispute._id.toString(),
+      orderId: dispute.orderId.toString(),
+      status: dispute.status,
+      screen: 'disputes'
+    };
+
+    await Promise.all(recipients.map(userId =>
+      PushNotificationService.sendToUser(userId, notification, data)
+    ));
+  }
+}
+
+DisputeService.MAX_EVIDENCE = MAX_EVIDENCE;
+
+module.exports = DisputeService;
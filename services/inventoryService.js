@@ -0,0 +1,347 @@
+// services/inventoryService.js
+const mongoose = require('mongoose');
+const InventoryMovement = require('../model/inventoryMovement');
+const Product = require('../model/product');
+const User = require('../model/user');
+const NotificationCooldown = require('../model/notificationCooldown');
+const PushNotificationService = require('./pushNotificationService');
+const emailService = require('./emailService');
+const { createError } = require('../utils/httpError');
+const { escapeHtml } = require('../utils/html');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const MAX_LOW_STOCK_THRESHOLD = 10000;
+
+// Reasons a seller can give for an adjustment; orders and cancellations
+// are recorded by OrderService
+const ADJUSTMENT_REASONS = ['manual_edit', 'return', 'import'];
+
+// Products a seller still sells or will again; drafts and archived ones
+// don't need restocking
+const STOCKED_STATUSES = ['active', 'paused', null];
+
+// At most one digest a day, even with several servers running the job
+const DIGEST_COOLDOWN_MS = 20 * 60 * 60 * 1000;
+
+class InventoryService {
+
+  /**
+   * Stock of a product before/after a change: its own quantity, or each
+   * combination's when it has them
+   */
+  static snapshot(product) {
+    if (!product) return new Map();
+
+    const combinations = product.combinations || [];
+    if (combinations.length === 0) {
+      return new Map([[product._id.toString(), { quantity: product.quantity || 0 }]]);
+    }
+    return new Map(combinations.map(c => [
+      `${product._id}:${c._id}`,
+      { combinationId: c._id, sku: c.sku, quantity: c.quantity || 0 }
+    ]));
+  }
+
+  /**
+   * Write movements for every stock level that differs between two
+   * snapshots of the same product (see record() for failures)
+   */
+  static async recordChanges(product, before, { reason, actorId, orderId, note } = {}, session) {
+    const after = this.snapshot(product);
+    const keys = new Set([...before.keys(), ...after.keys()]);
+    const movements = [];
+
+    for (const key of keys) {
+      const from = before.get(key);
+      const to = after.get(key);
+      const change = (to?.quantity || 0) - (from?.quantity || 0);
+      if (change === 0) continue;
+
+      movements.push({
+        productId: product._id,
+        combinationId: (to || from).combinationId,
+        sku: (to || from).sku,
+        sellerId: product.sellerId?._id || product.sellerId,
+        reason,
+        change,
+        balance: to?.quantity || 0,
+        actorId,
+        orderId,
+        note
+      });
+    }
+
+    return this.record(movements, session);
+  }
+
+  /**
+   * Insert movements. Inside a transaction a failed write fails the
+   * transaction (it is aborted on the server anyway); outside one it is
+   * logged and the already-saved change stands.
+   */
+  static async record(movements, session) {
+    if (movements.length === 0) return [];
+
+    try {
+      return await InventoryMovement.insertMany(movements, { session });
+    } catch (error) {
+      if (session) throw error;
+      console.error('⚠️ Inventory ledger write failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Add or remove stock of a product or one of its combinations
+   * ({ combinationId?, change, reason, note? }). The change is applied
+   * atomically and never takes stock below 0.
+   */
+  static async adjust(product, actor, { combinationId, change, reason = 'manual_edit', note } = {}) {
+    const delta = Number(change);
+    if (!Number.isInteger(delta) || delta === 0) {
+      throw createError(400, 'change must be a whole number other than 0.');
+    }
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      throw createError(400, `reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}.`);
+    }
+
+    const hasCombinations = product.combinations?.length > 0;
+    if (hasCombinations && !combinationId) {
+      throw createError(400, 'This product has combinations; pass the combinationId to adjust.');
+    }
+    if (!hasCombinations && combinationId) {
+      throw createError(400, 'This product has no combinations.');
+    }
+
+    const before = this.snapshot(product);
+    let updated;
+
+    if (hasCombinations) {
+      if (!mongoose.Types.ObjectId.isValid(combinationId) || !product.combinations.id(combinationId)) {
+        throw createError(404, 'Combination not found.');
+      }
+      updated = await Product.findOneAndUpdate(
+        {
+          _id: product._id,
+          combinations: {
+            $elemMatch: { _id: combinationId, ...(delta < 0 && { quantity: { $gte: -delta } }) }
+          }
+        },
+        { $inc: { 'combinations.$.quantity': delta, quantity: delta } },
+        { new: true }
+      );
+    } else {
+      updated = await Product.findOneAndUpdate(
+        { _id: product._id, ...(delta < 0 && { quantity: { $gte: -delta } }) },
+        { $inc: { quantity: delta } },
+        { new: true }
+      );
+    }
+
+    if (!updated) {
+      throw createError(409, 'Not enough stock to remove that many units.');
+    }
+
+    await this.recordChanges(updated, before, { reason, actorId: actor._id, note });
+    return updated;
+  }
+
+  static getThreshold(seller) {
+    return seller?.inventorySettings?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  }
+
+  static async updateSettings(sellerId, { lowStockThreshold } = {}) {
+    const threshold = Number(lowStockThreshold);
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_LOW_STOCK_THRESHOLD) {
+      throw createError(400, `lowStockThreshold must be a whole number between 0 and ${MAX_LOW_STOCK_THRESHOLD}.`);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      sellerId,
+      { $set: { 'inventorySettings.lowStockThreshold': threshold } },
+      { new: true }
+    ).select('inventorySettings');
+    return user.inventorySettings;
+  }
+
+  /**
+   * A seller's products (or combinations) at or below their low-stock
+   * threshold, out-of-stock ones first
+   */
+  static async getLowStock(sellerId, threshold) {
+    const products = await Product.find({
+      sellerId,
+      status: { $in: STOCKED_STATUSES },
+      $or: [
+        { 'combinations.0': { $exists: false }, quantity: { $lte: threshold } },
+        { 'combinations.quantity': { $lte: threshold } }
+      ]
+    })
+      .select('name quantity images combinations status')
+      .populate('combinations.variantIds', 'name')
+      .lean();
+
+    return products
+      .map(product => {
+        const lowCombinations = (product.combinations || [])
+          .filter(c => c.quantity <= threshold)
+          .map(c => ({
+            _id: c._id,
+            sku: c.sku,
+            name: c.variantIds.map(v => v?.name).filter(Boolean).join(' / ') || c.sku || null,
+            quantity: c.quantity
+          }));
+        return {
+          productId: product._id,
+          name: product.name,
+          image: product.images?.[0]?.url || null,
+          status: product.status || 'active',
+          quantity: product.quantity,
+          outOfStock: product.quantity <= 0,
+          combinations: lowCombinations
+        };
+      })
+      .sort((a, b) => Number(b.outOfStock) - Number(a.outOfStock) || a.quantity - b.quantity);
+  }
+
+  /**
+   * A seller's stock movements, newest first ({ productId, reason, from,
+   * to, page, limit })
+   */
+  static async listMovements(sellerId, { productId, reason, from, to, page, limit } = {}) {
+    const filter = { sellerId };
+
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        throw createError(400, 'Invalid productId.');
+      }
+      filter.productId = productId;
+    }
+    if (reason) {
+      if (!InventoryMovement.REASONS.includes(reason)) {
+        throw createError(400, `reason must be one of: ${InventoryMovement.REASONS.join(', ')}.`);
+      }
+      filter.reason = reason;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        throw createError(400, 'Invalid from/to date.');
+      }
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .populate('productId', 'name')
+        .populate('actorId', 'fullName')
+        .populate('orderId', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      InventoryMovement.countDocuments(filter)
+    ]);
+
+    return {
+      movements,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * Send each seller with low or sold-out stock a push and, if they have an
+   * email address, an email listing it. Sellers can turn this off with
+   * notificationPreferences.lowStockDigest.
+   */
+  static async sendDailyDigests() {
+    const sellerIds = await Product.distinct('sellerId', { status: { $in: STOCKED_STATUSES } });
+    const sellers = await User.find({
+      _id: { $in: sellerIds },
+      'notificationPreferences.lowStockDigest': { $ne: false },
+      deletionRequestedAt: null
+    }).select('fullName email businessInfo.businessEmail inventorySettings').lean();
+
+    let digestsSent = 0;
+
+    for (const seller of sellers) {
+      try {
+        const items = await this.getLowStock(seller._id, this.getThreshold(seller));
+        if (items.length === 0) continue;
+
+        if (!await NotificationCooldown.claim(seller._id, 'low_stock_digest', DIGEST_COOLDOWN_MS)) {
+          continue;
+        }
+
+        const outCount = items.filter(item => item.outOfStock).length;
+        await PushNotificationService.sendLowStockDigest(seller._id, {
+          lowCount: items.length - outCount,
+          outCount,
+          productName: items[0].name
+        });
+
+        const email = seller.businessInfo?.businessEmail || seller.email;
+        if (emailService.isValidEmail(email)) {
+          await emailService.sendSingleEmail({
+            to: email,
+            subject: outCount > 0
+              ? `${outCount} of your products sold out`
+              : `${items.length} of your products are running low`,
+            html: this.buildDigestEmail(seller, items, this.getThreshold(seller))
+          });
+        }
+        digestsSent++;
+      } catch (error) {
+        console.error(`❌ Low-stock digest failed for seller ${seller._id}:`, error.message);
+      }
+    }
+
+    console.log(`📦 Sent ${digestsSent} low-stock digests (${sellers.length} sellers checked)`);
+    return digestsSent;
+  }
+
+  /**
+   * Low-stock digest email body
+   */
+  static buildDigestEmail(seller, items, threshold) {
+    const rows = items.slice(0, 20).map(item => {
+      const detail = item.combinations.length > 0
+        ? item.combinations.map(c => `${escapeHtml(c.name || 'Option')}: ${escapeHtml(c.quantity)}`).join(', ')
+        : escapeHtml(item.quantity);
+      return `
+        <tr>
+          <td style="padding:8px 0;">${escapeHtml(item.name)}</td>
+          <td style="padding:8px 0;text-align:right;${item.outOfStock ? 'color:#c0392b;' : ''}">
+            ${item.outOfStock ? 'Sold out' : detail}
+          </td>
+        </tr>`;
+    }).join('');
+
+    const more = items.length > 20 ? `<p>...and ${items.length - 20} more product(s).</p>` : '';
+
+    return `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;">
+        <h2>Hi ${escapeHtml(seller.fullName || 'there')},</h2>
+        <p>These products have ${escapeHtml(threshold)} or fewer units left:</p>
+        <table style="width:100%;border-collapse:collapse;">${rows}
+        </table>
+        ${more}
+        <p>Restock them in the Salone Fast Market app so buyers can keep ordering.</p>
+        <p style="color:#888;font-size:12px;">You can change the low-stock level or turn off this email in the app's settings.</p>
+      </div>`;
+  }
+}
+
+InventoryService.DEFAULT_LOW_STOCK_THRESHOLD = DEFAULT_LOW_STOCK_THRESHOLD;
+InventoryService.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+
+module.exports = InventoryService;
@@ -0,0 +1,501 @@
+// services/ledgerService.js
+const mongoose = require('mongoose');
+const Order = require('../model/order');
+const User = require('../model/user');
+const { LedgerTransaction, SellerBalance, Payout } = require('../model/ledger');
+const PushNotificationService = require('./pushNotificationService');
+const { createError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+// A number from the environment; 0 is a valid setting, unset or garbage is not
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Platform commission taken from every delivered order, in percent
+const COMMISSION_PERCENT = envNumber('PLATFORM_COMMISSION_PERCENT', 5);
+
+// How long a seller's earnings stay on hold after delivery so buyers can dispute
+const DISPUTE_WINDOW_DAYS = envNumber('DISPUTE_WINDOW_DAYS', 7);
+
+// Seller account -> SellerBalance field it feeds
+const BALANCE_FIELDS = {
+  seller_pending: 'pending',
+  seller_available: 'available',
+  seller_payout_reserved: 'reserved'
+};
+
+class LedgerService {
+
+  /**
+   * Run fn(session) inside a MongoDB transaction
+   */
+  static async withTransaction(fn) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return result;
+  }
+
+  /**
+   * Post a balanced transaction and move the matching seller balances.
+   * Returns null if a transaction with the same idempotencyKey already exists.
+   * balanceExtras: { [sellerId]: { totalEarned, totalPaidOut } } increments
+   */
+  static async postTransaction(transaction, session, balanceExtras = {}) {
+    const exists = await LedgerTransaction.exists({ idempotencyKey: transaction.idempotencyKey }).session(session);
+    if (exists) {
+      return null;
+    }
+
+    const entries = transaction.entries
+      .filter(entry => entry.debit > 0 || entry.credit > 0)
+      .map(entry => ({
+        ...entry,
+        debit: roundMoney(entry.debit || 0),
+        credit: roundMoney(entry.credit || 0)
+      }));
+
+    const [posted] = await LedgerTransaction.create([{ ...transaction, entries }], { session });
+
+    // Seller accounts are liabilities, so credits increase their balance
+    const increments = new Map();
+    for (const entry of entries) {
+      const field = BALANCE_FIELDS[entry.account];
+      if (!field) continue;
+
+      const key = entry.sellerId.toString();
+      if (!increments.has(key)) increments.set(key, {});
+      const inc = increments.get(key);
+      inc[field] = roundMoney((inc[field] || 0) + entry.credit - entry.debit);
+    }
+
+    for (const [sellerId, extras] of Object.entries(balanceExtras)) {
+      if (!increments.has(sellerId)) increments.set(sellerId, {});
+      Object.assign(increments.get(sellerId), extras);
+    }
+
+    for (const [sellerId, inc] of increments) {
+      await SellerBalance.updateOne(
+        { sellerId },
+        { $inc: inc },
+        { upsert: true, session }
+      );
+    }
+
+    return posted;
+  }
+
+  /**
+   * Buyer money for an order reached the platform and sits in escrow
+   */
+  static async recordPaymentReceived(order, paymentId) {
+    return this.withTransaction(session => this.postTransaction({
+      type: 'payment_received',
+      idempotencyKey: `payment_received:${order._id}`,
+      description: `Payment for order ${order.orderNumber}`,
+      currency: order.currency,
+      orderId: order._id,
+      paymentId,
+      entries: [
+        { account: 'platform_cash', debit: order.total },
+        { account: 'escrow', credit: order.total }
+      ]
+    }, session));
+  }
+
+  /**
+   * Money returned to the buyer. Before delivery it comes out of escrow;
+   * after delivery (e.g. a dispute) the seller's earnings and the platform
+   * commission are reversed in proportion.
+   */
+  static async recordRefund(order, amount, refundId) {
+    const escrow = order.escrow;
+    const base = {
+      type: 'order_refunded',
+      idempotencyKey: `order_refunded:${refundId}`,
+      description: `Refund for order ${order.orderNumber}`,
+      currency: order.currency,
+      orderId: order._id,
+      paymentId: order.paymentId
+    };
+
+    if (!escrow?.status || escrow.status === 'reversed') {
+      return this.withTransaction(session => this.postTransaction({
+        ...base,
+        entries: [
+          { account: 'escrow', debit: amount },
+          { account: 'platform_cash', credit: amount }
+        ]
+      }, session));
+    }
+
+    const earned = (escrow.sellerAmount || 0) + (escrow.commission || 0);
+    const commissionShare = earned > 0 ? roundMoney(amount * escrow.commission / earned) : 0;
+    const sellerShare = roundMoney(amount - commissionShare);
+    const sellerAccount = escrow.status === 'released' ? 'seller_available' : 'seller_pending';
+
+    return this.withTransaction(async (session) => {
+      const posted = await this.postTransaction({
+        ...base,
+        description: `Refund for order ${order.orderNumber} (reversing seller earnings)`,
+        entries: [
+          { account: sellerAccount, sellerId: order.sellerId, debit: sellerShare },
+          { account: 'commission', debit: commissionShare },
+          { account: 'platform_cash', credit: amount }
+        ]
+      }, session, { [order.sellerId.toString()]: { totalEarned: -sellerShare } });
+
+      if (posted) {
+        await Order.updateOne(
+          { _id: order._id },
+          { $inc: { 'escrow.sellerAmount': -sellerShare, 'escrow.commission': -commissionShare } },
+          { session }
+        );
+      }
+
+      return posted;
+    });
+  }
+
+  /**
+   * Credit the seller for a delivered, paid order (minus commission) and
+   * hold the earnings until the dispute window closes
+   */
+  static async recordOrderDelivered(order) {
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      return null;
+    }
+
+    const net = roundMoney(order.total - (order.refundedAmount || 0));
+    if (net <= 0) {
+      return null;
+    }
+
+    const commission = roundMoney(net * COMMISSION_PERCENT / 100);
+    const sellerAmount = roundMoney(net - commission);
+    const releaseAt = new Date(Date.now() + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    return this.withTransaction(async (session) => {
+      const posted = await this.postTransaction({
+        type: 'order_delivered',
+        idempotencyKey: `order_delivered:${order._id}`,
+        description: `Earnings for order ${order.orderNumber} (${COMMISSION_PERCENT}% commission)`,
+        currency: order.currency,
+        orderId: order._id,
+        paymentId: order.paymentId,
+        entries: [
+          { account: 'escrow', debit: net },
+          { account: 'commission', credit: commission },
+          { account: 'seller_pending', sellerId: order.sellerId, credit: sellerAmount }
+        ]
+      }, session, { [order.sellerId.toString()]: { totalEarned: sellerAmount } });
+
+      if (posted) {
+        await Order.updateOne(
+          { _id: order._id },
+          {
+            escrow: {
+              status: 'held',
+              sellerAmount,
+              commission,
+              commissionRate: COMMISSION_PERCENT,
+              releaseAt
+            }
+          },
+          { session }
+        );
+      }
+
+      return posted;
+    });
+  }
+
+  /**
+   * Move earnings whose dispute window has closed into sellers' available balance
+   */
+  static async releaseHeldFunds() {
+    const due = await Order.find({
+      'escrow.status': 'held',
+      'escrow.releaseAt': { $lte: new Date() }
+    }).select('_id orderNumber sellerId currency escrow');
+
+    let releasedCount = 0;
+
+    for (const order of due) {
+      try {
+        const released = await this.withTransaction(async (session) => {
+          const claimed = await Order.updateOne(
+            { _id: order._id, 'escrow.status': 'held' },
+            { $set: { 'escrow.status': 'released', 'escrow.releasedAt': new Date() } },
+            { session }
+          );
+          if (claimed.modifiedCount === 0) return null;
+
+          return this.postTransaction({
+            type: 'funds_released',
+            idempotencyKey: `funds_released:${order._id}`,
+            description: `Dispute window closed for order ${order.orderNumber}`,
+            currency: order.currency,
+            orderId: order._id,
+            entries: [
+              { account: 'seller_pending', sellerId: order.sellerId, debit: order.escrow.sellerAmount },
+              { account: 'seller_available', sellerId: order.sellerId, credit: order.escrow.sellerAmount }
+            ]
+          }, session);
+        });
+
+        if (released) releasedCount++;
+      } catch (error) {
+        console.error(`❌ Failed to release funds for order ${order.orderNumber}:`, error.message);
+      }
+    }
+
+    if (releasedCount > 0) {
+      console.log(`💸 Released seller funds for ${releasedCount} orders`);
+    }
+
+    return releasedCount;
+  }
+
+  /**
+   * Current balances for a seller (zeros if they have never earned anything)
+   */
+  static async getBalance(sellerId) {
+    const balance = await SellerBalance.findOne({ sellerId }).lean();
+
+    return {
+      pending: balance?.pending || 0,
+      available: balance?.available || 0,
+      reserved: balance?.reserved || 0,
+      totalEarned: balance?.totalEarned || 0,
+      totalPaidOut: balance?.totalPaidOut || 0,
+      currency: balance?.currency || 'SLE',
+      commissionPercent: COMMISSION_PERCENT,
+      disputeWindowDays: DISPUTE_WINDOW_DAYS
+    };
+  }
+
+  /**
+   * Seller asks to withdraw part of their available balance. The amount is
+   * reserved immediately and paid out when an admin approves the request.
+   */
+  static async requestPayout(seller, amount, note) {
+    const payoutAmount = roundMoney(Number(amount));
+    if (!(payoutAmount > 0)) {
+      throw createError(400, 'Payout amount must be greater than zero.');
+    }
+
+    const destination = seller.businessInfo?.payoutAccount;
+    if (!destination?.method) {
+      throw createError(400, 'Add a payout account before requesting a payout.');
+    }
+
+    return this.withTransaction(async (session) => {
+      const balance = await SellerBalance.findOne({ sellerId: seller._id }).session(session);
+      if (!balance || balance.available < payoutAmount) {
+        throw createError(400, `Insufficient available balance (Le ${balance?.available || 0}).`);
+      }
+
+      const [payout] = await Payout.create([{
+        sellerId: seller._id,
+        amount: payoutAmount,
+        currency: balance.currency,
+        destination: {
+          method: destination.method,
+          accountName: destination.accountName,
+          accountNumber: destination.accountNumber,
+          bankName: destination.bankName,
+          phoneNumber: destination.phoneNumber
+        },
+        note
+      }], { session });
+
+      await this.postTransaction({
+        type: 'payout_requested',
+        idempotencyKey: `payout_requested:${payout._id}`,
+        description: `Payout request of Le ${payoutAmount}`,
+        currency: payout.currency,
+        payoutId: payout._id,
+        createdBy: seller._id,
+        entries: [
+          { account: 'seller_available', sellerId: seller._id, debit: payoutAmount },
+          { account: 'seller_payout_reserved', sellerId: seller._id, credit: payoutAmount }
+        ]
+      }, session);
+
+      return payout;
+    });
+  }
+
+  /**
+   * Admin confirms the money was sent to the seller
+   */
+  static async approvePayout(payoutId, adminId, { transferReference, note } = {}) {
+    const payout = await this.withTransaction(async (session) => {
+      const updated = await Payout.findOneAndUpdate(
+        { _id: payoutId, status: 'pending' },
+        {
+          status: 'approved',
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          transferReference,
+          ...(note && { note })
+        },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw createError(409, 'Payout not found or already reviewed.');
+      }
+
+      await this.postTransaction({
+        type: 'payout_paid',
+        idempotencyKey: `payout_paid:${updated._id}`,
+        description: `Payout via ${updated.destination.method}${transferReference ? ` (${transferReference})` : ''}`,
+        currency: updated.currency,
+        payoutId: updated._id,
+        createdBy: adminId,
+        entries: [
+          { account: 'seller_payout_reserved', sellerId: updated.sellerId, debit: updated.amount },
+          { account: 'platform_cash', credit: updated.amount }
+        ]
+      }, session, { [updated.sellerId.toString()]: { totalPaidOut: updated.amount } });
+
+      return updated;
+    });
+
+    await PushNotificationService.sendToUser(payout.sellerId, {
+      title: 'Payout Sent',
+      body: `Your payout of Le ${payout.amount} has been sent.`
+    }, { type: 'payout_update', payoutId: payout._id.toString(), status: payout.status, screen: 'payouts' });
+
+    return payout;
+  }
+
+  /**
+   * Admin turns a payout down; the reserved amount goes back to available
+   */
+  static async rejectPayout(payoutId, adminId, reason) {
+    if (!reason) {
+      throw createError(400, 'A rejection reason is required.');
+    }
+
+    const payout = await this.withTransaction(async (session) => {
+      const updated = await Payout.findOneAndUpdate(
+        { _id: payoutId, status: 'pending' },
+        {
+          status: 'rejected',
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          rejectionReason: reason
+        },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw createError(409, 'Payout not found or already reviewed.');
+      }
+
+      await this.postTransaction({
+        type: 'payout_rejected',
+        idempotencyKey: `payout_rejected:${updated._id}`,
+        description: `Payout rejected: ${reason}`,
+        currency: updated.currency,
+        payoutId: updated._id,
+        createdBy: adminId,
+        entries: [
+          { account: 'seller_payout_reserved', sellerId: updated.sellerId, debit: updated.amount },
+          { account: 'seller_available', sellerId: updated.sellerId, credit: updated.amount }
+        ]
+      }, session);
+
+      return updated;
+    });
+
+    await PushNotificationService.sendToUser(payout.sellerId, {
+      title: 'Payout Rejected',
+      body: `Your payout of Le ${payout.amount} was rejected: ${reason}`
+    }, { type: 'payout_update', payoutId: payout._id.toString(), status: payout.status, screen: 'payouts' });
+
+    return payout;
+  }
+
+  /**
+   * Mongo filter for ledger queries: { sellerId, type, from, to }
+   */
+  static buildFilter({ sellerId, type, from, to } = {}) {
+    const filter = {};
+    if (sellerId) {
+      if (!mongoose.Types.ObjectId.isValid(sellerId)) {
+        throw createError(400, 'Invalid sellerId.');
+      }
+      filter['entries.sellerId'] = new mongoose.Types.ObjectId(String(sellerId));
+    }
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        throw createError(400, 'Invalid from/to date.');
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * One CSV-ready row per ledger entry. With a sellerId, only that seller's
+   * entries are included.
+   */
+  static async getExportRows(filters = {}) {
+    const transactions = await LedgerTransaction.find(this.buildFilter(filters))
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const sellerIds = [...new Set(transactions.flatMap(t => t.entries)
+      .filter(e => e.sellerId)
+      .map(e => e.sellerId.toString()))];
+    const sellers = await User.find({ _id: { $in: sellerIds } }).select('fullName businessInfo.businessName').lean();
+    const sellerNames = new Map(sellers.map(s => [s._id.toString(), s.businessInfo?.businessName || s.fullName]));
+
+    const rows = [];
+    for (const transaction of transactions) {
+      for (const entry of transaction.entries) {
+        if (filters.sellerId && entry.sellerId?.toString() !== String(filters.sellerId)) continue;
+
+        rows.push({
+          date: transaction.createdAt,
+          transactionId: transaction._id,
+          type: transaction.type,
+          description: transaction.description,
+          orderNumber: transaction.orderId?.orderNumber,
+          payoutId: transaction.payoutId,
+          account: entry.account,
+          sellerId: entry.sellerId,
+          sellerName: entry.sellerId ? sellerNames.get(entry.sellerId.toString()) : '',
+          debit: entry.debit,
+          credit: entry.credit,
+          currency: transaction.currency
+        });
+      }
+    }
+
+    return rows;
+  }
+}
+
+LedgerService.COMMISSION_PERCENT = COMMISSION_PERCENT;
+LedgerService.DISPUTE_WINDOW_DAYS = DISPUTE_WINDOW_DAYS;
+
+module.exports = LedgerService;
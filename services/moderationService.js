@@ -0,0 +1,461 @@
+// services/moderationService.js
+const mongoose = require('mongoose');
+const Report = require('../model/report');
+const User = require('../model/user');
+const Product = require('../model/product');
+const Review = require('../model/review');
+const SystemDialog = require('../model/systemDialog');
+const { pushDialog } = require('../routes/setupDialogSocket');
+const { PERMISSIONS, hasPermission, STAFF_ROLES } = require('../config/roles');
+const { createError } = require('../utils/httpError');
+
+// Suspensions without an explicit length last MODERATION_SUSPEND_DAYS
+const MODERATION_SUSPEND_DAYS = parseInt(process.env.MODERATION_SUSPEND_DAYS) || 7;
+const MAX_SUSPEND_DAYS = 365;
+const MAX_BULK_REPORTS = 100;
+
+// What a moderator needs for each action on top of reports:manage
+const ACTION_PERMISSIONS = {
+  hide_product: PERMISSIONS.PRODUCTS_MANAGE,
+  delete_review: PERMISSIONS.REVIEWS_MANAGE,
+  suspend_user: PERMISSIONS.USERS_SUSPEND,
+  ban_user: PERMISSIONS.USERS_SUSPEND
+};
+
+// The report types an action can be taken on
+const ACTION_TARGETS = {
+  hide_product: ['product'],
+  delete_review: ['review'],
+  suspend_user: Report.TARGET_TYPES,
+  ban_user: Report.TARGET_TYPES
+};
+
+const toIdList = (ids) => {
+  const list = [...new Set((Array.isArray(ids) ? ids : [ids]).map(String))];
+  if (list.length === 0 || list.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createError(400, 'Valid report IDs are required.');
+  }
+  if (list.length > MAX_BULK_REPORTS) {
+    throw createError(400, `At most ${MAX_BULK_REPORTS} reports can be handled at once.`);
+  }
+  return list;
+};
+
+class ModerationService {
+
+  // ============================================
+  // QUEUE
+  // ============================================
+
+  /**
+   * Reports for the queue, oldest first. assignedTo takes a user id,
+   * 'me' or 'unassigned'. Each report carries how often its target has
+   * been reported while still open, so repeat offenders stand out.
+   */
+  static async listReports(moderator, { status = 'open', targetType, reason, assignedTo, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status !== 'all') {
+      if (!Report.STATUSES.includes(status)) {
+        throw createError(400, `Status must be one of: all, ${Report.STATUSES.join(', ')}.`);
+      }
+      filter.status = status;
+    }
+    if (targetType) filter.targetType = targetType;
+    if (reason) filter.reason = reason;
+    if (assignedTo === 'me') filter.assignedTo = moderator._id;
+    else if (assignedTo === 'unassigned') filter.assignedTo = null;
+    else if (assignedTo) {
+      if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+        throw createError(400, 'Invalid assignedTo.');
+      }
+      filter.assignedTo = assignedTo;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .select('-history')
+        .populate('reporterId', 'fullName phoneNumber')
+        .populate('targetUserId', 'fullName phoneNumber accountType suspension')
+        .populate('assignedTo', 'fullName')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Report.countDocuments(filter)
+    ]);
+
+    const counts = await Report.aggregate([
+      {
+        $match: {
+          targetId: { $in: reports.map(report => report.targetId) },
+          status: { $in: Report.ACTIVE_STATUSES }
+        }
+      },
+      { $group: { _id: { type: '$targetType', id: '$targetId' }, count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [`${c._id.type}:${c._id.id}`, c.count]));
+
+    return {
+      reports: reports.map(report => ({
+        ...report,
+        openReportsOnTarget: countMap.get(`${report.targetType}:${report.targetId}`) || 0
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * One report with its history, the other reports on the same target and
+   * how the target looks now
+   */
+  static async getReport(reportId) {
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+      throw createError(400, 'Invalid report ID.');
+    }
+
+    const report = await Report.findById(reportId)
+      .populate('reporterId', 'fullName phoneNumber')
+      .populate('targetUserId', 'fullName phoneNumber accountType suspension')
+      .populate('assignedTo', 'fullName')
+      .populate('history.by', 'fullName')
+      .lean();
+    if (!report) {
+      throw createError(404, 'Report not found.');
+    }
+
+    const [relatedReports, currentTarget] = await Promise.all([
+      Report.find({ targetType: report.targetType, targetId: report.targetId, _id: { $ne: report._id } })
+        .select('reporterId reason details status createdAt')
+        .populate('reporterId', 'fullName')
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean(),
+      this.describeCurrentTarget(report)
+    ]);
+
+    return { ...report, relatedReports, currentTarget };
+  }
+
+  static async describeCurrentTarget(report) {
+    switch (report.targetType) {
+      case 'product': {
+        const product = await Product.findById(report.targetId).select('name sellerId moderation').lean();
+        return product ? { exists: true, hidden: Boolean(product.moderation?.hiddenAt), moderation: product.moderation } : { exists: false };
+      }
+      case 'review':
+        return { exists: Boolean(await Review.exists({ _id: report.targetId })) };
+      default:
+        return { exists: true };
+    }
+  }
+
+  // ============================================
+  // TRIAGE
+  // ============================================
+
+  static async loadReports(reportIds) {
+    const ids = toIdList(reportIds);
+    const reports = await Report.find({ _id: { $in: ids } });
+    if (reports.length !== ids.length) {
+      throw createError(404, 'One or more reports were not found.');
+    }
+    return reports;
+  }
+
+  /**
+   * Move reports between open, in_review and dismissed. Reports are only
+   * marked actioned by taking an action.
+   */
+  static async setStatus(reportIds, moderator, { status, note }) {
+    if (!['open', 'in_review', 'dismissed'].includes(status)) {
+      throw createError(400, 'Status must be one of: open, in_review, dismissed.');
+    }
+
+    const reports = await this.loadReports(reportIds);
+    const now = new Date();
+
+    for (const report of reports) {
+      report.status = status;
+      if (status === 'in_review' && !report.assignedTo) {
+        report.assignedTo = moderator._id;
+        report.assignedAt = now;
+      }
+      if (status === 'dismissed') {
+        report.resolution = { note, by: moderator._id, at: now };
+      }
+      report.history.push({ status, assignedTo: report.assignedTo, by: moderator._id, note, at: now });
+
+      try {
+        await report.save();
+      } catch (error) {
+        // Reopening a report the same user has since filed again
+        if (error.code === 11000) {
+          throw createError(409, 'The reporter already has an open report on this.');
+        }
+        throw error;
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * Hand reports to a moderator (null unassigns them)
+   */
+  static async assign(reportIds, moderator, assigneeId) {
+    let assignee = null;
+    if (assigneeId) {
+      if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+        throw createError(400, 'Invalid moderator ID.');
+      }
+      assignee = await User.findById(assigneeId).select('accountType roles');
+      if (!assignee || !hasPermission(assignee, PERMISSIONS.REPORTS_MANAGE)) {
+        throw createError(400, 'Reports can only be assigned to moderators.');
+      }
+    }
+
+    const reports = await this.loadReports(reportIds);
+    const now = new Date();
+
+    for (const report of reports) {
+      report.assignedTo = assignee?._id || null;
+      report.assignedAt = assignee ? now : undefined;
+      report.history.push({ status: report.status, assignedTo: report.assignedTo, by: moderator._id, at: now });
+      await report.save();
+    }
+
+    return reports;
+  }
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Act on the targets of several reports at once: hide_product,
+   * delete_review, suspend_user or ban_user ({ note, days } for suspensions).
+   * Each target is acted on once; all of its open reports are closed.
+   * Reports the action doesn't apply to are returned as skipped.
+   */
+  static async applyAction(reportIds, moderator, { action, note, days }) {
+    if (!ACTION_PERMISSIONS[action]) {
+      throw createError(400, `Action must be one of: ${Object.keys(ACTION_PERMISSIONS).join(', ')}.`);
+    }
+
+    const isUserAction = action === 'suspend_user' || action === 'ban_user';
+    const reports = await this.loadReports(reportIds);
+    const applicable = reports.filter(report =>
+      ACTION_TARGETS[action].includes(report.targetType) && (!isUserAction || report.targetUserId)
+    );
+    const skipped = reports.filter(report => !applicable.includes(report)).map(report => report._id);
+
+    const targetIds = [...new Set(applicable.map(report => (isUserAction ? report.targetUserId : report.targetId).toString()))];
+
+    const now = new Date();
+    let reportsClosed = 0;
+    const actioned = [];
+    const failed = [];
+
+    for (const targetId of targetIds) {
+      try {
+        switch (action) {
+          case 'hide_product':
+            await this.hideProduct(targetId, moderator, note);
+            break;
+          case 'delete_review':
+            await this.deleteReview(targetId);
+            break;
+          case 'suspend_user':
+            await this.suspendUser(targetId, moderator, { type: 'suspend', reason: note, days });
+            break;
+          case 'ban_user':
+            await this.suspendUser(targetId, moderator, { type: 'ban', reason: note });
+            break;
+        }
+      } catch (error) {
+        // One bad target shouldn't stop the rest of the batch
+        if (!error.status) throw error;
+        failed.push({ targetId, message: error.message });
+        continue;
+      }
+
+      // Close the chosen reports and every other open one on the same target
+      const targetReports = applicable.filter(report =>
+        (isUserAction ? report.targetUserId : report.targetId).toString() === targetId
+      );
+      const sameTarget = isUserAction
+        ? { targetUserId: targetId }
+        : { targetType: targetReports[0].targetType, targetId };
+      const closed = await Report.updateMany(
+        {
+          $or: [
+            { _id: { $in: targetReports.map(report => report._id) } },
+            sameTarget
+          ],
+          status: { $in: Report.ACTIVE_STATUSES }
+        },
+        {
+          $set: { status: 'actioned', resolution: { action, note, by: moderator._id, at: now } },
+          $push: { history: { status: 'actioned', action, by: moderator._id, note, at: now } }
+        }
+      );
+      reportsClosed += closed.modifiedCount;
+      actioned.push(targetId);
+    }
+
+    return { actioned, failed, skipped, reportsClosed };
+  }
+
+  static async hideProduct(productId, moderator, reason) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw createError(400, 'Invalid product ID.');
+    }
+    const product = await Product.findByIdAndUpdate(
+      productId,
+      { $set: { moderation: { hiddenAt: new Date(), hiddenBy: moderator._id, reason } } },
+      { new: true }
+    );
+    if (!product) {
+      throw createError(404, 'Product not found.');
+    }
+    return product;
+  }
+
+  static async unhideProduct(productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw createError(400, 'Invalid product ID.');
+    }
+    const product = await Product.findByIdAndUpdate(
+      productId,
+      { $set: { moderation: { hiddenAt: null } } },
+      { new: true }
+    );
+    if (!product) {
+      throw createError(404, 'Product not found.');
+    }
+    return product;
+  }
+
+  /**
+   * Remove a review; a review that is already gone is fine
+   */
+  static async deleteReview(reviewId) {
+    await Review.deleteOne({ _id: reviewId });
+  }
+
+  static buildSuspensionDialog(userId, { type, reason, until }) {
+    const banned = type === 'ban';
+    const untilText = until ? until.toISOString().slice(0, 10) : null;
+
+    return {
+      title: banned ? 'Account banned' : 'Account suspended',
+      message: banned
+        ? `Your account has been banned for breaking our community rules.${reason ? ` Reason: ${reason}` : ''}`
+        : `Your account is suspended until ${untilText}.${reason ? ` Reason: ${reason}` : ''}`,
+      type,
+      targetType: 'user',
+      targetUserIds: [userId.toString()],
+      isDismissible: false,
+      isForce: true,
+      showOnce: false,
+      priority: 100,
+      expiresAt: until || undefined,
+      buttons: [
+        banned
+          ? { label: 'Appeal', action: 'ban_appeal', style: 'primary' }
+          : { label: 'Contact support', action: 'contact_support', style: 'primary' },
+        { label: 'Log out', action: 'logout', style: 'ghost' }
+      ]
+    };
+  }
+
+  /**
+   * Suspend ({ type: 'suspend', days? }) or ban ({ type: 'ban' }) a user.
+   * The app is locked with a dialog pushed over the socket; the API
+   * refuses the account's requests until it is lifted.
+   */
+  static async suspendUser(userId, moderator, { type = 'suspend', reason, days } = {}) {
+    if (!['suspend', 'ban'].includes(type)) {
+      throw createError(400, 'Type must be suspend or ban.');
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw createError(400, 'Invalid user ID.');
+    }
+    if (userId.toString() === moderator._id.toString()) {
+      throw createError(400, "You can't suspend yourself.");
+    }
+
+    const user = await User.findById(userId).select('roles suspension');
+    if (!user) {
+      throw createError(404, 'User not found.');
+    }
+    if ((user.roles || []).some(role => STAFF_ROLES.includes(role)) && !hasPermission(moderator, PERMISSIONS.USERS_MANAGE)) {
+      throw createError(403, 'Only admins can suspend staff accounts.');
+    }
+
+    let until = null;
+    if (type === 'suspend') {
+      const suspendDays = days === undefined ? MODERATION_SUSPEND_DAYS : parseInt(days);
+      if (!(suspendDays >= 1 && suspendDays <= MAX_SUSPEND_DAYS)) {
+        throw createError(400, `Suspensions last between 1 and ${MAX_SUSPEND_DAYS} days.`);
+      }
+      until = new Date(Date.now() + suspendDays * 24 * 60 * 60 * 1000);
+    }
+
+    // A new suspension replaces the dialog of the previous one
+    if (user.suspension?.dialogId) {
+      await SystemDialog.updateOne({ _id: user.suspension.dialogId }, { $set: { active: false } });
+    }
+
+    const dialog = await SystemDialog.create(this.buildSuspensionDialog(user._id, { type, reason, until }));
+
+    user.suspension = {
+      status: type === 'ban' ? 'banned' : 'suspended',
+      reason,
+      until,
+      by: moderator._id,
+      at: new Date(),
+      dialogId: dialog._id
+    };
+    await user.save();
+
+    pushDialog(dialog);
+    return user;
+  }
+
+  /**
+   * Lift a suspension or ban and take the lock dialog down
+   */
+  static async reinstateUser(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw createError(400, 'Invalid user ID.');
+    }
+
+    const user = await User.findById(userId).select('suspension');
+    if (!user) {
+      throw createError(404, 'User not found.');
+    }
+    if (!user.suspension?.status) {
+      throw createError(400, 'This user is not suspended.');
+    }
+
+    if (user.suspension.dialogId) {
+      await SystemDialog.updateOne({ _id: user.suspension.dialogId }, { $set: { active: false } });
+    }
+    user.suspension = undefined;
+    await user.save();
+    return user;
+  }
+}
+
+ModerationService.ACTION_PERMISSIONS = ACTION_PERMISSIONS;
+
+module.exports = ModerationService;
@@ -2,7 +2,23 @@
 const cron = require('node-cron');
 const { Conversation, Message } = require('../model/message');
 const PushNotificationService = require('./pushNotificationService');
+const emailService = require('./emailService');
 const User = require('../model/user');
+const Cart = require('../model/cart');
+const Product = require('../model/product');
+const NotificationCooldown = require('../model/notificationCooldown');
+const { escapeHtml } = require('../utils/html');
+
+// Abandoned cart reminders: push after ABANDONED_CART_HOURS without changes,
+// follow-up email ABANDONED_CART_EMAIL_DELAY_HOURS after the push, at most
+// once per ABANDONED_CART_COOLDOWN_HOURS each. Carts older than
+// ABANDONED_CART_MAX_AGE_DAYS are left alone.
+const ABANDONED_CART_HOURS = parseInt(process.env.ABANDONED_CART_HOURS) || 24;
+const ABANDONED_CART_EMAIL_DELAY_HOURS = parseInt(process.env.ABANDONED_CART_EMAIL_DELAY_HOURS) || 24;
+const ABANDONED_CART_COOLDOWN_HOURS = parseInt(process.env.ABANDONED_CART_COOLDOWN_HOURS) || 72;
+const ABANDONED_CART_MAX_AGE_DAYS = parseInt(process.env.ABANDONED_CART_MAX_AGE_DAYS) || 7;
+
+const HOUR = 60 * 60 * 1000;
 
 class NotificationScheduler {
   
@@ -22,7 +38,12 @@ class NotificationScheduler {
       await this.checkUnresolvedConversations();
     });
 
-    console.log('✅ Notification scheduler started (runs every 30 minutes)');
+    // Check every hour for carts left untouched
+    cron.schedule('0 * * * *', async () => {
+      await this.checkAbandonedCarts();
+    });
+
+    console.log('✅ Notification scheduler started (conversations every 30 minutes, abandoned carts hourly)');
   }
 
   /**
@@ -153,6 +174,139 @@ class NotificationScheduler {
     }
   }
 
+  /**
+   * Find signed-in users' carts that haven't changed for a while and still
+   * hold in-stock items, and remind their owners
+   */
+  static async checkAbandonedCarts() {
+    try {
+      const now = new Date();
+
+      const carts = await Cart.find({
+        userID: { $ne: null },
+        'items.0': { $exists: true },
+        updatedAt: {
+          $lte: new Date(now - ABANDONED_CART_HOURS * HOUR),
+          $gte: new Date(now - ABANDONED_CART_MAX_AGE_DAYS * 24 * HOUR)
+        }
+      }).select('userID items updatedAt').lean();
+
+      if (carts.length === 0) return 0;
+
+      const productIds = [...new Set(carts.flatMap(cart => cart.items.map(item => item.productId.toString())))];
+      const [products, users] = await Promise.all([
+        Product.find({ _id: { $in: productIds } }).select('name quantity price offerPrice images').lean(),
+        User.find({ _id: { $in: carts.map(cart => cart.userID) } }).select('fullName email notificationPreferences').lean()
+      ]);
+
+      const productMap = new Map(products.map(p => [p._id.toString(), p]));
+      const userMap = new Map(users.map(u => [u._id.toString(), u]));
+
+      let remindersSent = 0;
+      for (const cart of carts) {
+        const sent = await this.processAbandonedCart(cart, userMap.get(cart.userID.toString()), productMap, now);
+        if (sent) remindersSent++;
+      }
+
+      console.log(`🛒 Sent ${remindersSent} abandoned cart reminders (${carts.length} carts checked)`);
+      return remindersSent;
+
+    } catch (error) {
+      console.error('❌ checkAbandonedCarts error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Push first; email as a follow-up if the cart is still untouched later
+   */
+  static async processAbandonedCart(cart, user, productMap, now) {
+    try {
+      if (!user || user.notificationPreferences?.abandonedCartReminders === false) {
+        return false;
+      }
+
+      const inStock = cart.items
+        .map(item => ({ item, product: productMap.get(item.productId.toString()) }))
+        .filter(({ product }) => product && product.quantity > 0);
+
+      if (inStock.length === 0) {
+        return false;
+      }
+
+      const userId = user._id;
+      const cooldownMs = ABANDONED_CART_COOLDOWN_HOURS * HOUR;
+      const lastPush = await NotificationCooldown.lastSent(userId, 'abandoned_cart_push');
+
+      // New abandonment (or the cart changed since the last push): push first
+      if (!lastPush || lastPush < cart.updatedAt) {
+        if (!await NotificationCooldown.claim(userId, 'abandoned_cart_push', cooldownMs)) {
+          return false;
+        }
+
+        await PushNotificationService.sendAbandonedCartReminder(userId, {
+          itemCount: inStock.length,
+          productName: inStock[0].product.name,
+          imageUrl: inStock[0].product.images?.[0]?.url
+        });
+        return true;
+      }
+
+      // Already pushed for this cart: follow up by email once enough time has passed
+      if (!emailService.isValidEmail(user.email) || now - lastPush < ABANDONED_CART_EMAIL_DELAY_HOURS * HOUR) {
+        return false;
+      }
+
+      // One follow-up email per push
+      const lastEmail = await NotificationCooldown.lastSent(userId, 'abandoned_cart_email');
+      if (lastEmail && lastEmail >= lastPush) {
+        return false;
+      }
+
+      if (!await NotificationCooldown.claim(userId, 'abandoned_cart_email', cooldownMs)) {
+        return false;
+      }
+
+      await emailService.sendSingleEmail({
+        to: user.email,
+        subject: 'Your cart at Salone Fast Market is waiting',
+        html: this.buildAbandonedCartEmail(user, inStock.map(({ product }) => product))
+      });
+      return true;
+
+    } catch (error) {
+      console.error(`❌ processAbandonedCart error for ${cart._id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Abandoned cart email body
+   */
+  static buildAbandonedCartEmail(user, products) {
+    const rows = products.slice(0, 5).map(product => {
+      const price = product.offerPrice && product.offerPrice < product.price ? product.offerPrice : product.price;
+      return `
+        <tr>
+          <td style="padding:8px 0;">${escapeHtml(product.name)}</td>
+          <td style="padding:8px 0;text-align:right;">Le ${escapeHtml(price)}</td>
+        </tr>`;
+    }).join('');
+
+    const more = products.length > 5 ? `<p>...and ${products.length - 5} more item(s).</p>` : '';
+
+    return `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;">
+        <h2>Hi ${escapeHtml(user.fullName || 'there')},</h2>
+        <p>You left these items in your cart. They're still in stock - for now.</p>
+        <table style="width:100%;border-collapse:collapse;">${rows}
+        </table>
+        ${more}
+        <p>Open the Salone Fast Market app to complete your order.</p>
+        <p style="color:#888;font-size:12px;">You can turn off cart reminders in the app's notification settings.</p>
+      </div>`;
+  }
+
   /**
    * Manual trigger for testing
    */
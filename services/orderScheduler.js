@@ -0,0 +1,37 @@
+// services/orderScheduler.js
+const cron = require('node-cron');
+const OrderService = require('./orderService');
+const LedgerService = require('./ledgerService');
+
+class OrderScheduler {
+
+  /**
+   * Start all scheduled order jobs
+   */
+  static start() {
+    console.log('🕐 Starting order scheduler...');
+
+    // Release stock held by orders the seller never confirmed
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        await OrderService.expireReservations();
+      } catch (error) {
+        console.error('❌ expireReservations error:', error);
+      }
+    });
+
+    // Pay sellers' held earnings into their available balance once the
+    // dispute window has closed
+    cron.schedule('15 * * * *', async () => {
+      try {
+        await LedgerService.releaseHeldFunds();
+      } catch (error) {
+        console.error('❌ releaseHeldFunds error:', error);
+      }
+    });
+
+    console.log('✅ Order scheduler started (reservation expiry every 5 minutes, fund release hourly)');
+  }
+}
+
+module.exports = OrderScheduler;
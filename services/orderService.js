@@ -0,0 +1,568 @@
+// services/orderService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../model/order');
+const Cart = require('../model/cart');
+const Product = require('../model/product');
+const Coupon = require('../model/couponCode');
+const CartService = require('./cartService');
+const InventoryService = require('./inventoryService');
+const PushNotificationService = require('./pushNotificationService');
+const PaymentService = require('./paymentService');
+const LedgerService = require('./ledgerService');
+const { createError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { getIO } = require('../utils/socket');
+
+// Allowed moves: current status -> next status -> roles allowed to make the move
+const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: ['seller'],
+    rejected: ['seller'],
+    cancelled: ['buyer', 'system']
+  },
+  confirmed: {
+    packed: ['seller'],
+    cancelled: ['seller']
+  },
+  packed: {
+    out_for_delivery: ['seller'],
+    cancelled: ['seller']
+  },
+  out_for_delivery: {
+    delivered: ['seller']
+  },
+  delivered: {},
+  cancelled: {},
+  rejected: {}
+};
+
+// How long checkout holds stock for an order the seller has not confirmed yet
+const RESERVATION_HOURS = parseInt(process.env.ORDER_RESERVATION_HOURS) || 24;
+
+class OrderService {
+
+  /**
+   * Human readable order number, e.g. SFM-250101-3F9A2C
+   */
+  static generateOrderNumber() {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    return `SFM-${date}-${suffix}`;
+  }
+
+  /**
+   * Check whether a coupon's category/subcategory/product restrictions allow a product
+   */
+  static isCouponApplicable(coupon, product) {
+    if (coupon.applicableCategory && coupon.applicableCategory.toString() !== product.proCategoryId?.toString()) {
+      return false;
+    }
+    if (coupon.applicableSubCategory && coupon.applicableSubCategory.toString() !== product.proSubCategoryId?.toString()) {
+      return false;
+    }
+    if (coupon.applicableProduct && coupon.applicableProduct.toString() !== product._id.toString()) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate a coupon against priced cart lines and work out the total discount
+   */
+  static async resolveCoupon(couponCode, lines, session) {
+    const coupon = await Coupon.findOne({ couponCode }).session(session);
+
+    if (!coupon) {
+      throw createError(400, 'Coupon not found.');
+    }
+    if (coupon.status !== 'active') {
+      throw createError(400, 'Coupon is inactive.');
+    }
+    if (coupon.endDate < new Date()) {
+      throw createError(400, 'Coupon is expired.');
+    }
+
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    if (coupon.minimumPurchaseAmount && subtotal < coupon.minimumPurchaseAmount) {
+      throw createError(400, 'Minimum purchase amount not met.');
+    }
+
+    const eligibleSubtotal = lines
+      .filter(line => this.isCouponApplicable(coupon, line.product))
+      .reduce((sum, line) => sum + line.lineTotal, 0);
+
+    if (eligibleSubtotal === 0) {
+      throw createError(400, 'Coupon is not applicable to the items in your cart.');
+    }
+
+    const rawDiscount = coupon.discountType === 'percentage'
+      ? eligibleSubtotal * coupon.discountAmount / 100
+      : coupon.discountAmount;
+
+    return {
+      coupon,
+      eligibleSubtotal,
+      discount: roundMoney(Math.min(rawDiscount, eligibleSubtotal))
+    };
+  }
+
+  /**
+   * Turn the buyer's cart into one pending order per seller.
+   * Prices come from Product (never from the cart), and the orders are
+   * created and the cart emptied in a single transaction.
+   */
+  static async checkout(buyer, { couponCode, shippingAddress = {}, note } = {}) {
+    const session = await mongoose.startSession();
+
+    try {
+      let orders = [];
+
+      await session.withTransaction(async () => {
+        const cart = await Cart.findOne({ userID: buyer._id }).session(session);
+
+        if (!cart || cart.items.length === 0) {
+          throw createError(400, 'Your cart is empty.');
+        }
+
+        const products = await Product.find({ _id: { $in: cart.items.map(item => item.productId) } })
+          .session(session);
+        const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+        // Price every line from the database
+        const lines = [];
+        const lineErrors = [];
+
+        for (const item of cart.items) {
+          const product = productMap.get(item.productId.toString());
+          const combination = product ? CartService.findCombination(product, item.combinationId) : null;
+          const quantity = parseInt(item.quantity);
+
+          if (!Product.isListed(product)) {
+            lineErrors.push({ itemId: item._id, productId: item.productId, message: 'Product is no longer available.' });
+            continue;
+          }
+          if (!CartService.isLineAvailable(product, combination)) {
+            lineErrors.push({ itemId: item._id, productId: item.productId, message: 'This option is no longer available.' });
+            continue;
+          }
+          if (!Number.isInteger(quantity) || quantity < 1) {
+            lineErrors.push({ itemId: item._id, productId: item.productId, message: 'Quantity must be at least 1.' });
+            continue;
+          }
+
+          const unitPrice = CartService.getUnitPrice(product, combination);
+          lines.push({
+            item,
+            product,
+            combination,
+            quantity,
+            unitPrice,
+            lineTotal: roundMoney(unitPrice * quantity)
+          });
+        }
+
+        // The same product (or combination) can sit on several lines, so
+        // compare stock against the total requested of each
+        const requestedByStock = new Map();
+        for (const line of lines) {
+          const key = CartService.stockKey(line.product._id, line.combination?._id);
+          if (!requestedByStock.has(key)) {
+            requestedByStock.set(key, { product: line.product, combination: line.combination, requested: 0 });
+          }
+          requestedByStock.get(key).requested += line.quantity;
+        }
+
+        const addStockErrors = (key) => {
+          lines
+            .filter(line => CartService.stockKey(line.product._id, line.combination?._id) === key)
+            .forEach(line => {
+              const available = CartService.availableQuantity(line.product, line.combination);
+              lineErrors.push({
+                itemId: line.item._id,
+                productId: line.product._id,
+                productName: line.product.name,
+                combinationId: line.combination?._id,
+                sku: line.combination?.sku,
+                requested: line.quantity,
+                available,
+                message: available > 0 ? `Only ${available} left in stock.` : 'Out of stock.'
+              });
+            });
+        };
+
+        for (const [key, { product, combination, requested }] of requestedByStock) {
+          if (CartService.availableQuantity(product, combination) < requested) {
+            addStockErrors(key);
+          }
+        }
+
+        if (lineErrors.length > 0) {
+          throw createError(409, 'Some items in your cart cannot be checked out.', lineErrors);
+        }
+
+        // Reserve stock with a conditional decrement so two buyers can never
+        // both take the last unit
+        const movements = [];
+        for (const [key, { product, combination, requested }] of requestedByStock) {
+          const reserved = await Product.findOneAndUpdate(
+            combination
+              ? { _id: product._id, combinations: { $elemMatch: { _id: combination._id, quantity: { $gte: requested } } } }
+              : { _id: product._id, quantity: { $gte: requested } },
+            combination
+              ? { $inc: { 'combinations.$.quantity': -requested, quantity: -requested } }
+              : { $inc: { quantity: -requested } },
+            { session, new: true, projection: 'quantity combinations' }
+          );
+          if (!reserved) {
+            addStockErrors(key);
+            continue;
+          }
+
+          movements.push({
+            productId: product._id,
+            combinationId: combination?._id,
+            sku: combination?.sku,
+            sellerId: product.sellerId,
+            reason: 'order',
+            change: -requested,
+            balance: combination ? reserved.combinations.id(combination._id).quantity : reserved.quantity,
+            actorId: buyer._id
+          });
+        }
+
+        if (lineErrors.length > 0) {
+          throw createError(409, 'Some items in your cart cannot be checked out.', lineErrors);
+        }
+
+        const couponResult = couponCode
+          ? await this.resolveCoupon(couponCode, lines, session)
+          : null;
+
+        // Split lines into one group per seller
+        const groups = new Map();
+        for (const line of lines) {
+          const sellerKey = line.product.sellerId.toString();
+          if (!groups.has(sellerKey)) {
+            groups.set(sellerKey, {
+              sellerId: line.product.sellerId,
+              sellerName: line.product.sellerName,
+              lines: [],
+              subtotal: 0,
+              eligibleSubtotal: 0
+            });
+          }
+
+          const group = groups.get(sellerKey);
+          group.lines.push(line);
+          group.subtotal = roundMoney(group.subtotal + line.lineTotal);
+          if (couponResult && this.isCouponApplicable(couponResult.coupon, line.product)) {
+            group.eligibleSubtotal = roundMoney(group.eligibleSubtotal + line.lineTotal);
+          }
+        }
+
+        // Spread the coupon discount across sellers in proportion to their
+        // eligible lines; the last eligible order absorbs rounding leftovers
+        const eligibleGroups = Array.from(groups.values()).filter(g => g.eligibleSubtotal > 0);
+        let discountLeft = couponResult ? couponResult.discount : 0;
+
+        eligibleGroups.forEach((group, index) => {
+          const isLast = index === eligibleGroups.length - 1;
+          group.discount = isLast
+            ? discountLeft
+            : roundMoney(couponResult.discount * group.eligibleSubtotal / couponResult.eligibleSubtotal);
+          discountLeft = roundMoney(discountLeft - group.discount);
+        });
+
+        const variantNames = await CartService.getVariantNames(
+          lines.flatMap(line => [line.item.variantId, ...(line.combination?.variantIds || [])]).filter(Boolean),
+          session
+        );
+        const variantName = (line) => {
+          if (line.combination) return CartService.getCombinationName(line.combination, variantNames) || undefined;
+          return line.item.variantId ? variantNames.get(line.item.variantId.toString()) : undefined;
+        };
+
+        const checkoutId = crypto.randomUUID();
+        const address = {
+          street: shippingAddress.street || buyer.address?.street,
+          city: shippingAddress.city || buyer.address?.city,
+          district: shippingAddress.district || buyer.address?.district,
+          postalCode: shippingAddress.postalCode || buyer.address?.postalCode,
+          phoneNumber: shippingAddress.phoneNumber || buyer.phoneNumber
+        };
+
+        const orderDocs = Array.from(groups.values()).map(group => {
+          const discount = group.discount || 0;
+          return {
+            orderNumber: this.generateOrderNumber(),
+            checkoutId,
+            buyerId: buyer._id,
+            sellerId: group.sellerId,
+            sellerName: group.sellerName,
+            items: group.lines.map(line => ({
+              productId: line.product._id,
+              productName: line.product.name,
+              variantId: line.item.variantId || undefined,
+              variant: variantName(line),
+              combinationId: line.combination?._id,
+              sku: line.combination?.sku,
+              image: CartService.getImageUrl(line.product, line.combination) || undefined,
+              quantity: line.quantity,
+              unitPrice: line.unitPrice,
+              lineTotal: line.lineTotal
+            })),
+            subtotal: group.subtotal,
+            discount,
+            total: roundMoney(group.subtotal - discount),
+            ...(couponResult && discount > 0 && {
+              coupon: {
+                couponId: couponResult.coupon._id,
+                couponCode: couponResult.coupon.couponCode,
+                discountType: couponResult.coupon.discountType,
+                discountAmount: discount
+              }
+            }),
+            shippingAddress: address,
+            note
+          };
+        });
+
+        const reservationExpiresAt = new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000);
+        orderDocs.forEach(doc => {
+          doc.statusHistory = [{ status: 'pending', changedBy: buyer._id, role: 'buyer' }];
+          doc.reservation = { status: 'held', expiresAt: reservationExpiresAt };
+        });
+
+        orders = await Order.create(orderDocs, { session, ordered: true });
+
+        const orderBySeller = new Map(orders.map(order => [order.sellerId.toString(), order._id]));
+        movements.forEach(movement => {
+          movement.orderId = orderBySeller.get(movement.sellerId.toString());
+        });
+        await InventoryService.record(movements, session);
+
+        cart.items = [];
+        await cart.save({ session });
+      });
+
+      return orders;
+
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Put an order's reserved units back on the shelf (and on the combination
+   * they came from, if it still exists), recording each in the inventory
+   * ledger ({ reason, actorId, orderId })
+   */
+  static async releaseStock(items, session, { reason = 'cancellation', actorId, orderId } = {}) {
+    if (!items || items.length === 0) return;
+
+    const movements = [];
+    for (const item of items) {
+      const restocked = await Product.findOneAndUpdate(
+        item.combinationId
+          ? { _id: item.productId, 'combinations._id': item.combinationId }
+          : { _id: item.productId },
+        item.combinationId
+          ? { $inc: { 'combinations.$.quantity': item.quantity, quantity: item.quantity } }
+          : { $inc: { quantity: item.quantity } },
+        { session, new: true, projection: 'sellerId quantity combinations' }
+      );
+      if (!restocked) continue;
+
+      movements.push({
+        productId: item.productId,
+        combinationId: item.combinationId,
+        sku: item.sku,
+        sellerId: restocked.sellerId,
+        reason,
+        change: item.quantity,
+        balance: item.combinationId
+          ? restocked.combinations.id(item.combinationId).quantity
+          : restocked.quantity,
+        actorId,
+        orderId
+      });
+    }
+
+    await InventoryService.record(movements, session);
+  }
+
+  /**
+   * Move an order to a new status on behalf of its buyer, its seller or
+   * the system (actorId 'system'). The update only applies if nobody changed
+   * the status in the meantime, and cancelling/rejecting returns reserved
+   * stock in the same transaction.
+   */
+  static async changeStatus(orderId, actorId, nextStatus, note) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw createError(404, 'Order not found.');
+    }
+
+    const role = actorId === 'system' ? 'system' : order.getUserRole(actorId);
+    if (!role) {
+      throw createError(403, 'You do not have access to this order.');
+    }
+
+    const allowedRoles = ORDER_TRANSITIONS[order.status]?.[nextStatus];
+    if (!allowedRoles) {
+      throw createError(400, `Cannot move an order from ${order.status} to ${nextStatus}.`);
+    }
+    if (!allowedRoles.includes(role)) {
+      throw createError(403, `Only the ${allowedRoles.join(' or ')} can mark this order as ${nextStatus}.`);
+    }
+
+    const now = new Date();
+    const reservationStatus = order.reservation?.status;
+    const releasesStock = ['cancelled', 'rejected'].includes(nextStatus)
+      && ['held', 'committed'].includes(reservationStatus);
+
+    const update = {
+      $set: { status: nextStatus },
+      $push: {
+        statusHistory: {
+          status: nextStatus,
+          changedBy: role === 'system' ? undefined : actorId,
+          role,
+          note,
+          at: now
+        }
+      }
+    };
+
+    if (nextStatus === 'confirmed' && reservationStatus === 'held') {
+      update.$set['reservation.status'] = 'committed';
+    }
+    if (releasesStock) {
+      update.$set['reservation.status'] = 'released';
+      update.$set['reservation.releasedAt'] = now;
+    }
+
+    const session = await mongoose.startSession();
+    let updated;
+
+    try {
+      await session.withTransaction(async () => {
+        updated = await Order.findOneAndUpdate(
+          { _id: order._id, status: order.status },
+          update,
+          { new: true, session }
+        );
+
+        if (!updated) {
+          throw createError(409, 'Order was updated by someone else. Please refresh and try again.');
+        }
+
+        if (releasesStock) {
+          await this.releaseStock(updated.items, session, {
+            actorId: role === 'system' ? undefined : actorId,
+            orderId: updated._id
+          });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // Money already taken for an order that will never ship goes back to the buyer
+    if (['cancelled', 'rejected'].includes(nextStatus)) {
+      try {
+        await PaymentService.refundOrder(updated, `Order ${nextStatus}`);
+      } catch (error) {
+        console.error(`❌ Refund failed for order ${updated.orderNumber}:`, error.message);
+      }
+    }
+
+    // Paid orders start earning for the seller once delivered
+    if (nextStatus === 'delivered') {
+      try {
+        await LedgerService.recordOrderDelivered(updated);
+      } catch (error) {
+        console.error(`❌ Ledger posting failed for order ${updated.orderNumber}:`, error.message);
+      }
+    }
+
+    await this.notifyStatusChange(updated, role);
+    return updated;
+  }
+
+  /**
+   * Cancel pending orders whose stock reservation ran out before the
+   * seller confirmed them
+   */
+  static async expireReservations() {
+    const expired = await Order.find({
+      status: 'pending',
+      'reservation.status': 'held',
+      'reservation.expiresAt': { $lte: new Date() }
+    }).select('_id orderNumber');
+
+    let cancelledCount = 0;
+
+    for (const order of expired) {
+      try {
+        await this.changeStatus(order._id, 'system', 'cancelled', 'Seller did not confirm the order in time.');
+        cancelledCount++;
+      } catch (error) {
+        // 409 means the seller or buyer acted first - nothing to do
+        if (error.status !== 409) {
+          console.error(`❌ Failed to expire order ${order.orderNumber}:`, error.message);
+        }
+      }
+    }
+
+    if (cancelledCount > 0) {
+      console.log(`⏰ Cancelled ${cancelledCount} orders with expired stock reservations`);
+    }
+
+    return cancelledCount;
+  }
+
+  /**
+   * Tell both parties about an order's current status over Socket.IO,
+   * and push it to whoever did not make the change
+   */
+  static async notifyStatusChange(order, actorRole) {
+    const buyerId = order.buyerId.toString();
+    const sellerId = order.sellerId.toString();
+    const lastChange = order.statusHistory[order.statusHistory.length - 1];
+
+    const payload = {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      checkoutId: order.checkoutId,
+      status: order.status,
+      changedByRole: actorRole,
+      note: lastChange?.note,
+      timestamp: (lastChange?.at || new Date()).toISOString()
+    };
+
+    try {
+      const socketIO = getIO();
+      if (socketIO) {
+        socketIO.to(buyerId).emit('order_updated', { ...payload, recipientRole: 'buyer' });
+        socketIO.to(sellerId).emit('order_updated', { ...payload, recipientRole: 'seller' });
+        console.log(`📦 order_updated (${order.status}) emitted for ${order.orderNumber}`);
+      }
+    } catch (socketError) {
+      console.error('Socket emission error:', socketError);
+    }
+
+    const recipients = [];
+    if (actorRole !== 'buyer') recipients.push(buyerId);
+    if (actorRole !== 'seller') recipients.push(sellerId);
+
+    await Promise.all(recipients.map(userId =>
+      PushNotificationService.sendOrderStatusNotification(userId, order)
+    ));
+  }
+}
+
+OrderService.TRANSITIONS = ORDER_TRANSITIONS;
+
+module.exports = OrderService;
@@ -0,0 +1,188 @@
+// services/otpService.js
+const crypto = require('crypto');
+const Otp = require('../model/otp');
+const { getSender, getDefaultSender } = require('./sms');
+const { createError } = require('../utils/httpError');
+
+// A code is valid for OTP_TTL_MINUTES and OTP_MAX_ATTEMPTS wrong guesses.
+// A new code can be sent every OTP_RESEND_SECONDS, at most
+// OTP_MAX_SENDS_PER_HOUR times an hour per phone number and purpose.
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR) || 5;
+
+const CODE_LENGTH = 6;
+const HOUR = 60 * 60 * 1000;
+
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-2024';
+
+const MESSAGES = {
+  register: 'Your Salone Fast Market verification code is',
+  login: 'Your Salone Fast Market login code is',
+  reset_password: 'Your Salone Fast Market password reset code is'
+};
+
+class OtpService {
+
+  static generateCode() {
+    return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+  }
+
+  /**
+   * Codes are only 6 digits, so they're keyed with a server secret rather
+   * than plainly hashed - a leaked record can't be brute-forced offline
+   */
+  static hashCode(phoneNumber, purpose, code) {
+    return crypto.createHmac('sha256', OTP_SECRET)
+      .update(`${purpose}:${phoneNumber}:${code}`)
+      .digest('hex');
+  }
+
+  static parsePurpose(purpose) {
+    if (!Otp.PURPOSES.includes(purpose)) {
+      throw createError(400, `Purpose must be one of: ${Otp.PURPOSES.join(', ')}.`);
+    }
+    return purpose;
+  }
+
+  static resolveSender(channel) {
+    const sender = channel ? getSender(channel) : getDefaultSender();
+    if (!sender || !sender.isConfigured() || (channel && !sender.selectable)) {
+      throw createError(channel ? 400 : 503, channel
+        ? `Verification codes can't be sent by ${channel}.`
+        : 'Verification codes are not available right now.');
+    }
+    return sender;
+  }
+
+  /**
+   * What the app is told after a code goes out (times in seconds)
+   */
+  static describeDelivery(sender) {
+    return {
+      channel: sender.name,
+      expiresIn: OTP_TTL_MINUTES * 60,
+      resendIn: OTP_RESEND_SECONDS
+    };
+  }
+
+  /**
+   * Throws 429 when another code can't be sent yet
+   */
+  static assertCanSend(record, now) {
+    if (!record) return;
+
+    const resendAt = record.lastSentAt ? record.lastSentAt.getTime() + OTP_RESEND_SECONDS * 1000 : 0;
+    if (resendAt > now) {
+      const retryAfter = Math.ceil((resendAt - now) / 1000);
+      throw createError(429, `Please wait ${retryAfter} seconds before requesting another code.`, { retryAfter });
+    }
+
+    const windowOpen = record.windowStartedAt && now - record.windowStartedAt.getTime() < HOUR;
+    if (windowOpen && record.sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+      const retryAfter = Math.ceil((record.windowStartedAt.getTime() + HOUR - now) / 1000);
+      throw createError(429, 'Too many codes requested. Please try again later.', { retryAfter });
+    }
+  }
+
+  /**
+   * Send a fresh code for a phone number (+232 format), replacing any
+   * earlier one. Returns describeDelivery().
+   */
+  static async request(phoneNumber, purpose, { channel } = {}) {
+    this.parsePurpose(purpose);
+    const sender = this.resolveSender(channel);
+
+    const now = Date.now();
+    const record = await Otp.findOne({ phoneNumber, purpose });
+    this.assertCanSend(record, now);
+
+    const code = this.generateCode();
+    const windowOpen = record?.windowStartedAt && now - record.windowStartedAt.getTime() < HOUR;
+    const update = {
+      codeHash: this.hashCode(phoneNumber, purpose, code),
+      expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+      attempts: 0,
+      channel: sender.name,
+      lastSentAt: new Date(now),
+      sendCount: windowOpen ? record.sendCount + 1 : 1,
+      windowStartedAt: windowOpen ? record.windowStartedAt : new Date(now),
+      consumedAt: null
+    };
+
+    // Only take the slot if no parallel request took it since we read it
+    try {
+      const claimed = record
+        ? await Otp.findOneAndUpdate({ _id: record._id, lastSentAt: record.lastSentAt }, { $set: update })
+        : await Otp.create({ phoneNumber, purpose, ...update });
+      if (!claimed) throw createError(429, 'A code was just sent. Please wait before requesting another.');
+    } catch (error) {
+      if (error.code === 11000) throw createError(429, 'A code was just sent. Please wait before requesting another.');
+      throw error;
+    }
+
+    try {
+      await sender.send(phoneNumber, `${MESSAGES[purpose]} ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Never share this code with anyone.`);
+    } catch (error) {
+      console.error(`❌ OTP send via ${sender.name} failed:`, error.message);
+      throw createError(502, 'Could not send the verification code. Please try again.');
+    }
+
+    return this.describeDelivery(sender);
+  }
+
+  /**
+   * Check a code and use it up. Throws 400 for wrong, expired or used codes
+   * and 429 once the attempts are exhausted.
+   */
+  static async verify(phoneNumber, purpose, code) {
+    this.parsePurpose(purpose);
+
+    if (!/^\d+$/.test(String(code || ''))) {
+      throw createError(400, 'A verification code is required.');
+    }
+
+    // Count the attempt before comparing so parallel guesses can't exceed the limit
+    const record = await Otp.findOneAndUpdate(
+      {
+        phoneNumber,
+        purpose,
+        codeHash: { $ne: null },
+        consumedAt: null,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: OTP_MAX_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!record) {
+      const existing = await Otp.findOne({ phoneNumber, purpose }).select('attempts consumedAt expiresAt codeHash');
+      if (existing?.codeHash && !existing.consumedAt && existing.expiresAt > new Date()) {
+        throw createError(429, 'Too many wrong codes. Please request a new one.');
+      }
+      throw createError(400, 'This code has expired. Please request a new one.');
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const received = Buffer.from(this.hashCode(phoneNumber, purpose, String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+      const attemptsLeft = Math.max(OTP_MAX_ATTEMPTS - record.attempts, 0);
+      throw createError(400, 'Incorrect verification code.', { attemptsLeft });
+    }
+
+    // One use only - a parallel request with the same code loses here
+    const consumed = await Otp.findOneAndUpdate(
+      { _id: record._id, codeHash: record.codeHash, consumedAt: null },
+      { $set: { consumedAt: new Date(), codeHash: null } }
+    );
+    if (!consumed) {
+      throw createError(400, 'This code has already been used.');
+    }
+
+    return true;
+  }
+}
+
+module.exports = OtpService;
@@ -0,0 +1,473 @@
+// services/paymentService.js
+const crypto = require('crypto');
+const Payment = require('../model/payment');
+const Order = require('../model/order');
+const LedgerService = require('./ledgerService');
+const { getProvider } = require('./payments');
+const { createError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { getIO } = require('../utils/socket');
+
+class PaymentService {
+
+  /**
+   * Our payment reference, e.g. PAY-250101-9C1D4E7A
+   */
+  static generateReference() {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(4).toString('hex').toUpperCase();
+    return `PAY-${date}-${suffix}`;
+  }
+
+  /**
+   * Start paying for a buyer's orders (all orders of a checkout, or a list
+   * of order ids) with the chosen provider
+   */
+  static async initiate(buyer, { checkoutId, orderIds, provider: providerName, payerPhone, baseUrl, returnUrl, cancelUrl } = {}) {
+    const provider = getProvider(providerName);
+    if (!provider || !provider.isConfigured()) {
+      throw createError(400, 'Payment method is not available.');
+    }
+
+    if (!checkoutId && (!Array.isArray(orderIds) || orderIds.length === 0)) {
+      throw createError(400, 'checkoutId or orderIds is required.');
+    }
+
+    const query = {
+      buyerId: buyer._id,
+      status: { $nin: ['cancelled', 'rejected'] },
+      paymentStatus: { $in: ['unpaid', 'pending'] }
+    };
+    if (checkoutId) query.checkoutId = checkoutId;
+    else query._id = { $in: orderIds };
+
+    const orders = await Order.find(query);
+    if (orders.length === 0) {
+      throw createError(400, 'There are no unpaid orders to pay for.');
+    }
+
+    const payment = await Payment.create({
+      reference: this.generateReference(),
+      provider: provider.name,
+      buyerId: buyer._id,
+      orderIds: orders.map(order => order._id),
+      amount: roundMoney(orders.reduce((sum, order) => sum + order.total, 0)),
+      currency: orders[0].currency,
+      payerPhone: payerPhone || buyer.phoneNumber
+    });
+
+    let result;
+    try {
+      result = await provider.initiate(payment, { baseUrl, returnUrl, cancelUrl });
+    } catch (error) {
+      console.error(`❌ ${provider.name} initiate error:`, error.response?.data || error.message);
+      payment.status = 'failed';
+      payment.failureReason = error.message;
+      await payment.save();
+
+      if (error.status) throw error;
+      throw createError(502, `Could not start the ${provider.label} payment. Please try again.`);
+    }
+
+    payment.providerReference = result.providerReference;
+    payment.metadata = {
+      ...(result.metadata || {}),
+      ...(result.redirectUrl && { redirectUrl: result.redirectUrl })
+    };
+    await payment.save();
+
+    await Order.updateMany(
+      { _id: { $in: payment.orderIds }, paymentStatus: { $in: ['unpaid', 'pending'] } },
+      { paymentStatus: 'pending', paymentId: payment._id }
+    );
+
+    return {
+      payment,
+      redirectUrl: result.redirectUrl,
+      clientSecret: result.clientSecret,
+      instructions: result.instructions
+    };
+  }
+
+  /**
+   * Verify and apply a provider webhook. Each provider event is applied at
+   * most once, so retries from the provider are harmless.
+   */
+  static async handleWebhook(providerName, request) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+      throw createError(404, 'Unknown payment provider.');
+    }
+
+    const event = await provider.parseWebhook(request);
+    if (!event) {
+      return { ignored: true };
+    }
+
+    const payment = await Payment.findOne({
+      provider: provider.name,
+      ...(event.reference
+        ? { reference: event.reference }
+        : { providerReference: event.providerReference })
+    });
+
+    if (!payment) {
+      throw createError(404, 'Payment not found.');
+    }
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, processedEvents: { $ne: event.eventId } },
+      { $push: { processedEvents: event.eventId } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { duplicate: true, payment };
+    }
+
+    const updated = event.status === 'succeeded'
+      ? await this.markSucceeded(claimed, event)
+      : await this.markFailed(claimed, event);
+
+    return { payment: updated };
+  }
+
+  /**
+   * Record a confirmed payment and mark its orders paid. Orders that were
+   * cancelled, or paid through another payment, while this one was in
+   * flight get their share refunded straight away.
+   */
+  static async markSucceeded(payment, event) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          status: 'succeeded',
+          paidAt: new Date(),
+          ...(event.providerReference && { providerReference: event.providerReference })
+        },
+        $unset: { failureReason: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return payment;
+    }
+
+    await Order.updateMany(
+      {
+        _id: { $in: updated.orderIds },
+        status: { $nin: ['cancelled', 'rejected'] },
+        paymentStatus: { $in: ['unpaid', 'pending'] }
+      },
+      { paymentStatus: 'paid', paymentId: updated._id }
+    );
+
+    const orders = await Order.find({ _id: { $in: updated.orderIds } });
+    const isCovered = (order) =>
+      order.paymentId?.toString() === updated._id.toString() && order.paymentStatus === 'paid';
+    const uncovered = orders.filter(order => !isCovered(order));
+
+    for (const order of orders.filter(isCovered)) {
+      try {
+        await LedgerService.recordPaymentReceived(order, updated._id);
+      } catch (error) {
+        console.error(`❌ Ledger posting failed for order ${order.orderNumber}:`, error.message);
+      }
+    }
+
+    if (uncovered.length > 0) {
+      const amount = roundMoney(uncovered.reduce((sum, order) => sum + order.total, 0));
+      try {
+        await this.refund(updated._id, Math.min(amount, updated.amount), {
+          reason: `Orders ${uncovered.map(o => o.orderNumber).join(', ')} were cancelled or already paid`
+        });
+      } catch (error) {
+        console.error(`❌ Auto-refund failed for payment ${updated.reference}:`, error.message);
+      }
+    }
+
+    console.log(`💰 Payment ${updated.reference} succeeded (${updated.currency} ${updated.amount})`);
+    this.notifyBuyer(updated);
+
+    return Payment.findById(updated._id);
+  }
+
+  /**
+   * Record a failed payment and let the buyer try again
+   */
+  static async markFailed(payment, event) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'pending' },
+      { status: 'failed', failureReason: event.failureReason || 'Payment failed' },
+      { new: true }
+    );
+
+    if (!updated) {
+      return payment;
+    }
+
+    await Order.updateMany(
+      { paymentId: updated._id, paymentStatus: 'pending' },
+      { paymentStatus: 'unpaid' }
+    );
+
+    console.log(`⚠️ Payment ${updated.reference} failed: ${updated.failureReason}`);
+    this.notifyBuyer(updated);
+
+    return updated;
+  }
+
+  /**
+   * Refund part or all of a payment through its provider. The amount is
+   * reserved on the payment first so concurrent refunds can never exceed
+   * what was paid. Only a refund the provider reports as succeeded moves the
+   * payment and order status and posts the ledger reversal; pending and
+   * manual ones wait for confirmRefund().
+   */
+  static async refund(paymentId, amount, { reason, orderId } = {}) {
+    const refundAmount = roundMoney(Number(amount));
+    if (!(refundAmount > 0)) {
+      throw createError(400, 'Refund amount must be greater than zero.');
+    }
+
+    // The order only counts settled refunds, so pending and manual ones
+    // for it have to be added in here
+    if (orderId) {
+      const [order, current] = await Promise.all([
+        Order.findById(orderId).select('total').lean(),
+        Payment.findById(paymentId).select('refunds').lean()
+      ]);
+      const inFlight = (current?.refunds || [])
+        .filter(refund => refund.orderId?.toString() === orderId.toString() && refund.status !== 'failed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      if (order && roundMoney(inFlight + refundAmount) > order.total) {
+        throw createError(409, 'Refunds for this order would exceed its total.');
+      }
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      {
+        _id: paymentId,
+        status: { $in: ['succeeded', 'partially_refunded'] },
+        $expr: { $lte: [{ $add: ['$amountRefunded', refundAmount] }, '$amount'] }
+      },
+      {
+        $inc: { amountRefunded: refundAmount },
+        $push: { refunds: { amount: refundAmount, reason, orderId, status: 'pending' } }
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      throw createError(409, 'This payment cannot be refunded by that amount.');
+    }
+
+    const refundRecord = payment.refunds[payment.refunds.length - 1];
+    const provider = getProvider(payment.provider);
+
+    let result;
+    try {
+      result = await provider.refund(payment, refundAmount, reason);
+    } catch (error) {
+      console.error(`❌ ${payment.provider} refund error:`, error.response?.data || error.message);
+      await Payment.updateOne(
+        { _id: payment._id, 'refunds._id': refundRecord._id },
+        {
+          $inc: { amountRefunded: -refundAmount },
+          $set: { 'refunds.$.status': 'failed', 'refunds.$.failureReason': error.message }
+        }
+      );
+      throw createError(502, 'The payment provider could not process the refund.');
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'refunds._id': refundRecord._id },
+      {
+        $set: {
+          'refunds.$.status': result.status,
+          'refunds.$.providerRefundId': result.providerRefundId
+        }
+      },
+      { new: true }
+    );
+
+    if (result.status !== 'succeeded') {
+      console.log(`⏳ Refund of ${payment.currency} ${refundAmount} on payment ${payment.reference} is ${result.status}; waiting for confirmation`);
+      return { payment: updated, refund: updated.refunds.id(refundRecord._id) };
+    }
+
+    console.log(`↩️ Refunded ${payment.currency} ${refundAmount} on payment ${payment.reference}`);
+    return this.completeRefund(updated, refundRecord._id);
+  }
+
+  /**
+   * Settle a refund that is pending at the provider or has to be paid out
+   * by hand ({ outcome: 'succeeded' | 'failed', providerRefundId?, note? }).
+   * A failed refund gives its amount back to the payment.
+   */
+  static async confirmRefund(paymentId, refundId, admin, { outcome, providerRefundId, note } = {}) {
+    if (!['succeeded', 'failed'].includes(outcome)) {
+      throw createError(400, 'Outcome must be succeeded or failed.');
+    }
+
+    const payment = await Payment.findById(paymentId);
+    const refund = payment?.refunds.id(refundId);
+    if (!refund) {
+      throw createError(404, 'Refund not found.');
+    }
+
+    const update = {
+      $set: {
+        'refunds.$.status': outcome,
+        'refunds.$.confirmedBy': admin._id,
+        'refunds.$.confirmedAt': new Date(),
+        ...(providerRefundId && { 'refunds.$.providerRefundId': providerRefundId }),
+        ...(outcome === 'failed' && { 'refunds.$.failureReason': note || 'Marked as failed' })
+      },
+      ...(outcome === 'failed' && { $inc: { amountRefunded: -refund.amount } })
+    };
+
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, refunds: { $elemMatch: { _id: refund._id, status: { $in: ['pending', 'manual'] } } } },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw createError(409, 'This refund is already settled.');
+    }
+
+    if (outcome === 'failed') {
+      console.log(`⚠️ Refund ${refund._id} on payment ${payment.reference} marked as failed`);
+      return { payment: updated, refund: updated.refunds.id(refund._id) };
+    }
+
+    console.log(`↩️ Refund ${refund._id} on payment ${payment.reference} confirmed`);
+    return this.completeRefund(updated, refund._id);
+  }
+
+  /**
+   * Money for a refund has reached the buyer: update the payment and
+   * order status and post the ledger reversal
+   */
+  static async completeRefund(payment, refundId) {
+    const refundRecord = payment.refunds.id(refundId);
+    const refundAmount = refundRecord.amount;
+    const orderId = refundRecord.orderId;
+
+    const refunded = roundMoney(payment.refunds
+      .filter(refund => refund.status === 'succeeded')
+      .reduce((sum, refund) => sum + refund.amount, 0));
+    const updated = await Payment.findByIdAndUpdate(
+      payment._id,
+      { $set: { status: refunded >= payment.amount ? 'refunded' : 'partially_refunded' } },
+      { new: true }
+    );
+
+    if (orderId) {
+      const order = await Order.findOneAndUpdate({ _id: orderId }, [
+        { $set: { refundedAmount: { $round: [{ $add: ['$refundedAmount', refundAmount] }, 2] } } },
+        {
+          $set: {
+            paymentStatus: {
+              $cond: [{ $gte: ['$refundedAmount', '$total'] }, 'refunded', 'partially_refunded']
+            }
+          }
+        }
+      ], { new: true });
+
+      try {
+        await LedgerService.recordRefund(order, refundAmount, refundRecord._id);
+      } catch (error) {
+        console.error(`❌ Ledger posting failed for refund on order ${order.orderNumber}:`, error.message);
+      }
+    }
+
+    return { payment: updated, refund: updated.refunds.id(refundId) };
+  }
+
+  /**
+   * Refunds waiting for the provider or for finance to pay them out,
+   * oldest first
+   */
+  static async listOpenRefunds() {
+    const payments = await Payment.find({ 'refunds.status': { $in: ['pending', 'manual'] } })
+      .select('reference provider currency amount buyerId refunds')
+      .populate('buyerId', 'fullName phoneNumber')
+      .lean();
+
+    return payments
+      .flatMap(payment => payment.refunds
+        .filter(refund => ['pending', 'manual'].includes(refund.status))
+        .map(refund => ({
+          paymentId: payment._id,
+          reference: payment.reference,
+          provider: payment.provider,
+          currency: payment.currency,
+          buyer: payment.buyerId,
+          ...refund
+        })))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Refund whatever is left of a paid order, e.g. when it is cancelled.
+   * Returns null if the order has nothing to refund.
+   */
+  static async refundOrder(order, reason) {
+    if (!order.paymentId || !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      return null;
+    }
+
+    const remaining = roundMoney(order.total - (order.refundedAmount || 0));
+    if (remaining <= 0) {
+      return null;
+    }
+
+    return this.refund(order.paymentId, remaining, { reason, orderId: order._id });
+  }
+
+  /**
+   * Complete a fake-provider payment of the buyer by sending it a signed webhook
+   */
+  static async simulateFakePayment(reference, outcome, buyer) {
+    const provider = getProvider('fake');
+    if (!provider.isConfigured()) {
+      throw createError(404, 'Test payments are disabled.');
+    }
+
+    const payment = await Payment.findOne({ reference, provider: 'fake' });
+    if (!payment) {
+      throw createError(404, 'Payment not found.');
+    }
+    if (payment.buyerId.toString() !== buyer._id.toString()) {
+      throw createError(403, 'You do not have access to this payment.');
+    }
+
+    return this.handleWebhook('fake', provider.buildWebhook(payment, outcome));
+  }
+
+  /**
+   * Let the buyer's app know the payment settled one way or the other
+   */
+  static notifyBuyer(payment) {
+    try {
+      const socketIO = getIO();
+      if (socketIO) {
+        socketIO.to(payment.buyerId.toString()).emit('payment_updated', {
+          paymentId: payment._id,
+          reference: payment.reference,
+          status: payment.status,
+          orderIds: payment.orderIds,
+          failureReason: payment.failureReason,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (socketError) {
+      console.error('Socket emission error:', socketError);
+    }
+  }
+}
+
+module.exports = PaymentService;
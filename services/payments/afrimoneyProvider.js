@@ -0,0 +1,86 @@
+// services/payments/afrimoneyProvider.js
+// Afrimoney merchant collections: we ask Afrimoney to push a payment prompt
+// to the payer's phone, and Afrimoney calls back with an HMAC-signed webhook.
+const axios = require('axios');
+const PaymentProvider = require('./paymentProvider');
+const { createError } = require('../../utils/httpError');
+
+const SIGNATURE_HEADER = 'x-afrimoney-signature';
+
+class AfrimoneyProvider extends PaymentProvider {
+  constructor() {
+    super('afrimoney', 'Afrimoney');
+  }
+
+  isConfigured() {
+    return !!(
+      process.env.AFRIMONEY_API_URL &&
+      process.env.AFRIMONEY_MERCHANT_ID &&
+      process.env.AFRIMONEY_API_KEY &&
+      process.env.AFRIMONEY_WEBHOOK_SECRET
+    );
+  }
+
+  request(path, payload) {
+    return axios.post(`${process.env.AFRIMONEY_API_URL}${path}`, payload, {
+      headers: {
+        'x-api-key': process.env.AFRIMONEY_API_KEY,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async initiate(payment, { baseUrl } = {}) {
+    if (!payment.payerPhone) {
+      throw createError(400, 'An Afrimoney phone number is required.');
+    }
+
+    const { data } = await this.request('/collections', {
+      merchantId: process.env.AFRIMONEY_MERCHANT_ID,
+      reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      msisdn: payment.payerPhone,
+      callbackUrl: `${baseUrl}/payments/webhooks/afrimoney`
+    });
+
+    return {
+      providerReference: data.transactionId,
+      instructions: 'Approve the Afrimoney payment prompt on your phone to complete the order.'
+    };
+  }
+
+  async parseWebhook({ rawBody, headers }) {
+    if (!PaymentProvider.verifySignature(rawBody, headers[SIGNATURE_HEADER], process.env.AFRIMONEY_WEBHOOK_SECRET)) {
+      throw createError(401, 'Invalid webhook signature.');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const succeeded = event.status === 'SUCCESSFUL';
+
+    return {
+      reference: event.reference,
+      providerReference: event.transactionId,
+      status: succeeded ? 'succeeded' : 'failed',
+      eventId: event.eventId || `${event.transactionId}:${event.status}`,
+      failureReason: succeeded ? undefined : event.reason || `Afrimoney status ${event.status}`
+    };
+  }
+
+  async refund(payment, amount, reason) {
+    const { data } = await this.request('/refunds', {
+      merchantId: process.env.AFRIMONEY_MERCHANT_ID,
+      transactionId: payment.providerReference,
+      reference: payment.reference,
+      amount,
+      reason
+    });
+
+    return {
+      providerRefundId: data.refundId,
+      status: data.status === 'SUCCESSFUL' ? 'succeeded' : 'pending'
+    };
+  }
+}
+
+module.exports = AfrimoneyProvider;
@@ -0,0 +1,75 @@
+// services/payments/fakeProvider.js
+// Offline provider for local development and tests, off unless
+// NODE_ENV=development or ENABLE_FAKE_PAYMENTS=true. Payments are completed
+// by their buyer POSTing to /payments/fake/:reference/simulate, which
+// produces a signed webhook that goes through exactly the same path as a
+// real provider's.
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const { createError } = require('../../utils/httpError');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+class FakeProvider extends PaymentProvider {
+  constructor() {
+    super('fake', 'Test payment');
+    // The webhooks are signed and verified by this process, so a random
+    // secret works unless several instances share them
+    this.secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+  }
+
+  isConfigured() {
+    return process.env.NODE_ENV === 'development' || process.env.ENABLE_FAKE_PAYMENTS === 'true';
+  }
+
+  async initiate(payment) {
+    return {
+      providerReference: `fake_${crypto.randomUUID()}`,
+      instructions: `POST /payments/fake/${payment.reference}/simulate with { "outcome": "succeeded" } to complete this payment.`
+    };
+  }
+
+  /**
+   * Build the signed webhook request the fake provider "sends"
+   */
+  buildWebhook(payment, outcome = 'succeeded') {
+    const body = {
+      eventId: `evt_${crypto.randomUUID()}`,
+      reference: payment.reference,
+      providerReference: payment.providerReference,
+      status: outcome
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    return {
+      rawBody,
+      body,
+      query: {},
+      headers: { [SIGNATURE_HEADER]: PaymentProvider.sign(rawBody, this.secret) }
+    };
+  }
+
+  async parseWebhook({ rawBody, headers }) {
+    if (!PaymentProvider.verifySignature(rawBody, headers[SIGNATURE_HEADER], this.secret)) {
+      throw createError(401, 'Invalid webhook signature.');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      reference: event.reference,
+      providerReference: event.providerReference,
+      status: event.status === 'succeeded' ? 'succeeded' : 'failed',
+      eventId: event.eventId,
+      failureReason: event.status === 'succeeded' ? undefined : 'Declined by test provider'
+    };
+  }
+
+  async refund() {
+    return {
+      providerRefundId: `fake_refund_${crypto.randomUUID()}`,
+      status: 'succeeded'
+    };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,29 @@
+// services/payments/index.js - provider registry
+const OrangeMoneyProvider = require('./orangeMoneyProvider');
+const AfrimoneyProvider = require('./afrimoneyProvider');
+const StripeProvider = require('./stripeProvider');
+const FakeProvider = require('./fakeProvider');
+
+const providers = {
+  orange_money: new OrangeMoneyProvider(),
+  afrimoney: new AfrimoneyProvider(),
+  stripe: new StripeProvider(),
+  fake: new FakeProvider()
+};
+
+/**
+ * Get a provider by name (e.g. 'orange_money'), or null if unknown
+ */
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * Providers the current environment is configured for
+ */
+const listAvailableProviders = () => Object.values(providers)
+  .filter(provider => provider.isConfigured())
+  .map(provider => ({ name: provider.name, label: provider.label }));
+
+module.exports = {
+  getProvider,
+  listAvailableProviders
+};
@@ -0,0 +1,131 @@
+// services/payments/orangeMoneyProvider.js
+// Orange Money Web Payment API: the buyer is redirected to Orange's payment
+// page, and Orange calls our notif_url with the notif_token it gave us when
+// the payment was created. That token is the shared secret we verify.
+const axios = require('axios');
+const PaymentProvider = require('./paymentProvider');
+const Payment = require('../../model/payment');
+const { createError } = require('../../utils/httpError');
+
+class OrangeMoneyProvider extends PaymentProvider {
+  constructor() {
+    super('orange_money', 'Orange Money');
+    this.apiUrl = process.env.ORANGE_MONEY_API_URL || 'https://api.orange.com';
+    this.country = process.env.ORANGE_MONEY_COUNTRY || 'sl';
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return !!(
+      process.env.ORANGE_MONEY_CLIENT_ID &&
+      process.env.ORANGE_MONEY_CLIENT_SECRET &&
+      process.env.ORANGE_MONEY_MERCHANT_KEY
+    );
+  }
+
+  /**
+   * OAuth client-credentials token, cached until shortly before it expires
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer
+      .from(`${process.env.ORANGE_MONEY_CLIENT_ID}:${process.env.ORANGE_MONEY_CLIENT_SECRET}`)
+      .toString('base64');
+
+    const { data } = await axios.post(
+      `${this.apiUrl}/oauth/v3/token`,
+      'grant_type=client_credentials',
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+
+    this.accessToken = data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async initiate(payment, { baseUrl, returnUrl, cancelUrl } = {}) {
+    const token = await this.getAccessToken();
+
+    const { data } = await axios.post(
+      `${this.apiUrl}/orange-money-webpay/${this.country}/v1/webpayment`,
+      {
+        merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+        currency: process.env.ORANGE_MONEY_CURRENCY || payment.currency,
+        order_id: payment.reference,
+        amount: payment.amount,
+        return_url: returnUrl || `${baseUrl}/payments/return`,
+        cancel_url: cancelUrl || `${baseUrl}/payments/return`,
+        notif_url: `${baseUrl}/payments/webhooks/orange_money?reference=${encodeURIComponent(payment.reference)}`,
+        lang: 'en',
+        reference: 'Salone Fast Market'
+      },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+    return {
+      providerReference: data.pay_token,
+      redirectUrl: data.payment_url,
+      metadata: { notifToken: data.notif_token }
+    };
+  }
+
+  async parseWebhook({ body, query }) {
+    const reference = query?.reference;
+    const payment = reference
+      ? await Payment.findOne({ reference, provider: this.name }).select('metadata')
+      : null;
+
+    if (!payment || !PaymentProvider.safeEqual(body?.notif_token, payment.metadata?.notifToken)) {
+      throw createError(401, 'Invalid webhook signature.');
+    }
+
+    const succeeded = body.status === 'SUCCESS';
+    return {
+      reference,
+      providerReference: body.txnid,
+      status: succeeded ? 'succeeded' : 'failed',
+      eventId: `${reference}:${body.status}:${body.txnid || ''}`,
+      failureReason: succeeded ? undefined : `Orange Money status ${body.status}`
+    };
+  }
+
+  /**
+   * The Web Payment API has no refund call. If a disbursement endpoint is
+   * configured we use it; otherwise the refund is flagged for finance.
+   */
+  async refund(payment, amount, reason) {
+    if (!process.env.ORANGE_MONEY_REFUND_URL) {
+      return { providerRefundId: null, status: 'manual' };
+    }
+
+    const token = await this.getAccessToken();
+    const { data } = await axios.post(
+      process.env.ORANGE_MONEY_REFUND_URL,
+      {
+        merchant_key: process.env.ORANGE_MONEY_MERCHANT_KEY,
+        txnid: payment.providerReference,
+        order_id: payment.reference,
+        msisdn: payment.payerPhone,
+        amount,
+        reason
+      },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+
+    return {
+      providerRefundId: data.txnid || data.id,
+      status: data.status === 'SUCCESS' ? 'succeeded' : 'pending'
+    };
+  }
+}
+
+module.exports = OrangeMoneyProvider;
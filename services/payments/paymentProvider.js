@@ -0,0 +1,72 @@
+// services/payments/paymentProvider.js
+const crypto = require('crypto');
+
+/**
+ * Base class every payment provider extends.
+ *
+ * Providers implement:
+ *   initiate(payment, options)
+ *     -> { providerReference, redirectUrl?, clientSecret?, instructions?, metadata? }
+ *   parseWebhook({ rawBody, headers, body, query })
+ *     -> { reference, providerReference, status: 'succeeded' | 'failed', eventId, failureReason? }
+ *        or null for events we don't care about. Must throw a 401 error when
+ *        the webhook signature does not verify.
+ *   refund(payment, amount, reason)
+ *     -> { providerRefundId, status: 'succeeded' | 'pending' | 'manual' }
+ */
+class PaymentProvider {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Whether the environment has what this provider needs to take payments
+   */
+  isConfigured() {
+    return false;
+  }
+
+  async initiate() {
+    throw new Error(`${this.name} does not support initiating payments`);
+  }
+
+  async parseWebhook() {
+    throw new Error(`${this.name} does not support webhooks`);
+  }
+
+  async refund() {
+    throw new Error(`${this.name} does not support refunds`);
+  }
+
+  /**
+   * HMAC-SHA256 signature (hex) of a raw payload
+   */
+  static sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Constant-time check of a hex HMAC signature, optionally prefixed with "sha256="
+   */
+  static verifySignature(payload, signature, secret) {
+    if (!payload || !signature || !secret) return false;
+
+    const expected = Buffer.from(this.sign(payload, secret), 'hex');
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Constant-time comparison of two shared-secret strings
+   */
+  static safeEqual(a, b) {
+    if (!a || !b) return false;
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,89 @@
+// services/payments/stripeProvider.js
+const PaymentProvider = require('./paymentProvider');
+const { createError } = require('../../utils/httpError');
+
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super('stripe', 'Card (Stripe)');
+    this.client = null;
+  }
+
+  isConfigured() {
+    return !!(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.client;
+  }
+
+  // Stripe wants amounts in the smallest currency unit
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  async initiate(payment) {
+    const intent = await this.getClient().paymentIntents.create({
+      amount: this.toMinorUnits(payment.amount),
+      currency: (process.env.STRIPE_CURRENCY || payment.currency).toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      metadata: {
+        reference: payment.reference,
+        buyerId: payment.buyerId.toString()
+      }
+    });
+
+    return {
+      providerReference: intent.id,
+      clientSecret: intent.client_secret
+    };
+  }
+
+  async parseWebhook({ rawBody, headers }) {
+    let event;
+    try {
+      event = this.getClient().webhooks.constructEvent(
+        rawBody,
+        headers['stripe-signature'],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      throw createError(401, 'Invalid webhook signature.');
+    }
+
+    const statuses = {
+      'payment_intent.succeeded': 'succeeded',
+      'payment_intent.payment_failed': 'failed'
+    };
+
+    if (!statuses[event.type]) {
+      return null;
+    }
+
+    const intent = event.data.object;
+    return {
+      reference: intent.metadata?.reference,
+      providerReference: intent.id,
+      status: statuses[event.type],
+      eventId: event.id,
+      failureReason: intent.last_payment_error?.message
+    };
+  }
+
+  async refund(payment, amount, reason) {
+    const refund = await this.getClient().refunds.create({
+      payment_intent: payment.providerReference,
+      amount: this.toMinorUnits(amount),
+      metadata: { reference: payment.reference, reason: reason || '' }
+    });
+
+    return {
+      providerRefundId: refund.id,
+      status: refund.status === 'succeeded' ? 'succeeded' : 'pending'
+    };
+  }
+}
+
+module.exports = StripeProvider;
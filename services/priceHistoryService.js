@@ -0,0 +1,195 @@
+// services/priceHistoryService.js
+const mongoose = require('mongoose');
+const PriceHistory = require('../model/priceHistory');
+const Product = require('../model/product');
+const Favorite = require('../model/favorite');
+const User = require('../model/user');
+const NotificationCooldown = require('../model/notificationCooldown');
+const CartService = require('./cartService');
+const PushNotificationService = require('./pushNotificationService');
+const { createError } = require('../utils/httpError');
+
+// A product's lowest price has to fall by at least this much for its fans to hear about it
+const PRICE_DROP_MIN_PERCENT = 5;
+
+// One alert per product per user in this window, however often the price moves
+const PRICE_DROP_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 365;
+
+class PriceHistoryService {
+
+  /**
+   * Prices of a product before/after a change: its own, plus each
+   * combination's (which may inherit the product's) when it has them
+   */
+  static snapshot(product) {
+    if (!product) return new Map();
+
+    const entries = [[product._id.toString(), this.pricingOf(product)]];
+    for (const combination of product.combinations || []) {
+      entries.push([
+        `${product._id}:${combination._id}`,
+        { ...this.pricingOf(product, combination), combinationId: combination._id, sku: combination.sku }
+      ]);
+    }
+    return new Map(entries);
+  }
+
+  static pricingOf(product, combination) {
+    const { price, offerPrice } = CartService.getPricing(product, combination);
+    return {
+      price,
+      offerPrice: offerPrice ?? undefined,
+      effectivePrice: CartService.getUnitPrice(product, combination)
+    };
+  }
+
+  /**
+   * Cheapest way to buy a product: its cheapest combination when it has
+   * them, otherwise its own price
+   */
+  static lowestPrice(snapshot) {
+    const prices = [...snapshot.values()];
+    const combinations = prices.filter(p => p.combinationId);
+    const candidates = combinations.length > 0 ? combinations : prices;
+    return candidates.length > 0 ? Math.min(...candidates.map(p => p.effectivePrice)) : null;
+  }
+
+  /**
+   * Write history entries for every price that differs between two
+   * snapshots of the same product (all of them for a new product), and
+   * alert the people who favourited it if its lowest price dropped.
+   * History writes never fail the change that is being recorded.
+   */
+  static async recordChanges(product, before, { source, changedBy } = {}) {
+    const after = this.snapshot(product);
+    const entries = [];
+
+    for (const [key, to] of after) {
+      const from = before.get(key);
+      if (from && from.price === to.price && from.offerPrice === to.offerPrice) continue;
+      if (typeof to.price !== 'number') continue;
+
+      entries.push({
+        productId: product._id,
+        combinationId: to.combinationId,
+        sku: to.sku,
+        sellerId: product.sellerId?._id || product.sellerId,
+        price: to.price,
+        offerPrice: to.offerPrice,
+        effectivePrice: to.effectivePrice,
+        source,
+        changedBy
+      });
+    }
+
+    if (entries.length === 0) return [];
+
+    let saved = [];
+    try {
+      saved = await PriceHistory.insertMany(entries);
+    } catch (error) {
+      console.error('⚠️ Price history write failed:', error.message);
+    }
+
+    const previousLowest = this.lowestPrice(before);
+    const currentLowest = this.lowestPrice(after);
+    if (previousLowest > 0 && currentLowest !== null
+      && currentLowest <= previousLowest * (1 - PRICE_DROP_MIN_PERCENT / 100)) {
+      this.notifyPriceDrop(product, previousLowest, currentLowest)
+        .catch(error => console.error('❌ Price drop alerts error:', error));
+    }
+
+    return saved;
+  }
+
+  /**
+   * Push a price-drop alert to everyone who favourited a live product,
+   * unless they had one for it within PRICE_DROP_COOLDOWN_MS or turned
+   * notificationPreferences.priceDropAlerts off
+   */
+  static async notifyPriceDrop(product, oldPrice, newPrice) {
+    if (!Product.isListed(product)) return 0;
+
+    const sellerId = (product.sellerId?._id || product.sellerId)?.toString();
+    const userIds = await Favorite.distinct('userId', { productId: product._id });
+    const users = await User.find({
+      _id: { $in: userIds.filter(id => id.toString() !== sellerId) },
+      'notificationPreferences.priceDropAlerts': { $ne: false },
+      deletionRequestedAt: null
+    }).select('_id').lean();
+
+    let alertsSent = 0;
+
+    for (const user of users) {
+      try {
+        const claimed = await NotificationCooldown.claim(
+          user._id, 'price_drop', PRICE_DROP_COOLDOWN_MS, product._id.toString()
+        );
+        if (!claimed) continue;
+
+        await PushNotificationService.sendPriceDropAlert(user._id, {
+          productId: product._id,
+          productName: product.name,
+          oldPrice,
+          newPrice,
+          imageUrl: product.images?.[0]?.url
+        });
+        alertsSent++;
+      } catch (error) {
+        console.error(`❌ Price drop alert failed for user ${user._id}:`, error.message);
+      }
+    }
+
+    console.log(`💸 Price drop alerts for ${product._id}: ${alertsSent} sent (${users.length} fans)`);
+    return alertsSent;
+  }
+
+  /**
+   * Prices of a product (or one of its combinations) over the last days,
+   * oldest first, with the lowest and highest seen in that window
+   * ({ combinationId?, days? })
+   */
+  static async getHistory(product, { combinationId, days } = {}) {
+    if (combinationId && (!mongoose.Types.ObjectId.isValid(combinationId)
+      || !CartService.findCombination(product, combinationId))) {
+      throw createError(404, 'Combination not found.');
+    }
+
+    const dayCount = Math.min(Math.max(parseInt(days) || DEFAULT_HISTORY_DAYS, 1), MAX_HISTORY_DAYS);
+    const since = new Date(Date.now() - dayCount * 24 * 60 * 60 * 1000);
+    const filter = { productId: product._id, combinationId: combinationId || null };
+
+    // The price already in effect when the window opened counts too
+    const [previous, history] = await Promise.all([
+      PriceHistory.findOne({ ...filter, createdAt: { $lt: since } })
+        .sort({ createdAt: -1 })
+        .select('price offerPrice effectivePrice createdAt')
+        .lean(),
+      PriceHistory.find({ ...filter, createdAt: { $gte: since } })
+        .sort({ createdAt: 1 })
+        .select('price offerPrice effectivePrice source createdAt')
+        .lean()
+    ]);
+
+    const current = this.pricingOf(product, CartService.findCombination(product, combinationId));
+    const seen = [...(previous ? [previous] : []), ...history].map(entry => entry.effectivePrice);
+    seen.push(current.effectivePrice);
+
+    return {
+      productId: product._id,
+      combinationId: combinationId || null,
+      days: dayCount,
+      current,
+      lowestPrice: Math.min(...seen),
+      highestPrice: Math.max(...seen),
+      history
+    };
+  }
+}
+
+PriceHistoryService.PRICE_DROP_MIN_PERCENT = PRICE_DROP_MIN_PERCENT;
+
+module.exports = PriceHistoryService;
@@ -0,0 +1,36 @@
+// services/productScheduler.js
+const cron = require('node-cron');
+const ProductService = require('./productService');
+const InventoryService = require('./inventoryService');
+
+class ProductScheduler {
+
+  /**
+   * Start the scheduled product jobs
+   */
+  static start() {
+    console.log('🕐 Starting product scheduler...');
+
+    // Keep the popularity sort of GET /products up to date
+    cron.schedule('40 * * * *', async () => {
+      try {
+        await ProductService.refreshPopularity();
+      } catch (error) {
+        console.error('❌ refreshPopularity error:', error);
+      }
+    });
+
+    // Tell sellers every morning which products are running low
+    cron.schedule('0 7 * * *', async () => {
+      try {
+        await InventoryService.sendDailyDigests();
+      } catch (error) {
+        console.error('❌ sendDailyDigests error:', error);
+      }
+    });
+
+    console.log('✅ Product scheduler started (popularity refreshed hourly, low-stock digest daily at 07:00)');
+  }
+}
+
+module.exports = ProductScheduler;
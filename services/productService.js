@@ -0,0 +1,322 @@
+// services/productService.js
+const mongoose = require('mongoose');
+const Product = require('../model/product');
+const AnalyticsEvent = require('../model/analytics');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { createError } = require('../utils/httpError');
+
+const MAX_BULK_PRODUCTS = 100;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort orders for list(); _id in the same direction breaks ties
+const SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  popular: { field: 'popularity', direction: -1 }
+};
+
+// Fields a client may ask for with ?fields=
+const LIST_FIELDS = [
+  'name', 'description', 'price', 'offerPrice', 'quantity', 'images', 'proCategoryId',
+  'proSubCategoryId', 'proBrandId', 'proVariantTypeId', 'proVariantId', 'combinations',
+  'sellerId', 'sellerName', 'sellerVerified', 'status', 'statusReason', 'popularity',
+  'createdAt', 'updatedAt'
+];
+
+// References filled in for list(), when the field is returned
+const LIST_POPULATE = [
+  { path: 'proCategoryId', select: '_id name' },
+  { path: 'proSubCategoryId', select: '_id name' },
+  { path: 'proBrandId', select: '_id name' },
+  { path: 'proVariantTypeId', select: '_id type' },
+  { path: 'proVariantId', select: '_id name' },
+  { path: 'combinations.variantIds', select: '_id name' },
+  { path: 'sellerId', select: '_id fullName' }
+];
+
+// How much each interaction counts towards popularity (as in the feed's trending)
+const POPULARITY_WEIGHTS = { view: 1, click: 3, favorite: 5 };
+const POPULARITY_DAYS = 30;
+
+const parseObjectId = (value, name) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createError(400, `Invalid ${name}.`);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+const parsePrice = (value, name) => {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw createError(400, `${name} must be a number of at least 0.`);
+  }
+  return price;
+};
+
+const encodeCursor = (product, field) =>
+  Buffer.from(JSON.stringify({ v: product[field] ?? null, id: product._id })).toString('base64url');
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    const value = field === 'createdAt' ? new Date(v) : v;
+    if (value === undefined || (value instanceof Date && isNaN(value))) throw new Error('bad value');
+    if (value !== null && !(value instanceof Date) && typeof value !== 'number') throw new Error('bad value');
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw createError(400, 'Invalid cursor.');
+  }
+};
+
+class ProductService {
+
+  /**
+   * Move a product to another status ({ status, reason? }).
+   * Sellers follow Product.STATUS_TRANSITIONS; rejecting is for staff who
+   * manage products and needs a reason the seller can act on.
+   */
+  static async changeStatus(product, user, { status, reason } = {}) {
+    if (!Product.STATUSES.includes(status)) {
+      throw createError(400, `Status must be one of: ${Product.STATUSES.join(', ')}.`);
+    }
+
+    const from = product.status || 'active';
+    if (from === status) {
+      throw createError(409, `The product is already ${status}.`);
+    }
+
+    if (status === 'rejected') {
+      if (!hasPermission(user, PERMISSIONS.PRODUCTS_MANAGE)) {
+        throw createError(403, 'Only staff can reject a product.');
+      }
+      if (from === 'archived') {
+        throw createError(409, "An archived product can't be rejected.");
+      }
+      if (!reason || !String(reason).trim()) {
+        throw createError(400, 'A reason is required to reject a product.');
+      }
+    } else if (!Product.STATUS_TRANSITIONS[from].includes(status)) {
+      throw createError(409, `A ${from} product can't be moved to ${status}.`);
+    }
+
+    product.status = status;
+    product.statusReason = status === 'rejected' ? String(reason).trim() : undefined;
+    product.statusChangedAt = new Date();
+
+    try {
+      await product.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw createError(400, Object.values(error.errors)[0].message);
+      }
+      throw error;
+    }
+
+    return product;
+  }
+
+  /**
+   * Filter for list(). The public only sees listed products; a seller
+   * looking at their own products (sellerId=me works) and staff who manage
+   * products see every status and may filter by it (status=all for all).
+   */
+  static buildListFilter(query, user) {
+    const filter = {};
+
+    if (query.sellerId) {
+      filter.sellerId = query.sellerId === 'me' && user
+        ? user._id
+        : parseObjectId(query.sellerId, 'sellerId');
+    }
+    if (query.categoryId) filter.proCategoryId = parseObjectId(query.categoryId, 'categoryId');
+    if (query.subCategoryId) filter.proSubCategoryId = parseObjectId(query.subCategoryId, 'subCategoryId');
+    if (query.brandId) filter.proBrandId = parseObjectId(query.brandId, 'brandId');
+
+    if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+      filter.price = {};
+      if (query.minPrice !== undefined) filter.price.$gte = parsePrice(query.minPrice, 'minPrice');
+      if (query.maxPrice !== undefined) filter.price.$lte = parsePrice(query.maxPrice, 'maxPrice');
+    }
+
+    if (query.inStock === 'true') filter.quantity = { $gt: 0 };
+    if (query.inStock === 'false') filter.quantity = { $lte: 0 };
+
+    if (query.createdAfter) {
+      const createdAfter = new Date(query.createdAfter);
+      if (isNaN(createdAfter)) {
+        throw createError(400, 'Invalid createdAfter date.');
+      }
+      filter.createdAt = { $gt: createdAfter };
+    }
+
+    const seesEverything = user && (
+      hasPermission(user, PERMISSIONS.PRODUCTS_MANAGE)
+      || (filter.sellerId && filter.sellerId.toString() === user._id.toString())
+    );
+
+    if (!seesEverything) {
+      if (query.status && query.status !== 'active') {
+        throw createError(403, 'Only the seller can list products that are not live.');
+      }
+      return { ...filter, ...Product.LISTED };
+    }
+
+    if (query.status && query.status !== 'all') {
+      if (!Product.STATUSES.includes(query.status)) {
+        throw createError(400, `Status must be one of: all, ${Product.STATUSES.join(', ')}.`);
+      }
+      filter.status = query.status === 'active' ? { $in: ['active', null] } : query.status;
+    }
+    return filter;
+  }
+
+  /**
+   * One page of products ({ categoryId, subCategoryId, brandId, sellerId,
+   * minPrice, maxPrice, inStock, createdAfter, status, sort, fields,
+   * cursor, limit }). Pages are cursor-based: pass the nextCursor of one
+   * page to get the next. fields is a comma-separated list of LIST_FIELDS.
+   */
+  static async list(query = {}, user) {
+    const sortName = query.sort || 'newest';
+    const sort = SORTS[sortName];
+    if (!sort) {
+      throw createError(400, `Sort must be one of: ${Object.keys(SORTS).join(', ')}.`);
+    }
+
+    const filter = this.buildListFilter(query, user);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (query.cursor) {
+      const { value, id } = decodeCursor(query.cursor, sort.field);
+      const past = sort.direction === 1 ? '$gt' : '$lt';
+      filter.$and = [{
+        $or: [
+          { [sort.field]: { [past]: value } },
+          { [sort.field]: value, _id: { [past]: id } }
+        ]
+      }];
+    }
+
+    let fields = null;
+    if (query.fields) {
+      fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+      const unknown = fields.filter(field => !LIST_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw createError(400, `Unknown fields: ${unknown.join(', ')}.`);
+      }
+      // The cursor needs the sort field
+      if (!fields.includes(sort.field)) fields.push(sort.field);
+    }
+
+    const findQuery = Product.find(filter);
+    if (fields) findQuery.select(fields.join(' '));
+
+    const products = await findQuery
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1)
+      .populate(LIST_POPULATE.filter(({ path }) => !fields || fields.includes(path.split('.')[0])))
+      .lean();
+
+    const hasMore = products.length > limit;
+    if (hasMore) products.pop();
+
+    return {
+      products,
+      pagination: {
+        limit,
+        sort: sortName,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(products[products.length - 1], sort.field) : null
+      }
+    };
+  }
+
+  /**
+   * Recalculate every product's popularity from the last POPULARITY_DAYS
+   * of views, clicks and favourites
+   */
+  static async refreshPopularity() {
+    const since = new Date(Date.now() - POPULARITY_DAYS * 24 * 60 * 60 * 1000);
+
+    const scores = await AnalyticsEvent.aggregate([
+      { $match: { action: { $in: Object.keys(POPULARITY_WEIGHTS) }, timestamp: { $gte: since } } },
+      {
+        $group: {
+          _id: '$productId',
+          score: {
+            $sum: {
+              $switch: {
+                branches: Object.entries(POPULARITY_WEIGHTS)
+                  .map(([action, weight]) => ({ case: { $eq: ['$action', action] }, then: weight })),
+                default: 0
+              }
+            }
+          }
+        }
+      }
+    ]);
+
+    if (scores.length > 0) {
+      await Product.bulkWrite(scores.map(({ _id, score }) => ({
+        updateOne: { filter: { _id }, update: { $set: { popularity: score } } }
+      })), { ordered: false });
+    }
+
+    // Products nobody touched lately (or never scored) drop back to 0
+    const reset = await Product.updateMany(
+      { _id: { $nin: scores.map(s => s._id) }, popularity: { $ne: 0 } },
+      { $set: { popularity: 0 } }
+    );
+
+    console.log(`📈 Popularity refreshed for ${scores.length} products (${reset.modifiedCount} reset)`);
+    return { scored: scores.length, reset: reset.modifiedCount };
+  }
+
+  /**
+   * Change the status of several of a seller's products. Products that
+   * can't make the move are reported in failed; the rest still change.
+   */
+  static async bulkChangeStatus(productIds, sellerId, user, status) {
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      throw createError(400, 'Product IDs are required');
+    }
+    if (productIds.length > MAX_BULK_PRODUCTS) {
+      throw createError(400, `At most ${MAX_BULK_PRODUCTS} products can be changed at once.`);
+    }
+
+    const validIds = productIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const products = await Product.find({ _id: { $in: validIds }, sellerId });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const result = { changed: [], failed: [] };
+
+    for (const productId of productIds) {
+      const product = productMap.get(String(productId));
+      if (!product) {
+        result.failed.push({ productId, message: 'Product not found.' });
+        continue;
+      }
+
+      const from = product.status || 'active';
+      try {
+        await this.changeStatus(product, user, { status });
+        result.changed.push({ productId: product._id, from, to: status });
+      } catch (error) {
+        if (!error.status) throw error;
+        result.failed.push({ productId: product._id, message: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+ProductService.MAX_BULK_PRODUCTS = MAX_BULK_PRODUCTS;
+ProductService.SORTS = SORTS;
+ProductService.LIST_FIELDS = LIST_FIELDS;
+
+module.exports = ProductService;
@@ -201,6 +201,162 @@ class PushNotificationService {
     }
   }
 
+  /**
+   * Send order status update (new order, confirmed, delivered, ...)
+   */
+  static async sendOrderStatusNotification(userId, order) {
+    try {
+      const titles = {
+        pending: 'New Order',
+        confirmed: 'Order Confirmed',
+        packed: 'Order Packed',
+        out_for_delivery: 'Out for Delivery',
+        delivered: 'Order Delivered',
+        cancelled: 'Order Cancelled',
+        rejected: 'Order Rejected'
+      };
+
+      const bodies = {
+        pending: `You have a new order ${order.orderNumber} (Le ${order.total})`,
+        confirmed: `${order.sellerName || 'The seller'} confirmed order ${order.orderNumber}`,
+        packed: `Order ${order.orderNumber} is packed and waiting for pickup`,
+        out_for_delivery: `Order ${order.orderNumber} is on its way`,
+        delivered: `Order ${order.orderNumber} has been delivered`,
+        cancelled: `Order ${order.orderNumber} was cancelled`,
+        rejected: `Order ${order.orderNumber} was rejected by the seller`
+      };
+
+      const notification = {
+        title: titles[order.status] || 'Order Update',
+        body: bodies[order.status] || `Order ${order.orderNumber} is now ${order.status}`
+      };
+
+      const data = {
+        type: 'order_update',
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        status: order.status,
+        screen: 'orders'
+      };
+
+      return await this.sendToUser(userId, notification, data);
+
+    } catch (error) {
+      console.error('❌ sendOrderStatusNotification error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remind a user about items left in their cart
+   */
+  static async sendAbandonedCartReminder(userId, { itemCount, productName, imageUrl }) {
+    try {
+      const notification = {
+        title: 'You left something in your cart',
+        body: itemCount > 1
+          ? `${productName} and ${itemCount - 1} more item(s) are still waiting for you`
+          : `${productName} is still waiting for you`,
+        ...(imageUrl && { imageUrl })
+      };
+
+      const data = {
+        type: 'abandoned_cart',
+        itemCount: String(itemCount),
+        screen: 'cart'
+      };
+
+      return await this.sendToUser(userId, notification, data);
+
+    } catch (error) {
+      console.error('❌ sendAbandonedCartReminder error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell a seller how their verification request was decided
+   */
+  static async sendSellerVerificationNotification(userId, request) {
+    try {
+      const approved = request.status === 'approved';
+      const notification = {
+        title: approved ? 'You are now a verified seller' : 'Verification not approved',
+        body: approved
+          ? 'Your business documents were approved. Your listings now show the verified badge.'
+          : 'We could not verify your business. Open the app to see why and try again.'
+      };
+
+      const data = {
+        type: 'seller_verification',
+        requestId: request._id.toString(),
+        status: request.status,
+        screen: 'seller_verification'
+      };
+
+      return await this.sendToUser(userId, notification, data);
+
+    } catch (error) {
+      console.error('❌ sendSellerVerificationNotification error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Daily summary for a seller of products running low or sold out
+   */
+  static async sendLowStockDigest(userId, { lowCount, outCount, productName }) {
+    try {
+      const total = lowCount + outCount;
+      const notification = {
+        title: outCount > 0 ? 'Some of your products sold out' : 'Some of your products are running low',
+        body: total > 1
+          ? `${productName} and ${total - 1} more product(s) need restocking`
+          : `${productName} needs restocking`
+      };
+
+      const data = {
+        type: 'low_stock_digest',
+        lowCount: String(lowCount),
+        outCount: String(outCount),
+        screen: 'inventory'
+      };
+
+      return await this.sendToUser(userId, notification, data);
+
+    } catch (error) {
+      console.error('❌ sendLowStockDigest error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell a buyer that a product they favourited got cheaper
+   */
+  static async sendPriceDropAlert(userId, { productId, productName, oldPrice, newPrice, imageUrl }) {
+    try {
+      const notification = {
+        title: 'Price drop on your favourite',
+        body: `${productName} is now Le ${newPrice} (was Le ${oldPrice})`,
+        ...(imageUrl && { imageUrl })
+      };
+
+      const data = {
+        type: 'price_drop',
+        productId: productId.toString(),
+        oldPrice: String(oldPrice),
+        newPrice: String(newPrice),
+        screen: 'product'
+      };
+
+      return await this.sendToUser(userId, notification, data);
+
+    } catch (error) {
+      console.error('❌ sendPriceDropAlert error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Clean up invalid/expired FCM tokens
    */
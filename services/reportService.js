@@ -0,0 +1,133 @@
+// services/reportService.js
+const mongoose = require('mongoose');
+const Report = require('../model/report');
+const User = require('../model/user');
+const Product = require('../model/product');
+const Review = require('../model/review');
+const { Conversation, Message } = require('../model/message');
+const BlockService = require('./blockService');
+const { createError } = require('../utils/httpError');
+
+class ReportService {
+
+  /**
+   * Who the reported thing belongs to and a copy of it as it is now
+   */
+  static async describeTarget(targetType, targetId, reporterId) {
+    switch (targetType) {
+      case 'user': {
+        const user = await User.findById(targetId).select('fullName accountType businessInfo.businessName').lean();
+        if (!user) throw createError(404, 'User not found.');
+        return {
+          targetUserId: user._id,
+          snapshot: {
+            fullName: user.fullName,
+            accountType: user.accountType,
+            businessName: user.businessInfo?.businessName
+          }
+        };
+      }
+
+      case 'product': {
+        const product = await Product.findById(targetId).select('name description price offerPrice images sellerId sellerName').lean();
+        if (!product) throw createError(404, 'Product not found.');
+        return {
+          targetUserId: product.sellerId,
+          snapshot: {
+            name: product.name,
+            description: product.description,
+            price: product.price,
+            offerPrice: product.offerPrice,
+            images: (product.images || []).map(image => image.url),
+            sellerName: product.sellerName
+          }
+        };
+      }
+
+      case 'message': {
+        const message = await Message.findById(targetId).select('conversationId sender messageType content createdAt').lean();
+        if (!message) throw createError(404, 'Message not found.');
+
+        // Only messages the reporter could actually see
+        const conversation = await Conversation.findById(message.conversationId).select('buyerId sellerId participants');
+        if (!conversation?.getUserRole(reporterId)) {
+          throw createError(404, 'Message not found.');
+        }
+
+        return {
+          targetUserId: message.sender,
+          snapshot: {
+            conversationId: message.conversationId,
+            messageType: message.messageType,
+            content: message.content,
+            sentAt: message.createdAt
+          }
+        };
+      }
+
+      case 'review': {
+        const review = await Review.findById(targetId).lean();
+        if (!review) throw createError(404, 'Review not found.');
+        return {
+          targetUserId: review.userId,
+          snapshot: {
+            productId: review.productId,
+            rating: review.rating,
+            comment: review.comment,
+            buyerName: review.buyerName
+          }
+        };
+      }
+
+      default:
+        throw createError(400, `Target type must be one of: ${Report.TARGET_TYPES.join(', ')}.`);
+    }
+  }
+
+  /**
+   * File a report ({ targetType, targetId, reason, details?, block? }).
+   * With block set, the reported user is blocked as well.
+   */
+  static async create(reporterId, { targetType, targetId, reason, details, block = false }) {
+    if (!Report.TARGET_TYPES.includes(targetType)) {
+      throw createError(400, `Target type must be one of: ${Report.TARGET_TYPES.join(', ')}.`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw createError(400, 'Invalid target ID.');
+    }
+    if (!Report.REASONS.includes(reason)) {
+      throw createError(400, `Reason must be one of: ${Report.REASONS.join(', ')}.`);
+    }
+
+    const { targetUserId, snapshot } = await this.describeTarget(targetType, targetId, reporterId);
+    if (targetUserId && targetUserId.toString() === reporterId.toString()) {
+      throw createError(400, "You can't report yourself or your own content.");
+    }
+
+    let report;
+    try {
+      report = await Report.create({
+        reporterId,
+        targetType,
+        targetId,
+        targetUserId,
+        reason,
+        details,
+        snapshot
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, 'You have already reported this. Our team is looking into it.');
+      }
+      throw error;
+    }
+
+    if (block && targetUserId) {
+      await BlockService.block(reporterId, targetUserId);
+    }
+
+    return report;
+  }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,306 @@
+// services/sellerVerificationService.js
+const mongoose = require('mongoose');
+const SellerVerification = require('../model/sellerVerification');
+const User = require('../model/user');
+const Product = require('../model/product');
+const PushNotificationService = require('./pushNotificationService');
+const {
+  uploadVerificationDocument,
+  getPrivateUrl,
+  deleteFromCloudinary
+} = require('../utils/cloudinaryUpload');
+const { createError } = require('../utils/httpError');
+
+const MAX_DOCUMENTS = 5;
+
+// Changing any of these on the profile means the badge no longer
+// matches what was checked
+const VERIFIED_FIELDS = ['businessRegNumber', 'taxId', 'businessLicense'];
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+class SellerVerificationService {
+
+  /**
+   * Seller asks to be verified ({ businessRegNumber, taxId?, businessLicense?,
+   * documentTypes } plus multer files). documentTypes names each file in
+   * order, e.g. ['business_registration', 'national_id'].
+   */
+  static async submit(seller, { businessRegNumber, taxId, businessLicense, documentTypes }, files = []) {
+    if (seller.accountType !== 'seller') {
+      throw createError(403, 'Only sellers can be verified.');
+    }
+    if (seller.sellerVerification?.status === 'verified') {
+      throw createError(400, 'You are already verified.');
+    }
+    if (!trimmed(businessRegNumber)) {
+      throw createError(400, 'Business registration number is required.');
+    }
+    if (files.length === 0 || files.length > MAX_DOCUMENTS) {
+      throw createError(400, `Upload between 1 and ${MAX_DOCUMENTS} documents.`);
+    }
+
+    let types = documentTypes;
+    if (typeof types === 'string') {
+      try {
+        types = JSON.parse(types);
+      } catch {
+        types = types.split(',');
+      }
+    }
+    types = (Array.isArray(types) ? types : []).map(trimmed);
+    if (types.length !== files.length || types.some(type => !SellerVerification.DOCUMENT_TYPES.includes(type))) {
+      throw createError(400, `Give a document type for each file: ${SellerVerification.DOCUMENT_TYPES.join(', ')}.`);
+    }
+    if (!types.includes('business_registration')) {
+      throw createError(400, 'A business registration document is required.');
+    }
+
+    if (await SellerVerification.exists({ sellerId: seller._id, status: 'pending' })) {
+      throw createError(409, 'Your verification request is already being reviewed.');
+    }
+
+    const uploads = await Promise.all(files.map(file =>
+      uploadVerificationDocument(file.buffer, file.originalname)
+    ));
+    const documents = uploads.map((upload, i) => ({ type: types[i], ...upload }));
+
+    let request;
+    try {
+      request = await SellerVerification.create({
+        sellerId: seller._id,
+        businessName: seller.businessInfo?.businessName,
+        businessRegNumber: trimmed(businessRegNumber),
+        taxId: trimmed(taxId) || undefined,
+        businessLicense: trimmed(businessLicense) || undefined,
+        documents
+      });
+    } catch (error) {
+      await this.deleteDocuments(documents);
+      if (error.code === 11000) {
+        throw createError(409, 'Your verification request is already being reviewed.');
+      }
+      throw error;
+    }
+
+    // The profile carries the details that were submitted for checking
+    await User.updateOne(
+      { _id: seller._id },
+      {
+        $set: {
+          'businessInfo.businessRegNumber': request.businessRegNumber,
+          'businessInfo.taxId': request.taxId,
+          'businessInfo.businessLicense': request.businessLicense,
+          'sellerVerification.status': 'pending',
+          'sellerVerification.requestId': request._id
+        }
+      }
+    );
+
+    return request;
+  }
+
+  /**
+   * The seller's current status and their latest request
+   */
+  static async getForSeller(sellerId) {
+    const [user, latest] = await Promise.all([
+      User.findById(sellerId).select('sellerVerification').lean(),
+      SellerVerification.findOne({ sellerId }).select('-documents.publicId').sort({ createdAt: -1 }).lean()
+    ]);
+
+    return {
+      status: user?.sellerVerification?.status || 'unverified',
+      verifiedAt: user?.sellerVerification?.verifiedAt || null,
+      latestRequest: latest
+    };
+  }
+
+  /**
+   * Seller withdraws the request under review
+   */
+  static async cancel(sellerId) {
+    const request = await SellerVerification.findOneAndUpdate(
+      { sellerId, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!request) {
+      throw createError(404, 'No verification request is being reviewed.');
+    }
+
+    await User.updateOne(
+      { _id: sellerId, 'sellerVerification.status': 'pending' },
+      { $set: { 'sellerVerification.status': 'unverified' } }
+    );
+    await this.deleteDocuments(request.documents);
+    return request;
+  }
+
+  // ============================================
+  // ADMIN REVIEW
+  // ============================================
+
+  static async list({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status !== 'all') {
+      if (!SellerVerification.STATUSES.includes(status)) {
+        throw createError(400, `Status must be one of: all, ${SellerVerification.STATUSES.join(', ')}.`);
+      }
+      filter.status = status;
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [requests, total] = await Promise.all([
+      SellerVerification.find(filter)
+        .select('-documents.publicId')
+        .populate('sellerId', 'fullName phoneNumber businessInfo.businessName')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      SellerVerification.countDocuments(filter)
+    ]);
+
+    return {
+      requests,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  /**
+   * A request with short-lived links to its documents and the seller's
+   * earlier requests
+   */
+  static async getForReview(requestId) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      throw createError(400, 'Invalid request ID.');
+    }
+
+    const request = await SellerVerification.findById(requestId)
+      .populate('sellerId', 'fullName phoneNumber email businessInfo createdAt')
+      .populate('reviewedBy', 'fullName')
+      .lean();
+    if (!request) {
+      throw createError(404, 'Verification request not found.');
+    }
+
+    const previous = await SellerVerification.find({
+      sellerId: request.sellerId?._id || request.sellerId,
+      _id: { $ne: request._id }
+    })
+      .select('status rejectionReasons note reviewedAt createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return {
+      ...request,
+      documents: request.documents.map(({ publicId, ...document }) => ({
+        ...document,
+        url: getPrivateUrl(publicId, document.format, document.resourceType)
+      })),
+      previousRequests: previous
+    };
+  }
+
+  static async decide(requestId, admin, update) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      throw createError(400, 'Invalid request ID.');
+    }
+
+    const request = await SellerVerification.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      { $set: { ...update, reviewedBy: admin._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!request) {
+      throw createError(404, 'No pending verification request with this ID.');
+    }
+    return request;
+  }
+
+  static async approve(requestId, admin, { note } = {}) {
+    const request = await this.decide(requestId, admin, { status: 'approved', note });
+
+    await User.updateOne(
+      { _id: request.sellerId },
+      {
+        $set: {
+          'sellerVerification.status': 'verified',
+          'sellerVerification.verifiedAt': request.reviewedAt,
+          'sellerVerification.requestId': request._id
+        }
+      }
+    );
+    await this.setProductBadges(request.sellerId, true);
+
+    PushNotificationService.sendSellerVerificationNotification(request.sellerId, request);
+    return request;
+  }
+
+  /**
+   * Reject with one or more reasons from REJECTION_REASONS and an optional
+   * note; the seller can fix things and submit again
+   */
+  static async reject(requestId, admin, { reasons, note } = {}) {
+    const list = [...new Set(Array.isArray(reasons) ? reasons : [reasons].filter(Boolean))];
+    if (list.length === 0 || list.some(reason => !SellerVerification.REJECTION_REASONS.includes(reason))) {
+      throw createError(400, `Give at least one reason: ${SellerVerification.REJECTION_REASONS.join(', ')}.`);
+    }
+    if (list.includes('other') && !trimmed(note)) {
+      throw createError(400, 'Add a note explaining the rejection.');
+    }
+
+    const request = await this.decide(requestId, admin, { status: 'rejected', rejectionReasons: list, note });
+
+    await User.updateOne(
+      { _id: request.sellerId, 'sellerVerification.requestId': request._id },
+      { $set: { 'sellerVerification.status': 'rejected' } }
+    );
+
+    PushNotificationService.sendSellerVerificationNotification(request.sellerId, request);
+    return request;
+  }
+
+  /**
+   * Drop the badge when a verified seller edits the details that were
+   * checked. They have to submit a new request to get it back.
+   */
+  static async revokeIfDetailsChanged(before, after) {
+    if (before?.sellerVerification?.status !== 'verified') return false;
+
+    const changed = VERIFIED_FIELDS.some(field =>
+      trimmed(before.businessInfo?.[field]) !== trimmed(after?.businessInfo?.[field])
+    );
+    if (!changed) return false;
+
+    await User.updateOne(
+      { _id: before._id },
+      { $set: { 'sellerVerification.status': 'unverified' }, $unset: { 'sellerVerification.verifiedAt': 1 } }
+    );
+    await this.setProductBadges(before._id, false);
+    return true;
+  }
+
+  static async setProductBadges(sellerId, verified) {
+    await Product.updateMany({ sellerId }, { $set: { sellerVerified: verified } });
+  }
+
+  static async deleteDocuments(documents = []) {
+    await Promise.all(documents.map(document =>
+      deleteFromCloudinary(document.publicId, document.resourceType, 'authenticated')
+        .catch(error => console.error('⚠️ Verification document cleanup failed:', error.message))
+    ));
+  }
+}
+
+SellerVerificationService.MAX_DOCUMENTS = MAX_DOCUMENTS;
+
+module.exports = SellerVerificationService;
@@ -0,0 +1,308 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../model/session');
+const LegacyTokenExchange = require('../model/legacyTokenExchange');
+const User = require('../model/user');
+const UserDevice = require('../model/userDevice');
+const PushNotificationService = require('./pushNotificationService');
+const { generateToken, verifyToken } = require('../middleware/auth');
+const { createError } = require('../utils/httpError');
+
+// Sessions nobody refreshes for REFRESH_TOKEN_DAYS expire
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 60;
+
+// A refresh whose response never arrived (flaky mobile data) is retried with
+// the token it just replaced. Within this window that's allowed; after it,
+// the old token showing up counts as reuse.
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Lifetime of the access tokens issued before sessions existed
+const LEGACY_TOKEN_DAYS = 30;
+
+class SessionService {
+
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  static newSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  static nextExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY);
+  }
+
+  /**
+   * The token pair handed to the app. `token` keeps its old name so
+   * existing clients still find the access token where they expect it.
+   */
+  static buildTokens(session, secret) {
+    const token = generateToken(session.userId, session._id);
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token,
+      expiresIn: exp - iat,
+      refreshToken: `${session._id}.${secret}`,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  static describeClient(req) {
+    return {
+      userAgent: req?.get?.('User-Agent'),
+      ipAddress: req?.ip
+    };
+  }
+
+  /**
+   * Start a session for a user who just proved who they are. When the app
+   * sends its push token ({ fcmToken, platform, deviceId?, appVersion?,
+   * osVersion? }) the device is registered and linked to the session.
+   */
+  static async createSession(user, req, deviceInput = {}) {
+    const secret = this.newSecret();
+    const deviceInfo = {
+      platform: deviceInput.platform,
+      deviceId: deviceInput.deviceId,
+      appVersion: deviceInput.appVersion,
+      osVersion: deviceInput.osVersion
+    };
+
+    let device = null;
+    if (deviceInput.fcmToken && deviceInput.platform) {
+      const result = await PushNotificationService.registerDevice(user._id, deviceInput.fcmToken, {
+        ...deviceInfo,
+        deviceId: deviceInfo.deviceId || 'unknown',
+        appVersion: deviceInfo.appVersion || 'unknown',
+        osVersion: deviceInfo.osVersion || 'unknown'
+      });
+      device = result.success ? result.device : null;
+    }
+
+    const session = await Session.create({
+      userId: user._id,
+      deviceId: device?._id || null,
+      deviceInfo,
+      ...this.describeClient(req),
+      refreshTokenHash: this.hashSecret(secret),
+      expiresAt: this.nextExpiry()
+    });
+
+    return this.buildTokens(session, secret);
+  }
+
+  static parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+      throw createError(401, 'Invalid refresh token.', { code: 'INVALID_REFRESH_TOKEN' });
+    }
+    return { sessionId, secret };
+  }
+
+  /**
+   * Swap a refresh token for a new token pair. The presented token stops
+   * working; presenting it again later revokes the session.
+   */
+  static async refresh(refreshToken, req) {
+    const { sessionId, secret } = this.parseRefreshToken(refreshToken);
+    const presentedHash = this.hashSecret(secret);
+    const nextSecret = this.newSecret();
+    const now = new Date();
+
+    const update = {
+      refreshTokenHash: this.hashSecret(nextSecret),
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: this.nextExpiry(),
+      ...this.describeClient(req)
+    };
+    const activeFilter = { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } };
+
+    // Normal case: the current token
+    let session = await Session.findOneAndUpdate(
+      { ...activeFilter, refreshTokenHash: presentedHash },
+      { $set: { ...update, previousTokenHash: presentedHash } },
+      { new: true }
+    );
+
+    // Retry of a refresh whose response was lost
+    if (!session) {
+      session = await Session.findOneAndUpdate(
+        {
+          ...activeFilter,
+          previousTokenHash: presentedHash,
+          rotatedAt: { $gt: new Date(now.getTime() - REFRESH_REUSE_GRACE_SECONDS * 1000) }
+        },
+        { $set: update },
+        { new: true }
+      );
+    }
+
+    if (!session) {
+      const existing = await Session.findById(sessionId);
+      if (existing?.isActive()) {
+        // A secret we issued but already rotated away: someone else has it
+        await this.revoke(existing, 'reuse_detected');
+        console.warn(`⚠️ Refresh token reuse on session ${existing._id} (user ${existing.userId}) - session revoked`);
+        throw createError(401, 'This session has been signed out for your security. Please log in again.', { code: 'REFRESH_TOKEN_REUSED' });
+      }
+      throw createError(401, 'Session has ended. Please log in again.', { code: 'SESSION_REVOKED' });
+    }
+
+    const userExists = await User.exists({ _id: session.userId });
+    if (!userExists) {
+      await this.revoke(session, 'admin');
+      throw createError(401, 'User not found.', { code: 'SESSION_REVOKED' });
+    }
+
+    return this.buildTokens(session, nextSecret);
+  }
+
+  /**
+   * Move a client still holding a pre-session access token onto a session.
+   * Only tokens that haven't expired yet qualify, and each only once: a
+   * token presented a second time was copied, so the session it was
+   * exchanged for is revoked as well.
+   */
+  static async exchangeLegacyToken(accessToken, req, deviceInput) {
+    let decoded;
+    try {
+      decoded = verifyToken(accessToken);
+    } catch (error) {
+      throw createError(401, 'Token expired. Please log in again.', { code: 'TOKEN_EXPIRED' });
+    }
+
+    if (decoded.sid) {
+      throw createError(400, 'Use your refresh token to get a new access token.', { code: 'REFRESH_TOKEN_REQUIRED' });
+    }
+
+    const user = await User.findById(decoded.id).select('_id deletionRequestedAt');
+    if (!user || user.deletionRequestedAt) {
+      throw createError(401, 'User not found.', { code: 'INVALID_TOKEN' });
+    }
+
+    const tokenHash = this.hashSecret(accessToken);
+    let exchange;
+    try {
+      exchange = await LegacyTokenExchange.create({
+        tokenHash,
+        userId: user._id,
+        expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : new Date(Date.now() + LEGACY_TOKEN_DAYS * DAY)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const previous = await LegacyTokenExchange.findOne({ tokenHash });
+      const session = previous?.sessionId && await Session.findById(previous.sessionId);
+      if (session) {
+        await this.revoke(session, 'reuse_detected');
+        console.warn(`⚠️ Legacy token reuse for user ${user._id} - session ${session._id} revoked`);
+      }
+      throw createError(401, 'This token has already been used. Please log in again.', { code: 'TOKEN_REUSED' });
+    }
+
+    let tokens;
+    try {
+      tokens = await this.createSession(user, req, deviceInput);
+    } catch (error) {
+      // Nothing was handed out, so the token may be tried again
+      await LegacyTokenExchange.deleteOne({ _id: exchange._id });
+      throw error;
+    }
+
+    const { sessionId } = this.parseRefreshToken(tokens.refreshToken);
+    await LegacyTokenExchange.updateOne({ _id: exchange._id }, { $set: { sessionId } });
+    return tokens;
+  }
+
+  /**
+   * End a session and stop push notifications to its device
+   */
+  static async revoke(session, reason) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (session.deviceId) {
+      await UserDevice.updateOne({ _id: session.deviceId }, { isActive: false });
+    }
+  }
+
+  static async revokeForUser(userId, sessionId, reason = 'user') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw createError(400, 'Invalid session ID.');
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId });
+    if (!session || session.revokedAt) {
+      throw createError(404, 'Session not found.');
+    }
+
+    await this.revoke(session, reason);
+    return session;
+  }
+
+  /**
+   * Sign a user out everywhere (e.g. after a password reset)
+   */
+  static async revokeAllForUser(userId, reason, { exceptSessionId } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select('_id deviceId');
+    for (const session of sessions) {
+      await this.revoke(session, reason);
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Active sessions, most recently used first. `current` marks the one
+   * the request was made with.
+   */
+  static async listForUser(userId, currentSessionId) {
+    const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .populate('deviceId', 'deviceInfo isActive lastUsed')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      _id: session._id,
+      deviceInfo: session.deviceInfo,
+      pushEnabled: Boolean(session.deviceId?.isActive),
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+    }));
+  }
+
+  /**
+   * Link a push token registration to the session it was made from
+   */
+  static async linkDevice(sessionId, device) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      {
+        $set: {
+          deviceId: device._id,
+          'deviceInfo.platform': device.deviceInfo?.platform,
+          'deviceInfo.deviceId': device.deviceInfo?.deviceId,
+          'deviceInfo.appVersion': device.deviceInfo?.appVersion,
+          'deviceInfo.osVersion': device.deviceInfo?.osVersion
+        }
+      }
+    );
+  }
+}
+
+module.exports = SessionService;
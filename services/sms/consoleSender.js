@@ -0,0 +1,30 @@
+// services/sms/consoleSender.js
+// Local development and tests: prints messages instead of sending them and,
+// when SMS_LOG_FILE is set, appends each one to that file as a JSON line so
+// scripts can read the codes back. Off unless NODE_ENV=development or
+// ENABLE_CONSOLE_SMS=true, and never picked by a request's channel.
+const fs = require('fs');
+const SmsSender = require('./smsSender');
+
+class ConsoleSender extends SmsSender {
+  constructor() {
+    super('console', 'Console (development)', { selectable: false });
+    this.logFile = process.env.SMS_LOG_FILE || null;
+  }
+
+  isConfigured() {
+    return process.env.NODE_ENV === 'development' || process.env.ENABLE_CONSOLE_SMS === 'true';
+  }
+
+  async send(phoneNumber, text) {
+    const sentAt = new Date().toISOString();
+    console.log(`📱 [SMS to ${phoneNumber}] ${text}`);
+
+    if (this.logFile) {
+      await fs.promises.appendFile(this.logFile, `${JSON.stringify({ to: phoneNumber, text, sentAt })}\n`);
+    }
+    return { messageId: null };
+  }
+}
+
+module.exports = ConsoleSender;
@@ -0,0 +1,37 @@
+// services/sms/index.js - sender registry
+const WhatsAppSender = require('./whatsappSender');
+const ConsoleSender = require('./consoleSender');
+
+const senders = {
+  whatsapp: new WhatsAppSender(),
+  console: new ConsoleSender()
+};
+
+/**
+ * Get a sender by name (e.g. 'whatsapp'), or null if unknown
+ */
+const getSender = (name) => senders[name] || null;
+
+/**
+ * The sender to use when the caller didn't ask for one: SMS_CHANNEL if
+ * set, otherwise the first configured channel (real channels first)
+ */
+const getDefaultSender = () => {
+  if (process.env.SMS_CHANNEL) {
+    return getSender(process.env.SMS_CHANNEL);
+  }
+  return Object.values(senders).find(sender => sender.isConfigured()) || null;
+};
+
+/**
+ * Channels the current environment is configured for and a request may pick
+ */
+const listAvailableSenders = () => Object.values(senders)
+  .filter(sender => sender.selectable && sender.isConfigured())
+  .map(sender => ({ name: sender.name, label: sender.label }));
+
+module.exports = {
+  getSender,
+  getDefaultSender,
+  listAvailableSenders
+};
@@ -0,0 +1,33 @@
+// services/sms/smsSender.js
+
+/**
+ * Base class for the channels we deliver one-off text messages (OTP codes)
+ * through.
+ *
+ * Senders implement:
+ *   send(phoneNumber, text) -> { messageId? }
+ *     phoneNumber is in +232XXXXXXXX form. Must throw when the message
+ *     could not be handed over to the channel.
+ */
+class SmsSender {
+  constructor(name, label, { selectable = true } = {}) {
+    this.name = name;
+    this.label = label;
+    // Whether a request may ask for this channel; others are only used as
+    // the server's default
+    this.selectable = selectable;
+  }
+
+  /**
+   * Whether the environment has what this channel needs to send
+   */
+  isConfigured() {
+    return false;
+  }
+
+  async send() {
+    throw new Error(`${this.name} does not support sending messages`);
+  }
+}
+
+module.exports = SmsSender;
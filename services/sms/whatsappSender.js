@@ -0,0 +1,47 @@
+// services/sms/whatsappSender.js
+// Sends messages as WhatsApp texts through the Evolution API instance
+// that routes/whatsapp.js proxies for the admin dashboard.
+const SmsSender = require('./smsSender');
+
+const EVOLUTION_API_URL = process.env.EVOLUTION_API_URL || 'https://evolution-api-mqvx.onrender.com';
+const INSTANCE = process.env.EVOLUTION_INSTANCE || 'Salone Fast Market Express';
+
+class WhatsAppSender extends SmsSender {
+  constructor() {
+    super('whatsapp', 'WhatsApp');
+    this.apiKey = process.env.EVOLUTION_API_KEY;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async send(phoneNumber, text) {
+    // Evolution takes the international number without the leading +
+    const number = phoneNumber.replace(/^\+/, '');
+
+    const response = await fetch(
+      `${EVOLUTION_API_URL}/message/sendText/${encodeURIComponent(INSTANCE)}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'apikey': this.apiKey },
+        body: JSON.stringify({ number, text })
+      }
+    );
+
+    const rawText = await response.text();
+    if (!response.ok || !rawText.trim()) {
+      throw new Error(`Evolution send failed (${response.status}): ${rawText.slice(0, 200)}`);
+    }
+
+    let data = {};
+    try {
+      data = JSON.parse(rawText);
+    } catch {
+      // Non-JSON success body - nothing more to read from it
+    }
+    return { messageId: data.key?.id || null };
+  }
+}
+
+module.exports = WhatsAppSender;
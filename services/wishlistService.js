@@ -0,0 +1,413 @@
+// services/wishlistService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Wishlist = require('../model/wishlist');
+const Cart = require('../model/cart');
+const Product = require('../model/product');
+const User = require('../model/user');
+const CartService = require('./cartService');
+const { createError } = require('../utils/httpError');
+
+const MAX_LISTS = 50;
+const SAVE_FOR_LATER_NAME = 'Saved for later';
+const SHARE_BASE_URL = 'https://salonefastmarket.com/wishlist';
+
+// Lets the app address the save-for-later list without knowing its id
+const SAVED_ALIAS = 'saved';
+
+class WishlistService {
+
+  static generateShareToken() {
+    return crypto.randomBytes(12).toString('base64url');
+  }
+
+  static getShareUrl(list) {
+    return list.isSharable() ? `${SHARE_BASE_URL}/${list.shareToken}` : null;
+  }
+
+  static parsePrivacy(privacy) {
+    if (!Wishlist.PRIVACY.includes(privacy)) {
+      throw createError(400, `Privacy must be one of: ${Wishlist.PRIVACY.join(', ')}.`);
+    }
+    return privacy;
+  }
+
+  /**
+   * The user's save-for-later list, created on first use
+   */
+  static async getSaveForLater(userId) {
+    const filter = { userId, type: 'save_for_later' };
+    try {
+      return await Wishlist.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { name: SAVE_FOR_LATER_NAME, privacy: 'private', items: [] } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two first requests raced on the unique index; the other one created it
+      if (error.code === 11000) return Wishlist.findOne(filter);
+      throw error;
+    }
+  }
+
+  /**
+   * A list owned by the user; throws 404 for other users' lists
+   */
+  static async getOwnedList(userId, listId) {
+    if (listId === SAVED_ALIAS) {
+      return this.getSaveForLater(userId);
+    }
+    if (!mongoose.Types.ObjectId.isValid(listId)) {
+      throw createError(400, 'Invalid list ID.');
+    }
+
+    const list = await Wishlist.findOne({ _id: listId, userId });
+    if (!list) {
+      throw createError(404, 'List not found.');
+    }
+    return list;
+  }
+
+  static async getListsForUser(userId) {
+    await this.getSaveForLater(userId);
+    return Wishlist.find({ userId }).sort({ type: -1, updatedAt: -1 });
+  }
+
+  static async createList(userId, { name, description, privacy = 'private' }) {
+    const count = await Wishlist.countDocuments({ userId, type: 'custom' });
+    if (count >= MAX_LISTS) {
+      throw createError(400, `You can have at most ${MAX_LISTS} lists.`);
+    }
+
+    const list = new Wishlist({
+      userId,
+      name,
+      description,
+      privacy: this.parsePrivacy(privacy)
+    });
+    if (list.privacy !== 'private') {
+      list.shareToken = this.generateShareToken();
+    }
+
+    await list.save();
+    return list;
+  }
+
+  /**
+   * Rename a list or change its privacy. The save-for-later list is
+   * always private and keeps its name.
+   */
+  static async updateList(userId, listId, { name, description, privacy }) {
+    const list = await this.getOwnedList(userId, listId);
+
+    if (list.type === 'save_for_later' && (name !== undefined || privacy !== undefined)) {
+      throw createError(400, 'The saved for later list cannot be renamed or shared.');
+    }
+
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (privacy !== undefined) {
+      list.privacy = this.parsePrivacy(privacy);
+      if (list.privacy !== 'private' && !list.shareToken) {
+        list.shareToken = this.generateShareToken();
+      }
+    }
+
+    await list.save();
+    return list;
+  }
+
+  static async deleteList(userId, listId) {
+    const list = await this.getOwnedList(userId, listId);
+    if (list.type === 'save_for_later') {
+      throw createError(400, 'The saved for later list cannot be deleted.');
+    }
+    await list.deleteOne();
+  }
+
+  /**
+   * Replace the share token so links handed out before stop working
+   */
+  static async regenerateShareLink(userId, listId) {
+    const list = await this.getOwnedList(userId, listId);
+    if (list.privacy === 'private') {
+      throw createError(400, 'Make the list shareable before creating a link.');
+    }
+
+    list.shareToken = this.generateShareToken();
+    await list.save();
+    return list;
+  }
+
+  /**
+   * Put a line on a list. The same product and variant are kept as one
+   * line with the quantities added together.
+   */
+  static addLine(list, { productId, variantId, combinationId, quantity = 1, note, addedAt }) {
+    const existing = list.items.find(item => CartService.isSameLine(item, productId, variantId, combinationId));
+    if (existing) {
+      existing.quantity = Math.min((existing.quantity || 1) + quantity, CartService.MAX_LINE_QUANTITY);
+      if (note !== undefined) existing.note = note;
+      return existing;
+    }
+
+    if (list.items.length >= Wishlist.MAX_ITEMS) {
+      throw createError(400, `A list can hold at most ${Wishlist.MAX_ITEMS} items.`);
+    }
+    list.items.push({
+      productId,
+      variantId: variantId || null,
+      combinationId: combinationId || null,
+      quantity,
+      note,
+      addedAt
+    });
+    return list.items[list.items.length - 1];
+  }
+
+  static getListItem(list, itemId) {
+    const item = mongoose.Types.ObjectId.isValid(itemId) ? list.items.id(itemId) : null;
+    if (!item) {
+      throw createError(404, 'List item not found.');
+    }
+    return item;
+  }
+
+  /**
+   * Add a product to a list ({ productId, variantId?, combinationId?, sku?, quantity?, note? })
+   */
+  static async addItem(userId, listId, input) {
+    const list = await this.getOwnedList(userId, listId);
+    const quantity = CartService.parseQuantity(input.quantity);
+    const { product, variantId, combination } = await CartService.resolveLine(input);
+
+    this.addLine(list, {
+      productId: product._id,
+      variantId,
+      combinationId: combination?._id,
+      quantity,
+      note: input.note
+    });
+    await list.save();
+    return list;
+  }
+
+  static async updateItem(userId, listId, itemId, { quantity, note }) {
+    const list = await this.getOwnedList(userId, listId);
+    const item = this.getListItem(list, itemId);
+
+    if (quantity !== undefined) item.quantity = CartService.parseQuantity(quantity);
+    if (note !== undefined) item.note = note;
+
+    await list.save();
+    return list;
+  }
+
+  static async removeItem(userId, listId, itemId) {
+    const list = await this.getOwnedList(userId, listId);
+    this.getListItem(list, itemId).deleteOne();
+    await list.save();
+    return list;
+  }
+
+  /**
+   * Move a line from one of the user's lists to another
+   */
+  static async moveItem(userId, listId, itemId, targetListId) {
+    const [source, target] = await Promise.all([
+      this.getOwnedList(userId, listId),
+      this.getOwnedList(userId, targetListId)
+    ]);
+
+    if (source._id.equals(target._id)) {
+      throw createError(400, 'The item is already on this list.');
+    }
+
+    const item = this.getListItem(source, itemId);
+    this.addLine(target, item.toObject());
+    await target.save();
+
+    item.deleteOne();
+    await source.save();
+
+    return { source, target };
+  }
+
+  /**
+   * Move a list line into the cart. Stock is checked by the cart; the line
+   * only leaves the list once the cart accepted it.
+   */
+  static async moveToCart(userId, listId, itemId, { quantity } = {}) {
+    const list = await this.getOwnedList(userId, listId);
+    const item = this.getListItem(list, itemId);
+
+    const cart = await CartService.addItem({ userID: userId }, {
+      productId: item.productId,
+      variantId: item.variantId,
+      combinationId: item.combinationId,
+      quantity: quantity === undefined ? item.quantity || 1 : quantity
+    });
+
+    item.deleteOne();
+    await list.save();
+
+    return { list, cart };
+  }
+
+  /**
+   * Take a line out of the user's cart and keep it on a list
+   * (the save-for-later list unless another one is given)
+   */
+  static async moveFromCart(userId, cartItemId, listId = SAVED_ALIAS) {
+    const list = await this.getOwnedList(userId, listId);
+
+    const cart = await Cart.findOne({ userID: userId });
+    const cartItem = cart && mongoose.Types.ObjectId.isValid(cartItemId) ? cart.items.id(cartItemId) : null;
+    if (!cartItem) {
+      throw createError(404, 'Cart item not found.');
+    }
+
+    this.addLine(list, {
+      productId: cartItem.productId,
+      variantId: cartItem.variantId,
+      combinationId: cartItem.combinationId,
+      quantity: cartItem.quantity
+    });
+    await list.save();
+
+    cartItem.deleteOne();
+    await cart.save();
+
+    return { list, cart };
+  }
+
+  /**
+   * A shared list by its link token; private lists are not found
+   */
+  static async getSharedList(token) {
+    const list = token
+      ? await Wishlist.findOne({ shareToken: token, privacy: { $ne: 'private' } })
+      : null;
+    if (!list) {
+      throw createError(404, 'List not found.');
+    }
+    return list;
+  }
+
+  static async getPublicListsForUser(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw createError(400, 'Invalid user ID.');
+    }
+    return Wishlist.find({ userId, privacy: 'public' }).sort({ updatedAt: -1 });
+  }
+
+  /**
+   * List summary for overviews: counts, a few preview images, share link
+   */
+  static async buildSummaries(lists) {
+    const previewIds = lists.flatMap(list => list.items.slice(-4).map(item => item.productId));
+    const products = await Product.find({ _id: { $in: previewIds } }).select('images').lean();
+    const imageMap = new Map(products.map(p => [p._id.toString(), p.images?.[0]?.url || null]));
+
+    return lists.map(list => ({
+      _id: list._id,
+      name: list.name,
+      description: list.description,
+      type: list.type,
+      privacy: list.privacy,
+      shareUrl: this.getShareUrl(list),
+      itemCount: list.items.length,
+      previewImages: list.items.slice(-4).reverse()
+        .map(item => imageMap.get(item.productId.toString()))
+        .filter(Boolean),
+      updatedAt: list.updatedAt
+    }));
+  }
+
+  /**
+   * A list with live product details. The owner also gets the share
+   * settings and lines for products that no longer exist.
+   */
+  static async buildView(list, { owner = true } = {}) {
+    const products = await Product.find({ _id: { $in: list.items.map(item => item.productId) } })
+      .select('name price offerPrice quantity images sellerId sellerName combinations status moderation')
+      .lean();
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const lineCombination = (item) => {
+      const product = productMap.get(item.productId.toString());
+      return product ? CartService.findCombination(product, item.combinationId) : null;
+    };
+
+    const variantIds = list.items.flatMap(item =>
+      [item.variantId, ...(lineCombination(item)?.variantIds || [])]).filter(Boolean);
+    const variantNames = await CartService.getVariantNames(variantIds);
+
+    const items = list.items
+      .map(item => {
+        const product = productMap.get(item.productId.toString());
+        const combination = lineCombination(item);
+
+        if (!CartService.isLineAvailable(product, combination)) {
+          return owner ? {
+            _id: item._id,
+            productId: item.productId,
+            variantId: item.variantId,
+            combinationId: item.combinationId,
+            quantity: item.quantity,
+            note: item.note,
+            addedAt: item.addedAt,
+            unavailable: true
+          } : null;
+        }
+
+        return {
+          _id: item._id,
+          productId: product._id,
+          productName: product.name,
+          image: CartService.getImageUrl(product, combination),
+          sellerId: product.sellerId,
+          sellerName: product.sellerName,
+          variantId: item.variantId,
+          variantName: combination
+            ? CartService.getCombinationName(combination, variantNames)
+            : (item.variantId && variantNames.get(item.variantId.toString())) || null,
+          combinationId: combination?._id || null,
+          sku: combination?.sku || null,
+          quantity: item.quantity,
+          unitPrice: CartService.getUnitPrice(product, combination),
+          ...CartService.getPricing(product, combination),
+          inStock: CartService.availableQuantity(product, combination) > 0,
+          note: item.note,
+          addedAt: item.addedAt,
+          unavailable: false
+        };
+      })
+      .filter(Boolean)
+      .reverse();
+
+    const view = {
+      _id: list._id,
+      name: list.name,
+      description: list.description,
+      type: list.type,
+      itemCount: items.length,
+      items,
+      updatedAt: list.updatedAt
+    };
+
+    if (owner) {
+      view.privacy = list.privacy;
+      view.shareUrl = this.getShareUrl(list);
+    } else {
+      const user = await User.findById(list.userId).select('fullName').lean();
+      view.ownerName = user?.fullName?.split(' ')[0] || null;
+    }
+
+    return view;
+  }
+}
+
+WishlistService.SAVED_ALIAS = SAVED_ALIAS;
+
+module.exports = WishlistService;
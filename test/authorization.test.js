@@ -0,0 +1,105 @@
+// test/authorization.test.js
+// The permission and ownership checks that run after protect, called with
+// req.user already set as protect leaves it.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { authorize, protect } = require('../middleware/auth');
+const { requireSelf, requireSelfOr } = require('../middleware/ownership');
+const { PERMISSIONS } = require('../config/roles');
+
+const newUser = (fields = {}) => ({ _id: new mongoose.Types.ObjectId(), accountType: 'buyer', roles: [], ...fields });
+
+// Run a middleware and report whether it let the request through
+const run = (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+describe('authorize', () => {
+  const [first, check] = authorize(PERMISSIONS.USERS_MANAGE);
+
+  it('runs protect first', () => {
+    assert.equal(first, protect);
+  });
+
+  it('turns away users without the permission', () => {
+    for (const user of [newUser(), newUser({ accountType: 'seller' }), newUser({ roles: ['moderator'] })]) {
+      const { passed, res } = run(check, { user });
+
+      assert.equal(passed, false);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.code, 'FORBIDDEN');
+    }
+  });
+
+  it('lets admins through', () => {
+    assert.equal(run(check, { user: newUser({ roles: ['admin'] }) }).passed, true);
+  });
+
+  it('needs every permission listed', () => {
+    const [, both] = authorize(PERMISSIONS.USERS_READ, PERMISSIONS.DISPUTES_MANAGE);
+
+    assert.equal(run(both, { user: newUser({ roles: ['moderator'] }) }).res.statusCode, 403);
+    assert.equal(run(both, { user: newUser({ roles: ['support'] }) }).passed, true);
+  });
+});
+
+describe('requireSelfOr', () => {
+  const check = requireSelfOr(PERMISSIONS.USERS_READ);
+
+  it("turns away users acting on someone else's account", () => {
+    const user = newUser({ accountType: 'seller' });
+    const { passed, res } = run(check, { user, params: { id: newUser()._id.toString() } });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'FORBIDDEN');
+  });
+
+  it('lets users act on their own account, by id or as me', () => {
+    const user = newUser();
+    const req = { user, params: { id: 'me' } };
+
+    assert.equal(run(check, { user, params: { id: user._id.toString() } }).passed, true);
+    assert.equal(run(check, req).passed, true);
+    assert.equal(req.params.id, user._id.toString());
+  });
+
+  it('lets staff with the permission act on any account', () => {
+    const user = newUser({ roles: ['support'] });
+
+    assert.equal(run(check, { user, params: { id: newUser()._id.toString() } }).passed, true);
+  });
+
+  it('checks the param it was given', () => {
+    const user = newUser();
+    const byUserId = requireSelfOr(PERMISSIONS.USERS_READ, 'userId');
+
+    assert.equal(run(byUserId, { user, params: { userId: newUser()._id.toString() } }).res.statusCode, 403);
+  });
+});
+
+describe('requireSelf', () => {
+  it('turns away legacy ids naming someone else', () => {
+    const user = newUser();
+    const { passed, res } = run(requireSelf('body.userId'), { user, body: { userId: newUser()._id.toString() } });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it("fills in the caller's id when the field is missing", () => {
+    const user = newUser();
+    const req = { user, body: {} };
+
+    assert.equal(run(requireSelf('body.userId'), req).passed, true);
+    assert.equal(req.body.userId, user._id.toString());
+  });
+});
@@ -0,0 +1,234 @@
+// test/orderService.test.js
+// The models' statics are replaced with in-memory stand-ins, so these run
+// without a database. Stock reservations keep Mongo's semantics: the
+// conditional decrement either applies in full or matches nothing.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../model/order');
+const Cart = require('../model/cart');
+const Product = require('../model/product');
+const Coupon = require('../model/couponCode');
+const OrderService = require('../services/orderService');
+const CartService = require('../services/cartService');
+const InventoryService = require('../services/inventoryService');
+const PaymentService = require('../services/paymentService');
+const LedgerService = require('../services/ledgerService');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// checkout chains .session() on every read
+const inSession = (result) => ({ session: async () => result });
+
+const fakeSession = {
+  withTransaction: async (fn) => fn(),
+  endSession: async () => {}
+};
+
+const makeProduct = (fields) => new Product({
+  name: 'Product',
+  price: 10,
+  quantity: 1,
+  sellerId: newId(),
+  sellerName: 'Seller',
+  status: 'active',
+  ...fields
+});
+
+describe('OrderService.checkout', () => {
+  let products;
+  let stock;
+  let carts;
+  let coupon;
+
+  const cartFor = (buyer, lines) => {
+    carts.set(buyer._id.toString(), {
+      items: lines.map(({ product, quantity }) => ({ _id: newId(), productId: product._id, quantity })),
+      save: async () => {}
+    });
+  };
+
+  beforeEach(() => {
+    products = [];
+    stock = new Map();
+    carts = new Map();
+    coupon = null;
+
+    mock.method(mongoose, 'startSession', async () => fakeSession);
+    mock.method(Cart, 'findOne', (filter) => inSession(carts.get(filter.userID.toString()) || null));
+    // What each buyer saw when they opened checkout
+    mock.method(Product, 'find', () => inSession(products));
+    mock.method(Product, 'findOneAndUpdate', async (filter, update) => {
+      const key = filter._id.toString();
+      if (stock.get(key) < filter.quantity.$gte) return null;
+      stock.set(key, stock.get(key) + update.$inc.quantity);
+      return { quantity: stock.get(key) };
+    });
+    mock.method(Coupon, 'findOne', () => inSession(coupon));
+    mock.method(Order, 'create', async (docs) => docs.map(doc => ({ _id: newId(), ...doc })));
+    mock.method(CartService, 'getVariantNames', async () => new Map());
+    mock.method(InventoryService, 'record', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('lets only one of two buyers take the last unit', async () => {
+    const product = makeProduct({ quantity: 1 });
+    products = [product];
+    stock.set(product._id.toString(), 1);
+
+    const buyers = [{ _id: newId() }, { _id: newId() }];
+    buyers.forEach(buyer => cartFor(buyer, [{ product, quantity: 1 }]));
+
+    const results = await Promise.allSettled(buyers.map(buyer => OrderService.checkout(buyer)));
+
+    const fulfilled = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+    assert.equal(fulfilled.length, 1);
+    assert.equal(rejected.length, 1);
+    assert.equal(rejected[0].reason.status, 409);
+    assert.equal(rejected[0].reason.details[0].productId, product._id);
+    assert.equal(stock.get(product._id.toString()), 0);
+  });
+
+  it('splits a coupon across sellers so the discounts add up to the whole', async () => {
+    products = [10, 10, 10].map(price => makeProduct({ price, quantity: 5 }));
+    products.forEach(product => stock.set(product._id.toString(), 5));
+    coupon = {
+      _id: newId(),
+      couponCode: 'SAVE10',
+      status: 'active',
+      endDate: new Date(Date.now() + 60 * 60 * 1000),
+      discountType: 'fixed',
+      discountAmount: 10
+    };
+
+    const buyer = { _id: newId() };
+    cartFor(buyer, products.map(product => ({ product, quantity: 1 })));
+
+    const orders = await OrderService.checkout(buyer, { couponCode: 'SAVE10' });
+
+    assert.equal(orders.length, 3);
+    const discounts = orders.map(order => order.discount);
+    assert.equal(Math.round(discounts.reduce((sum, d) => sum + d, 0) * 100), 1000);
+    assert.ok(discounts.every(d => d >= 3.33 && d <= 3.34));
+    orders.forEach(order => {
+      assert.equal(order.total, Math.round((order.subtotal - order.discount) * 100) / 100);
+      assert.equal(order.coupon.discountAmount, order.discount);
+    });
+  });
+
+  it('rejects an empty cart', async () => {
+    const buyer = { _id: newId() };
+    await assert.rejects(OrderService.checkout(buyer), { status: 400, message: 'Your cart is empty.' });
+  });
+});
+
+describe('OrderService.changeStatus', () => {
+  const buyerId = newId();
+  const sellerId = newId();
+  let order;
+  let updates;
+
+  const orderWithStatus = (status) => new Order({
+    orderNumber: 'SFM-250101-000001',
+    buyerId,
+    sellerId,
+    status,
+    items: [],
+    reservation: { status: status === 'pending' ? 'held' : 'committed' }
+  });
+
+  beforeEach(() => {
+    updates = [];
+
+    mock.method(mongoose, 'startSession', async () => fakeSession);
+    mock.method(Order, 'findById', async () => order);
+    mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.status !== order.status) return null;
+      updates.push(update);
+      return orderWithStatus(update.$set.status);
+    });
+    mock.method(OrderService, 'releaseStock', async () => {});
+    mock.method(OrderService, 'notifyStatusChange', async () => {});
+    mock.method(PaymentService, 'refundOrder', async () => {});
+    mock.method(LedgerService, 'recordOrderDelivered', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('lets the seller confirm a pending order and commits its stock', async () => {
+    order = orderWithStatus('pending');
+
+    const updated = await OrderService.changeStatus(order._id, sellerId, 'confirmed');
+
+    assert.equal(updated.status, 'confirmed');
+    assert.equal(updates[0].$set['reservation.status'], 'committed');
+    assert.equal(updates[0].$push.statusHistory.role, 'seller');
+  });
+
+  it('does not let the buyer confirm their own order', async () => {
+    order = orderWithStatus('pending');
+
+    await assert.rejects(
+      OrderService.changeStatus(order._id, buyerId, 'confirmed'),
+      { status: 403, message: 'Only the seller can mark this order as confirmed.' }
+    );
+    assert.equal(updates.length, 0);
+  });
+
+  it('does not let the seller cancel an order they have not confirmed', async () => {
+    order = orderWithStatus('pending');
+
+    await assert.rejects(OrderService.changeStatus(order._id, sellerId, 'cancelled'), { status: 403 });
+  });
+
+  it('refuses moves the order flow does not allow', async () => {
+    order = orderWithStatus('pending');
+
+    await assert.rejects(
+      OrderService.changeStatus(order._id, sellerId, 'delivered'),
+      { status: 400, message: 'Cannot move an order from pending to delivered.' }
+    );
+
+    order = orderWithStatus('delivered');
+    await assert.rejects(OrderService.changeStatus(order._id, sellerId, 'cancelled'), { status: 400 });
+  });
+
+  it('keeps out users who are not part of the order', async () => {
+    order = orderWithStatus('pending');
+
+    await assert.rejects(
+      OrderService.changeStatus(order._id, newId(), 'cancelled'),
+      { status: 403, message: 'You do not have access to this order.' }
+    );
+  });
+
+  it('releases stock and refunds when the buyer cancels', async () => {
+    order = orderWithStatus('pending');
+
+    const updated = await OrderService.changeStatus(order._id, buyerId, 'cancelled');
+
+    assert.equal(updated.status, 'cancelled');
+    assert.equal(updates[0].$set['reservation.status'], 'released');
+    assert.equal(OrderService.releaseStock.mock.callCount(), 1);
+    assert.equal(PaymentService.refundOrder.mock.callCount(), 1);
+  });
+
+  it('lets the system cancel a pending order', async () => {
+    order = orderWithStatus('pending');
+
+    const updated = await OrderService.changeStatus(order._id, 'system', 'cancelled');
+
+    assert.equal(updated.status, 'cancelled');
+    assert.equal(updates[0].$push.statusHistory.role, 'system');
+  });
+
+  it('reports a conflict when the status changed in the meantime', async () => {
+    order = orderWithStatus('pending');
+    mock.method(Order, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(OrderService.changeStatus(order._id, sellerId, 'confirmed'), { status: 409 });
+    assert.equal(PaymentService.refundOrder.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,77 @@
+// test/paymentService.test.js
+// Webhooks come from the fake provider, signed the same way a real
+// provider's are; Payment is replaced with an in-memory stand-in.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../model/payment');
+const PaymentService = require('../services/paymentService');
+const { getProvider } = require('../services/payments');
+
+describe('PaymentService.handleWebhook', () => {
+  const provider = getProvider('fake');
+  let payment;
+
+  beforeEach(() => {
+    payment = {
+      _id: new mongoose.Types.ObjectId(),
+      provider: 'fake',
+      reference: 'PAY-TEST-1',
+      providerReference: 'fake_1',
+      status: 'pending',
+      processedEvents: []
+    };
+
+    mock.method(Payment, 'findOne', async () => payment);
+    // Claims an event id unless the payment has already processed it
+    mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+      if (payment.processedEvents.includes(filter.processedEvents.$ne)) return null;
+      payment.processedEvents.push(update.$push.processedEvents);
+      return payment;
+    });
+    mock.method(PaymentService, 'markSucceeded', async (claimed) => ({ ...claimed, status: 'succeeded' }));
+    mock.method(PaymentService, 'markFailed', async (claimed) => ({ ...claimed, status: 'failed' }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('rejects a webhook whose signature does not match its body', async () => {
+    const request = provider.buildWebhook(payment, 'succeeded');
+    request.rawBody = Buffer.from(request.rawBody.toString().replace('PAY-TEST-1', 'PAY-TEST-2'));
+
+    await assert.rejects(PaymentService.handleWebhook('fake', request), { status: 401 });
+    assert.equal(Payment.findOne.mock.callCount(), 0);
+    assert.equal(PaymentService.markSucceeded.mock.callCount(), 0);
+  });
+
+  it('rejects a webhook without a signature', async () => {
+    const request = provider.buildWebhook(payment, 'succeeded');
+    request.headers = {};
+
+    await assert.rejects(PaymentService.handleWebhook('fake', request), { status: 401 });
+    assert.equal(PaymentService.markSucceeded.mock.callCount(), 0);
+  });
+
+  it('applies an event once and treats its replay as a no-op', async () => {
+    const request = provider.buildWebhook(payment, 'succeeded');
+
+    const first = await PaymentService.handleWebhook('fake', request);
+    const replay = await PaymentService.handleWebhook('fake', request);
+
+    assert.equal(first.payment.status, 'succeeded');
+    assert.equal(replay.duplicate, true);
+    assert.equal(PaymentService.markSucceeded.mock.callCount(), 1);
+    assert.equal(payment.processedEvents.length, 1);
+  });
+
+  it('applies a failed payment through markFailed', async () => {
+    const result = await PaymentService.handleWebhook('fake', provider.buildWebhook(payment, 'failed'));
+
+    assert.equal(result.payment.status, 'failed');
+    assert.equal(PaymentService.markFailed.mock.callCount(), 1);
+  });
+
+  it('rejects an unknown provider', async () => {
+    await assert.rejects(PaymentService.handleWebhook('nope', {}), { status: 404 });
+  });
+});
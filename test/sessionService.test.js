@@ -0,0 +1,149 @@
+// test/sessionService.test.js
+// Sessions live in a Map here; the stand-in for findOneAndUpdate matches on
+// the same fields SessionService filters by.
+process.env.JWT_SECRET = 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../model/session');
+const LegacyTokenExchange = require('../model/legacyTokenExchange');
+const User = require('../model/user');
+const SessionService = require('../services/sessionService');
+
+describe('SessionService', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  let sessions;
+  let exchanges;
+
+  const matches = (session, filter) => {
+    if (session.revokedAt || session.expiresAt <= filter.expiresAt.$gt) return false;
+    if (filter.refreshTokenHash) return session.refreshTokenHash === filter.refreshTokenHash;
+    return session.previousTokenHash === filter.previousTokenHash && session.rotatedAt > filter.rotatedAt.$gt;
+  };
+
+  // Pretend the last rotation happened this long ago
+  const rotatedSecondsAgo = (refreshToken, seconds) => {
+    const session = sessions.get(refreshToken.split('.')[0]);
+    session.rotatedAt = new Date(Date.now() - seconds * 1000);
+  };
+
+  beforeEach(() => {
+    sessions = new Map();
+    exchanges = new Map();
+
+    mock.method(Session, 'create', async (doc) => {
+      const session = new Session(doc);
+      sessions.set(session._id.toString(), session);
+      return session;
+    });
+    mock.method(Session, 'findById', async (id) => sessions.get(id.toString()) || null);
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      const session = sessions.get(filter._id.toString());
+      if (!session || !matches(session, filter)) return null;
+      Object.assign(session, update.$set);
+      return session;
+    });
+    mock.method(Session, 'updateOne', async (filter, update) => {
+      const session = sessions.get(filter._id.toString());
+      if (session && !session.revokedAt) Object.assign(session, update.$set);
+    });
+    mock.method(User, 'exists', async () => ({ _id: user._id }));
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+
+    mock.method(LegacyTokenExchange, 'create', async (doc) => {
+      if (exchanges.has(doc.tokenHash)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      const exchange = { _id: new mongoose.Types.ObjectId(), ...doc };
+      exchanges.set(doc.tokenHash, exchange);
+      return exchange;
+    });
+    mock.method(LegacyTokenExchange, 'findOne', async ({ tokenHash }) => exchanges.get(tokenHash) || null);
+    mock.method(LegacyTokenExchange, 'updateOne', async ({ _id }, update) => {
+      const exchange = [...exchanges.values()].find(e => e._id.equals(_id));
+      Object.assign(exchange, update.$set);
+    });
+    mock.method(LegacyTokenExchange, 'deleteOne', async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('refresh', () => {
+    it('rotates the refresh token', async () => {
+      const first = await SessionService.createSession(user);
+      const second = await SessionService.refresh(first.refreshToken);
+
+      assert.notEqual(second.refreshToken, first.refreshToken);
+      assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+      assert.ok(second.token);
+    });
+
+    it('revokes the session when a rotated token is used again', async () => {
+      const first = await SessionService.createSession(user);
+      const second = await SessionService.refresh(first.refreshToken);
+      rotatedSecondsAgo(first.refreshToken, 60);
+
+      await assert.rejects(
+        SessionService.refresh(first.refreshToken),
+        { status: 401, details: { code: 'REFRESH_TOKEN_REUSED' } }
+      );
+
+      const session = sessions.get(first.refreshToken.split('.')[0]);
+      assert.equal(session.revokedReason, 'reuse_detected');
+      // The current token dies with the session
+      await assert.rejects(
+        SessionService.refresh(second.refreshToken),
+        { status: 401, details: { code: 'SESSION_REVOKED' } }
+      );
+    });
+
+    it('allows a retry with the replaced token right after rotating', async () => {
+      const first = await SessionService.createSession(user);
+      await SessionService.refresh(first.refreshToken);
+
+      const retried = await SessionService.refresh(first.refreshToken);
+
+      assert.ok(retried.token);
+      assert.equal(sessions.get(first.refreshToken.split('.')[0]).revokedAt, null);
+    });
+
+    it('rejects a refresh token with a made-up secret', async () => {
+      const first = await SessionService.createSession(user);
+      const [sessionId] = first.refreshToken.split('.');
+
+      await assert.rejects(SessionService.refresh(`${sessionId}.not-the-secret`), { status: 401 });
+    });
+  });
+
+  describe('exchangeLegacyToken', () => {
+    const legacyToken = () => jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+    it('exchanges a legacy token for a session', async () => {
+      const tokens = await SessionService.exchangeLegacyToken(legacyToken());
+
+      const [sessionId] = tokens.refreshToken.split('.');
+      assert.ok(sessions.has(sessionId));
+      assert.equal([...exchanges.values()][0].sessionId.toString(), sessionId);
+    });
+
+    it('refuses a second exchange and revokes the first session', async () => {
+      const token = legacyToken();
+      const tokens = await SessionService.exchangeLegacyToken(token);
+
+      await assert.rejects(
+        SessionService.exchangeLegacyToken(token),
+        { status: 401, details: { code: 'TOKEN_REUSED' } }
+      );
+      assert.equal(sessions.get(tokens.refreshToken.split('.')[0]).revokedReason, 'reuse_detected');
+    });
+
+    it('sends session tokens back to refresh', async () => {
+      const tokens = await SessionService.createSession(user);
+
+      await assert.rejects(
+        SessionService.exchangeLegacyToken(tokens.token),
+        { status: 400, details: { code: 'REFRESH_TOKEN_REQUIRED' } }
+      );
+    });
+  });
+});
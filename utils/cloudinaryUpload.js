@@ -158,6 +158,70 @@ const uploadMessageImage = async (fileBuffer, filename) => {
     }
 };
 
+/**
+ * Upload dispute evidence photo
+ */
+const uploadDisputeImage = async (fileBuffer, filename) => {
+    try {
+        const result = await uploadToCloudinary(fileBuffer, {
+            folder: getCloudinaryFolder('disputes'),
+            resource_type: 'image',
+            transformation: [
+                { quality: 'auto', fetch_format: 'auto' },
+                { width: 1600, height: 1600, crop: 'limit' }
+            ],
+            public_id: `dispute_${Date.now()}_${filename.replace(/\.[^/.]+$/, '')}`
+        });
+
+        return {
+            url: result.secure_url,
+            publicId: result.public_id,
+            format: result.format,
+            size: result.bytes
+        };
+    } catch (error) {
+        console.error('Dispute image upload error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Upload a seller verification document. These are stored as
+ * authenticated assets, so they can only be opened via getPrivateUrl.
+ */
+const uploadVerificationDocument = async (fileBuffer, filename) => {
+    try {
+        const result = await uploadToCloudinary(fileBuffer, {
+            folder: getCloudinaryFolder('verification'),
+            resource_type: 'image',
+            type: 'authenticated',
+            public_id: `kyc_${Date.now()}_${filename.replace(/\.[^/.]+$/, '')}`
+        });
+
+        return {
+            publicId: result.public_id,
+            resourceType: result.resource_type,
+            format: result.format,
+            size: result.bytes
+        };
+    } catch (error) {
+        console.error('Verification document upload error:', error);
+        throw error;
+    }
+};
+
+/**
+ * Short-lived download URL for an authenticated asset
+ * @param {number} expiresInSeconds - How long the link works
+ */
+const getPrivateUrl = (publicId, format, resourceType = 'image', expiresInSeconds = 600) => {
+    return cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type: 'authenticated',
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+    });
+};
+
 /**
  * Upload message video
  */
@@ -238,11 +302,13 @@ const uploadMessageDocument = async (fileBuffer, filename) => {
  * Delete file from Cloudinary
  * @param {string} publicId - Cloudinary public ID
  * @param {string} resourceType - Type of resource (image, video, raw)
+ * @param {string} deliveryType - upload, or authenticated for private files
  */
-const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
+const deleteFromCloudinary = async (publicId, resourceType = 'image', deliveryType = 'upload') => {
     try {
         const result = await cloudinary.uploader.destroy(publicId, {
             resource_type: resourceType,
+            type: deliveryType,
             invalidate: true
         });
         
@@ -339,6 +405,9 @@ module.exports = {
     uploadMessageVideo,
     uploadMessageVoice,
     uploadMessageDocument,
+    uploadDisputeImage,
+    uploadVerificationDocument,
+    getPrivateUrl,
     deleteFromCloudinary,
     deleteMultipleFromCloudinary,
     getOptimizedImageUrl,
@@ -0,0 +1,38 @@
+// utils/csv.js
+
+/**
+ * Escape one value for a CSV cell (RFC 4180)
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from rows of objects.
+ * columns: [{ key, header }] - key may be a function (row) => value
+ */
+const toCSV = (rows, columns) => {
+  const header = columns.map(column => escapeCell(column.header || column.key)).join(',');
+  const lines = rows.map(row => columns
+    .map(column => escapeCell(typeof column.key === 'function' ? column.key(row) : row[column.key]))
+    .join(','));
+
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Send a CSV document as a file download
+ */
+const sendCSV = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+};
+
+module.exports = {
+  escapeCell,
+  toCSV,
+  sendCSV
+};
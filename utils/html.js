@@ -0,0 +1,14 @@
+// utils/html.js
+
+/**
+ * Escape text for use in HTML content and attribute values (emails, link
+ * previews)
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = { escapeHtml };
@@ -0,0 +1,33 @@
+// utils/httpError.js
+
+/**
+ * Create an Error carrying an HTTP status (and optional details) so services
+ * can fail with a meaningful response code, e.g. createError(409, 'Out of stock', lineErrors)
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @param {*} details - Optional extra data (per-line errors, etc.)
+ */
+const createError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+};
+
+/**
+ * Send the response for an error caught in a route: the status and message
+ * of a createError error (with its details as `errors`), otherwise a logged 500
+ * @param {object} res - Express response
+ * @param {Error} error - The caught error
+ * @param {string} logLabel - What failed, for the server log
+ */
+const respondWithError = (res, error, logLabel) => {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message, errors: error.details });
+    }
+
+    console.error(`❌ ${logLabel}:`, error);
+    res.status(500).json({ success: false, message: error.message });
+};
+
+module.exports = { createError, respondWithError };
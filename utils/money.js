@@ -0,0 +1,8 @@
+// utils/money.js
+
+/**
+ * Round an amount in leones to 2 decimal places
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,13 @@
+// utils/pagination.js
+
+/**
+ * Page and limit from a request's query (?page=&limit=), with the number
+ * of documents to skip. limit defaults to 20 and is capped at 100.
+ */
+const getPagination = (query) => {
+  const pageNum = Math.max(parseInt(query.page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+module.exports = { getPagination };
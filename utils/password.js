@@ -0,0 +1,58 @@
+// utils/password.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as scrypt$N$r$p$<salt base64>$<hash base64> so the cost can be
+// raised later without breaking existing hashes
+const PREFIX = 'scrypt';
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const derive = (password, salt, { N, r, p }) =>
+  scrypt(String(password), salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+
+/**
+ * True when a stored password is one of our hashes (not a legacy plaintext record)
+ */
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+
+/**
+ * Hash a password with a fresh random salt
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await derive(password, salt, COST);
+  return [PREFIX, COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against what is stored for the user.
+ * needsRehash is set when the record should be rewritten with a current
+ * hash: legacy plaintext, or a hash made with older cost settings.
+ */
+const verifyPassword = async (stored, candidate) => {
+  if (!stored || candidate === undefined || candidate === null) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(String(stored));
+    const b = Buffer.from(String(candidate));
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const cost = { N: Number(N), r: Number(r), p: Number(p) };
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await derive(candidate, Buffer.from(salt, 'base64'), cost);
+
+  const valid = actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  const outdated = cost.N !== COST.N || cost.r !== COST.r || cost.p !== COST.p;
+  return { valid, needsRehash: valid && outdated };
+};
+
+module.exports = { hashPassword, verifyPassword, isHashed };
@@ -0,0 +1,22 @@
+// utils/socket.js
+
+// index.js creates the Socket.IO server and requires (indirectly) the
+// modules that use it, so it is looked up on first use, not on load
+let io;
+
+/**
+ * The Socket.IO server, or null if it isn't available
+ */
+const getIO = () => {
+  if (!io) {
+    try {
+      io = require('../index').io;
+    } catch (error) {
+      console.error('Failed to get Socket.IO instance:', error);
+      return null;
+    }
+  }
+  return io;
+};
+
+module.exports = { getIO };